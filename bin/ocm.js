@@ -0,0 +1,477 @@
+#!/usr/bin/env node
+// bin/ocm.js — headless runner for the manifest checks.
+//
+//   ocm check <ontology...> [--manifest docs/queries/manifest.json ...]
+//       [--format yaml|csv|json|rdf|sarif[,...]] [--out-dir <dir>]
+//       [--fail-below "metadata complete"] [--catalog catalog-v001.xml]
+//       [--annotate] [--fixes] [--query-timeout <ms>] [--max-triples <n>] [--languages en,de]
+//       [--inference] [--waivers waivers.json ...]
+//   ocm check --endpoint <url> [--graph <iri>] [options]
+//   ocm compare <baseline> <current> [--format markdown|json] [--fail-on-regression]
+//
+// Runs the same engine (docs/app/engine.js) and grader (docs/app/grader.js)
+// as the browser UI. Exit codes: 0 = every ontology reached the threshold
+// (check) or nothing regressed (compare), 1 = at least one ontology is below
+// it or something regressed with --fail-on-regression, 2 = usage or runtime error.
+
+import fs from 'node:fs/promises';
+import fsSync from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import * as N3 from 'n3';
+import { QueryEngine } from '@comunica/query-sparql';
+import * as $rdf from 'rdflib';
+import jsonld from 'jsonld';
+import { DOMParser } from '@xmldom/xmldom';
+
+// Plain helpers that need none of the browser globals.
+import { parseLanguageList, requiredLanguages, withLanguages } from '../docs/app/languages.js';
+import { withInference } from '../docs/app/inference.js';
+import { createEndpoint, describeEndpoint } from '../docs/app/endpoint.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_MANIFEST = path.join(ROOT, 'docs', 'queries', 'manifest.json');
+const DEFAULT_FAIL_BELOW = 'metadata complete';
+const FORMATS = ['yaml', 'csv', 'json', 'rdf', 'sarif'];
+const EXTENSIONS = {
+  yaml: 'report.yaml',
+  csv: 'results.csv',
+  json: 'report.json',
+  rdf: 'report.ttl',
+  sarif: 'report.sarif'
+};
+const DIFF_FORMATS = ['markdown', 'json'];
+const DIFF_EXTENSIONS = { markdown: 'diff.md', json: 'diff.json' };
+
+const USAGE = `Usage: ocm check <ontology...> [options]
+       ocm check --endpoint <url> [--graph <iri>] [options]
+       ocm compare <baseline> <current> [options]
+
+The compare baseline is an ontology or a report written with --format json.
+
+Options:
+  -m, --manifest <file>     Rule pack manifest JSON (default: docs/queries/manifest.json);
+                            repeat to combine several packs
+  -f, --format <list>       Comma-separated report formats: yaml, csv, json, rdf (DQV/EARL
+                            Turtle), sarif (default: yaml);
+                            for compare: markdown or json (default: markdown)
+  -o, --out-dir <dir>       Write <name>.report.yaml / .results.csv / .report.json /
+                            .report.ttl / .report.sarif there instead of printing to stdout
+      --fail-below <status> Exit 1 when an ontology status ranks below this
+                            (default: "${DEFAULT_FAIL_BELOW}")
+  -c, --catalog <file>      XML catalog used to resolve owl:imports (default: a
+                            catalog-v001.xml next to each ontology, if present)
+  -a, --annotate            Also write <name>.annotated.<ext> to --out-dir, with the
+                            computed IAO_0000114 curation statuses
+      --fixes               Also write <name>.fixes.ttl to --out-dir, with every triple
+                            the rules' fixers suggest for the failing resources
+      --query-timeout <ms>  Time limit per query (default: the manifest's queryTimeoutMs,
+                            else 30000; 0 = none)
+      --max-triples <n>     Stop with an error when an ontology has more triples than
+                            this, instead of running out of memory
+      --languages <list>    Comma-separated languages that labels and definitions are
+                            required in (default: the rule packs' languages, else en)
+      --inference           Infer RDFS/OWL RL triples before the checks, for the checks
+                            that declare the inferred graph (default: as the packs say)
+  -w, --waivers <file>      Waiver JSON file accepting known failures, on top of the
+                            waivers annotated in each ontology; repeat for several
+  -e, --endpoint <url>      check: query the ontology held in this SPARQL endpoint
+                            instead of reading files; reports are named endpoint.*
+  -g, --graph <iri>         With --endpoint: the named graph holding the ontology
+                            (default: the endpoint's default graph)
+      --fail-on-regression  compare: exit 1 when a status went down or a requirement
+                            failure appeared
+  -q, --quiet               Do not print the per-ontology summary to stderr
+  -h, --help                Show this help
+`;
+
+class UsageError extends Error {}
+
+// engine.js and formats.js expect the browser globals.
+function installGlobals() {
+  globalThis.N3 = N3;
+  globalThis.Comunica = { QueryEngine };
+  globalThis.$rdf = $rdf;
+  globalThis.jsonld = jsonld;
+  if (!globalThis.DOMParser) globalThis.DOMParser = DOMParser;
+}
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      manifest: { type: 'string', short: 'm', multiple: true },
+      format: { type: 'string', short: 'f' },
+      'out-dir': { type: 'string', short: 'o' },
+      'fail-below': { type: 'string' },
+      catalog: { type: 'string', short: 'c' },
+      annotate: { type: 'boolean', short: 'a' },
+      fixes: { type: 'boolean' },
+      'fail-on-regression': { type: 'boolean' },
+      'query-timeout': { type: 'string' },
+      'max-triples': { type: 'string' },
+      languages: { type: 'string' },
+      inference: { type: 'boolean' },
+      waivers: { type: 'string', short: 'w', multiple: true },
+      endpoint: { type: 'string', short: 'e' },
+      graph: { type: 'string', short: 'g' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) return { help: true };
+
+  const [command, ...files] = positionals;
+  if (command !== 'check' && command !== 'compare') {
+    throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command.');
+  }
+  let endpoint = null;
+  if (values.endpoint !== undefined) {
+    if (command !== 'check') throw new UsageError('--endpoint only works with check.');
+    if (files.length) throw new UsageError('--endpoint replaces the ontology files; give one or the other.');
+    if (values.annotate) throw new UsageError('--annotate needs ontology files, not --endpoint.');
+    try {
+      endpoint = createEndpoint(values.endpoint, values.graph);
+    } catch (err) {
+      throw new UsageError(err.message);
+    }
+  } else if (values.graph !== undefined) {
+    throw new UsageError('--graph needs --endpoint.');
+  }
+  if (!files.length && !endpoint) throw new UsageError('No ontology files given.');
+  if (command === 'compare' && files.length !== 2) {
+    throw new UsageError('compare needs exactly two files: <baseline> <current>.');
+  }
+
+  const known = command === 'compare' ? DIFF_FORMATS : FORMATS;
+  const formats = (values.format || known[0]).split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+  for (const f of formats) {
+    if (!known.includes(f)) throw new UsageError(`Unknown format: ${f}`);
+  }
+
+  const outDir = values['out-dir'] || null;
+  if (!outDir && ((command === 'check' && files.length > 1) || formats.length > 1)) {
+    throw new UsageError('Several ontologies or formats need --out-dir.');
+  }
+  if (values.annotate && !outDir) throw new UsageError('--annotate needs --out-dir.');
+  if (values.fixes && !outDir) throw new UsageError('--fixes needs --out-dir.');
+
+  let queryTimeoutMs;
+  if (values['query-timeout'] !== undefined) {
+    queryTimeoutMs = Number(values['query-timeout']);
+    if (!Number.isInteger(queryTimeoutMs) || queryTimeoutMs < 0) {
+      throw new UsageError(`--query-timeout needs a number of milliseconds: ${values['query-timeout']}`);
+    }
+  }
+
+  let maxQuads;
+  if (values['max-triples'] !== undefined) {
+    maxQuads = Number(values['max-triples']);
+    if (!Number.isInteger(maxQuads) || maxQuads < 1) {
+      throw new UsageError(`--max-triples needs a positive number: ${values['max-triples']}`);
+    }
+  }
+
+  return {
+    command,
+    files,
+    formats,
+    outDir,
+    manifestPaths: (values.manifest || [DEFAULT_MANIFEST]).map(m => path.resolve(m)),
+    failBelow: values['fail-below'] || DEFAULT_FAIL_BELOW,
+    catalogPath: values.catalog ? path.resolve(values.catalog) : null,
+    annotate: Boolean(values.annotate),
+    fixes: Boolean(values.fixes),
+    failOnRegression: Boolean(values['fail-on-regression']),
+    queryTimeoutMs,
+    maxQuads,
+    languages: values.languages !== undefined ? parseLanguageList(values.languages) : [],
+    inference: values.inference ? true : null,
+    waiverPaths: (values.waivers || []).map(w => path.resolve(w)),
+    endpoint,
+    quiet: Boolean(values.quiet)
+  };
+}
+
+// Each manifest is a rule pack; query files are read relative to it.
+async function loadRulePacks(rulepacks, manifestPaths) {
+  const packs = [];
+  for (const manifestPath of manifestPaths) {
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    const queryDir = path.dirname(manifestPath);
+    packs.push(rulepacks.createPack(manifest, {
+      id: path.basename(queryDir),
+      source: manifestPath,
+      readFile: file => fs.readFile(path.join(queryDir, file), 'utf8')
+    }));
+  }
+  const combined = rulepacks.combinePacks(packs);
+  return { manifest: combined.manifest, loadQueryText: combined.loadQueryText };
+}
+
+// Waivers from every --waivers file; each ontology adds its own.
+async function loadWaivers(waivers, waiverPaths) {
+  const all = [];
+  for (const waiverPath of waiverPaths) {
+    all.push(...waivers.parseWaiverJson(await fs.readFile(waiverPath, 'utf8'), path.basename(waiverPath)));
+  }
+  return all;
+}
+
+// Load and parse every query once; all ontologies of the run share it.
+// languages: required languages that replace the packs' own, if any
+// inference: true to infer whatever the packs say
+async function compileRules(lib, ctx, languages, inference) {
+  const manifest = withInference(withLanguages(ctx.manifest, languages), inference);
+  const ruleSet = await lib.ruleset.loadRuleSet(manifest, ctx.loadQueryText);
+  return { ...ctx, manifest, ruleSet: await lib.engine.compileRuleSet(ruleSet) };
+}
+
+async function fileExists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// owl:imports are resolved through the catalog (entries point at files
+// relative to the catalog) and against the other ontologies on the command line.
+// ctx.ontologyIds is shared by the resolvers of all files of the run.
+async function buildImportResolver(imports, file, ctx, opts) {
+  const catalogPath = opts.catalogPath || path.join(path.dirname(path.resolve(file)), imports.CATALOG_FILENAME);
+  const candidates = opts.files
+    .filter(f => path.resolve(f) !== path.resolve(file))
+    .map(f => ({ name: path.basename(f), location: path.resolve(f), read: () => fs.readFile(f, 'utf8') }));
+
+  let catalog = null;
+  if (await fileExists(catalogPath)) {
+    const entries = imports.parseXmlCatalog(await fs.readFile(catalogPath, 'utf8'));
+    catalog = new Map();
+    for (const [iri, location] of entries) {
+      const target = path.resolve(path.dirname(catalogPath), location.replace(/^file:\/\//, ''));
+      catalog.set(iri, target);
+      if (await fileExists(target) && !candidates.some(c => c.location === target)) {
+        candidates.push({ name: path.basename(target), location: target, read: () => fs.readFile(target, 'utf8') });
+      }
+    }
+  } else if (opts.catalogPath) {
+    throw new Error(`Catalog not found: ${opts.catalogPath}`);
+  }
+
+  return imports.createImportResolver({ candidates, catalog, ontologyIds: ctx.ontologyIds });
+}
+
+async function renderReport(lib, format, run) {
+  const { results, perResource, ontologyReport, locations, fileName, manifest } = run;
+  if (format === 'csv') return lib.exporters.toCsv(results, ontologyReport.ontologyIri, locations) + '\n';
+  if (format === 'json') return lib.exporters.toJson(results, perResource, ontologyReport);
+  if (format === 'rdf') return lib.exporters.toRdfReport(results, perResource, ontologyReport, { manifest, locations });
+  if (format === 'sarif') {
+    return lib.exporters.toSarif(results, ontologyReport, { manifest, locations, fileName });
+  }
+  return lib.exporters.ontologyReportToYaml(ontologyReport);
+}
+
+async function loadModules() {
+  installGlobals();
+  return {
+    engine: await import('../docs/app/engine.js'),
+    pipeline: await import('../docs/app/pipeline.js'),
+    ruleset: await import('../docs/app/ruleset.js'),
+    grader: await import('../docs/app/grader.js'),
+    exporters: await import('../docs/app/exporters.js'),
+    imports: await import('../docs/app/imports.js'),
+    annotate: await import('../docs/app/annotate.js'),
+    fixes: await import('../docs/app/fixes.js'),
+    compare: await import('../docs/app/compare.js'),
+    rulepacks: await import('../docs/app/rulepacks.js'),
+    waivers: await import('../docs/app/waivers.js')
+  };
+}
+
+// Run the checks on one ontology file and grade the results. On Node 19.8+
+// the file is opened as a Blob and parsed as it is read, so its text is never
+// held in full.
+async function evaluateOntologyFile(lib, file, ctx, opts) {
+  const resolveImport = await buildImportResolver(lib.imports, file, ctx, opts);
+  const ontology = fsSync.openAsBlob ? await fsSync.openAsBlob(file) : await fs.readFile(file, 'utf8');
+  const { results, perResource, ontologyReport, locations } = await lib.pipeline.evaluateOntology(ontology, path.basename(file), {
+    ruleSet: ctx.ruleSet,
+    resolveImport,
+    queryTimeoutMs: opts.queryTimeoutMs,
+    maxQuads: opts.maxQuads,
+    waivers: ctx.waivers
+  });
+  return { results, perResource, ontologyReport, locations };
+}
+
+// Run the checks on the ontology in the --endpoint graph; imports are not
+// resolved, the endpoint holds what the checks see.
+async function evaluateEndpointGraph(lib, ctx, opts) {
+  const { results, perResource, ontologyReport, locations } = await lib.pipeline.evaluateEndpoint(opts.endpoint, {
+    ruleSet: ctx.ruleSet,
+    queryTimeoutMs: opts.queryTimeoutMs,
+    maxQuads: opts.maxQuads,
+    waivers: ctx.waivers
+  });
+  return { results, perResource, ontologyReport, locations };
+}
+
+// What check grades: each ontology file, or the --endpoint graph.
+// → [{ file (null for the endpoint), label, name (of the report files), fileName }]
+function checkTargets(opts) {
+  if (opts.endpoint) {
+    return [{ file: null, label: describeEndpoint(opts.endpoint), name: 'endpoint', fileName: opts.endpoint.url }];
+  }
+  return opts.files.map(file => ({
+    file,
+    label: file,
+    name: path.basename(file).replace(/\.[^.]+$/, ''),
+    fileName: path.basename(file)
+  }));
+}
+
+async function writeOutput(opts, name, output) {
+  if (opts.outDir) {
+    await fs.writeFile(path.join(opts.outDir, name), output);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+async function runCheck(lib, ctx, opts) {
+  const threshold = lib.grader.statusRank(opts.failBelow);
+  if (threshold < 0) {
+    process.stderr.write(`ocm: unknown status for --fail-below: ${opts.failBelow}\n` +
+      `Known statuses: ${lib.grader.STATUS_ORDER.join(', ')}\n`);
+    return 2;
+  }
+
+  let exitCode = 0;
+  for (const { file, label, name, fileName } of checkTargets(opts)) {
+    const { results, perResource, ontologyReport, locations } = file
+      ? await evaluateOntologyFile(lib, file, ctx, opts)
+      : await evaluateEndpointGraph(lib, ctx, opts);
+    for (const format of opts.formats) {
+      const output = await renderReport(lib, format, { results, perResource, ontologyReport, locations, fileName, manifest: ctx.manifest });
+      await writeOutput(opts, `${name}.${EXTENSIONS[format]}`, output);
+    }
+
+    if (opts.annotate) {
+      const text = await fs.readFile(file, 'utf8');
+      const annotated = await lib.annotate.annotateOntology(text, path.basename(file), perResource, ontologyReport);
+      await fs.writeFile(path.join(opts.outDir, annotated.fileName), annotated.text);
+    }
+
+    if (opts.fixes) {
+      const suggestions = lib.fixes.suggestFixes(results, ctx.manifest, {
+        ontologyIri: ontologyReport.ontologyIri,
+        languages: requiredLanguages(ctx.manifest)
+      });
+      await fs.writeFile(path.join(opts.outDir, `${name}.fixes.ttl`), await lib.fixes.fixesToTurtle(suggestions));
+    }
+
+    const below = lib.grader.statusRank(ontologyReport.statusIri) < threshold;
+    if (below) exitCode = 1;
+    if (!opts.quiet) {
+      process.stderr.write(`${below ? 'FAIL' : 'ok  '} ${label}: ${ontologyReport.statusLabel}` +
+        ` (${perResource.length} resources, ${results.length} result rows)\n`);
+      for (const w of ontologyReport.parseWarnings) {
+        process.stderr.write(`     parse warning: ${w}\n`);
+      }
+      for (const u of ontologyReport.imports.unresolved) {
+        process.stderr.write(`     unresolved import ${u.iri}: ${u.reason}\n`);
+      }
+      for (const d of ontologyReport.diagnostics.filter(d => d.outcome !== 'ok')) {
+        process.stderr.write(`     ${d.outcome} in ${d.queryId} after ${d.durationMs} ms: ${d.error.split('\n')[0]}\n`);
+      }
+      const { waived, expired, unneeded, invalid } = ontologyReport.waivers;
+      if (waived.length) process.stderr.write(`     ${waived.length} failures waived\n`);
+      for (const w of expired) {
+        process.stderr.write(`     expired waiver (${w.expires}) of ${w.requirementId} for ${w.resource}\n`);
+      }
+      for (const w of unneeded) {
+        process.stderr.write(`     unneeded waiver of ${w.requirementId} for ${w.resource}: nothing fails it\n`);
+      }
+      for (const { waiver, reason } of invalid) {
+        process.stderr.write(`     invalid waiver of ${waiver.requirementId} for ${waiver.resource}: ${reason}\n`);
+      }
+    }
+  }
+
+  return exitCode;
+}
+
+// The baseline may be a JSON report from an earlier `ocm check -f json`.
+async function loadRun(lib, file, ctx, opts) {
+  if (/\.json$/i.test(file)) {
+    const text = await fs.readFile(file, 'utf8');
+    if (/"perResource"\s*:/.test(text)) return lib.compare.parseJsonReport(text);
+  }
+  return evaluateOntologyFile(lib, file, ctx, opts);
+}
+
+async function runCompare(lib, ctx, opts) {
+  const [baselineFile, currentFile] = opts.files;
+  const baseline = await loadRun(lib, baselineFile, ctx, opts);
+  const current = await loadRun(lib, currentFile, ctx, opts);
+  const diff = lib.compare.compareRuns(baseline, current, {
+    baseline: path.basename(baselineFile),
+    current: path.basename(currentFile)
+  });
+
+  const name = path.basename(currentFile).replace(/\.[^.]+$/, '');
+  for (const format of opts.formats) {
+    const output = format === 'json'
+      ? JSON.stringify(diff, null, 2) + '\n'
+      : lib.exporters.diffToMarkdown(diff);
+    await writeOutput(opts, `${name}.${DIFF_EXTENSIONS[format]}`, output);
+  }
+
+  const regressed = lib.compare.hasRegressions(diff);
+  if (!opts.quiet) {
+    process.stderr.write(`${regressed ? 'REGRESSED' : 'ok'} ${baselineFile} → ${currentFile}: ` +
+      `${diff.ontologyStatus.from} → ${diff.ontologyStatus.to}, ` +
+      `${diff.regressions.length} regressions, ${diff.improvements.length} improvements, ` +
+      `${diff.addedResources.length} added, ${diff.removedResources.length} removed\n`);
+  }
+  return regressed && opts.failOnRegression ? 1 : 0;
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseCli(argv);
+  } catch (err) {
+    process.stderr.write(`ocm: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const lib = await loadModules();
+  const ctx = {
+    ...await compileRules(lib, await loadRulePacks(lib.rulepacks, opts.manifestPaths), opts.languages, opts.inference),
+    waivers: await loadWaivers(lib.waivers, opts.waiverPaths),
+    ontologyIds: new Map()
+  };
+  if (opts.outDir) await fs.mkdir(opts.outDir, { recursive: true });
+
+  return opts.command === 'compare' ? runCompare(lib, ctx, opts) : runCheck(lib, ctx, opts);
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  err => {
+    process.stderr.write(`ocm: ${err && err.message ? err.message : err}\n`);
+    process.exitCode = 2;
+  }
+);
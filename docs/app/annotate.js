@@ -0,0 +1,82 @@
+// app/annotate.js (ES module)
+//
+// Writes computed curation statuses back into the ontology as
+// obo:IAO_0000114 (has curation status) annotations, replacing any status
+// the tool asserted before, and serializes the result in the input's format.
+// "Ready for release" (IAO_0000122) and "requires discussion" (IAO_0000428)
+// are curator decisions: a resource that carries one keeps it untouched, and
+// the tool never writes either itself, since it only derives them from the
+// sign-offs and notes already in the ontology. Only default-graph subjects
+// get a status; quads in named graphs are kept as they are.
+
+import { parseOntologyText } from './formats.js';
+import { serializeQuads, writableFormat, extensionFor } from './writers.js';
+
+const HAS_CURATION_STATUS = 'http://purl.obolibrary.org/obo/IAO_0000114';
+const CURATOR_STATUSES = new Set([
+  'http://purl.obolibrary.org/obo/IAO_0000122',
+  'http://purl.obolibrary.org/obo/IAO_0000428'
+]);
+
+const inDefaultGraph = q => q.graph.termType === 'DefaultGraph';
+
+// Returns { text, format, fileName, annotated } where `annotated` is the
+// number of resources that received a status.
+export async function annotateOntology(text, fileName, perResource, ontologyReport) {
+  const { namedNode, quad } = globalThis.N3.DataFactory;
+  const { quads, format, prefixes, base, context } = await parseOntologyText(text, fileName);
+
+  const subjects = new Set();
+  const curated = new Set();
+  for (const q of quads) {
+    if (!inDefaultGraph(q) || q.subject.termType !== 'NamedNode') continue;
+    subjects.add(q.subject.value);
+    if (q.predicate.value === HAS_CURATION_STATUS && CURATOR_STATUSES.has(q.object.value)) {
+      curated.add(q.subject.value);
+    }
+  }
+
+  // Subjects whose status the tool owns, mapped to the status to write
+  // (null when the computed status is a curator one).
+  const statusBySubject = new Map();
+  const assign = (iri, statusIri) => {
+    if (!subjects.has(iri) || curated.has(iri) || !statusIri) return;
+    statusBySubject.set(iri, CURATOR_STATUSES.has(statusIri) ? null : statusIri);
+  };
+  for (const row of perResource || []) assign(row.resource, row.statusIri);
+  if (ontologyReport) assign(ontologyReport.ontologyIri, ontologyReport.statusIri);
+
+  const kept = quads.filter(q => !(
+    inDefaultGraph(q) &&
+    q.predicate.value === HAS_CURATION_STATUS &&
+    q.subject.termType === 'NamedNode' &&
+    statusBySubject.has(q.subject.value)
+  ));
+
+  // Put each status right after the subject's last triple so Turtle output
+  // keeps one block per resource.
+  const lastIndex = new Map();
+  kept.forEach((q, i) => {
+    if (inDefaultGraph(q) && q.subject.termType === 'NamedNode') lastIndex.set(q.subject.value, i);
+  });
+
+  const out = [];
+  let annotated = 0;
+  kept.forEach((q, i) => {
+    out.push(q);
+    const iri = q.subject.value;
+    if (lastIndex.get(iri) === i && statusBySubject.get(iri)) {
+      out.push(quad(namedNode(iri), namedNode(HAS_CURATION_STATUS), namedNode(statusBySubject.get(iri))));
+      annotated++;
+    }
+  });
+
+  const outFormat = writableFormat(format);
+  const stem = (fileName || 'ontology').replace(/\.[^.]+$/, '');
+  return {
+    text: await serializeQuads(out, outFormat, prefixes, { base, context }),
+    format: outFormat,
+    fileName: stem + '.annotated' + extensionFor(outFormat),
+    annotated
+  };
+}
@@ -0,0 +1,91 @@
+// app/batch.js (ES module)
+//
+// Batch dashboard data: one summary row per checked ontology, sorting and
+// filtering of those rows, and the requirement × ontology matrix that shows
+// where failures concentrate across a module suite. A batch is a list of
+// evaluateOntology() results ({ fileName, ontologyReport, ... }).
+
+import { statusRank } from './grader.js';
+
+export const SORT_KEYS = [
+  'fileName',
+  'ontologyIri',
+  'status',
+  'score',
+  'failedRequirements',
+  'failedRecommendations',
+  'erroredChecks'
+];
+
+// index: the run's position in the batch, kept through sorting and filtering.
+export function batchSummary(run, index) {
+  const report = run.ontologyReport;
+  const failing = report.requirements.filter(r => r.status === 'fail');
+  return {
+    index,
+    fileName: run.fileName,
+    ontologyIri: report.ontologyIri,
+    status: report.statusLabel,
+    score: report.score ?? null,
+    scoreStatus: report.scoreStatusLabel || null,
+    failedRequirements: failing.filter(r => r.type === 'requirement').length,
+    failedRecommendations: failing.filter(r => r.type === 'recommendation').length,
+    erroredChecks: report.diagnostics.filter(d => d.outcome !== 'ok').length,
+    failingRequirementIds: failing.map(r => r.id)
+  };
+}
+
+// Statuses sort by maturity, other text alphabetically; missing values
+// (no score) come last either way.
+function sortValue(row, key) {
+  return key === 'status' ? statusRank(row.status) : row[key];
+}
+
+export function sortSummaries(rows, key = 'fileName', descending = false) {
+  const direction = descending ? -1 : 1;
+  return rows.slice().sort((a, b) => {
+    const x = sortValue(a, key);
+    const y = sortValue(b, key);
+    if (x === y) return a.index - b.index;
+    if (x === null || x === undefined) return 1;
+    if (y === null || y === undefined) return -1;
+    const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+    return order * direction || a.index - b.index;
+  });
+}
+
+// filter.status: a status label; filter.requirementId: only ontologies
+// failing that requirement or recommendation. Empty values match everything.
+export function filterSummaries(rows, filter = {}) {
+  return rows.filter(row => (!filter.status || row.status === filter.status) &&
+    (!filter.requirementId || row.failingRequirementIds.includes(filter.requirementId)));
+}
+
+// → { ontologies: [fileName], rows: [{ id, type, failingOntologies,
+//     failedResources, cells: [{ status, failedResourcesCount,
+//     applicableCount } or null when the ontology's packs lack it] }] }
+// Rows are ordered by how many ontologies fail them, then by how many
+// resources fail in all, so the widespread problems come first.
+export function requirementMatrix(batch) {
+  const rows = new Map();
+  batch.forEach((run, column) => {
+    for (const r of run.ontologyReport.requirements) {
+      if (!rows.has(r.id)) {
+        rows.set(r.id, { id: r.id, type: r.type, failingOntologies: 0, failedResources: 0, cells: new Array(batch.length).fill(null) });
+      }
+      const row = rows.get(r.id);
+      row.cells[column] = { status: r.status, failedResourcesCount: r.failedResourcesCount || 0, applicableCount: r.applicableCount };
+      if (r.status === 'fail') {
+        row.failingOntologies++;
+        row.failedResources += r.failedResourcesCount || 0;
+      }
+    }
+  });
+  return {
+    ontologies: batch.map(run => run.fileName),
+    rows: Array.from(rows.values()).sort((a, b) =>
+      b.failingOntologies - a.failingOntologies ||
+      b.failedResources - a.failedResources ||
+      a.id.localeCompare(b.id))
+  };
+}
@@ -0,0 +1,130 @@
+// app/compare.js (ES module)
+//
+// Run-to-run diff: compares the curation results of two ontology versions
+// (two runs, or a run against a previously exported JSON report) and lists
+// what got better or worse.
+
+import { statusRank } from './grader.js';
+
+function direction(from, to) {
+  const delta = statusRank(to) - statusRank(from);
+  if (delta > 0) return 'up';
+  if (delta < 0) return 'down';
+  return 'same';
+}
+
+// A run as produced by toJson() in exporters.js: { perResource, ontologyReport }.
+export function parseJsonReport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Baseline is not a JSON report: ' + err.message);
+  }
+  if (!data || !Array.isArray(data.perResource) || !data.ontologyReport) {
+    throw new Error('Baseline JSON has no perResource/ontologyReport; export it with the JSON report format.');
+  }
+  return data;
+}
+
+// requirementId → Set of failing keys (resource IRIs; the ontology IRI for
+// ontology-level failures that name no resource).
+function failuresByRequirement(run) {
+  const failures = new Map();
+  const add = (id, key) => {
+    if (!failures.has(id)) failures.set(id, new Set());
+    failures.get(id).add(key);
+  };
+
+  for (const row of run.perResource) {
+    for (const id of row.failedRequirements || []) add(id, row.resource);
+    for (const id of row.failedRecommendations || []) add(id, row.resource);
+  }
+  for (const r of run.ontologyReport.requirements || []) {
+    if (r.status === 'fail' && !failures.has(r.id)) add(r.id, run.ontologyReport.ontologyIri);
+  }
+  return failures;
+}
+
+function summary(run, label) {
+  const report = run.ontologyReport;
+  return {
+    label: label || report.ontologyIri,
+    ontologyIri: report.ontologyIri,
+    statusLabel: report.statusLabel,
+    score: report.score === undefined ? null : report.score
+  };
+}
+
+// baseline, current: { perResource, ontologyReport }
+// labels: { baseline, current } names shown in the diff (e.g. file names)
+export function compareRuns(baseline, current, labels = {}) {
+  const before = new Map(baseline.perResource.map(r => [r.resource, r]));
+  const after = new Map(current.perResource.map(r => [r.resource, r]));
+
+  const regressions = [];
+  const improvements = [];
+  const addedResources = [];
+  const removedResources = [];
+
+  for (const [resource, row] of after) {
+    const old = before.get(resource);
+    if (!old) {
+      addedResources.push({ resource, statusLabel: row.statusLabel });
+      continue;
+    }
+    const dir = direction(old.statusLabel, row.statusLabel);
+    if (dir === 'same') continue;
+    const change = { resource, from: old.statusLabel, to: row.statusLabel };
+    (dir === 'down' ? regressions : improvements).push(change);
+  }
+  for (const [resource, row] of before) {
+    if (!after.has(resource)) removedResources.push({ resource, statusLabel: row.statusLabel });
+  }
+
+  // Failures on resources that exist in only one version show up as
+  // added/removed resources, not as appeared/cleared failures.
+  const oldFailures = failuresByRequirement(baseline);
+  const newFailures = failuresByRequirement(current);
+  const requirementIds = new Set([...oldFailures.keys(), ...newFailures.keys()]);
+  const baselineOntology = baseline.ontologyReport.ontologyIri;
+  const currentOntology = current.ontologyReport.ontologyIri;
+  const inBoth = key => (before.has(key) && after.has(key)) ||
+    (key === baselineOntology || key === currentOntology);
+
+  const requirementChanges = [];
+  for (const requirementId of requirementIds) {
+    const was = oldFailures.get(requirementId) || new Set();
+    const now = newFailures.get(requirementId) || new Set();
+    const appeared = Array.from(now).filter(key => !was.has(key) && inBoth(key));
+    const cleared = Array.from(was).filter(key => !now.has(key) && inBoth(key));
+    if (appeared.length || cleared.length) requirementChanges.push({ requirementId, appeared, cleared });
+  }
+
+  const from = summary(baseline, labels.baseline);
+  const to = summary(current, labels.current);
+
+  return {
+    baseline: from,
+    current: to,
+    ontologyStatus: {
+      from: from.statusLabel,
+      to: to.statusLabel,
+      direction: direction(from.statusLabel, to.statusLabel),
+      scoreDelta: from.score !== null && to.score !== null ? to.score - from.score : null
+    },
+    regressions,
+    improvements,
+    requirementChanges,
+    addedResources,
+    removedResources
+  };
+}
+
+// True when anything got worse: the ontology status, a resource status, or a
+// new requirement failure.
+export function hasRegressions(diff) {
+  return diff.ontologyStatus.direction === 'down' ||
+    diff.regressions.length > 0 ||
+    diff.requirementChanges.some(c => c.appeared.length > 0);
+}
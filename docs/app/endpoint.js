@@ -0,0 +1,91 @@
+// app/endpoint.js (ES module)
+//
+// Checks can run against an ontology held in a SPARQL endpoint or triplestore
+// instead of an uploaded file. An endpoint is { url, graph }, with graph the
+// IRI of the named graph that holds the ontology, or null for the endpoint's
+// default graph. The manifest queries go to the endpoint, wrapped in
+// GRAPH <graph> { ... } when a graph is given; what a file run reads off its
+// store (the ontology IRI, the graded resources, their types and labels) comes
+// from the discovery queries below instead. owl:imports are not followed:
+// whatever the checks should see of an import has to be in the same graph.
+// SHACL shapes and inference need the triples at hand, so for those the
+// engine copies the graph once with COPY_QUERY.
+
+const PREFIXES = `PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+PREFIX owl: <http://www.w3.org/2002/07/owl#>
+PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+`;
+
+// The first owl:Ontology, as guessOntologyIri() takes the first in a file.
+export const ONTOLOGY_QUERY = PREFIXES + `SELECT ?ontology ?version WHERE {
+  ?ontology a owl:Ontology .
+  OPTIONAL { ?ontology owl:versionIRI ?version }
+  FILTER(isIRI(?ontology))
+} LIMIT 1`;
+
+// IRIs with at least one triple: the graded resources.
+export const RESOURCES_QUERY = `SELECT DISTINCT ?resource WHERE {
+  ?resource ?p ?o .
+  FILTER(isIRI(?resource))
+}`;
+
+export const TYPES_QUERY = PREFIXES + `SELECT ?resource ?type WHERE {
+  ?resource rdf:type ?type .
+  FILTER(isIRI(?resource))
+}`;
+
+export const LABELS_QUERY = PREFIXES + `SELECT ?resource ?label (LANG(?label) AS ?language) WHERE {
+  ?resource rdfs:label ?label .
+}`;
+
+// What languages.js computeLanguageCoverage() and waivers.js
+// waiversFromStore() read, copied into a small store for them.
+export const ANNOTATIONS_QUERY = PREFIXES + `CONSTRUCT { ?s ?p ?o } WHERE {
+  { ?s ?p ?o . VALUES ?p { rdf:type rdfs:label skos:definition owl:deprecated } }
+  UNION
+  { ?s <urn:ocm:waives> ?requirement ; ?p ?o . }
+}`;
+
+export const COPY_QUERY = 'CONSTRUCT { ?s ?p ?o } WHERE { ?s ?p ?o }';
+
+// url: the endpoint's query URL; graph: a named graph IRI, or empty.
+// → { url, graph }; throws when either is not usable
+export function createEndpoint(url, graph) {
+  const endpointUrl = String(url || '').trim();
+  if (!/^https?:\/\/\S+$/i.test(endpointUrl)) {
+    throw new Error(`Not an http(s) SPARQL endpoint URL: "${endpointUrl}"`);
+  }
+  const graphIri = String(graph || '').trim() || null;
+  if (graphIri && !/^[a-z][a-z0-9+.-]*:[^\s<>"{}|^`\\]+$/i.test(graphIri)) {
+    throw new Error(`Not an absolute graph IRI: "${graphIri}"`);
+  }
+  return { url: endpointUrl, graph: graphIri };
+}
+
+// Stands in for a file name in reports, progress and the history.
+export function describeEndpoint(endpoint) {
+  return endpoint.graph ? `${endpoint.url} <${endpoint.graph}>` : endpoint.url;
+}
+
+// The Comunica source descriptor; Comunica sends whole queries to it.
+export function endpointSource(endpoint) {
+  return { type: 'sparql', value: endpoint.url };
+}
+
+// Wraps a query's algebra (engine.js parseSparql) in GRAPH <graph> { ... }.
+// ASK and CONSTRUCT keep their form and scope what they match; a SELECT
+// becomes a subquery of the graph, solution modifiers and all. FROM would be
+// shorter, but Comunica forwards a FROM clause inside a subquery, which
+// endpoints reject.
+export function scopeToGraph(query, graph) {
+  if (!graph) return query;
+  if (typeof query === 'string') {
+    throw new Error('Querying a named graph needs a Comunica engine with explain(); this one only takes query text.');
+  }
+  const name = globalThis.N3.DataFactory.namedNode(graph);
+  if (query.type === 'ask' || query.type === 'construct') {
+    return { ...query, input: { type: 'graph', name, input: query.input } };
+  }
+  return { type: 'graph', name, input: query };
+}
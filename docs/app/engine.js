@@ -1,7 +1,18 @@
 // app/engine.js (ES module)
 
-const N3 = window.N3 || {};
-const Comunica = window.Comunica || {};
+import { parseOntologyText, parseOntologyStream } from './formats.js';
+import { loadImportsClosure } from './imports.js';
+import { validateShapes } from './shacl.js';
+import { materializeInferences, queryGraphMode } from './inference.js';
+import { waiversFromStore } from './waivers.js';
+import { endpointSource, scopeToGraph, ONTOLOGY_QUERY, RESOURCES_QUERY, TYPES_QUERY, LABELS_QUERY, ANNOTATIONS_QUERY, COPY_QUERY } from './endpoint.js';
+import { loadRuleSet } from './ruleset.js';
+import { DEFAULT_LANGUAGES, requiredLanguages, bindLanguages, computeLanguageCoverage } from './languages.js';
+
+// N3 and Comunica come from the <script> bundles in the browser; the CLI
+// (bin/ocm.js) installs the npm packages on globalThis before importing.
+const N3 = globalThis.N3 || {};
+const Comunica = globalThis.Comunica || {};
 
 const Parser = N3.Parser;
 const Store = N3.Store;
@@ -12,11 +23,9 @@ if (!Parser || !Store) {
 
 function createComunicaEngine() {
   if (typeof Comunica.newEngine === 'function') {
-    console.info('[Comunica] Using Comunica.newEngine()');
     return Comunica.newEngine();
   }
   if (typeof Comunica.QueryEngine === 'function') {
-    console.info('[Comunica] Using new Comunica.QueryEngine()');
     return new Comunica.QueryEngine();
   }
   console.error('No suitable Comunica constructor found. Keys:', Object.keys(Comunica));
@@ -25,33 +34,61 @@ function createComunicaEngine() {
 
 const comunicaEngine = createComunicaEngine();
 
-// --- helper: guess RDF format from filename ---
-function guessFormatFromFilename(name) {
-  if (!name) return 'text/turtle';
-  const lower = name.toLowerCase();
-  if (lower.endsWith('.ttl') || lower.endsWith('.turtle')) return 'text/turtle';
-  if (lower.endsWith('.nt') || lower.endsWith('.ntriples')) return 'application/n-triples';
-  if (lower.endsWith('.nq')) return 'application/n-quads';
-  if (lower.endsWith('.trig')) return 'application/trig';
-  if (lower.endsWith('.rdf') || lower.endsWith('.owl') || lower.endsWith('.xml')) return 'application/rdf+xml';
-  if (lower.endsWith('.jsonld')) return 'application/ld+json';
-  return 'text/turtle';
+// A query gets this long before it is reported as timed out; override it
+// with options.queryTimeoutMs, the manifest's queryTimeoutMs, or a query's
+// own timeoutMs.
+export const DEFAULT_QUERY_TIMEOUT_MS = 30000;
+
+class QueryTimeoutError extends Error {}
+
+// A check that ran only in part, such as a shapes graph with constraints
+// shacl.js does not support; `records` holds what the rest found.
+class PartialCheckError extends Error {
+  constructor(message, records) {
+    super(message);
+    this.records = records;
+  }
+}
+
+// Rejects once ms have passed; onTimeout stops the work still running.
+// Timers only fire when the query yields to the event loop, which Comunica's
+// iterators do between results.
+function withTimeout(promise, ms, onTimeout) {
+  if (!ms || ms <= 0) return promise;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (onTimeout) onTimeout();
+      reject(new QueryTimeoutError(`Timed out after ${ms} ms`));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
 // --- helper: load ontology into N3.Store ---
-async function loadOntologyIntoStore(text, filename) {
+// Any format supported by formats.js (Turtle family, RDF/XML, OWL/XML,
+// JSON-LD) ends up in the same N3.Store. The source is either the text or a
+// Blob/File; either way it is parsed as it is read (formats.js
+// parseOntologyStream), which large files need and which records where each
+// subject is defined.
+// options.onProgress: ({ loaded, total }) => void
+// options.maxQuads: triple limit
+// → { store, format, warnings, locations: Map iri → { file, startLine, endLine } }
+async function loadOntologyIntoStore(source, filename, options = {}) {
   if (!Parser || !Store) {
     throw new Error('N3.Parser or N3.Store not available.');
   }
-  const format = guessFormatFromFilename(filename);
-  const parser = new Parser({ format });
   const store = new Store();
-  const quads = parser.parse(text);
-  store.addQuads(quads);
-  return store;
+  const blob = typeof source === 'string' ? new Blob([source]) : source;
+  const { format, warnings, locations } = await parseOntologyStream(blob, filename, {
+    onQuad: quad => store.addQuad(quad),
+    onProgress: options.onProgress,
+    maxQuads: options.maxQuads
+  });
+  return { store, format, warnings, locations };
 }
 
-// --- consume Comunica bindings (async iterator or EventEmitter) ---
+// --- consume Comunica bindings or quads (async iterator or EventEmitter) ---
 async function collectBindingsStream(stream) {
   if (stream && typeof stream[Symbol.asyncIterator] === 'function') {
     const rows = [];
@@ -70,38 +107,85 @@ async function collectBindingsStream(stream) {
   throw new Error('Unsupported bindings stream');
 }
 
-async function runSelect(store, sparql) {
-  if (!comunicaEngine) throw new Error('Comunica engine not initialized.');
+// A raw RDF/JS source (anything with match()) is accepted by both the
+// vendored Comunica 2 browser bundle and Comunica 4 in Node, unlike the
+// { type: 'rdfjsSource' } descriptor that Comunica 3+ no longer recognizes.
+// Imports live in named graphs, so the default graph is the union of all
+// graphs and queries see imported axioms alongside the main ontology.
+function queryContext(sources) {
+  return { sources, unionDefaultGraph: true };
+}
 
-  let bindingsStream;
+// A run's data: the ontology IRI, the asserted store (main ontology plus
+// imports) and, when inference ran, the store of inferred triples
+// (inference.js). An endpoint run has its endpoint instead, and a store only
+// once the graph has been copied (endpointCopy()).
+// → the sources a query in the given mode reads
+function graphSources(dataset, mode) {
+  if (mode === 'inferred') return [dataset.inferred];
+  if (mode === 'both') return [dataset.store, dataset.inferred];
+  return [dataset.endpoint ? endpointSource(dataset.endpoint) : dataset.store];
+}
+
+// The query as the mode's sources need it: scoped to the endpoint's graph
+// when it goes to the endpoint.
+function datasetQuery(dataset, mode, query) {
+  return dataset.endpoint && mode === 'asserted' ? scopeToGraph(query, dataset.endpoint.graph) : query;
+}
+
+// What the SHACL validator reads of a store, across several stores.
+function unionStore(stores) {
+  if (stores.length === 1) return stores[0];
+  return {
+    getObjects: (...args) => stores.flatMap(s => s.getObjects(...args)),
+    getSubjects: (...args) => stores.flatMap(s => s.getSubjects(...args))
+  };
+}
+
+// Binding keys are RDF/JS Variables in newer Comunica versions and
+// '?name' strings in older ones.
+function bindingKey(varName) {
+  if (varName && typeof varName === 'object') return varName.value;
+  return String(varName).replace(/^\?/, '');
+}
+
+async function openBindingsStream(sources, sparql) {
   if (typeof comunicaEngine.queryBindings === 'function') {
-    bindingsStream = await comunicaEngine.queryBindings(sparql, {
-      sources: [{ type: 'rdfjsSource', value: store }]
-    });
-  } else if (typeof comunicaEngine.query === 'function') {
-    const result = await comunicaEngine.query(sparql, {
-      sources: [{ type: 'rdfjsSource', value: store }]
-    });
+    return comunicaEngine.queryBindings(sparql, queryContext(sources));
+  }
+  if (typeof comunicaEngine.query === 'function') {
+    const result = await comunicaEngine.query(sparql, queryContext(sources));
     if (typeof result.bindings !== 'function') {
       throw new Error('Comunica query() result has no .bindings() method');
     }
-    bindingsStream = await result.bindings();
-  } else {
-    throw new Error('Comunica engine has neither queryBindings() nor query()');
+    return result.bindings();
   }
+  throw new Error('Comunica engine has neither queryBindings() nor query()');
+}
+
+async function runSelect(sources, sparql, timeoutMs = 0) {
+  if (!comunicaEngine) throw new Error('Comunica engine not initialized.');
 
-  const bindings = await collectBindingsStream(bindingsStream);
+  let bindingsStream = null;
+  const collect = async () => {
+    bindingsStream = await openBindingsStream(sources, sparql);
+    return collectBindingsStream(bindingsStream);
+  };
+  // Destroying the stream stops Comunica from producing further results.
+  const bindings = await withTimeout(collect(), timeoutMs, () => {
+    if (bindingsStream && typeof bindingsStream.destroy === 'function') bindingsStream.destroy();
+  });
   const rows = [];
 
   for (const binding of bindings) {
     const obj = {};
     if (typeof binding.entries === 'function') {
       for (const [varName, term] of binding.entries()) {
-        obj[varName] = term.value;
+        obj[bindingKey(varName)] = term.value;
       }
     } else if (typeof binding.forEach === 'function') {
       binding.forEach((term, varName) => {
-        obj[varName] = term.value;
+        obj[bindingKey(varName)] = term.value;
       });
     }
     rows.push(obj);
@@ -110,23 +194,35 @@ async function runSelect(store, sparql) {
   return rows;
 }
 
-async function runAsk(store, sparql) {
+async function runConstruct(sources, sparql, timeoutMs = 0) {
+  if (typeof comunicaEngine.queryQuads !== 'function') throw new Error('Comunica engine has no queryQuads()');
+
+  let quadStream = null;
+  const collect = async () => {
+    quadStream = await comunicaEngine.queryQuads(sparql, queryContext(sources));
+    return collectBindingsStream(quadStream);
+  };
+  return await withTimeout(collect(), timeoutMs, () => {
+    if (quadStream && typeof quadStream.destroy === 'function') quadStream.destroy();
+  });
+}
+
+async function runAsk(sources, sparql, timeoutMs = 0) {
   if (!comunicaEngine) throw new Error('Comunica engine not initialized.');
 
   if (typeof comunicaEngine.queryBoolean === 'function') {
-    return await comunicaEngine.queryBoolean(sparql, {
-      sources: [{ type: 'rdfjsSource', value: store }]
-    });
+    return await withTimeout(comunicaEngine.queryBoolean(sparql, queryContext(sources)), timeoutMs);
   }
 
   if (typeof comunicaEngine.query === 'function') {
-    const result = await comunicaEngine.query(sparql, {
-      sources: [{ type: 'rdfjsSource', value: store }]
-    });
-    if (!result || !result.booleanResult) {
-      throw new Error('Comunica query() result has no booleanResult for ASK');
-    }
-    return await result.booleanResult;
+    const ask = async () => {
+      const result = await comunicaEngine.query(sparql, queryContext(sources));
+      if (!result || !result.booleanResult) {
+        throw new Error('Comunica query() result has no booleanResult for ASK');
+      }
+      return result.booleanResult;
+    };
+    return await withTimeout(ask(), timeoutMs);
   }
 
   throw new Error('Comunica engine has neither queryBoolean() nor query()');
@@ -145,42 +241,173 @@ async function loadQueryText(qMeta, basePath) {
   return res.text();
 }
 
+// The first owl:Ontology of the main ontology; endpoint runs ask the
+// endpoint instead (endpoint.js ONTOLOGY_QUERY).
 function guessOntologyIri(store) {
   const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
   const OWL_ONTOLOGY = 'http://www.w3.org/2002/07/owl#Ontology';
+  const { namedNode, defaultGraph } = N3.DataFactory;
+
+  const subjects = store.getSubjects(namedNode(RDF_TYPE), namedNode(OWL_ONTOLOGY), defaultGraph());
+  return subjects.length ? subjects[0].value : 'urn:ontology:unknown';
+}
+
+// The owl:versionIRI of the ontology node, or null.
+function ontologyVersionIri(store, ontologyIri) {
+  const OWL_VERSION_IRI = 'http://www.w3.org/2002/07/owl#versionIRI';
+  const { namedNode, defaultGraph } = N3.DataFactory;
+  const versions = store.getObjects(namedNode(ontologyIri), namedNode(OWL_VERSION_IRI), defaultGraph());
+  return versions.length ? versions[0].value : null;
+}
+
+// IRIs with at least one triple in the main ontology (the default graph);
+// resources that only occur in imported graphs are not graded.
+function mainOntologyResources(store) {
+  const subjects = new Set();
+  for (const subject of store.getSubjects(null, null, N3.DataFactory.defaultGraph())) {
+    if (subject.termType === 'NamedNode') subjects.add(subject.value);
+  }
+  return subjects;
+}
+
+// rdf:types asserted for each main-ontology resource, as { iri: [type IRIs] };
+// the grader uses them to decide which requirements apply to a resource.
+function mainOntologyResourceTypes(store) {
+  const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+  const types = {};
+  for (const q of store.getQuads(null, N3.DataFactory.namedNode(RDF_TYPE), null, N3.DataFactory.defaultGraph())) {
+    if (q.subject.termType !== 'NamedNode') continue;
+    (types[q.subject.value] = types[q.subject.value] || []).push(q.object.value);
+  }
+  return types;
+}
+
+const SH = 'http://www.w3.org/ns/shacl#';
+const SHACL_SEVERITIES = {
+  [SH + 'Violation']: 'error',
+  [SH + 'Warning']: 'warning',
+  [SH + 'Info']: 'info'
+};
+
+function termString(term) {
+  if (!term) return null;
+  return term.termType === 'BlankNode' ? '_:' + term.value : term.value;
+}
+
+// A manifest entry of kind SHACL points at a shapes graph (any format
+// formats.js reads); each sh:ValidationResult becomes one failing record.
+// Shapes using unsupported constraints are skipped, and the check then
+// throws a PartialCheckError with the records of the rest.
+// data: the store(s) to validate; ontologyIri: the run's.
+function evaluateShapes(data, ontologyIri, qMeta, shapeQuads) {
+  const { results, unsupported } = validateShapes(data, shapeQuads);
+  const scopeIri = qMeta.scope === 'ontology' ? ontologyIri : null;
+
+  const records = results.map(result => ({
+    resource: scopeIri || termString(result.focusNode),
+    queryId: qMeta.id,
+    requirementId: qMeta.checksConformityTo || null,
+    status: 'fail',
+    severity: SHACL_SEVERITIES[result.resultSeverity] || qMeta.severity || 'error',
+    scope: qMeta.scope || 'resource',
+    details: {
+      focusNode: termString(result.focusNode),
+      resultPath: result.resultPath && result.resultPath.termType === 'NamedNode' ? result.resultPath.value : termString(result.resultPath),
+      value: result.value ? result.value.value : null,
+      sourceShape: termString(result.sourceShape),
+      sourceConstraintComponent: result.sourceConstraintComponent,
+      resultSeverity: result.resultSeverity,
+      message: result.resultMessage
+    },
+    evidence: {
+      related: [
+        scopeIri ? termString(result.focusNode) : null,
+        result.value && result.value.termType === 'NamedNode' && !result.value.equals(result.focusNode)
+          ? result.value.value
+          : null
+      ].filter(Boolean),
+      values: { path: termString(result.resultPath), value: result.value ? result.value.value : null }
+    }
+  }));
+
+  if (unsupported.length) {
+    throw new PartialCheckError(`Skipped shapes using unsupported constraints: ${unsupported.join(', ')}`, records);
+  }
+  return records;
+}
+
+// --- compiled rules ---
+// SPARQL is parsed to algebra once (Comunica's 'parsed' explain mode) and
+// SHACL shapes graphs to quads once; every ontology of a run reuses them.
+async function parseSparql(text) {
+  if (!comunicaEngine || typeof comunicaEngine.explain !== 'function') return text;
+  const explained = await comunicaEngine.explain(text, { sources: [new Store()] }, 'parsed');
+  return explained && explained.data ? explained.data : text;
+}
 
-  const quads = store.getQuads(null, null, null, null);
-  for (const quad of quads) {
-    if (quad.predicate.value === RDF_TYPE && quad.object.value === OWL_ONTOLOGY) {
-      return quad.subject.value;
+// → { query } for SELECT/ASK (algebra, or the text as a fallback), or
+// { shapes } for SHACL; throws on syntax errors. A query's
+// `VALUES ?language { ... }` is bound to the required languages first.
+async function compileQuery(qMeta, text, languages) {
+  if (qMeta.kind === 'SHACL') return { shapes: (await parseOntologyText(text, qMeta.file)).quads };
+  if (qMeta.kind === 'SELECT' || qMeta.kind === 'ASK') return { query: await parseSparql(bindLanguages(text, languages)) };
+  return {};
+}
+
+// ruleSet: from ruleset.js loadRuleSet(). A query that fails to load or
+// parse keeps its error, reported when the rule set is evaluated.
+export async function compileRuleSet(ruleSet) {
+  const compiled = new Map();
+  const languages = requiredLanguages(ruleSet.manifest);
+  for (const qMeta of ruleSet.manifest.queries) {
+    const loadError = ruleSet.loadErrors && ruleSet.loadErrors[qMeta.id];
+    if (loadError) {
+      compiled.set(qMeta.id, { error: loadError });
+      continue;
+    }
+    try {
+      compiled.set(qMeta.id, await compileQuery(qMeta, ruleSet.queryTexts[qMeta.id], languages));
+    } catch (err) {
+      console.error(`Error compiling query ${qMeta.id}:`, err);
+      compiled.set(qMeta.id, { error: describeQueryError(err).message });
     }
   }
-  return 'urn:ontology:unknown';
+  return { id: ruleSet.id, key: ruleSet.key, manifest: ruleSet.manifest, compiled };
 }
 
-async function evaluateSingleQuery(store, qMeta, queryText) {
+// dataset: see graphSources()
+async function evaluateSingleQuery(dataset, qMeta, prepared, timeoutMs = 0) {
   const requirementId = qMeta.checksConformityTo || null;
   const severity = qMeta.severity || 'info';
   const scope = qMeta.scope || 'resource';
+  const mode = queryGraphMode(qMeta, dataset.inferred);
+  const sources = graphSources(dataset, mode);
 
   if (qMeta.kind === 'SELECT') {
-    const rows = await runSelect(store, queryText);
+    const rows = await runSelect(sources, datasetQuery(dataset, mode, prepared.query), timeoutMs);
     const resourceVar = qMeta.resourceVar || 'resource';
 
+    // An ontology-scoped SELECT reports failures of the ontology as a whole;
+    // each row is evidence, and the terms it names become related resources.
+    const ontologyIri = scope === 'ontology' ? dataset.ontologyIri : null;
+
     const records = rows.map(row => {
-      const resource =
+      const term =
         row[resourceVar] ??
         row.resource ??
         (Object.values(row).length ? Object.values(row)[0] : null);
+      const related = (qMeta.relatedVars || []).map(v => row[v]).filter(Boolean);
+      if (ontologyIri && term) related.unshift(term);
 
       return {
-        resource,
+        resource: ontologyIri || term,
         queryId: qMeta.id,
         requirementId,
-        status: qMeta.polarity === 'matchMeansFail' ? 'fail' : 'fail',
+        status: qMeta.polarity === 'matchMeansFlag' ? 'flag' : 'fail',
         severity,
         scope,
-        details: row
+        details: row,
+        evidence: { related, values: row }
       };
     });
 
@@ -188,7 +415,7 @@ async function evaluateSingleQuery(store, qMeta, queryText) {
   }
 
   if (qMeta.kind === 'ASK') {
-    const ok = await runAsk(store, queryText);
+    const ok = await runAsk(sources, datasetQuery(dataset, mode, prepared.query), timeoutMs);
     let status;
 
     if (qMeta.polarity === 'trueMeansPass') {
@@ -199,54 +426,306 @@ async function evaluateSingleQuery(store, qMeta, queryText) {
       status = ok ? 'pass' : 'fail';
     }
 
-    const ontologyIri = guessOntologyIri(store);
-
     return [
       {
-        resource: ontologyIri,
+        resource: dataset.ontologyIri,
         queryId: qMeta.id,
         requirementId,
         status,
         severity,
-        scope,
-        details: { askResult: ok }
+        // An ASK query has one answer for the whole ontology.
+        scope: 'ontology',
+        details: { askResult: ok },
+        evidence: null
       }
     ];
   }
 
-  console.warn(`Unknown query kind for ${qMeta.id}:`, qMeta.kind);
-  return [];
+  if (qMeta.kind === 'SHACL') {
+    const data = dataset.endpoint && mode === 'asserted' ? await endpointCopy(dataset, timeoutMs) : unionStore(sources);
+    return evaluateShapes(data, dataset.ontologyIri, qMeta, prepared.shapes);
+  }
+
+  throw new Error(`Unknown query kind: ${qMeta.kind}`);
 }
 
-// 🔹 This is the main function your UI uses
-export async function evaluateAllQueries(ontologyText, fileName) {
-  const store = await loadOntologyIntoStore(ontologyText, fileName || 'ontology.ttl');
-  const manifest = await loadManifest('queries/manifest.json');
+// Comunica reports SPARQL syntax errors as "Parse error on line N: ...";
+// the line (1-based) lets the rule editor point at it.
+export function describeQueryError(err) {
+  const message = err && err.message ? err.message : String(err);
+  const match = /\bon line (\d+)/.exec(message);
+  return {
+    message,
+    line: match ? Number(match[1]) : null,
+    timeout: err instanceof QueryTimeoutError,
+    partial: err instanceof PartialCheckError
+  };
+}
 
-  const allResults = [];
+// Run one draft rule (a manifest entry and its query or shapes text) against
+// an already loaded store, for the rule editor's live preview.
+// dataset: as kept from evaluateAllQueries() or evaluateEndpointQueries()
+// languages: the required languages of the run (languages.js)
+export async function previewQuery(dataset, qMeta, queryText, timeoutMs = DEFAULT_QUERY_TIMEOUT_MS, languages = DEFAULT_LANGUAGES) {
+  try {
+    const prepared = await compileQuery(qMeta, queryText, languages);
+    return { records: await evaluateSingleQuery(dataset, qMeta, prepared, timeoutMs), error: null };
+  } catch (err) {
+    return { records: err instanceof PartialCheckError ? err.records : [], error: describeQueryError(err) };
+  }
+}
+
+// The rule set a run evaluates: options.ruleSet, else the manifest compiled
+// for this run alone.
+async function runRuleSet(options) {
+  if (options.ruleSet) return options.ruleSet;
+  const manifest = options.manifest || await loadManifest('queries/manifest.json');
+  const readQuery = options.loadQueryText || (qMeta => loadQueryText(qMeta, 'queries/'));
+  return compileRuleSet(await loadRuleSet(manifest, readQuery));
+}
 
-  for (const qMeta of manifest.queries) {
+// RDFS/OWL RL entailments of the store, when the manifest asks for them.
+// → { inferred: N3.Store or null, inference: the report's summary }
+function runInference(store, manifest, options, progress) {
+  if (!manifest.inference) return { inferred: null, inference: { enabled: false } };
+  progress({ stage: 'inference' });
+  const materialized = materializeInferences(store, { maxTriples: options.maxQuads });
+  return { inferred: materialized.store, inference: { enabled: true, ...materialized.summary } };
+}
+
+// Every manifest query against the dataset, options.concurrency at a time.
+// → { results, diagnostics }, both in manifest order
+async function runManifestQueries(dataset, ruleSet, options, progress) {
+  const manifest = ruleSet.manifest;
+  const defaultTimeout = options.queryTimeoutMs ?? manifest.queryTimeoutMs ?? DEFAULT_QUERY_TIMEOUT_MS;
+
+  const queries = manifest.queries;
+  // Results and diagnostics keep manifest order whatever order queries finish in.
+  const resultsByQuery = new Array(queries.length);
+  // One entry per query: outcome 'ok', 'partial', 'error' or 'timeout'. The
+  // grader reports the requirements of such checks as errored, never as passed.
+  const diagnostics = new Array(queries.length);
+  let next = 0;
+  let done = 0;
+
+  async function runQuery(index) {
+    const qMeta = queries[index];
+    progress({ stage: 'query', queryId: qMeta.id, done, total: queries.length });
+    const started = Date.now();
+    const diagnostic = {
+      queryId: qMeta.id,
+      requirementId: qMeta.checksConformityTo || null,
+      kind: qMeta.kind,
+      graph: queryGraphMode(qMeta, dataset.inferred),
+      outcome: 'ok',
+      error: null,
+      durationMs: 0,
+      rowCount: 0
+    };
+    resultsByQuery[index] = [];
     try {
-      const queryText = await loadQueryText(qMeta, 'queries/');
-      const rows = await evaluateSingleQuery(store, qMeta, queryText);
-      allResults.push(...rows);
+      const prepared = ruleSet.compiled.get(qMeta.id);
+      if (prepared.error) throw new Error(prepared.error);
+      const rows = await evaluateSingleQuery(dataset, qMeta, prepared, qMeta.timeoutMs ?? defaultTimeout);
+      resultsByQuery[index] = rows;
+      diagnostic.rowCount = rows.length;
     } catch (err) {
-      console.error(`Error evaluating query ${qMeta.id}:`, err);
+      const { message, timeout, partial } = describeQueryError(err);
+      if (partial) {
+        resultsByQuery[index] = err.records;
+        diagnostic.rowCount = err.records.length;
+      } else {
+        console.error(`Error evaluating query ${qMeta.id}:`, err);
+      }
+      diagnostic.outcome = partial ? 'partial' : timeout ? 'timeout' : 'error';
+      diagnostic.error = message;
     }
+    diagnostic.durationMs = Date.now() - started;
+    diagnostics[index] = diagnostic;
+    done++;
+    progress({ stage: 'query', queryId: qMeta.id, done, total: queries.length });
   }
 
-  const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+  async function lane() {
+    while (next < queries.length) await runQuery(next++);
+  }
+  const lanes = Math.max(1, Math.min(options.concurrency || 1, queries.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+
+  return { results: resultsByQuery.flat(), diagnostics };
+}
+
+// entries: [{ iri, text, language }], one per rdfs:label
+// → { resources: the labeled IRIs, labels: { iri: display label } }, the
+// display label being the first English or untagged one, else the first one
+function displayLabels(entries) {
   const labeled = new Set();
-  const quads = store.getQuads(null, RDFS_LABEL, null, null);
-  for (const q of quads) {
-    labeled.add(q.subject.value);
+  const labels = new Map();
+  for (const { iri, text, language } of entries) {
+    labeled.add(iri);
+    const preferred = !language || /^en\b/i.test(language);
+    if (!labels.has(iri) || (preferred && !labels.get(iri).preferred)) {
+      labels.set(iri, { text, preferred });
+    }
   }
+  return {
+    resources: Array.from(labeled),
+    labels: Object.fromEntries(Array.from(labels, ([iri, label]) => [iri, label.text]))
+  };
+}
 
+// 🔹 This is the main function your UI uses
+// ontology: the ontology text, or a Blob/File to parse while reading it
+// options.ruleSet: a compiled rule set (compileRuleSet), reused across files
+// options.manifest: without a rule set, the manifest to compile for this run
+// (default: fetched from queries/manifest.json)
+// options.loadQueryText: async (qMeta) => query text, instead of fetching from queries/
+// options.resolveImport: async (iri) => parsed import, see imports.js createImportResolver()
+// options.queryTimeoutMs: per-query time limit (0 = none)
+// options.concurrency: how many queries run at once (default 1). Comunica
+// yields between results, so a slow query no longer holds up the quick ones.
+// options.maxQuads: fail past this many triples, parsed or inferred
+// options.onProgress: ({ stage, queryId, done, total, loaded }) => void, with
+// stage 'parse' (loaded and total in bytes), 'imports', 'inference' or 'query'
+// The manifest's "inference": true materializes RDFS/OWL RL entailments
+// (inference.js) after the imports are loaded.
+export async function evaluateAllQueries(ontology, fileName, options = {}) {
+  const progress = options.onProgress || (() => {});
+  progress({ stage: 'parse' });
+  const { store, format, warnings, locations } = await loadOntologyIntoStore(ontology, fileName || 'ontology.ttl', {
+    onProgress: ({ loaded, total }) => progress({ stage: 'parse', loaded, total }),
+    maxQuads: options.maxQuads
+  });
+  progress({ stage: 'imports' });
+  const imports = await loadImportsClosure(store, options.resolveImport || null);
+  const ruleSet = await runRuleSet(options);
+  const manifest = ruleSet.manifest;
+  const { inferred, inference } = runInference(store, manifest, options, progress);
   const ontologyIri = guessOntologyIri(store);
+  const dataset = { ontologyIri, store, inferred };
+  const { results, diagnostics } = await runManifestQueries(dataset, ruleSet, options, progress);
+
+  const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+  const { resources, labels } = displayLabels(store.getQuads(null, RDFS_LABEL, null, N3.DataFactory.defaultGraph())
+    .map(q => ({ iri: q.subject.value, text: q.object.value, language: q.object.language })));
+
+  const languageCoverage = computeLanguageCoverage(store, requiredLanguages(manifest));
+  const mainResources = Array.from(mainOntologyResources(store));
+  // Only the graded resources' positions travel with the results.
+  const located = {};
+  for (const iri of mainResources.concat(ontologyIri || [])) {
+    if (locations.has(iri)) located[iri] = locations.get(iri);
+  }
 
   return {
-    results: allResults,
-    resources: Array.from(labeled),
-    ontologyIri
+    results,
+    resources,
+    labels,
+    mainResources,
+    resourceTypes: mainOntologyResourceTypes(store),
+    ontologyIri,
+    versionIri: ontologyVersionIri(store, ontologyIri),
+    format,
+    warnings,
+    imports,
+    diagnostics,
+    inference,
+    languageCoverage,
+    // owl:Axiom waivers in the ontology; pipeline.js applies them.
+    waivers: waiversFromStore(store),
+    locations: located,
+    manifest,
+    endpoint: null,
+    // Kept by the UI so draft rules can be previewed without reparsing.
+    dataset
   };
-}
\ No newline at end of file
+}
+
+// --- SPARQL endpoints ---
+// Discovery queries (endpoint.js) read the endpoint's graph like the checks.
+async function endpointSelect(endpoint, text, timeoutMs) {
+  return runSelect([endpointSource(endpoint)], scopeToGraph(await parseSparql(text), endpoint.graph), timeoutMs);
+}
+
+async function endpointConstruct(endpoint, text, timeoutMs) {
+  return runConstruct([endpointSource(endpoint)], scopeToGraph(await parseSparql(text), endpoint.graph), timeoutMs);
+}
+
+// The endpoint's graph in an N3.Store, for SHACL shapes and inference. It is
+// copied once per dataset, on first use, and dataset.maxQuads bounds it as it
+// bounds a parsed file.
+function endpointCopy(dataset, timeoutMs) {
+  if (!dataset.copy) {
+    dataset.copy = endpointConstruct(dataset.endpoint, COPY_QUERY, timeoutMs).then(quads => {
+      if (dataset.maxQuads && quads.length > dataset.maxQuads) {
+        throw new Error(`The endpoint graph has more than ${dataset.maxQuads} triples, the limit set for this run.`);
+      }
+      const store = new Store();
+      store.addQuads(quads);
+      return store;
+    });
+  }
+  return dataset.copy;
+}
+
+// evaluateAllQueries() for an ontology held in a SPARQL endpoint.
+// endpoint: { url, graph } from endpoint.js createEndpoint()
+// options: as for evaluateAllQueries, but imports are not resolved, and
+// maxQuads bounds the copy of the graph that SHACL shapes and inference
+// read. The discovery queries get the default query time limit. Progress
+// stages are 'discover', then 'copy' and 'inference' if inference is on,
+// then 'query'.
+export async function evaluateEndpointQueries(endpoint, options = {}) {
+  const progress = options.onProgress || (() => {});
+  const ruleSet = await runRuleSet(options);
+  const manifest = ruleSet.manifest;
+  const timeoutMs = options.queryTimeoutMs ?? manifest.queryTimeoutMs ?? DEFAULT_QUERY_TIMEOUT_MS;
+
+  progress({ stage: 'discover' });
+  let ontology;
+  try {
+    [ontology] = await endpointSelect(endpoint, ONTOLOGY_QUERY, timeoutMs);
+  } catch (err) {
+    throw new Error(`Could not query the SPARQL endpoint ${endpoint.url}: ${describeQueryError(err).message}`);
+  }
+  const ontologyIri = ontology ? ontology.ontology : 'urn:ontology:unknown';
+  const mainResources = (await endpointSelect(endpoint, RESOURCES_QUERY, timeoutMs)).map(row => row.resource);
+  const resourceTypes = {};
+  for (const row of await endpointSelect(endpoint, TYPES_QUERY, timeoutMs)) {
+    (resourceTypes[row.resource] = resourceTypes[row.resource] || []).push(row.type);
+  }
+  const { resources, labels } = displayLabels((await endpointSelect(endpoint, LABELS_QUERY, timeoutMs))
+    .map(row => ({ iri: row.resource, text: row.label, language: row.language })));
+  const annotations = new Store();
+  annotations.addQuads(await endpointConstruct(endpoint, ANNOTATIONS_QUERY, timeoutMs));
+
+  const dataset = { ontologyIri, endpoint, store: null, inferred: null, maxQuads: options.maxQuads };
+  let inference = { enabled: false };
+  if (manifest.inference) {
+    progress({ stage: 'copy' });
+    dataset.store = await endpointCopy(dataset, timeoutMs);
+    ({ inferred: dataset.inferred, inference } = runInference(dataset.store, manifest, options, progress));
+  }
+  const { results, diagnostics } = await runManifestQueries(dataset, ruleSet, options, progress);
+
+  return {
+    results,
+    resources,
+    labels,
+    mainResources,
+    resourceTypes,
+    ontologyIri,
+    versionIri: ontology && ontology.version ? ontology.version : null,
+    format: 'sparql',
+    warnings: [],
+    imports: { loaded: [], unresolved: [] },
+    diagnostics,
+    inference,
+    languageCoverage: computeLanguageCoverage(annotations, requiredLanguages(manifest)),
+    waivers: waiversFromStore(annotations),
+    locations: {},
+    manifest,
+    endpoint,
+    dataset
+  };
+}
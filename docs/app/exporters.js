@@ -0,0 +1,465 @@
+// app/exporters.js (ES module)
+//
+// Report serializers shared by the browser UI (main.js) and the CLI.
+
+import { FORMATS } from './formats.js';
+import { serializeQuads } from './writers.js';
+
+const CSV_HEADER = ['ontologyIri', 'resource', 'queryId', 'requirementId', 'status', 'severity', 'scope', 'related',
+  'file', 'startLine', 'endLine'];
+
+function csvLine(values) {
+  return values.map(v => `"${String(v).replace(/"/g, '""')}"`).join(',');
+}
+
+// locations: { iri: { file, startLine, endLine } }, for the source columns
+function csvValues(row, ontologyIri, locations) {
+  const location = (row.resource && locations[row.resource]) || {};
+  return [
+    ontologyIri || '',
+    row.resource || '',
+    row.queryId || '',
+    row.requirementId || '',
+    row.status || '',
+    row.severity || '',
+    row.scope || '',
+    row.evidence ? row.evidence.related.join(' ') : '',
+    location.file || '',
+    location.startLine || '',
+    location.endLine || ''
+  ];
+}
+
+export function toCsv(results, ontologyIri, locations = {}) {
+  if (!Array.isArray(results) || results.length === 0) {
+    return CSV_HEADER.join(',') + '\n';
+  }
+  const rows = [CSV_HEADER.join(',')];
+  for (const row of results) rows.push(csvLine(csvValues(row, ontologyIri, locations)));
+  return rows.join('\n');
+}
+
+// The results of a whole batch in one CSV, with the ontology file first.
+// runs: evaluateOntology() results ({ fileName, results, ontologyReport, locations })
+export function toBatchCsv(runs) {
+  const rows = [['fileName'].concat(CSV_HEADER).join(',')];
+  for (const run of runs) {
+    for (const row of run.results || []) {
+      rows.push(csvLine([run.fileName].concat(csvValues(row, run.ontologyReport.ontologyIri, run.locations || {}))));
+    }
+  }
+  return rows.join('\n') + '\n';
+}
+
+// A requirementMatrix() (batch.js) as CSV: one row per requirement, one
+// column per ontology holding its failing resource count, or the status
+// when the requirement did not fail there ('pass', 'errored', empty when
+// the ontology was not checked for it).
+export function matrixToCsv(matrix) {
+  const rows = [csvLine(['requirementId', 'type', 'failingOntologies', 'failedResources'].concat(matrix.ontologies))];
+  for (const row of matrix.rows) {
+    const cells = row.cells.map(cell => !cell ? '' : cell.status === 'fail' ? cell.failedResourcesCount : cell.status);
+    rows.push(csvLine([row.id, row.type, row.failingOntologies, row.failedResources].concat(cells)));
+  }
+  return rows.join('\n') + '\n';
+}
+
+// Scores are shares in [0, 1]; null when nothing applied.
+function yamlScore(score) {
+  return score === null || score === undefined ? 'null' : String(Math.round(score * 10000) / 10000);
+}
+
+// Double-quoted YAML scalar; error messages span several lines.
+function yamlString(value) {
+  return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+}
+
+export function formatScore(score) {
+  return score === null || score === undefined ? '—' : (Math.round(score * 1000) / 10) + '%';
+}
+
+export function ontologyReportToYaml(report) {
+  if (!report) return '# No ontology report\n';
+
+  const lines = [];
+  lines.push('ontologyIri: "' + String(report.ontologyIri).replace(/"/g, '\\"') + '"');
+  if (report.versionIri) lines.push('versionIri: ' + yamlString(report.versionIri));
+  if (report.endpoint) {
+    lines.push('endpoint:');
+    lines.push('  url: ' + yamlString(report.endpoint.url));
+    if (report.endpoint.graph) lines.push('  graph: ' + yamlString(report.endpoint.graph));
+  }
+  lines.push('status: "' + String(report.statusLabel).replace(/"/g, '\\"') + '"');
+  lines.push('score: ' + yamlScore(report.score));
+  if (report.scoreStatusLabel) {
+    lines.push('scoreStatus: "' + String(report.scoreStatusLabel).replace(/"/g, '\\"') + '"');
+  }
+  lines.push('requirements:');
+  for (const r of report.requirements || []) {
+    lines.push('  - id: "' + String(r.id).replace(/"/g, '\\"') + '"');
+    lines.push('    type: "' + String(r.type).replace(/"/g, '\\"') + '"');
+    if (r.scope) lines.push('    scope: "' + String(r.scope).replace(/"/g, '\\"') + '"');
+    if (r.pack) lines.push('    pack: "' + String(r.pack).replace(/"/g, '\\"') + '"');
+    lines.push('    status: "' + String(r.status).replace(/"/g, '\\"') + '"');
+    lines.push('    weight: ' + r.weight);
+    lines.push('    failedResourcesCount: ' + (r.failedResourcesCount || 0));
+    lines.push('    applicableCount: ' + (r.applicableCount || 0));
+    lines.push('    passShare: ' + yamlScore(r.passShare));
+    if (r.erroredQueries && r.erroredQueries.length) {
+      lines.push('    erroredQueries: [' + r.erroredQueries.map(yamlString).join(', ') + ']');
+    }
+  }
+  const imports = report.imports || { loaded: [], unresolved: [] };
+  lines.push('imports:');
+  lines.push('  loaded:' + (imports.loaded.length ? '' : ' []'));
+  for (const i of imports.loaded) {
+    lines.push('    - iri: "' + String(i.iri).replace(/"/g, '\\"') + '"');
+    lines.push('      file: "' + String(i.fileName).replace(/"/g, '\\"') + '"');
+  }
+  lines.push('  unresolved:' + (imports.unresolved.length ? '' : ' []'));
+  for (const i of imports.unresolved) {
+    lines.push('    - iri: "' + String(i.iri).replace(/"/g, '\\"') + '"');
+    lines.push('      importedBy: "' + String(i.importedBy).replace(/"/g, '\\"') + '"');
+    lines.push('      reason: "' + String(i.reason).replace(/"/g, '\\"') + '"');
+  }
+  const inference = report.inference || { enabled: false };
+  lines.push('inference:');
+  lines.push('  enabled: ' + Boolean(inference.enabled));
+  if (inference.enabled) {
+    lines.push('  triples: ' + inference.triples);
+    lines.push('  durationMs: ' + inference.durationMs);
+    const rules = Object.entries(inference.rules || {});
+    lines.push('  rules:' + (rules.length ? '' : ' {}'));
+    for (const [rule, n] of rules) lines.push('    ' + yamlString(rule) + ': ' + n);
+  }
+  const diagnostics = report.diagnostics || [];
+  lines.push('diagnostics:' + (diagnostics.length ? '' : ' []'));
+  for (const d of diagnostics) {
+    lines.push('  - queryId: ' + yamlString(d.queryId));
+    lines.push('    outcome: "' + d.outcome + '"');
+    lines.push('    graph: "' + (d.graph || 'asserted') + '"');
+    lines.push('    durationMs: ' + d.durationMs);
+    lines.push('    rowCount: ' + d.rowCount);
+    if (d.error) lines.push('    error: ' + yamlString(d.error));
+  }
+  const waivers = report.waivers || { waived: [], expired: [], unneeded: [], invalid: [] };
+  // The waiver's fields; the first line starts a list item unless the item
+  // has already been started.
+  const waiverLines = (w, started = false) => {
+    lines.push((started ? '      ' : '    - ') + 'resource: ' + yamlString(w.resource));
+    lines.push('      requirementId: ' + yamlString(w.requirementId));
+    lines.push('      justification: ' + yamlString(w.justification));
+    lines.push('      author: ' + yamlString(w.author));
+    lines.push('      expires: ' + (w.expires ? yamlString(w.expires) : 'null'));
+    lines.push('      source: ' + yamlString(w.source));
+  };
+  lines.push('waivers:');
+  lines.push('  waived:' + (waivers.waived.length ? '' : ' []'));
+  for (const w of waivers.waived) {
+    lines.push('    - queryId: ' + yamlString(w.queryId));
+    waiverLines(w.waiver, true);
+  }
+  for (const kind of ['expired', 'unneeded']) {
+    lines.push('  ' + kind + ':' + (waivers[kind].length ? '' : ' []'));
+    for (const w of waivers[kind]) waiverLines(w);
+  }
+  lines.push('  invalid:' + (waivers.invalid.length ? '' : ' []'));
+  for (const { waiver, reason } of waivers.invalid) {
+    lines.push('    - reason: ' + yamlString(reason));
+    waiverLines(waiver, true);
+  }
+  const coverage = report.languageCoverage;
+  if (coverage) {
+    lines.push('languageCoverage:');
+    lines.push('  requiredLanguages: [' + coverage.requiredLanguages.map(yamlString).join(', ') + ']');
+    lines.push('  classes: ' + coverage.totals.classes);
+    lines.push('  properties: ' + coverage.totals.properties);
+    lines.push('  languages:' + (coverage.languages.length ? '' : ' []'));
+    for (const l of coverage.languages) {
+      lines.push('    - language: ' + yamlString(l.language));
+      lines.push('      required: ' + l.required);
+      for (const kind of ['classes', 'properties']) {
+        lines.push('      ' + kind + ':');
+        lines.push('        labels: ' + l[kind].labels);
+        lines.push('        labelShare: ' + yamlScore(l[kind].labelShare));
+        lines.push('        definitions: ' + l[kind].definitions);
+        lines.push('        definitionShare: ' + yamlScore(l[kind].definitionShare));
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+export function toJson(results, perResource, ontologyReport) {
+  return JSON.stringify({ results, perResource, ontologyReport }, null, 2) + '\n';
+}
+
+// --- SARIF 2.1.0 ---
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+function queryTitles(manifest) {
+  const titles = new Map();
+  for (const q of (manifest && manifest.queries) || []) titles.set(q.id, q.title || q.id);
+  return titles;
+}
+
+// One SARIF result per failing row, located at the failing resource: its IRI
+// as a logical location and, when the parser recorded it, its lines in the
+// source file. Checks that errored or timed out are reported as tool
+// notifications.
+// options: { fileName, manifest, locations: { iri: { file, startLine, endLine } } }
+export function toSarif(results, ontologyReport, options = {}) {
+  const titles = queryTitles(options.manifest);
+  const locations = options.locations || {};
+  const fileName = options.fileName || null;
+  const failures = (results || []).filter(r => r.status === 'fail');
+
+  const ruleIds = Array.from(new Set(((options.manifest && options.manifest.queries) || [])
+    .map(q => q.id)
+    .concat(failures.map(r => r.queryId))));
+  const ruleIndex = new Map(ruleIds.map((id, i) => [id, i]));
+  const manifestQueries = new Map(((options.manifest && options.manifest.queries) || []).map(q => [q.id, q]));
+  const rules = ruleIds.map(id => {
+    const q = manifestQueries.get(id) || {};
+    return {
+      id,
+      name: id,
+      shortDescription: { text: titles.get(id) || id },
+      defaultConfiguration: { level: SARIF_LEVELS[q.severity] || 'warning' },
+      properties: {
+        requirementId: q.checksConformityTo || null,
+        kind: q.kind || null,
+        scope: q.scope || null,
+        pack: q.pack || null
+      }
+    };
+  });
+
+  const sarifResults = failures.map(r => {
+    const location = { logicalLocations: [{ fullyQualifiedName: r.resource, kind: 'resource' }] };
+    const source = locations[r.resource];
+    if (source) {
+      location.physicalLocation = {
+        artifactLocation: { uri: source.file, index: 0 },
+        region: { startLine: source.startLine, endLine: source.endLine }
+      };
+    } else if (fileName) {
+      location.physicalLocation = { artifactLocation: { uri: fileName, index: 0 } };
+    }
+    const related = r.evidence ? r.evidence.related.filter(iri => iri !== r.resource) : [];
+    return {
+      ruleId: r.queryId,
+      ruleIndex: ruleIndex.get(r.queryId),
+      level: SARIF_LEVELS[r.severity] || 'warning',
+      message: {
+        text: `${titles.get(r.queryId) || r.queryId}: ${r.resource}` +
+              (related.length ? ` (related: ${related.join(', ')})` : '')
+      },
+      locations: [location],
+      properties: { resource: r.resource, requirementId: r.requirementId || null, scope: r.scope || null, related }
+    };
+  });
+
+  const failedChecks = ((ontologyReport && ontologyReport.diagnostics) || []).filter(d => d.outcome !== 'ok');
+  const run = {
+    tool: {
+      driver: {
+        name: 'ocm',
+        fullName: 'Ontology Curation Manager',
+        rules
+      }
+    },
+    invocations: [{
+      executionSuccessful: failedChecks.length === 0,
+      toolExecutionNotifications: failedChecks.map(d => ({
+        level: 'error',
+        message: { text: `${d.queryId} ${d.outcome === 'timeout' ? 'timed out' : d.outcome === 'partial' ? 'ran only in part' : 'failed'}: ${d.error}` },
+        descriptor: { id: d.queryId }
+      }))
+    }],
+    results: sarifResults,
+    properties: {
+      ontologyIri: ontologyReport ? ontologyReport.ontologyIri : null,
+      versionIri: ontologyReport ? ontologyReport.versionIri || null : null,
+      status: ontologyReport ? ontologyReport.statusLabel : null,
+      score: ontologyReport ? ontologyReport.score : null
+    }
+  };
+  if (fileName) run.artifacts = [{ location: { uri: fileName } }];
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [run]
+  }, null, 2) + '\n';
+}
+
+// --- RDF report: W3C DQV measurements and EARL assertions ---
+const DQV = 'http://www.w3.org/ns/dqv#';
+const EARL = 'http://www.w3.org/ns/earl#';
+const OA = 'http://www.w3.org/ns/oa#';
+const PROV = 'http://www.w3.org/ns/prov#';
+const PTR = 'http://www.w3.org/2009/pointers#';
+const DCTERMS = 'http://purl.org/dc/terms/';
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+// Checks, metrics and source files have no IRIs of their own; they get URNs.
+const OCM = 'urn:ocm:';
+
+// A waived failure passes, with the waiver as the result's description.
+const EARL_OUTCOMES = { fail: 'failed', pass: 'passed', waived: 'passed' };
+
+// The report as Turtle, to load next to the ontology in a triplestore:
+// - DQV: the maturity score and each requirement's pass share as
+//   dqv:QualityMeasurement, the ontology and resource statuses as
+//   dqv:QualityAnnotation with the IAO status as body;
+// - EARL: one earl:Assertion per failing or passing row (flags are left
+//   out), with an earl:pointer to the resource's lines in the source when
+//   known, and an earl:cantTell assertion per check that errored.
+// options: { manifest, locations: { iri: { file, startLine, endLine } },
+//   timestamp (ISO, default now) }
+export async function toRdfReport(results, perResource, ontologyReport, options = {}) {
+  const { namedNode, blankNode, literal, quad } = globalThis.N3.DataFactory;
+  const quads = [];
+  const add = (s, p, o) => quads.push(quad(s, namedNode(p), o));
+  const timestamp = literal(options.timestamp || new Date().toISOString(), namedNode(XSD + 'dateTime'));
+  const titles = queryTitles(options.manifest);
+  const ontology = namedNode(ontologyReport.ontologyIri);
+  const tool = namedNode(OCM + 'tool');
+  const check = id => namedNode(OCM + 'check:' + encodeURIComponent(id));
+  const locations = options.locations || {};
+
+  add(tool, RDF_TYPE, namedNode(EARL + 'Software'));
+  add(tool, DCTERMS + 'title', literal('Ontology Curation Manager'));
+
+  const measure = (metric, value, title) => {
+    const metricNode = namedNode(OCM + 'metric:' + encodeURIComponent(metric));
+    add(metricNode, RDF_TYPE, namedNode(DQV + 'Metric'));
+    add(metricNode, DCTERMS + 'title', literal(title));
+    add(metricNode, DQV + 'expectedDataType', namedNode(XSD + 'double'));
+    const m = blankNode();
+    add(m, RDF_TYPE, namedNode(DQV + 'QualityMeasurement'));
+    add(m, DQV + 'computedOn', ontology);
+    add(m, DQV + 'isMeasurementOf', metricNode);
+    add(m, DQV + 'value', literal(String(value), namedNode(XSD + 'double')));
+    add(m, PROV + 'generatedAtTime', timestamp);
+    add(m, PROV + 'wasAttributedTo', tool);
+  };
+  if (ontologyReport.score !== null && ontologyReport.score !== undefined) {
+    measure('maturityScore', ontologyReport.score, 'Maturity score');
+  }
+  for (const r of ontologyReport.requirements || []) {
+    if (r.passShare !== null && r.passShare !== undefined) {
+      measure('passShare:' + r.id, r.passShare, `Share of applicable resources passing ${r.id}`);
+    }
+  }
+
+  const annotate = (target, statusIri) => {
+    const a = blankNode();
+    add(a, RDF_TYPE, namedNode(DQV + 'QualityAnnotation'));
+    add(a, OA + 'hasTarget', namedNode(target));
+    add(a, OA + 'hasBody', namedNode(statusIri));
+    add(a, OA + 'motivatedBy', namedNode(DQV + 'qualityAssessment'));
+    add(a, PROV + 'generatedAtTime', timestamp);
+  };
+  annotate(ontologyReport.ontologyIri, ontologyReport.statusIri);
+  for (const r of perResource || []) annotate(r.resource, r.statusIri);
+
+  const tests = new Set();
+  const assert = (subject, queryId, outcome, description) => {
+    if (!tests.has(queryId)) {
+      tests.add(queryId);
+      add(check(queryId), RDF_TYPE, namedNode(EARL + 'TestCase'));
+      add(check(queryId), DCTERMS + 'title', literal(titles.get(queryId) || queryId));
+    }
+    const a = blankNode();
+    const result = blankNode();
+    add(a, RDF_TYPE, namedNode(EARL + 'Assertion'));
+    add(a, EARL + 'assertedBy', tool);
+    add(a, EARL + 'subject', subject);
+    add(a, EARL + 'test', check(queryId));
+    add(a, EARL + 'mode', namedNode(EARL + 'automatic'));
+    add(a, EARL + 'result', result);
+    add(result, RDF_TYPE, namedNode(EARL + 'TestResult'));
+    add(result, EARL + 'outcome', namedNode(EARL + outcome));
+    add(result, DCTERMS + 'date', timestamp);
+    if (description) add(result, DCTERMS + 'description', literal(description));
+    const source = subject.termType === 'NamedNode' && locations[subject.value];
+    if (source) {
+      const file = namedNode(OCM + 'file:' + encodeURIComponent(source.file));
+      const pointer = blankNode();
+      add(result, EARL + 'pointer', pointer);
+      const start = blankNode();
+      const end = blankNode();
+      add(pointer, RDF_TYPE, namedNode(PTR + 'StartEndPointer'));
+      add(pointer, PTR + 'startPointer', start);
+      add(pointer, PTR + 'endPointer', end);
+      for (const [linePointer, line] of [[start, source.startLine], [end, source.endLine]]) {
+        add(linePointer, RDF_TYPE, namedNode(PTR + 'LinePointer'));
+        add(linePointer, PTR + 'reference', file);
+        add(linePointer, PTR + 'lineNumber', literal(String(line), namedNode(XSD + 'integer')));
+      }
+    }
+  };
+  for (const r of results || []) {
+    const outcome = EARL_OUTCOMES[r.status];
+    if (!outcome || !r.resource) continue;
+    const related = r.evidence ? r.evidence.related.filter(iri => iri !== r.resource) : [];
+    const description = r.waiver
+      ? `Waived by ${r.waiver.author}: ${r.waiver.justification}`
+      : related.length ? `Related: ${related.join(', ')}` : null;
+    assert(namedNode(r.resource), r.queryId, outcome, description);
+  }
+  for (const d of ontologyReport.diagnostics || []) {
+    if (d.outcome !== 'ok') assert(ontology, d.queryId, 'cantTell', d.error);
+  }
+
+  return serializeQuads(quads, FORMATS.TURTLE, {
+    dqv: DQV,
+    earl: EARL,
+    oa: OA,
+    prov: PROV,
+    ptr: PTR,
+    dcterms: DCTERMS,
+    xsd: XSD
+  });
+}
+
+// Run-to-run diff (see compare.js) as Markdown, for release notes.
+export function diffToMarkdown(diff) {
+  const lines = [];
+  const { ontologyStatus } = diff;
+  const arrow = { up: '▲', down: '▼', same: '=' }[ontologyStatus.direction];
+
+  lines.push(`## Curation changes: ${diff.baseline.label} → ${diff.current.label}`);
+  lines.push('');
+  lines.push(`Ontology status: ${ontologyStatus.from} → ${ontologyStatus.to} ${arrow}`);
+  if (ontologyStatus.scoreDelta !== null) {
+    const sign = ontologyStatus.scoreDelta >= 0 ? '+' : '−';
+    lines.push(`Maturity score: ${formatScore(diff.baseline.score)} → ${formatScore(diff.current.score)}` +
+      ` (${sign}${formatScore(Math.abs(ontologyStatus.scoreDelta))})`);
+  }
+
+  const section = (title, items, render) => {
+    lines.push('');
+    lines.push(`### ${title} (${items.length})`);
+    if (!items.length) {
+      lines.push('');
+      lines.push('None.');
+      return;
+    }
+    lines.push('');
+    for (const item of items) lines.push('- ' + render(item));
+  };
+
+  section('Status regressions', diff.regressions, c => `\`${c.resource}\`: ${c.from} → ${c.to}`);
+  section('Status improvements', diff.improvements, c => `\`${c.resource}\`: ${c.from} → ${c.to}`);
+  section('New requirement failures', diff.requirementChanges.filter(c => c.appeared.length),
+    c => `${c.requirementId}: ${c.appeared.map(r => '`' + r + '`').join(', ')}`);
+  section('Cleared requirement failures', diff.requirementChanges.filter(c => c.cleared.length),
+    c => `${c.requirementId}: ${c.cleared.map(r => '`' + r + '`').join(', ')}`);
+  section('Added resources', diff.addedResources, r => `\`${r.resource}\` (${r.statusLabel})`);
+  section('Removed resources', diff.removedResources, r => `\`${r.resource}\` (${r.statusLabel})`);
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,194 @@
+// app/fixes.js (ES module)
+//
+// Suggested fixes for failures that can be repaired mechanically. A manifest
+// query names its fixer, and each of its failing rows then proposes triples
+// to add:
+//   "fixer": { "type": "labelFromLocalName" }
+//   "fixer": { "type": "ontologyIri", "property": "<iri>", "datatype": "<iri>" }
+//   "fixer": { "type": "definitionStub", "text": "..." }
+// A suggestion is plain data, { id, resource, queryId, requirementId, type,
+// description, triples: [{ subject, predicate, object: { termType, value,
+// language, datatype } }] }; curators accept or reject them in the UI, and
+// the accepted ones are written as a Turtle patch or into the ontology.
+
+import { FORMATS, parseOntologyText } from './formats.js';
+import { serializeQuads, writableFormat, extensionFor, DEFAULT_PREFIXES } from './writers.js';
+
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+const SKOS_DEFINITION = 'http://www.w3.org/2004/02/skos/core#definition';
+const SKOS_EDITORIAL_NOTE = 'http://www.w3.org/2004/02/skos/core#editorialNote';
+const DEFINITION_TEXT = 'Definition needed.';
+const REVIEW_NOTE = 'Placeholder definition from a suggested fix; needs review.';
+
+// The part of an IRI after its last '#' or '/'.
+function localName(iri) {
+  const name = iri.replace(/[#/]+$/, '').split(/[#/]/).pop();
+  try {
+    return decodeURIComponent(name);
+  } catch (err) {
+    return name;
+  }
+}
+
+// "hasBrother", "has_brother", "HasBrother" → "has brother". Acronyms stay
+// upper case. Numbered IDs (ont00001776, BFO_0000001) have no words in them.
+function labelFromName(name) {
+  if (!name || /^[A-Za-z]*_?\d+$/.test(name)) return null;
+  const words = name
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[\s_-]+/)
+    .filter(Boolean)
+    .map(word => word === word.toUpperCase() && word.length > 1 ? word : word.toLowerCase());
+  return words.length ? words.join(' ') : null;
+}
+
+function literalObject(value, language) {
+  return { termType: 'Literal', value, language: language || '', datatype: null };
+}
+
+// fixer(row, config, context) → { description, triples } or null when the
+// row cannot be fixed this way.
+const FIXERS = {
+  labelFromLocalName(row, config, context) {
+    const label = labelFromName(localName(row.resource));
+    if (!label) return null;
+    const language = (row.details && row.details.language) || context.languages[0] || '';
+    return {
+      description: `Label "${label}" taken from the IRI`,
+      triples: [{ subject: row.resource, predicate: config.property || RDFS_LABEL, object: literalObject(label, language) }]
+    };
+  },
+
+  ontologyIri(row, config, context) {
+    if (!context.ontologyIri || !config.property) return null;
+    const object = config.datatype
+      ? { termType: 'Literal', value: context.ontologyIri, language: '', datatype: config.datatype }
+      : { termType: 'NamedNode', value: context.ontologyIri };
+    return {
+      description: `Point to the ontology ${context.ontologyIri}`,
+      triples: [{ subject: row.resource, predicate: config.property, object }]
+    };
+  },
+
+  definitionStub(row, config, context) {
+    const language = (row.details && row.details.language) || context.languages[0] || '';
+    return {
+      description: 'Placeholder definition, marked for review',
+      triples: [
+        { subject: row.resource, predicate: config.property || SKOS_DEFINITION, object: literalObject(config.text || DEFINITION_TEXT, language) },
+        { subject: row.resource, predicate: SKOS_EDITORIAL_NOTE, object: literalObject(REVIEW_NOTE, 'en') }
+      ]
+    };
+  }
+};
+
+export const FIXER_TYPES = Object.keys(FIXERS);
+
+function tripleKey(t) {
+  return [t.subject, t.predicate, t.object.termType, t.object.value, t.object.language || '', t.object.datatype || ''].join('\n');
+}
+
+// One suggestion per failing row of a query with a fixer. A triple already
+// proposed for an earlier row is not proposed again.
+// context: { ontologyIri, languages }
+export function suggestFixes(results, manifest, context = {}) {
+  const fixers = new Map();
+  for (const q of (manifest && manifest.queries) || []) {
+    if (q.fixer && FIXERS[q.fixer.type]) fixers.set(q.id, q.fixer);
+  }
+  const ctx = { ontologyIri: context.ontologyIri || null, languages: context.languages || [] };
+  const seen = new Set();
+  const suggestions = [];
+  for (const row of results || []) {
+    const config = fixers.get(row.queryId);
+    if (!config || row.status !== 'fail' || row.scope === 'ontology' || !row.resource) continue;
+    const fix = FIXERS[config.type](row, config, ctx);
+    if (!fix) continue;
+    const triples = fix.triples.filter(t => !seen.has(tripleKey(t)));
+    if (!triples.length) continue;
+    for (const t of triples) seen.add(tripleKey(t));
+    suggestions.push({
+      id: String(suggestions.length),
+      resource: row.resource,
+      queryId: row.queryId,
+      requirementId: row.requirementId || null,
+      type: config.type,
+      description: fix.description,
+      triples
+    });
+  }
+  return suggestions;
+}
+
+// --- output ---
+function toQuads(suggestions) {
+  const { namedNode, literal, quad } = globalThis.N3.DataFactory;
+  const object = o => o.termType === 'NamedNode'
+    ? namedNode(o.value)
+    : literal(o.value, o.language || (o.datatype ? namedNode(o.datatype) : undefined));
+  return suggestions.flatMap(s => s.triples.map(t => quad(namedNode(t.subject), namedNode(t.predicate), object(t.object))));
+}
+
+// Predicate and object as Turtle, for listing a suggestion.
+export function describeTriple(triple) {
+  const compact = iri => {
+    for (const [prefix, ns] of Object.entries(DEFAULT_PREFIXES)) {
+      if (iri.startsWith(ns) && /^[\w-]*$/.test(iri.slice(ns.length))) return prefix + ':' + iri.slice(ns.length);
+    }
+    return '<' + iri + '>';
+  };
+  const o = triple.object;
+  const object = o.termType === 'NamedNode'
+    ? compact(o.value)
+    : JSON.stringify(o.value) + (o.language ? '@' + o.language : o.datatype ? '^^' + compact(o.datatype) : '');
+  return compact(triple.predicate) + ' ' + object;
+}
+
+// The accepted suggestions' triples as Turtle, to review or merge by hand;
+// one block per resource, in the order the resources first come up.
+export function fixesToTurtle(suggestions, prefixes = {}) {
+  const bySubject = new Map();
+  for (const q of toQuads(suggestions)) {
+    if (!bySubject.has(q.subject.value)) bySubject.set(q.subject.value, []);
+    bySubject.get(q.subject.value).push(q);
+  }
+  return serializeQuads(Array.from(bySubject.values()).flat(), FORMATS.TURTLE, prefixes);
+}
+
+// The ontology with the accepted triples added, in its own format (OWL/XML
+// is written as RDF/XML). Each resource's new triples follow its existing
+// ones, so Turtle output keeps one block per resource.
+// → { text, format, fileName, added }
+export async function patchOntology(text, fileName, suggestions) {
+  const { quads, format, prefixes, base, context } = await parseOntologyText(text, fileName);
+  const additions = new Map();
+  for (const q of toQuads(suggestions)) {
+    if (!additions.has(q.subject.value)) additions.set(q.subject.value, []);
+    additions.get(q.subject.value).push(q);
+  }
+
+  const lastIndex = new Map();
+  quads.forEach((q, i) => {
+    if (q.subject.termType === 'NamedNode' && q.graph.termType === 'DefaultGraph') lastIndex.set(q.subject.value, i);
+  });
+  const out = [];
+  quads.forEach((q, i) => {
+    out.push(q);
+    if (lastIndex.get(q.subject.value) === i && additions.has(q.subject.value)) {
+      out.push(...additions.get(q.subject.value));
+      additions.delete(q.subject.value);
+    }
+  });
+  // Resources with no triples of their own yet.
+  for (const rest of additions.values()) out.push(...rest);
+
+  const outFormat = writableFormat(format);
+  const stem = (fileName || 'ontology').replace(/\.[^.]+$/, '');
+  return {
+    text: await serializeQuads(out, outFormat, prefixes, { base, context }),
+    format: outFormat,
+    fileName: stem + '.patched' + extensionFor(outFormat),
+    added: out.length - quads.length
+  };
+}
@@ -0,0 +1,413 @@
+// app/formats.js (ES module)
+//
+// Multi-format ontology ingestion: picks a parser from the file extension
+// and the content itself, and returns RDF/JS quads built with N3's data
+// factory so they can go straight into an N3.Store.
+
+import { isOwlXmlDocument, owlXmlToQuads } from './owlxml.js';
+
+export const FORMATS = {
+  TURTLE: 'text/turtle',
+  NTRIPLES: 'application/n-triples',
+  NQUADS: 'application/n-quads',
+  TRIG: 'application/trig',
+  RDFXML: 'application/rdf+xml',
+  OWLXML: 'application/owl+xml',
+  JSONLD: 'application/ld+json'
+};
+
+const N3_FORMATS = new Set([FORMATS.TURTLE, FORMATS.NTRIPLES, FORMATS.NQUADS, FORMATS.TRIG]);
+
+// --- helper: guess RDF format from filename ---
+export function guessFormatFromFilename(name) {
+  if (!name) return FORMATS.TURTLE;
+  const lower = name.toLowerCase();
+  if (lower.endsWith('.ttl') || lower.endsWith('.turtle')) return FORMATS.TURTLE;
+  if (lower.endsWith('.nt') || lower.endsWith('.ntriples')) return FORMATS.NTRIPLES;
+  if (lower.endsWith('.nq')) return FORMATS.NQUADS;
+  if (lower.endsWith('.trig')) return FORMATS.TRIG;
+  if (lower.endsWith('.owx')) return FORMATS.OWLXML;
+  if (lower.endsWith('.rdf') || lower.endsWith('.owl') || lower.endsWith('.xml')) return FORMATS.RDFXML;
+  if (lower.endsWith('.jsonld') || lower.endsWith('.json')) return FORMATS.JSONLD;
+  return FORMATS.TURTLE;
+}
+
+// --- helper: guess RDF format from the first bytes of the content ---
+// Returns null when the content does not clearly identify a format.
+export function sniffFormat(text) {
+  if (!text) return null;
+  const head = text.slice(0, 4096).replace(/^\uFEFF/, '').trimStart();
+
+  // An XML root element always carries attributes (at least xmlns), which
+  // tells it apart from an N-Triples line starting with <urn:...>.
+  if (/^(?:<\?xml|<!DOCTYPE|<!--|<[A-Za-z_][\w.-]*(?::[A-Za-z_][\w.-]*)?\s+[\w.:-]+\s*=)/.test(head)) {
+    if (isOwlXmlDocument(head)) return FORMATS.OWLXML;
+    return FORMATS.RDFXML;
+  }
+
+  if (head.startsWith('{') || head.startsWith('[')) {
+    if (/^[{[]\s*(?:"|\]|\}|\{)/.test(head)) return FORMATS.JSONLD;
+    return null;
+  }
+
+  if (/^(?:@prefix|@base|PREFIX\s|BASE\s)/im.test(head)) return FORMATS.TURTLE;
+  return null;
+}
+
+// Decide on the effective format. The content wins when it points to a
+// different family (XML, JSON, or text RDF) than the extension does.
+export function resolveFormat(text, filename) {
+  const byName = guessFormatFromFilename(filename);
+  const sniffed = sniffFormat(text);
+
+  if (!sniffed) {
+    return byName === FORMATS.RDFXML || byName === FORMATS.OWLXML || byName === FORMATS.JSONLD
+      ? FORMATS.TURTLE
+      : byName;
+  }
+  if (sniffed === FORMATS.TURTLE && N3_FORMATS.has(byName)) return byName;
+  if (sniffed === FORMATS.JSONLD && byName === FORMATS.TRIG) return byName;
+  return sniffed;
+}
+
+function getN3() {
+  const N3 = globalThis.N3;
+  if (!N3 || !N3.Parser || !N3.DataFactory) {
+    throw new Error('N3 not available. Check n3.min.js loading.');
+  }
+  return N3;
+}
+
+let parseCounter = 0;
+
+// The non-N3 parsers number their blank nodes from zero, so give each parse
+// its own prefix; otherwise an import loaded into the same store would share
+// blank nodes with the main ontology.
+function scopeBlankNodes(quads, factory) {
+  const prefix = 'f' + (parseCounter++) + '_';
+  const scope = term => term.termType === 'BlankNode' ? factory.blankNode(prefix + term.value) : term;
+  return quads.map(q => factory.quad(scope(q.subject), q.predicate, scope(q.object), q.graph));
+}
+
+function defaultBaseIri(filename) {
+  return 'file:///' + encodeURIComponent(filename || 'ontology');
+}
+
+// rdflib and jsonld.js terms → N3 terms, so every parser feeds the same
+// store shape.
+function fromRdfJsTerm(term, factory, blanks) {
+  switch (term.termType) {
+    case 'NamedNode':
+      return factory.namedNode(term.value);
+    case 'BlankNode':
+      if (!blanks.has(term.value)) blanks.set(term.value, factory.blankNode('rx' + blanks.size));
+      return blanks.get(term.value);
+    case 'Literal':
+      if (term.language) return factory.literal(term.value, term.language);
+      return factory.literal(term.value, term.datatype ? factory.namedNode(term.datatype.value) : undefined);
+    default:
+      throw new Error(`Unsupported term type from parser: ${term.termType}`);
+  }
+}
+
+function parseRdfXml(text, baseIri, factory) {
+  const $rdf = globalThis.$rdf;
+  if (!$rdf || typeof $rdf.parse !== 'function') {
+    throw new Error('RDF/XML parsing requires rdflib ($rdf). Check rdflib.min.js loading.');
+  }
+  const kb = $rdf.graph();
+  $rdf.parse(text, kb, baseIri, FORMATS.RDFXML);
+
+  const blanks = new Map();
+  return kb.statements.map(st => factory.quad(
+    fromRdfJsTerm(st.subject, factory, blanks),
+    fromRdfJsTerm(st.predicate, factory, blanks),
+    fromRdfJsTerm(st.object, factory, blanks)
+  ));
+}
+
+// JSON-LD through jsonld.js, remote contexts included. Safe mode turns
+// anything the conversion would drop (terms that do not expand to an IRI,
+// relative IRIs without a base) into an error instead of partial triples.
+async function parseJsonLd(doc, baseIri, factory) {
+  const jsonld = globalThis.jsonld;
+  if (!jsonld || typeof jsonld.toRDF !== 'function') {
+    throw new Error('JSON-LD parsing requires jsonld.js. Check jsonld.min.js loading.');
+  }
+  let rdf;
+  try {
+    rdf = await jsonld.toRDF(doc, { base: baseIri, safe: true });
+  } catch (err) {
+    const event = err.details && err.details.event;
+    if (!event) throw err;
+    throw new Error(`JSON-LD: ${event.message} ${JSON.stringify(event.details)}`);
+  }
+
+  const blanks = new Map();
+  return rdf.map(q => factory.quad(
+    fromRdfJsTerm(q.subject, factory, blanks),
+    fromRdfJsTerm(q.predicate, factory, blanks),
+    fromRdfJsTerm(q.object, factory, blanks),
+    q.graph.termType === 'DefaultGraph' ? factory.defaultGraph() : fromRdfJsTerm(q.graph, factory, blanks)
+  ));
+}
+
+// Namespace declarations of an XML document, as a prefix → IRI object;
+// the default namespace has the empty prefix.
+function xmlNamespaces(text) {
+  const prefixes = {};
+  const re = /xmlns(?::([A-Za-z_][\w.-]*))?\s*=\s*["']([^"']*)["']/g;
+  let m;
+  while ((m = re.exec(text.slice(0, 16384)))) {
+    const prefix = m[1] || '';
+    if (!(prefix in prefixes)) prefixes[prefix] = m[2];
+  }
+  return prefixes;
+}
+
+// The xml:base of an XML document's root element, or null.
+function xmlBase(text) {
+  const m = /\sxml:base\s*=\s*["']([^"']*)["']/.exec(text.slice(0, 16384));
+  return m ? m[1] : null;
+}
+
+// The prefixes a JSON-LD @context defines inline, as a prefix → IRI object:
+// terms mapped to an IRI ending in a gen-delim, or marked "@prefix": true.
+// Remote contexts (strings) are not read here.
+export function jsonldContextPrefixes(context) {
+  const prefixes = {};
+  for (const ctx of [].concat(context || [])) {
+    if (!ctx || typeof ctx !== 'object') continue;
+    for (const [term, def] of Object.entries(ctx)) {
+      if (term.startsWith('@') || term.includes(':')) continue;
+      const iri = typeof def === 'string' ? def : def && def['@id'];
+      if (typeof iri !== 'string') continue;
+      if (/[/#:?[\]@]$/.test(iri) || (def && def['@prefix'] === true)) prefixes[term] = iri;
+    }
+  }
+  return prefixes;
+}
+
+// Parse ontology text in any supported serialization.
+// Returns a promise of { quads, format, prefixes, base, context, warnings },
+// where base is an XML document's xml:base and context a JSON-LD document's
+// @context as written (null otherwise), for writers.js to write back.
+export async function parseOntologyText(text, filename, options = {}) {
+  const N3 = getN3();
+  const factory = N3.DataFactory;
+  const format = options.format || resolveFormat(text, filename);
+  const baseIri = options.baseIri || defaultBaseIri(filename);
+  const warnings = [];
+
+  if (N3_FORMATS.has(format)) {
+    const parser = new N3.Parser({ format });
+    const prefixes = {};
+    const quads = parser.parse(text, null, (prefix, iri) => {
+      prefixes[prefix] = iri && iri.value !== undefined ? iri.value : iri;
+    });
+    return { quads, format, prefixes, base: null, context: null, warnings };
+  }
+
+  if (format === FORMATS.RDFXML) {
+    const quads = scopeBlankNodes(parseRdfXml(text, baseIri, factory), factory);
+    return { quads, format, prefixes: xmlNamespaces(text), base: xmlBase(text), context: null, warnings };
+  }
+
+  if (format === FORMATS.OWLXML) {
+    const { quads, prefixes, skipped } = owlXmlToQuads(text, { factory, baseIri });
+    if (skipped.length) {
+      warnings.push(`Skipped ${skipped.length} unsupported OWL/XML axiom(s): ${Array.from(new Set(skipped)).join(', ')}`);
+    }
+    return {
+      quads: scopeBlankNodes(quads, factory),
+      format,
+      prefixes: Object.fromEntries(prefixes),
+      base: xmlBase(text),
+      context: null,
+      warnings
+    };
+  }
+
+  if (format === FORMATS.JSONLD) {
+    const doc = JSON.parse(text);
+    const context = (!Array.isArray(doc) && doc['@context']) || null;
+    const quads = scopeBlankNodes(await parseJsonLd(doc, baseIri, factory), factory);
+    return { quads, format, prefixes: jsonldContextPrefixes(context), base: null, context, warnings };
+  }
+
+  throw new Error(`Unsupported RDF format: ${format}`);
+}
+
+// Bytes read between two progress reports of parseOntologyStream.
+const PROGRESS_STEP_BYTES = 1 << 20;
+
+// --- source positions ---
+// N3's lexer numbers the line of every token. A lexer for the parser that
+// watches its tokens go by can tell which statement each quad came from: a
+// statement runs from its first token to the '.' (or TriG '}', or end of
+// file) that ends it, and the parser emits a statement's last quad on that
+// token. Each named subject is located at the first statement describing it.
+// → { lexer, addQuad(quad), locations: Map iri → { file, startLine, endLine } }
+const STATEMENT_ENDS = new Set(['.', '{', '}', 'eof']);
+
+function createLineTracker(N3, format, filename) {
+  const lexer = new N3.Lexer({ lineMode: format === FORMATS.NTRIPLES || format === FORMATS.NQUADS });
+  const locations = new Map();
+  const subjects = []; // of the statement being read, possibly repeated
+  let startLine = null;
+  let directive = false; // inside @prefix/@base, which ends with '.'
+  let skip = 0; // tokens left of a SPARQL-style PREFIX/BASE, which has no '.'
+
+  function close(endLine) {
+    for (const iri of subjects) {
+      if (!locations.has(iri)) locations.set(iri, { file: filename, startLine, endLine });
+    }
+    subjects.length = 0;
+    startLine = null;
+  }
+
+  function beforeToken(token) {
+    if (skip) {
+      skip--;
+    } else if (token.type === 'PREFIX' || token.type === 'BASE') {
+      skip = token.type === 'PREFIX' ? 2 : 1;
+    } else if (token.type === '@prefix' || token.type === '@base') {
+      directive = true;
+    } else if (!directive && startLine === null && !STATEMENT_ENDS.has(token.type)) {
+      startLine = token.line;
+    }
+  }
+
+  function afterToken(token) {
+    if (token.type === '.' && directive) {
+      directive = false;
+    } else if (token.type === '.' || token.type === '}' || token.type === 'eof') {
+      close(token.line);
+    } else if (token.type === '{') {
+      // What came before named a graph; the statements follow.
+      startLine = null;
+    }
+  }
+
+  const tokenize = lexer.tokenize.bind(lexer);
+  lexer.tokenize = (input, callback) => tokenize(input, (err, token) => {
+    if (token) beforeToken(token);
+    callback(err, token);
+    if (token) afterToken(token);
+  });
+
+  return {
+    lexer,
+    addQuad(quad) {
+      if (quad.subject.termType === 'NamedNode' && subjects[subjects.length - 1] !== quad.subject.value) {
+        subjects.push(quad.subject.value);
+      }
+    },
+    locations
+  };
+}
+
+// Parse a Blob (a File in the browser, fs.openAsBlob in the CLI) while it is
+// read, without holding the whole text. Each quad goes to onQuad as soon as
+// it is parsed. The Turtle family is parsed incrementally, so only the
+// statement being read is buffered; the XML and JSON formats need the whole
+// document and are read into text first.
+// options.onQuad: (quad) => void
+// options.onProgress: ({ loaded, total }) => void, in bytes
+// options.maxQuads: stop with an error past this many triples, so a huge
+// N-Triples or N-Quads dump fails cleanly instead of running out of memory
+// Returns { format, prefixes, warnings, quadCount, locations }, where
+// locations is a Map from each named subject to { file, startLine, endLine }
+// for the Turtle family, and empty for the other formats.
+export async function parseOntologyStream(blob, filename, options = {}) {
+  const N3 = getN3();
+  const onQuad = options.onQuad || (() => {});
+  const onProgress = options.onProgress || (() => {});
+  const maxQuads = options.maxQuads || Infinity;
+  const total = blob.size;
+  const reader = blob.stream().getReader();
+  const decoder = new TextDecoder();
+  let loaded = 0;
+  let reported = 0;
+  let ended = false;
+
+  async function readChunk() {
+    const { done, value } = await reader.read();
+    if (done) {
+      ended = true;
+      return decoder.decode();
+    }
+    loaded += value.byteLength;
+    if (loaded - reported >= PROGRESS_STEP_BYTES) {
+      reported = loaded;
+      onProgress({ loaded, total });
+    }
+    return decoder.decode(value, { stream: true });
+  }
+
+  let quadCount = 0;
+  function countQuad() {
+    if (++quadCount > maxQuads) {
+      throw new Error(`${filename} has more than ${maxQuads} triples, the limit set for this run.`);
+    }
+  }
+
+  // Enough of the start of the file to sniff its format.
+  let head = '';
+  while (!ended && head.length < 4096) head += await readChunk();
+  const format = options.format || resolveFormat(head, filename);
+
+  if (!N3_FORMATS.has(format)) {
+    const chunks = [head];
+    while (!ended) chunks.push(await readChunk());
+    const parsed = await parseOntologyText(chunks.join(''), filename, { ...options, format });
+    for (const quad of parsed.quads) {
+      countQuad();
+      onQuad(quad);
+    }
+    onProgress({ loaded, total });
+    return { format, prefixes: parsed.prefixes, warnings: parsed.warnings, quadCount, locations: new Map() };
+  }
+
+  // N3's lexer reads from anything with on('data') and on('end'); it keeps
+  // only the text it has not tokenized yet.
+  const listeners = {};
+  const input = { on: (event, listener) => { listeners[event] = listener; } };
+  const prefixes = {};
+  let failure = null;
+  let finished = false;
+  const tracker = createLineTracker(N3, format, filename);
+  new N3.Parser({ format, lexer: tracker.lexer }).parse(input, (err, quad) => {
+    if (failure || finished) return;
+    if (err) {
+      failure = err;
+    } else if (quad) {
+      try {
+        countQuad();
+        tracker.addQuad(quad);
+        onQuad(quad);
+      } catch (e) {
+        failure = e;
+      }
+    } else {
+      finished = true;
+    }
+  }, (prefix, iri) => {
+    prefixes[prefix] = iri && iri.value !== undefined ? iri.value : iri;
+  });
+
+  let chunk = head;
+  for (;;) {
+    if (chunk) listeners.data(chunk);
+    if (failure || ended) break;
+    chunk = await readChunk();
+  }
+  if (failure) {
+    await reader.cancel();
+    throw failure;
+  }
+  listeners.end();
+  if (failure) throw failure;
+  onProgress({ loaded, total });
+  return { format, prefixes, warnings: [], quadCount, locations: tracker.locations };
+}
@@ -5,8 +5,8 @@ const IAO = {
   METADATA_INCOMPLETE: 'http://purl.obolibrary.org/obo/IAO_0000123',
   METADATA_COMPLETE: 'http://purl.obolibrary.org/obo/IAO_0000120',
   PENDING_FINAL_VETTING: 'http://purl.obolibrary.org/obo/IAO_0000125',
-  REQUIRES_DISCUSSION: 'http://example.org/curation-status/requires-discussion',
-  READY_FOR_RELEASE: 'http://example.org/curation-status/ready-for-release'
+  REQUIRES_DISCUSSION: 'http://purl.obolibrary.org/obo/IAO_0000428',
+  READY_FOR_RELEASE: 'http://purl.obolibrary.org/obo/IAO_0000122'
 };
 
 const IAO_LABELS = {
@@ -18,11 +18,96 @@ const IAO_LABELS = {
   [IAO.READY_FOR_RELEASE]: 'ready for release'
 };
 
-function statusPolicy(hasReqFail, hasRecFail, flags = {}) {
-  if (flags.uncurated) return IAO.UNCURATED;
-  if (hasReqFail) return IAO.METADATA_INCOMPLETE;
-  if (!hasReqFail && hasRecFail) return IAO.METADATA_COMPLETE;
-  return IAO.PENDING_FINAL_VETTING;
+// Curation statuses from least to most mature, used to compare an ontology
+// status against a threshold (e.g. the CLI's --fail-below).
+export const STATUS_ORDER = [
+  'uncurated',
+  'metadata incomplete',
+  'requires discussion',
+  'metadata complete',
+  'pending final vetting',
+  'ready for release'
+];
+
+export function statusRank(status) {
+  const label = IAO_LABELS[status] || status;
+  return STATUS_ORDER.indexOf(label);
+}
+
+// Curation lifecycle used when the manifest has no `statusPolicy`.
+// flags: query IDs whose matches raise each flag on a resource.
+// rules: tried in order; the first rule whose `when` conditions all hold
+// gives the status (a label from IAO_LABELS or a status IRI).
+const DEFAULT_STATUS_POLICY = {
+  flags: {
+    uncurated: ['q_onlyLabel'],
+    requiresDiscussion: ['q_requires_discussion'],
+    readyForRelease: ['q_signed_off']
+  },
+  rules: [
+    { when: { flag: 'uncurated' }, status: 'uncurated' },
+    { when: { flag: 'requiresDiscussion' }, status: 'requires discussion' },
+    { when: { hasFailedRequirements: true }, status: 'metadata incomplete' },
+    { when: { hasFailedRecommendations: true }, status: 'metadata complete' },
+    {
+      when: { flag: 'readyForRelease', hasFailedRequirements: false, hasFailedRecommendations: false },
+      status: 'ready for release'
+    },
+    { status: 'pending final vetting' }
+  ]
+};
+
+function statusIriFor(status) {
+  if (IAO_LABELS[status]) return status;
+  for (const [iri, label] of Object.entries(IAO_LABELS)) {
+    if (label === status) return iri;
+  }
+  throw new Error(`Unknown curation status in statusPolicy: ${status}`);
+}
+
+function ruleMatches(when, facts) {
+  if (when.flag !== undefined && !facts.flags[when.flag]) return false;
+  if (when.hasFailedRequirements !== undefined && when.hasFailedRequirements !== facts.hasReqFail) return false;
+  if (when.hasFailedRecommendations !== undefined && when.hasFailedRecommendations !== facts.hasRecFail) return false;
+  return true;
+}
+
+function buildStatusPolicy(manifest) {
+  const policy = (manifest && manifest.statusPolicy) || DEFAULT_STATUS_POLICY;
+  const flagsByQuery = new Map();
+  const flagNames = new Set(['uncurated', 'requiresDiscussion', 'readyForRelease']);
+
+  for (const [flag, queryIds] of Object.entries(policy.flags || {})) {
+    flagNames.add(flag);
+    for (const queryId of queryIds) {
+      if (!flagsByQuery.has(queryId)) flagsByQuery.set(queryId, []);
+      flagsByQuery.get(queryId).push(flag);
+    }
+  }
+
+  const rules = (policy.rules || DEFAULT_STATUS_POLICY.rules).map(rule => ({
+    when: rule.when || {},
+    statusIri: statusIriFor(rule.status)
+  }));
+
+  return {
+    newFlags() {
+      const flags = {};
+      for (const name of flagNames) flags[name] = false;
+      return flags;
+    },
+    flagsRaisedBy(row) {
+      if (row.status !== 'fail' && row.status !== 'flag') return [];
+      return flagsByQuery.get(row.queryId) || [];
+    },
+    statusOf(hasReqFail, hasRecFail, flags = {}) {
+      const facts = { hasReqFail, hasRecFail, flags };
+      for (const rule of rules) {
+        if (ruleMatches(rule.when, facts)) return rule.statusIri;
+      }
+      return IAO.PENDING_FINAL_VETTING;
+    }
+  };
 }
 
 function buildRequirementTypeMap(manifest) {
@@ -37,10 +122,153 @@ function buildRequirementTypeMap(manifest) {
   return map;
 }
 
-export function computePerResourceCuration(results, manifest, allResources) {
+const PREFIXES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  skos: 'http://www.w3.org/2004/02/skos/core#'
+};
+
+function expandIri(name) {
+  const m = /^([A-Za-z][\w-]*):(.*)$/.exec(name);
+  return m && PREFIXES[m[1]] ? PREFIXES[m[1]] + m[2] : name;
+}
+
+// Query scopes and how both grader functions treat their rows:
+//   ontology — one verdict for the whole ontology (every ASK query, or a
+//              SELECT whose rows are evidence against the ontology). Fails
+//              the requirement in the ontology report; never graded per resource.
+//   TBox     — rows name schema terms (classes, properties, datatypes).
+//   ABox     — rows name individuals.
+//   resource — rows name any term.
+// TBox, ABox and resource rows fail the named resource, both in the
+// per-resource table and in the requirement's failing resources. The scope
+// also decides which resources a requirement applies to for the score,
+// unless the requirement lists `appliesTo` types.
+export const SCOPES = ['ontology', 'TBox', 'ABox', 'resource'];
+
+const TBOX_TYPES = new Set([
+  'owl:Class', 'rdfs:Class', 'rdfs:Datatype', 'rdf:Property',
+  'owl:ObjectProperty', 'owl:DatatypeProperty', 'owl:AnnotationProperty',
+  'owl:FunctionalProperty', 'owl:InverseFunctionalProperty', 'owl:TransitiveProperty',
+  'owl:SymmetricProperty', 'owl:AsymmetricProperty', 'owl:ReflexiveProperty', 'owl:IrreflexiveProperty',
+  'owl:DeprecatedClass', 'owl:DeprecatedProperty'
+].map(expandIri));
+const OWL_ONTOLOGY = expandIri('owl:Ontology');
+
+function scopeOf(row) {
+  return SCOPES.includes(row.scope) ? row.scope : 'resource';
+}
+
+// Requirement metadata used for scoring. The level is the scope of the
+// queries checking the requirement, or "resource" when they disagree.
+function buildRequirementIndex(manifest) {
+  const index = new Map();
+  if (!manifest || !Array.isArray(manifest.requirements)) return index;
+
+  const scopes = new Map();
+  for (const q of manifest.queries || []) {
+    if (!q.checksConformityTo) continue;
+    if (!scopes.has(q.checksConformityTo)) scopes.set(q.checksConformityTo, new Set());
+    scopes.get(q.checksConformityTo).add(q.kind === 'ASK' ? 'ontology' : scopeOf(q));
+  }
+
+  for (const r of manifest.requirements) {
+    if (!r || !r.id) continue;
+    const queryScopes = Array.from(scopes.get(r.id) || []);
+    index.set(r.id, {
+      id: r.id,
+      type: r.type === 'recommendation' ? 'recommendation' : 'requirement',
+      weight: typeof r.weight === 'number' ? r.weight : 1,
+      level: queryScopes.length === 1 ? queryScopes[0] : 'resource',
+      appliesTo: Array.isArray(r.appliesTo) ? new Set(r.appliesTo.map(expandIri)) : null
+    });
+  }
+  return index;
+}
+
+// Without type information every resource-level requirement applies.
+function appliesTo(requirement, resource, resourceTypes) {
+  if (requirement.level === 'ontology') return false;
+  if (!resourceTypes) return true;
+  const types = resourceTypes[resource] || [];
+  if (requirement.appliesTo) return types.some(t => requirement.appliesTo.has(t));
+  if (requirement.level === 'TBox') return types.some(t => TBOX_TYPES.has(t));
+  if (requirement.level === 'ABox') {
+    return types.some(t => !TBOX_TYPES.has(t) && t !== OWL_ONTOLOGY) && !types.some(t => TBOX_TYPES.has(t));
+  }
+  return true;
+}
+
+// Maps an ontology score to a curation status: the first threshold (from
+// the highest minScore down) that the score reaches.
+const DEFAULT_SCORE_THRESHOLDS = [
+  { minScore: 1, status: 'pending final vetting' },
+  { minScore: 0.9, status: 'metadata complete' },
+  { minScore: 0.5, status: 'metadata incomplete' },
+  { minScore: 0, status: 'uncurated' }
+];
+
+function scoreStatusIri(score, manifest) {
+  const configured = manifest && manifest.scoring && manifest.scoring.thresholds;
+  const thresholds = (configured || DEFAULT_SCORE_THRESHOLDS)
+    .slice()
+    .sort((a, b) => b.minScore - a.minScore);
+  for (const t of thresholds) {
+    if (score >= t.minScore) return statusIriFor(t.status);
+  }
+  return IAO.UNCURATED;
+}
+
+function weightedShare(parts) {
+  let total = 0;
+  let passed = 0;
+  for (const { weight, share } of parts) {
+    total += weight;
+    passed += weight * share;
+  }
+  return total > 0 ? passed / total : null;
+}
+
+// Only rows about resources of the main ontology are graded when
+// options.mainResources is given; rows about terms that exist only in
+// imported graphs are dropped.
+function mainOntologyFilter(options) {
+  if (!options || !options.mainResources) return () => true;
+  const main = new Set(options.mainResources);
+  return row => row.scope === 'ontology' || !row.resource || main.has(row.resource);
+}
+
+// requirementId → IDs of its checks that errored or timed out (from the
+// engine's diagnostics). Such a requirement is never graded as passed.
+function erroredChecks(diagnostics) {
+  const errored = new Map();
+  for (const d of diagnostics || []) {
+    if (d.outcome === 'ok' || !d.requirementId) continue;
+    if (!errored.has(d.requirementId)) errored.set(d.requirementId, []);
+    errored.get(d.requirementId).push(d.queryId);
+  }
+  return errored;
+}
+
+// options.mainResources: IRIs of the main ontology (see mainOntologyFilter)
+// options.resourceTypes: { iri: [rdf:type IRIs] }, for requirement `appliesTo`
+// options.diagnostics: per-query outcomes from the engine
+// options.ontologyIri: the ontology node, graded by computeOntologyReport
+// instead of as a term
+// options.locations: { iri: { file, startLine, endLine } } from the parser,
+// copied to each entry's location (null when unknown)
+export function computePerResourceCuration(results, manifest, allResources, options = {}) {
   const reqType = buildRequirementTypeMap(manifest);
+  const reqIndex = buildRequirementIndex(manifest);
+  const policy = buildStatusPolicy(manifest);
+  const errored = erroredChecks(options.diagnostics);
   const per = new Map();
-  const rows = Array.isArray(results) ? results : [];
+  const inMain = mainOntologyFilter(options);
+  const isTerm = iri => !options.ontologyIri || iri !== options.ontologyIri;
+  const rows = (Array.isArray(results) ? results : [])
+    .filter(inMain)
+    .filter(row => scopeOf(row) !== 'ontology' && isTerm(row.resource));
 
   for (const row of rows) {
     const resource = row.resource || 'urn:resource:unknown';
@@ -59,11 +287,8 @@ export function computePerResourceCuration(results, manifest, allResources) {
         resource,
         failedRequirements: new Set(),
         failedRecommendations: new Set(),
-        flags: {
-          uncurated: false,
-          requiresDiscussion: false,
-          readyForRelease: false
-        }
+        waivedRequirements: new Set(),
+        flags: policy.newFlags()
       };
       per.set(resource, entry);
     }
@@ -75,24 +300,22 @@ export function computePerResourceCuration(results, manifest, allResources) {
         entry.failedRecommendations.add(requirementId);
       }
     }
+    if (status === 'waived' && requirementId) entry.waivedRequirements.add(requirementId);
 
-    if (status === 'fail' && queryId === 'q_onlyLabel') {
-      entry.flags.uncurated = true;
+    for (const flag of policy.flagsRaisedBy(row)) {
+      entry.flags[flag] = true;
     }
   }
 
   if (Array.isArray(allResources)) {
     for (const iri of allResources) {
-      if (!per.has(iri)) {
+      if (!per.has(iri) && isTerm(iri)) {
         per.set(iri, {
           resource: iri,
           failedRequirements: new Set(),
           failedRecommendations: new Set(),
-          flags: {
-            uncurated: false,
-            requiresDiscussion: false,
-            readyForRelease: false
-          }
+          waivedRequirements: new Set(),
+          flags: policy.newFlags()
         });
       }
     }
@@ -103,23 +326,52 @@ export function computePerResourceCuration(results, manifest, allResources) {
     const hasReqFail = entry.failedRequirements.size > 0;
     const hasRecFail = entry.failedRecommendations.size > 0;
 
-    const statusIri = statusPolicy(hasReqFail, hasRecFail, entry.flags || {});
+    const statusIri = policy.statusOf(hasReqFail, hasRecFail, entry.flags || {});
     const statusLabel = IAO_LABELS[statusIri] || 'unknown';
 
+    // Weighted share of the applicable requirements and recommendations
+    // this resource passes; null when none apply. Errored requirements are
+    // left out unless the resource is known to fail them.
+    const parts = [];
+    for (const req of reqIndex.values()) {
+      const failed = entry.failedRequirements.has(req.id) || entry.failedRecommendations.has(req.id);
+      if (!failed && (errored.has(req.id) || !appliesTo(req, entry.resource, options.resourceTypes))) continue;
+      parts.push({ weight: req.weight, share: failed ? 0 : 1 });
+    }
+
     out.push({
       resource: entry.resource,
       statusIri,
       statusLabel,
       failedRequirements: Array.from(entry.failedRequirements),
-      failedRecommendations: Array.from(entry.failedRecommendations)
+      failedRecommendations: Array.from(entry.failedRecommendations),
+      waivedRequirements: Array.from(entry.waivedRequirements),
+      flags: { ...entry.flags },
+      score: weightedShare(parts),
+      location: (options.locations && options.locations[entry.resource]) || null
     });
   }
 
   return out;
 }
 
-export function computeOntologyReport(results, manifest, ontologyIri) {
-  const reqType = buildRequirementTypeMap(manifest);
+// options.versionIri: the ontology's owl:versionIRI, copied into the report
+// options.mainResources, options.resourceTypes: as for computePerResourceCuration
+// options.resources: the graded resources, for each requirement's applicable count
+// options.imports: { loaded, unresolved } from the engine, copied into the report
+// options.diagnostics: per-query outcomes from the engine, copied into the report
+// options.inference: whether inference ran, with its summary, copied into the report
+// options.languageCoverage: from languages.js computeLanguageCoverage, copied into the report
+// options.waivers: from waivers.js applyWaivers, copied into the report; the
+// waived rows themselves have status 'waived' and pass like any non-failure
+// options.endpoint: { url, graph } when the ontology was read from a SPARQL
+// endpoint (endpoint.js), copied into the report
+// options.parseWarnings: what the parser skipped or could not read, copied into the report
+export function computeOntologyReport(results, manifest, ontologyIri, options = {}) {
+  const policy = buildStatusPolicy(manifest);
+  const reqIndex = buildRequirementIndex(manifest);
+  const errored = erroredChecks(options.diagnostics);
+  const flags = policy.newFlags();
   const requirements = new Map();
 
   if (manifest && Array.isArray(manifest.requirements)) {
@@ -128,26 +380,37 @@ export function computeOntologyReport(results, manifest, ontologyIri) {
         id: r.id,
         type: r.type === 'recommendation' ? 'recommendation' : 'requirement',
         weight: typeof r.weight === 'number' ? r.weight : 1,
+        pack: r.pack || null,
         failedResourcesCount: 0,
         failingResources: new Set(),
+        evidence: [],
         hasFail: false
       });
     }
   }
 
-  const rows = Array.isArray(results) ? results : [];
+  const inMain = mainOntologyFilter(options);
+  const rows = (Array.isArray(results) ? results : []).filter(inMain);
   for (const row of rows) {
     const requirementId = row.requirementId || null;
     const status = row.status || 'fail';
-    const scope = row.scope || 'resource';
+    const scope = scopeOf(row);
     const resource = row.resource || null;
 
+    // Flags on the owl:Ontology node itself (e.g. a sign-off) apply to
+    // the ontology status.
+    if (resource && resource === ontologyIri) {
+      for (const flag of policy.flagsRaisedBy(row)) flags[flag] = true;
+    }
+
     if (!requirementId || !requirements.has(requirementId)) continue;
 
     const entry = requirements.get(requirementId);
     if (status === 'fail') {
       entry.hasFail = true;
-      if (scope === 'resource' && resource) {
+      if (scope === 'ontology') {
+        if (row.evidence) entry.evidence.push(row.evidence);
+      } else if (resource && resource !== ontologyIri) {
         entry.failingResources.add(resource);
       }
     }
@@ -156,34 +419,91 @@ export function computeOntologyReport(results, manifest, ontologyIri) {
   let hasReqFail = false;
   let hasRecFail = false;
   const requirementList = [];
+  const graded = new Set((options.resources || []).filter(r => inMain({ resource: r })));
+  for (const row of rows) {
+    if (row.resource && scopeOf(row) !== 'ontology') graded.add(row.resource);
+  }
+  graded.delete('urn:resource:unknown');
+  graded.delete(ontologyIri);
 
   for (const entry of requirements.values()) {
     const failedCount = entry.failingResources.size;
     entry.failedResourcesCount = failedCount;
-    const status = entry.hasFail ? 'fail' : 'pass';
+    // A check that errored or timed out may have missed failures: the
+    // requirement is 'errored' and counts against the ontology like a failure.
+    const erroredQueries = errored.get(entry.id) || [];
+    let status = 'pass';
+    if (entry.hasFail) status = 'fail';
+    else if (erroredQueries.length) status = 'errored';
     entry.status = status;
 
-    if (entry.type === 'requirement' && entry.hasFail) hasReqFail = true;
-    if (entry.type === 'recommendation' && entry.hasFail) hasRecFail = true;
+    const notPassed = status !== 'pass';
+    if (entry.type === 'requirement' && notPassed) hasReqFail = true;
+    if (entry.type === 'recommendation' && notPassed) hasRecFail = true;
+
+    // Pass share: the ontology-level check itself, or the share of the
+    // resources it applies to that pass it.
+    const meta = reqIndex.get(entry.id) || { level: 'resource', appliesTo: null };
+    let applicableCount;
+    let passShare;
+    if (meta.level === 'ontology') {
+      applicableCount = 1;
+      passShare = entry.hasFail ? 0 : 1;
+    } else {
+      const applicable = new Set(entry.failingResources);
+      for (const resource of graded) {
+        if (appliesTo(meta, resource, options.resourceTypes)) applicable.add(resource);
+      }
+      applicableCount = applicable.size;
+      passShare = applicableCount ? (applicableCount - failedCount) / applicableCount : null;
+      if (entry.hasFail && !failedCount) passShare = 0;
+    }
+    if (erroredQueries.length) passShare = 0;
 
     requirementList.push({
       id: entry.id,
       type: entry.type,
       weight: entry.weight,
+      pack: entry.pack,
+      scope: meta.level,
       status,
       failedResourcesCount: failedCount,
-      failingResources: Array.from(entry.failingResources)
+      failingResources: Array.from(entry.failingResources),
+      evidence: entry.evidence,
+      erroredQueries,
+      applicableCount,
+      passShare
     });
   }
 
-  const flags = {};
-  const statusIri = statusPolicy(hasReqFail, hasRecFail, flags);
+  const statusIri = policy.statusOf(hasReqFail, hasRecFail, flags);
   const statusLabel = IAO_LABELS[statusIri] || 'unknown';
 
+  // Ontology score: weighted mean of the per-requirement pass shares, so a
+  // requirement counts by its weight however many resources it covers.
+  const score = weightedShare(requirementList
+    .filter(r => r.passShare !== null)
+    .map(r => ({ weight: r.weight, share: r.passShare })));
+  const scoreIri = score === null ? null : scoreStatusIri(score, manifest);
+
   return {
     ontologyIri: ontologyIri || 'urn:ontology:unknown',
+    versionIri: options.versionIri || null,
     statusIri,
     statusLabel,
-    requirements: requirementList
+    score,
+    scoreStatusIri: scoreIri,
+    scoreStatusLabel: scoreIri ? IAO_LABELS[scoreIri] : null,
+    requirements: requirementList,
+    imports: {
+      loaded: options.imports ? options.imports.loaded : [],
+      unresolved: options.imports ? options.imports.unresolved : []
+    },
+    diagnostics: options.diagnostics || [],
+    inference: options.inference || { enabled: false },
+    languageCoverage: options.languageCoverage || null,
+    waivers: options.waivers || { waived: [], expired: [], unneeded: [], invalid: [] },
+    parseWarnings: options.parseWarnings || [],
+    endpoint: options.endpoint || null
   };
 }
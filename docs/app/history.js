@@ -0,0 +1,150 @@
+// app/history.js (ES module)
+//
+// Curation history: a summary of every run, kept in the browser's IndexedDB
+// so trends survive reloads. A run record is
+//   { id, key, ontologyIri, versionIri, fileName, timestamp, status, score,
+//     requirements: { requirementId: failed resource count },
+//     resources: { iri: status label } }
+// where key is the ontology IRI plus its owl:versionIRI. Exported history is
+// { format: 'ocm-history', version: 1, runs: [records without id] }.
+
+const DB_NAME = 'ocm-history';
+const DB_VERSION = 1;
+const RUNS = 'runs';
+export const HISTORY_FORMAT = 'ocm-history';
+
+export function historyKey(ontologyIri, versionIri) {
+  return versionIri ? `${ontologyIri} ${versionIri}` : ontologyIri;
+}
+
+// run: an evaluateOntology() result (fileName, ontologyReport, perResource).
+export function runRecord(run, timestamp = new Date().toISOString()) {
+  const report = run.ontologyReport;
+  const requirements = {};
+  for (const r of report.requirements || []) requirements[r.id] = r.failedResourcesCount || 0;
+  const resources = {};
+  for (const r of run.perResource || []) resources[r.resource] = r.statusLabel;
+  return {
+    key: historyKey(report.ontologyIri, report.versionIri),
+    ontologyIri: report.ontologyIri,
+    versionIri: report.versionIri || null,
+    fileName: run.fileName || null,
+    timestamp,
+    status: report.statusLabel,
+    score: report.score ?? null,
+    requirements,
+    resources
+  };
+}
+
+// --- IndexedDB ---
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+let dbPromise = null;
+
+function openHistory() {
+  if (!globalThis.indexedDB) return Promise.reject(new Error('This browser has no IndexedDB; history is not kept.'));
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const runs = req.result.createObjectStore(RUNS, { keyPath: 'id', autoIncrement: true });
+      runs.createIndex('key', 'key');
+      runs.createIndex('ontologyIri', 'ontologyIri');
+    };
+    dbPromise = request(req).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+// Runs work(objectStore) in one transaction; resolves once it has committed.
+async function withRuns(mode, work) {
+  const db = await openHistory();
+  const tx = db.transaction(RUNS, mode);
+  const committed = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([work(tx.objectStore(RUNS)), committed]);
+  return result;
+}
+
+function byTimestamp(a, b) {
+  return a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0;
+}
+
+export function saveRun(record) {
+  return withRuns('readwrite', runs => request(runs.add(record)));
+}
+
+// Every run, or those of one ontology (all its versions), oldest first.
+export async function loadRuns(ontologyIri = null) {
+  const runs = await withRuns('readonly', store => ontologyIri
+    ? request(store.index('ontologyIri').getAll(ontologyIri))
+    : request(store.getAll()));
+  return runs.sort(byTimestamp);
+}
+
+export function clearHistory() {
+  return withRuns('readwrite', runs => request(runs.clear()));
+}
+
+// --- sharing ---
+export function historyToJson(runs) {
+  return JSON.stringify({
+    format: HISTORY_FORMAT,
+    version: 1,
+    runs: runs.map(({ id, ...record }) => record)
+  }, null, 2) + '\n';
+}
+
+export function parseHistoryJson(text) {
+  const data = JSON.parse(text);
+  if (!data || data.format !== HISTORY_FORMAT || !Array.isArray(data.runs)) {
+    throw new Error('Not an exported curation history.');
+  }
+  for (const run of data.runs) {
+    if (!run || typeof run.ontologyIri !== 'string' || typeof run.timestamp !== 'string' || !run.resources) {
+      throw new Error('The history has a run without ontologyIri, timestamp or resources.');
+    }
+  }
+  return data.runs.map(({ id, ...run }) => ({ ...run, key: historyKey(run.ontologyIri, run.versionIri) }));
+}
+
+// Adds the runs not already stored (same key and timestamp); → number added.
+export async function importRuns(runs) {
+  const known = new Set((await loadRuns()).map(r => r.key + '\n' + r.timestamp));
+  const fresh = runs.filter(r => !known.has(r.key + '\n' + r.timestamp));
+  await withRuns('readwrite', store => Promise.all(fresh.map(run => request(store.add(run)))));
+  return fresh.length;
+}
+
+// --- trends ---
+// Share of the run's graded resources in each status, as { label: share }.
+export function statusShares(run) {
+  const statuses = Object.values(run.resources);
+  const shares = {};
+  for (const status of statuses) shares[status] = (shares[status] || 0) + 1;
+  for (const status of Object.keys(shares)) shares[status] /= statuses.length;
+  return shares;
+}
+
+// iri → [status label, or null when the run did not grade it], one entry
+// per run in the given order.
+export function resourceTimelines(runs) {
+  const iris = new Set();
+  for (const run of runs) for (const iri of Object.keys(run.resources)) iris.add(iri);
+  const timelines = new Map();
+  for (const iri of Array.from(iris).sort()) {
+    timelines.set(iri, runs.map(run => run.resources[iri] || null));
+  }
+  return timelines;
+}
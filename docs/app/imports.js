@@ -0,0 +1,163 @@
+// app/imports.js (ES module)
+//
+// owl:imports closure: resolves imported ontologies against a Protégé-style
+// XML catalog (catalog-v001.xml) or against other files supplied with the
+// run, and loads each one into its own named graph of the store.
+
+import { parseOntologyText } from './formats.js';
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const OWL_ONTOLOGY = 'http://www.w3.org/2002/07/owl#Ontology';
+const OWL_IMPORTS = 'http://www.w3.org/2002/07/owl#imports';
+const OWL_VERSION_IRI = 'http://www.w3.org/2002/07/owl#versionIRI';
+
+export const CATALOG_FILENAME = 'catalog-v001.xml';
+
+export function isCatalogFile(name) {
+  return /(^|[\\/])catalog(-v\d+)?\.xml$/i.test(name || '');
+}
+
+// Parse an OASIS XML catalog into a Map of IRI → location (as written in the
+// catalog, usually a path relative to the catalog file).
+export function parseXmlCatalog(text) {
+  const DOMParserImpl = globalThis.DOMParser;
+  if (!DOMParserImpl) throw new Error('Reading the XML catalog requires a DOMParser implementation.');
+
+  const doc = new DOMParserImpl().parseFromString(text, 'application/xml');
+  const entries = new Map();
+  const uris = doc.getElementsByTagName('uri');
+  for (let i = 0; i < uris.length; i++) {
+    const el = uris[i];
+    const name = el.getAttribute('name');
+    const uri = el.getAttribute('uri');
+    if (name && uri) entries.set(name, uri);
+  }
+  return entries;
+}
+
+function normalizeLocation(location) {
+  return String(location || '')
+    .replace(/^file:\/\//, '')
+    .replace(/\\/g, '/')
+    .replace(/^(\.\/)+/, '');
+}
+
+function basename(location) {
+  const parts = normalizeLocation(location).split('/');
+  return parts[parts.length - 1];
+}
+
+function ontologyIdsOf(quads) {
+  const ids = new Set();
+  for (const q of quads) {
+    if (q.predicate.value === RDF_TYPE && q.object.value === OWL_ONTOLOGY) ids.add(q.subject.value);
+  }
+  for (const q of quads) {
+    if (q.predicate.value === OWL_VERSION_IRI && ids.has(q.subject.value)) ids.add(q.object.value);
+  }
+  return ids;
+}
+
+// The file name an import IRI suggests, without extension: "bfo" for
+// http://purl.obolibrary.org/obo/bfo.owl or .../bfo/.
+function stemOf(location) {
+  return basename(String(location || '').replace(/[#?].*$/, '').replace(/\/+$/, '')).replace(/\.[^.]*$/, '').toLowerCase();
+}
+
+// candidates: [{ name, location?, key?, read: async () => text }]
+// catalog: Map of IRI → location, from parseXmlCatalog()
+// ontologyIds: Map of candidate key (default: location or name) → Set of
+// its ontology IRIs and version IRIs. Pass the same Map to the resolvers of
+// every file in a batch so each candidate is parsed for its IDs only once.
+// An import is looked up in the catalog, then in the candidates named after
+// it, and only then in every other candidate by ontology ID.
+// Returns an async function (iri) → { fileName, quads, format } | null.
+export function createImportResolver({ candidates = [], catalog = null, ontologyIds = new Map() } = {}) {
+  const parsed = new Map();
+  const keyOf = candidate => candidate.key || candidate.location || candidate.name;
+
+  async function parseCandidate(candidate) {
+    if (!parsed.has(candidate)) {
+      parsed.set(candidate, (async () => {
+        const text = await candidate.read();
+        const { quads, format } = await parseOntologyText(text, candidate.name);
+        const ids = ontologyIdsOf(quads);
+        ontologyIds.set(keyOf(candidate), ids);
+        return { fileName: candidate.name, quads, format, ids };
+      })());
+    }
+    return parsed.get(candidate);
+  }
+
+  async function hasId(candidate, iri) {
+    const known = ontologyIds.get(keyOf(candidate));
+    if (known) return known.has(iri);
+    return (await parseCandidate(candidate)).ids.has(iri);
+  }
+
+  function byLocation(location) {
+    const target = normalizeLocation(location);
+    const exact = candidates.find(c => normalizeLocation(c.location || c.name) === target);
+    if (exact) return exact;
+    const suffix = candidates.find(c => normalizeLocation(c.location || c.name).endsWith('/' + target));
+    if (suffix) return suffix;
+    return candidates.find(c => basename(c.location || c.name) === basename(target)) || null;
+  }
+
+  return async function resolveImport(iri) {
+    if (catalog && catalog.has(iri)) {
+      const candidate = byLocation(catalog.get(iri));
+      if (candidate) return parseCandidate(candidate);
+    }
+    const stem = stemOf(iri);
+    const named = candidates.filter(c => stemOf(c.name) === stem);
+    for (const candidate of named.concat(candidates.filter(c => !named.includes(c)))) {
+      if (await hasId(candidate, iri)) return parseCandidate(candidate);
+    }
+    return null;
+  };
+}
+
+// Follow owl:imports transitively from the main ontology (default graph) and
+// load every resolved import into a named graph named after the import IRI.
+// Returns { loaded: [{ iri, fileName }], unresolved: [{ iri, importedBy, reason }] }.
+export async function loadImportsClosure(store, resolveImport) {
+  const { namedNode, defaultGraph, quad } = globalThis.N3.DataFactory;
+  const loaded = [];
+  const unresolved = [];
+  const seen = new Set();
+
+  const queue = store
+    .getQuads(null, namedNode(OWL_IMPORTS), null, defaultGraph())
+    .map(q => ({ iri: q.object.value, importedBy: q.subject.value }));
+
+  while (queue.length) {
+    const { iri, importedBy } = queue.shift();
+    if (seen.has(iri)) continue;
+    seen.add(iri);
+
+    let entry = null;
+    try {
+      entry = resolveImport ? await resolveImport(iri) : null;
+    } catch (err) {
+      unresolved.push({ iri, importedBy, reason: err.message });
+      continue;
+    }
+    if (!entry) {
+      unresolved.push({ iri, importedBy, reason: 'not found in catalog or supplied files' });
+      continue;
+    }
+
+    const graph = namedNode(iri);
+    store.addQuads(entry.quads.map(q => quad(q.subject, q.predicate, q.object, graph)));
+    loaded.push({ iri, fileName: entry.fileName });
+
+    for (const q of entry.quads) {
+      if (q.predicate.value === OWL_IMPORTS && !seen.has(q.object.value)) {
+        queue.push({ iri: q.object.value, importedBy: iri });
+      }
+    }
+  }
+
+  return { loaded, unresolved };
+}
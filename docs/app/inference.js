@@ -0,0 +1,225 @@
+// app/inference.js (ES module)
+//
+// Optional RDFS and OWL 2 RL inference before the checks. The entailments are
+// materialized into their own N3.Store, in the graph INFERRED_GRAPH, so the
+// asserted triples stay as they were. A manifest query picks what it runs
+// against with "graph": "asserted" (the default), "inferred" or "both"; a
+// manifest (or the UI and the CLI) turns inference on with "inference": true.
+//
+// The rules are a subset chosen for the curation checks, named as in the
+// OWL 2 RL profile:
+//   scm-sco, scm-eqc1, scm-int, scm-uni   class hierarchy, with equivalent
+//                                         classes, intersections and unions
+//   scm-spo, scm-eqp1                     property hierarchy
+//   cax-sco                               types through superclasses
+//   prp-spo1, prp-dom, prp-rng            subproperties, domains and ranges
+//   prp-inv1/2, prp-symp, prp-trp         inverse, symmetric and transitive
+//                                         properties
+// Class and property hierarchies are closed first; the instance rules then
+// run to a fixpoint.
+
+export const INFERRED_GRAPH = 'urn:ocm:graph:inferred';
+export const GRAPH_MODES = ['asserted', 'inferred', 'both'];
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+const OWL = 'http://www.w3.org/2002/07/owl#';
+const RDF_TYPE = RDF + 'type';
+const RDF_FIRST = RDF + 'first';
+const RDF_REST = RDF + 'rest';
+const RDF_NIL = RDF + 'nil';
+const RDFS_SUBCLASS_OF = RDFS + 'subClassOf';
+const RDFS_SUBPROPERTY_OF = RDFS + 'subPropertyOf';
+
+// The mode a query runs in: its declared graph when inference ran, else the
+// asserted triples.
+export function queryGraphMode(qMeta, inferred) {
+  if (!inferred) return 'asserted';
+  return GRAPH_MODES.includes(qMeta.graph) ? qMeta.graph : 'asserted';
+}
+
+// The manifest with inference turned on or off, when that is given.
+export function withInference(manifest, enabled) {
+  return typeof enabled === 'boolean' ? { ...manifest, inference: enabled } : manifest;
+}
+
+function termKey(term) {
+  return term.termType === 'BlankNode' ? '_:' + term.value : term.termType + ':' + term.value;
+}
+
+// A graph of term → Set of term, with the terms kept by key.
+function createRelation() {
+  const terms = new Map();
+  const edges = new Map();
+  return {
+    terms,
+    edges,
+    add(from, to) {
+      const a = termKey(from);
+      const b = termKey(to);
+      if (a === b) return;
+      terms.set(a, from);
+      terms.set(b, to);
+      if (!edges.has(a)) edges.set(a, new Set());
+      edges.get(a).add(b);
+    },
+    // Everything reachable from the term, without the term itself.
+    closure(key) {
+      const seen = new Set();
+      const queue = Array.from(edges.get(key) || []);
+      while (queue.length) {
+        const next = queue.pop();
+        if (seen.has(next) || next === key) continue;
+        seen.add(next);
+        for (const further of edges.get(next) || []) queue.push(further);
+      }
+      return seen;
+    }
+  };
+}
+
+function readList(store, head) {
+  const { namedNode } = globalThis.N3.DataFactory;
+  const items = [];
+  const visited = new Set();
+  let node = head;
+  while (node && node.value !== RDF_NIL && !visited.has(termKey(node))) {
+    visited.add(termKey(node));
+    const first = store.getObjects(node, namedNode(RDF_FIRST), null);
+    if (first.length) items.push(first[0]);
+    node = store.getObjects(node, namedNode(RDF_REST), null)[0];
+  }
+  return items;
+}
+
+// Class and property hierarchies, domains, ranges and property
+// characteristics, from every graph of the store (imports included).
+function readSchema(store) {
+  const { namedNode } = globalThis.N3.DataFactory;
+  const each = (predicate, fn) => {
+    for (const q of store.getQuads(null, namedNode(predicate), null, null)) fn(q.subject, q.object);
+  };
+  const classes = createRelation();
+  const properties = createRelation();
+  const domains = new Map();
+  const ranges = new Map();
+  const inverses = new Map();
+  const symmetric = new Set();
+  const transitive = new Set();
+  const addTo = (map, key, term) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(term);
+  };
+
+  each(RDFS_SUBCLASS_OF, (s, o) => classes.add(s, o));
+  each(OWL + 'equivalentClass', (s, o) => {
+    classes.add(s, o);
+    classes.add(o, s);
+  });
+  each(OWL + 'intersectionOf', (s, o) => {
+    for (const member of readList(store, o)) classes.add(s, member);
+  });
+  each(OWL + 'unionOf', (s, o) => {
+    for (const member of readList(store, o)) classes.add(member, s);
+  });
+  each(RDFS_SUBPROPERTY_OF, (s, o) => properties.add(s, o));
+  each(OWL + 'equivalentProperty', (s, o) => {
+    properties.add(s, o);
+    properties.add(o, s);
+  });
+  each(RDFS + 'domain', (s, o) => addTo(domains, s.value, o));
+  each(RDFS + 'range', (s, o) => addTo(ranges, s.value, o));
+  each(OWL + 'inverseOf', (s, o) => {
+    addTo(inverses, s.value, o);
+    addTo(inverses, o.value, s);
+  });
+  for (const s of store.getSubjects(namedNode(RDF_TYPE), namedNode(OWL + 'SymmetricProperty'), null)) symmetric.add(s.value);
+  for (const s of store.getSubjects(namedNode(RDF_TYPE), namedNode(OWL + 'TransitiveProperty'), null)) transitive.add(s.value);
+
+  return { classes, properties, domains, ranges, inverses, symmetric, transitive };
+}
+
+// Materializes the entailments of the store.
+// options.maxTriples: stop with an error past this many inferred triples
+// → { store: N3.Store of the inferred triples (graph INFERRED_GRAPH),
+//     summary: { triples, durationMs, rules: { rule name: triples } } }
+export function materializeInferences(store, options = {}) {
+  const { namedNode, quad } = globalThis.N3.DataFactory;
+  const started = Date.now();
+  const graph = namedNode(INFERRED_GRAPH);
+  const inferred = new globalThis.N3.Store();
+  const rules = {};
+  // N3.Store recounts its size after every addition, so count here.
+  let count = 0;
+  const maxTriples = options.maxTriples || Infinity;
+  const queue = [];
+  const type = namedNode(RDF_TYPE);
+
+  function infer(rule, subject, predicate, object) {
+    if (subject.termType === 'Literal') return;
+    if (store.countQuads(subject, predicate, object, null) || inferred.countQuads(subject, predicate, object, graph)) return;
+    const q = quad(subject, predicate, object, graph);
+    inferred.addQuad(q);
+    rules[rule] = (rules[rule] || 0) + 1;
+    if (++count > maxTriples) {
+      throw new Error(`Inference stopped after ${maxTriples} inferred triples, the limit set for this run.`);
+    }
+    queue.push(q);
+  }
+
+  // --- class and property hierarchies ---
+  const schema = readSchema(store);
+  const superClasses = new Map();
+  for (const key of schema.classes.edges.keys()) {
+    const ancestors = Array.from(schema.classes.closure(key), k => schema.classes.terms.get(k));
+    superClasses.set(key, ancestors);
+    const cls = schema.classes.terms.get(key);
+    if (cls.termType !== 'NamedNode') continue;
+    for (const sup of ancestors) infer('scm-sco', cls, namedNode(RDFS_SUBCLASS_OF), sup);
+  }
+  const superProperties = new Map();
+  for (const key of schema.properties.edges.keys()) {
+    const ancestors = Array.from(schema.properties.closure(key), k => schema.properties.terms.get(k))
+      .filter(p => p.termType === 'NamedNode');
+    const property = schema.properties.terms.get(key);
+    superProperties.set(property.value, ancestors);
+    if (property.termType !== 'NamedNode') continue;
+    for (const sup of ancestors) infer('scm-spo', property, namedNode(RDFS_SUBPROPERTY_OF), sup);
+  }
+
+  // --- instance rules, to a fixpoint ---
+  function apply(q) {
+    const { subject: s, predicate: p, object: o } = q;
+    const objectIsResource = o.termType !== 'Literal';
+    if (p.value === RDF_TYPE && objectIsResource) {
+      for (const sup of superClasses.get(termKey(o)) || []) infer('cax-sco', s, type, sup);
+    }
+    const supers = superProperties.get(p.value) || [];
+    for (const sup of supers) infer('prp-spo1', s, sup, o);
+    for (const property of [p].concat(supers)) {
+      for (const cls of schema.domains.get(property.value) || []) infer('prp-dom', s, type, cls);
+      if (objectIsResource) {
+        for (const cls of schema.ranges.get(property.value) || []) infer('prp-rng', o, type, cls);
+      }
+    }
+    if (!objectIsResource) return;
+    for (const inverse of schema.inverses.get(p.value) || []) {
+      if (inverse.termType === 'NamedNode') infer('prp-inv', o, inverse, s);
+    }
+    if (schema.symmetric.has(p.value)) infer('prp-symp', o, p, s);
+    if (schema.transitive.has(p.value)) {
+      for (const source of [store, inferred]) {
+        for (const next of source.getObjects(o, p, null)) infer('prp-trp', s, p, next);
+        for (const prev of source.getSubjects(p, s, null)) infer('prp-trp', prev, p, o);
+      }
+    }
+  }
+
+  for (const q of store.readQuads(null, null, null, null)) apply(q);
+  while (queue.length) apply(queue.pop());
+
+  return {
+    store: inferred,
+    summary: { triples: count, durationMs: Date.now() - started, rules }
+  };
+}
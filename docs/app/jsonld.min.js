@@ -0,0 +1,3 @@
+/*! For license information please see jsonld.min.js.LICENSE.txt */
+!function(e,t){"object"==typeof exports&&"object"==typeof module?module.exports=t():"function"==typeof define&&define.amd?define([],t):"object"==typeof exports?exports.jsonld=t():e.jsonld=t()}(this,()=>(()=>{var e={34:(e,t,n)=>{"use strict";var r=n(4901);e.exports=function(e){return"object"==typeof e?null!==e:r(e)}},81:(e,t,n)=>{"use strict";var r=n(9565),o=n(9306),i=n(8551),a=n(6823),s=n(851),c=TypeError;e.exports=function(e,t){var n=arguments.length<2?s(e):t;if(o(n))return i(r(n,e));throw new c(a(e)+" is not iterable")}},256:(e,t,n)=>{"use strict";const r=n(8937),{isArray:o,isObject:i,isString:a,isUndefined:s}=n(4340),{isList:c,isValue:u,isGraph:l,isSimpleGraph:d,isSubjectReference:p}=n(2460),{expandIri:f,getContextValue:h,isKeyword:v,process:g,processingMode:y}=n(394),{removeBase:x,prependBase:m}=n(4540),{REGEX_KEYWORD:w,addValue:b,asArray:I,compareShortestLeast:S}=n(1869),j={};function E(e,t,n){if("@nest"!==f(e,t,{vocab:!0},n))throw new r("JSON-LD compact error; nested property must have an @nest value resolving to @nest.","jsonld.SyntaxError",{code:"invalid @nest value"})}e.exports=j,j.compact=async({activeCtx:e,activeProperty:t=null,element:n,options:f={}})=>{if(o(n)){let r=[];for(let o=0;o<n.length;++o){const i=await j.compact({activeCtx:e,activeProperty:t,element:n[o],options:f});null!==i&&r.push(i)}return f.compactArrays&&1===r.length&&0===(h(e,t,"@container")||[]).length&&(r=r[0]),r}const x=h(e,t,"@context");if(s(x)||(e=await g({activeCtx:e,localCtx:x,propagate:!0,overrideProtected:!0,options:f})),i(n)){if(f.link&&"@id"in n&&f.link.hasOwnProperty(n["@id"])){const e=f.link[n["@id"]];for(let t=0;t<e.length;++t)if(e[t].expanded===n)return e[t].compacted}if(u(n)||p(n)){const r=j.compactValue({activeCtx:e,activeProperty:t,value:n,options:f});return f.link&&p(n)&&(f.link.hasOwnProperty(n["@id"])||(f.link[n["@id"]]=[]),f.link[n["@id"]].push({expanded:n,compacted:r})),r}if(c(n)&&(h(e,t,"@container")||[]).includes("@list"))return j.compact({activeCtx:e,activeProperty:t,element:n["@list"],options:f});const x="@reverse"===t,m={},w=e;u(n)||p(n)||(e=e.revertToPreviousContext());const S=h(w,t,"@context");s(S)||(e=await g({activeCtx:e,localCtx:S,propagate:!0,overrideProtected:!0,options:f})),f.link&&"@id"in n&&(f.link.hasOwnProperty(n["@id"])||(f.link[n["@id"]]=[]),f.link[n["@id"]].push({expanded:n,compacted:m}));let O=n["@type"]||[];O.length>1&&(O=Array.from(O).sort());const A=e;for(const t of O){const n=j.compactIri({activeCtx:A,iri:t,relativeTo:{vocab:!0}}),r=h(w,n,"@context");s(r)||(e=await g({activeCtx:e,localCtx:r,options:f,propagate:!1}))}const D=Object.keys(n).sort();for(const s of D){const p=n[s];if("@id"===s){let t=I(p).map(t=>j.compactIri({activeCtx:e,iri:t,relativeTo:{vocab:!1},base:f.base}));1===t.length&&(t=t[0]),m[j.compactIri({activeCtx:e,iri:"@id",relativeTo:{vocab:!0}})]=t;continue}if("@type"===s){let t=I(p).map(e=>j.compactIri({activeCtx:w,iri:e,relativeTo:{vocab:!0}}));1===t.length&&(t=t[0]);const n=j.compactIri({activeCtx:e,iri:"@type",relativeTo:{vocab:!0}}),r=(h(e,n,"@container")||[]).includes("@set")&&y(e,1.1)||o(t)&&0===p.length;b(m,n,t,{propertyIsArray:r});continue}if("@reverse"===s){const t=await j.compact({activeCtx:e,activeProperty:"@reverse",element:p,options:f});for(const n in t)if(e.mappings.has(n)&&e.mappings.get(n).reverse){const r=t[n],o=(h(e,n,"@container")||[]).includes("@set")||!f.compactArrays;b(m,n,r,{propertyIsArray:o}),delete t[n]}if(Object.keys(t).length>0){const n=j.compactIri({activeCtx:e,iri:s,relativeTo:{vocab:!0}});b(m,n,t)}continue}if("@preserve"===s){const n=await j.compact({activeCtx:e,activeProperty:t,element:p,options:f});o(n)&&0===n.length||b(m,s,n);continue}if("@index"===s){if((h(e,t,"@container")||[]).includes("@index"))continue;const n=j.compactIri({activeCtx:e,iri:s,relativeTo:{vocab:!0}});b(m,n,p);continue}if("@graph"!==s&&"@list"!==s&&"@included"!==s&&v(s)){const t=j.compactIri({activeCtx:e,iri:s,relativeTo:{vocab:!0}});b(m,t,p);continue}if(!o(p))throw new r("JSON-LD expansion error; expanded value must be an array.","jsonld.SyntaxError");if(0===p.length){const t=j.compactIri({activeCtx:e,iri:s,value:p,relativeTo:{vocab:!0},reverse:x}),n=e.mappings.has(t)?e.mappings.get(t)["@nest"]:null;let r=m;n&&(E(e,n,f),i(m[n])||(m[n]={}),r=m[n]),b(r,t,p,{propertyIsArray:!0})}for(const t of p){const n=j.compactIri({activeCtx:e,iri:s,value:t,relativeTo:{vocab:!0},reverse:x}),r=e.mappings.has(n)?e.mappings.get(n)["@nest"]:null;let p=m;r&&(E(e,r,f),i(m[r])||(m[r]={}),p=m[r]);const v=h(e,n,"@container")||[],g=l(t),y=c(t);let w;y?w=t["@list"]:g&&(w=t["@graph"]);let S=await j.compact({activeCtx:e,activeProperty:n,element:y||g?w:t,options:f});if(y){if(o(S)||(S=[S]),v.includes("@list")){b(p,n,S,{valueIsArray:!0,allowDuplicate:!0});continue}S={[j.compactIri({activeCtx:e,iri:"@list",relativeTo:{vocab:!0}})]:S},"@index"in t&&(S[j.compactIri({activeCtx:e,iri:"@index",relativeTo:{vocab:!0}})]=t["@index"])}if(g)if(v.includes("@graph")&&(v.includes("@id")||v.includes("@index")&&d(t))){let r;p.hasOwnProperty(n)?r=p[n]:p[n]=r={};const o=(v.includes("@id")?t["@id"]:t["@index"])||j.compactIri({activeCtx:e,iri:"@none",relativeTo:{vocab:!0}});b(r,o,S,{propertyIsArray:!f.compactArrays||v.includes("@set")})}else v.includes("@graph")&&d(t)?(o(S)&&S.length>1&&(S={"@included":S}),b(p,n,S,{propertyIsArray:!f.compactArrays||v.includes("@set")})):(o(S)&&1===S.length&&f.compactArrays&&(S=S[0]),S={[j.compactIri({activeCtx:e,iri:"@graph",relativeTo:{vocab:!0}})]:S},"@id"in t&&(S[j.compactIri({activeCtx:e,iri:"@id",relativeTo:{vocab:!0}})]=t["@id"]),"@index"in t&&(S[j.compactIri({activeCtx:e,iri:"@index",relativeTo:{vocab:!0}})]=t["@index"]),b(p,n,S,{propertyIsArray:!f.compactArrays||v.includes("@set")}));else if(v.includes("@language")||v.includes("@index")||v.includes("@id")||v.includes("@type")){let r,o;if(p.hasOwnProperty(n)?r=p[n]:p[n]=r={},v.includes("@language"))u(S)&&(S=S["@value"]),o=t["@language"];else if(v.includes("@index")){const r=h(e,n,"@index")||"@index",i=j.compactIri({activeCtx:e,iri:r,relativeTo:{vocab:!0}});if("@index"===r)o=t["@index"],delete S[i];else{let e;if([o,...e]=I(S[r]||[]),a(o))switch(e.length){case 0:delete S[r];break;case 1:S[r]=e[0];break;default:S[r]=e}else o=null}}else if(v.includes("@id")){const t=j.compactIri({activeCtx:e,iri:"@id",relativeTo:{vocab:!0}});o=S[t],delete S[t]}else if(v.includes("@type")){const r=j.compactIri({activeCtx:e,iri:"@type",relativeTo:{vocab:!0}});let i;switch([o,...i]=I(S[r]||[]),i.length){case 0:delete S[r];break;case 1:S[r]=i[0];break;default:S[r]=i}1===Object.keys(S).length&&"@id"in t&&(S=await j.compact({activeCtx:e,activeProperty:n,element:{"@id":t["@id"]},options:f}))}o||(o=j.compactIri({activeCtx:e,iri:"@none",relativeTo:{vocab:!0}})),b(r,o,S,{propertyIsArray:v.includes("@set")})}else{const e=!f.compactArrays||v.includes("@set")||v.includes("@list")||o(S)&&0===S.length||"@list"===s||"@graph"===s;b(p,n,S,{propertyIsArray:e})}}}return m}return n},j.compactIri=({activeCtx:e,iri:t,value:n=null,relativeTo:o={vocab:!1},reverse:a=!1,base:s=null})=>{if(null===t)return t;e.isPropertyTermScoped&&e.previousContext&&(e=e.previousContext);const d=e.getInverse();if(v(t)&&t in d&&"@none"in d[t]&&"@type"in d[t]["@none"]&&"@none"in d[t]["@none"]["@type"])return d[t]["@none"]["@type"]["@none"];if(o.vocab&&t in d){const r=e["@language"]||"@none",o=[];i(n)&&"@index"in n&&!("@graph"in n)&&o.push("@index","@index@set"),i(n)&&"@preserve"in n&&(n=n["@preserve"][0]),l(n)?("@index"in n&&o.push("@graph@index","@graph@index@set","@index","@index@set"),"@id"in n&&o.push("@graph@id","@graph@id@set"),o.push("@graph","@graph@set","@set"),"@index"in n||o.push("@graph@index","@graph@index@set","@index","@index@set"),"@id"in n||o.push("@graph@id","@graph@id@set")):i(n)&&!u(n)&&o.push("@id","@id@set","@type","@set@type");let s="@language",d="@null";if(a)s="@type",d="@reverse",o.push("@set");else if(c(n)){"@index"in n||o.push("@list");const e=n["@list"];if(0===e.length)s="@any",d="@none";else{let t=0===e.length?r:null,n=null;for(let r=0;r<e.length;++r){const o=e[r];let i="@none",a="@none";if(u(o)?"@direction"in o?i=`${(o["@language"]||"").toLowerCase()}_${o["@direction"]}`:"@language"in o?i=o["@language"].toLowerCase():"@type"in o?a=o["@type"]:i="@null":a="@id",null===t?t=i:i!==t&&u(o)&&(t="@none"),null===n?n=a:a!==n&&(n="@none"),"@none"===t&&"@none"===n)break}t=t||"@none",n=n||"@none","@none"!==n?(s="@type",d=n):d=t}}else{if(u(n))if("@language"in n&&!("@index"in n)){o.push("@language","@language@set"),d=n["@language"];const e=n["@direction"];e&&(d=`${d}_${e}`)}else"@direction"in n&&!("@index"in n)?d=`_${n["@direction"]}`:"@type"in n&&(s="@type",d=n["@type"]);else s="@type",d="@id";o.push("@set")}o.push("@none"),i(n)&&!("@index"in n)&&o.push("@index","@index@set"),u(n)&&1===Object.keys(n).length&&o.push("@language","@language@set");const p=function(e,t,n,r,o,a){null===a&&(a="@null");const s=[];if(("@id"===a||"@reverse"===a)&&i(n)&&"@id"in n){"@reverse"===a&&s.push("@reverse");const t=j.compactIri({activeCtx:e,iri:n["@id"],relativeTo:{vocab:!0}});e.mappings.has(t)&&e.mappings.get(t)&&e.mappings.get(t)["@id"]===n["@id"]?s.push.apply(s,["@vocab","@id"]):s.push.apply(s,["@id","@vocab"])}else{s.push(a);const e=s.find(e=>e.includes("_"));e&&s.push(e.replace(/^[^_]+_/,"_"))}s.push("@none");const c=e.inverse[t];for(const e of r){if(!(e in c))continue;const t=c[e][o];for(const e of s)if(e in t)return t[e]}return null}(e,t,n,o,s,d);if(null!==p)return p}if(o.vocab&&"@vocab"in e){const n=e["@vocab"];if(0===t.indexOf(n)&&t!==n){const r=t.substr(n.length);if(!e.mappings.has(r))return r}}let p=null;const f=[];let h=e.fastCurieMap;const g=t.length-1;for(let e=0;e<g&&t[e]in h;++e)h=h[t[e]],""in h&&f.push(h[""][0]);for(let r=f.length-1;r>=0;--r){const o=f[r],i=o.terms;for(const r of i){const i=r+":"+t.substr(o.iri.length);e.mappings.get(r)._prefix&&(!e.mappings.has(i)||null===n&&e.mappings.get(i)["@id"]===t)&&(null===p||S(i,p)<0)&&(p=i)}}if(null!==p)return p;for(const[n,o]of e.mappings)if(o&&o._prefix&&t.startsWith(n+":"))throw new r(`Absolute IRI "${t}" confused with prefix "${n}".`,"jsonld.SyntaxError",{code:"IRI confused with prefix",context:e});if(!o.vocab){if("@base"in e){if(e["@base"]){const n=x(m(s,e["@base"]),t);return w.test(n)?`./${n}`:n}return t}return x(s,t)}return t},j.compactValue=({activeCtx:e,activeProperty:t,value:n,options:r})=>{if(u(n)){const r=h(e,t,"@type"),o=h(e,t,"@language"),i=h(e,t,"@direction"),s=h(e,t,"@container")||[],c="@index"in n&&!s.includes("@index");if(!c&&"@none"!==r){if(n["@type"]===r)return n["@value"];if("@language"in n&&n["@language"]===o&&"@direction"in n&&n["@direction"]===i)return n["@value"];if("@language"in n&&n["@language"]===o)return n["@value"];if("@direction"in n&&n["@direction"]===i)return n["@value"]}const u=Object.keys(n).length,l=1===u||2===u&&"@index"in n&&!c,d="@language"in e,p=a(n["@value"]),f=e.mappings.has(t)&&null===e.mappings.get(t)["@language"];if(l&&"@none"!==r&&(!d||!p||f))return n["@value"];const v={};return c&&(v[j.compactIri({activeCtx:e,iri:"@index",relativeTo:{vocab:!0}})]=n["@index"]),"@type"in n?v[j.compactIri({activeCtx:e,iri:"@type",relativeTo:{vocab:!0}})]=j.compactIri({activeCtx:e,iri:n["@type"],relativeTo:{vocab:!0}}):"@language"in n&&(v[j.compactIri({activeCtx:e,iri:"@language",relativeTo:{vocab:!0}})]=n["@language"]),"@direction"in n&&(v[j.compactIri({activeCtx:e,iri:"@direction",relativeTo:{vocab:!0}})]=n["@direction"]),v[j.compactIri({activeCtx:e,iri:"@value",relativeTo:{vocab:!0}})]=n["@value"],v}const o=f(e,t,{vocab:!0},r),i=h(e,t,"@type"),s=j.compactIri({activeCtx:e,iri:n["@id"],relativeTo:{vocab:"@vocab"===i},base:r.base});return"@id"===i||"@vocab"===i||"@graph"===o?s:{[j.compactIri({activeCtx:e,iri:"@id",relativeTo:{vocab:!0}})]:s}}},283:(e,t,n)=>{"use strict";var r=n(9504),o=n(9039),i=n(4901),a=n(9297),s=n(3724),c=n(350).CONFIGURABLE,u=n(3706),l=n(1181),d=l.enforce,p=l.get,f=String,h=Object.defineProperty,v=r("".slice),g=r("".replace),y=r([].join),x=s&&!o(function(){return 8!==h(function(){},"length",{value:8}).length}),m=String(String).split("String"),w=e.exports=function(e,t,n){"Symbol("===v(f(t),0,7)&&(t="["+g(f(t),/^Symbol\(([^)]*)\).*$/,"$1")+"]"),n&&n.getter&&(t="get "+t),n&&n.setter&&(t="set "+t),(!a(e,"name")||c&&e.name!==t)&&(s?h(e,"name",{value:t,configurable:!0}):e.name=t),x&&n&&a(n,"arity")&&e.length!==n.arity&&h(e,"length",{value:n.arity});try{n&&a(n,"constructor")&&n.constructor?s&&h(e,"prototype",{writable:!1}):e.prototype&&(e.prototype=void 0)}catch(e){}var r=d(e);return a(r,"source")||(r.source=y(m,"string"==typeof t?t:"")),e};Function.prototype.toString=w(function(){return i(this)&&p(this).source||u(this)},"toString")},350:(e,t,n)=>{"use strict";var r=n(3724),o=n(9297),i=Function.prototype,a=r&&Object.getOwnPropertyDescriptor,s=o(i,"name"),c=s&&"something"===function(){}.name,u=s&&(!r||r&&a(i,"name").configurable);e.exports={EXISTS:s,PROPER:c,CONFIGURABLE:u}},370:(e,t,n)=>{"use strict";const{createNodeMap:r}=n(1523),{isKeyword:o}=n(394),i=n(2460),a=n(831),s=n(8937),c=n(4340),u=n(1869),{handleEvent:l}=n(9792),{RDF_FIRST:d,RDF_REST:p,RDF_NIL:f,RDF_TYPE:h,RDF_JSON_LITERAL:v,RDF_LANGSTRING:g,XSD_BOOLEAN:y,XSD_DOUBLE:x,XSD_INTEGER:m,XSD_STRING:w}=n(8260),{isAbsolute:b}=n(4540),I={};function S(e,t,n,r,i){const a=Object.keys(t).sort();for(const s of a){const a=t[s],c=Object.keys(a).sort();for(let t of c){const c=a[t];if("@type"===t)t=h;else if(o(t))continue;for(const o of c){const a=E(s);if(!b(s)){i.eventHandler&&l({event:{type:["JsonLdEvent"],code:"relative subject reference",level:"warning",message:"Relative subject reference found.",details:{subject:s}},options:i});continue}const c=E(t);if(!b(t)){i.eventHandler&&l({event:{type:["JsonLdEvent"],code:"relative predicate reference",level:"warning",message:"Relative predicate reference found.",details:{predicate:t}},options:i});continue}if("BlankNode"===c.termType&&!i.produceGeneralizedRdf){i.eventHandler&&l({event:{type:["JsonLdEvent"],code:"blank node predicate",level:"warning",message:"Dropping blank node predicate.",details:{property:r.getOldIds().find(e=>r.getId(e)===t)}},options:i});continue}const u=j(o,r,e,n,i.rdfDirection,i);u&&e.push({subject:a,predicate:c,object:u,graph:n})}}}}function j(e,t,n,r,o,u){let h;if(i.isValue(e)){h={termType:"Literal",value:void 0,datatype:{termType:"NamedNode"}};let t=e["@value"];const n=e["@type"]||null;if("@json"===n)h.value=a(t),h.datatype.value=v;else if(c.isBoolean(t))h.value=t.toString(),h.datatype.value=n||y;else if(c.isDouble(t)||n===x)c.isDouble(t)||(t=parseFloat(t)),h.value=t.toExponential(15).replace(/(\d)0*e\+?/,"$1E"),h.datatype.value=n||x;else if(c.isNumber(t))h.value=t.toFixed(0),h.datatype.value=n||m;else if("@direction"in e&&"i18n-datatype"===o){const n=`https://www.w3.org/ns/i18n#${(e["@language"]||"").toLowerCase()}_${e["@direction"]}`;h.datatype.value=n,h.value=t}else{if("@direction"in e&&"compound-literal"===o)throw new s("Unsupported rdfDirection value.","jsonld.InvalidRdfDirection",{value:o});if("@direction"in e&&o)throw new s("Unknown rdfDirection value.","jsonld.InvalidRdfDirection",{value:o});"@language"in e?("@direction"in e&&!o&&u.eventHandler&&l({event:{type:["JsonLdEvent"],code:"rdfDirection not set",level:"warning",message:"rdfDirection not set for @direction.",details:{object:h.value}},options:u}),h.value=t,h.datatype.value=n||g,h.language=e["@language"]):("@direction"in e&&!o&&u.eventHandler&&l({event:{type:["JsonLdEvent"],code:"rdfDirection not set",level:"warning",message:"rdfDirection not set for @direction.",details:{object:h.value}},options:u}),h.value=t,h.datatype.value=n||w)}}else if(i.isList(e)){const i=function(e,t,n,r,o,i){const a={termType:"NamedNode",value:d},s={termType:"NamedNode",value:p},c={termType:"NamedNode",value:f},u=e.pop(),l=u?{termType:"BlankNode",value:t.getId().slice(2)}:c;let h=l;for(const c of e){const e=j(c,t,n,r,o,i),u={termType:"BlankNode",value:t.getId().slice(2)};n.push({subject:h,predicate:a,object:e,graph:r}),n.push({subject:h,predicate:s,object:u,graph:r}),h=u}if(u){const e=j(u,t,n,r,o,i);n.push({subject:h,predicate:a,object:e,graph:r}),n.push({subject:h,predicate:s,object:c,graph:r})}return l}(e["@list"],t,n,r,o,u);h={termType:i.termType,value:i.value}}else h=E(c.isObject(e)?e["@id"]:e);return"NamedNode"!==h.termType||b(h.value)?h:(u.eventHandler&&l({event:{type:["JsonLdEvent"],code:"relative object reference",level:"warning",message:"Relative object reference found.",details:{object:h.value}},options:u}),null)}function E(e){return e.startsWith("_:")?{termType:"BlankNode",value:e.slice(2)}:{termType:"NamedNode",value:e}}e.exports=I,I.toRDF=(e,t)=>{const n=new u.IdentifierIssuer("_:b"),o={"@default":{}};r(e,o,"@default",n);const i=[],a=Object.keys(o).sort();for(const e of a){let r;if("@default"===e)r={termType:"DefaultGraph",value:""};else{if(!b(e)){t.eventHandler&&l({event:{type:["JsonLdEvent"],code:"relative graph reference",level:"warning",message:"Relative graph reference found.",details:{graph:e}},options:t});continue}r=E(e)}S(i,o[e],r,n,t)}return i}},373:(e,t,n)=>{"use strict";var r=n(4576),o=n(7476),i=n(9039),a=n(9306),s=n(4488),c=n(4644),u=n(3709),l=n(3763),d=n(9519),p=n(3607),f=c.aTypedArray,h=c.exportTypedArrayMethod,v=r.Uint16Array,g=v&&o(v.prototype.sort),y=!(!g||i(function(){g(new v(2),null)})&&i(function(){g(new v(2),{})})),x=!!g&&!i(function(){if(d)return d<74;if(u)return u<67;if(l)return!0;if(p)return p<602;var e,t,n=new v(516),r=Array(516);for(e=0;e<516;e++)t=e%4,n[e]=515-e,r[e]=e-2*t+3;for(g(n,function(e,t){return(e/4|0)-(t/4|0)}),e=0;e<516;e++)if(n[e]!==r[e])return!0});h("sort",function(e){return void 0!==e&&a(e),x?g(this,e):s(f(this),function(e){return function(t,n){return void 0!==e?+e(t,n)||0:n!=n?-1:t!=t?1:0===t&&0===n?1/t>0&&1/n<0?1:-1:t>n}}(e))},!x||y)},394:(e,t,n)=>{"use strict";const r=n(1869),o=n(8937),{isArray:i,isObject:a,isString:s,isUndefined:c}=n(4340),{isAbsolute:u,isRelative:l,prependBase:d}=n(4540),{handleEvent:p}=n(9792),{REGEX_BCP47:f,REGEX_KEYWORD:h,asArray:v,compareShortestLeast:g}=n(1869),y=new Map,x={};function m(e,t,n,r,o,i){if(null===t||!s(t)||x.isKeyword(t))return t;if(t.match(h))return null;if(r&&r.hasOwnProperty(t)&&!0!==o.get(t)&&x.createTermDefinition({activeCtx:e,localCtx:r,term:t,defined:o,options:i}),(n=n||{}).vocab){const n=e.mappings.get(t);if(null===n)return null;if(a(n)&&"@id"in n)return n["@id"]}const c=t.indexOf(":");if(c>0){const n=t.substr(0,c),a=t.substr(c+1);if("_"===n||0===a.indexOf("//"))return t;r&&r.hasOwnProperty(n)&&x.createTermDefinition({activeCtx:e,localCtx:r,term:n,defined:o,options:i});const s=e.mappings.get(n);if(s&&s._prefix)return s["@id"]+a;if(u(t))return t}if(n.vocab&&"@vocab"in e)t=e["@vocab"]+t;else if(n.base){let n,r;"@base"in e?e["@base"]?(r=d(i.base,e["@base"]),n=d(r,t)):(r=e["@base"],n=t):(r=i.base,n=d(i.base,t)),t=n}return t}function w(e,t){if(!e||"object"!=typeof e||!t||"object"!=typeof t)return e===t;const n=Array.isArray(e);if(n!==Array.isArray(t))return!1;if(n){if(e.length!==t.length)return!1;for(let n=0;n<e.length;++n)if(!w(e[n],t[n]))return!1;return!0}const r=Object.keys(e),o=Object.keys(t);if(r.length!==o.length)return!1;for(const n in e){let r=e[n],o=t[n];if("@container"===n&&Array.isArray(r)&&Array.isArray(o)&&(r=r.slice().sort(),o=o.slice().sort()),!w(r,o))return!1}return!0}e.exports=x,x.process=async({activeCtx:e,localCtx:t,options:n,propagate:r=!0,overrideProtected:c=!1,cycles:h=new Set})=>{if(a(t)&&"@context"in t&&i(t["@context"])&&(t=t["@context"]),0===v(t).length)return e;const g=[],y=[({event:e,next:t})=>{g.push(e),t()}];n.eventHandler&&y.push(n.eventHandler);const w=n;n={...n,eventHandler:y};const b=await n.contextResolver.resolve({activeCtx:e,context:t,documentLoader:n.documentLoader,base:n.base});a(b[0].document)&&"boolean"==typeof b[0].document["@propagate"]&&(r=b[0].document["@propagate"]);let I=e;r||I.previousContext||(I=I.clone(),I.previousContext=e);for(const r of b){let{document:i}=r;if(e=I,null===i){if(!c&&0!==Object.keys(e.protected).length)throw new o("Tried to nullify a context with protected terms outside of a term definition.","jsonld.SyntaxError",{code:"invalid context nullification"});I=e=x.getInitialContext(n).clone();continue}const v=r.getProcessed(e);if(v){if(w.eventHandler)for(const e of v.events)p({event:e,options:w});I=e=v.context;continue}if(a(i)&&"@context"in i&&(i=i["@context"]),!a(i))throw new o("Invalid JSON-LD syntax; @context must be an object.","jsonld.SyntaxError",{code:"invalid local context",context:i});I=I.clone();const y=new Map;if("@version"in i){if(1.1!==i["@version"])throw new o("Unsupported JSON-LD version: "+i["@version"],"jsonld.UnsupportedVersion",{code:"invalid @version value",context:i});if(e.processingMode&&"json-ld-1.0"===e.processingMode)throw new o("@version: "+i["@version"]+" not compatible with "+e.processingMode,"jsonld.ProcessingModeConflict",{code:"processing mode conflict",context:i});I.processingMode="json-ld-1.1",I["@version"]=i["@version"],y.set("@version",!0)}if(I.processingMode=I.processingMode||e.processingMode,"@base"in i){let e=i["@base"];if(null===e||u(e));else{if(!l(e))throw new o('Invalid JSON-LD syntax; the value of "@base" in a @context must be an absolute IRI, a relative IRI, or null.',"jsonld.SyntaxError",{code:"invalid base IRI",context:i});e=d(I["@base"],e)}I["@base"]=e,y.set("@base",!0)}if("@vocab"in i){const e=i["@vocab"];if(null===e)delete I["@vocab"];else{if(!s(e))throw new o('Invalid JSON-LD syntax; the value of "@vocab" in a @context must be a string or null.',"jsonld.SyntaxError",{code:"invalid vocab mapping",context:i});if(!u(e)&&x.processingMode(I,1))throw new o('Invalid JSON-LD syntax; the value of "@vocab" in a @context must be an absolute IRI.',"jsonld.SyntaxError",{code:"invalid vocab mapping",context:i});{const t=m(I,e,{vocab:!0,base:!0},void 0,void 0,n);u(t)||n.eventHandler&&p({event:{type:["JsonLdEvent"],code:"relative @vocab reference",level:"warning",message:"Relative @vocab reference found.",details:{vocab:t}},options:n}),I["@vocab"]=t}}y.set("@vocab",!0)}if("@language"in i){const e=i["@language"];if(null===e)delete I["@language"];else{if(!s(e))throw new o('Invalid JSON-LD syntax; the value of "@language" in a @context must be a string or null.',"jsonld.SyntaxError",{code:"invalid default language",context:i});e.match(f)||n.eventHandler&&p({event:{type:["JsonLdEvent"],code:"invalid @language value",level:"warning",message:"@language value must be valid BCP47.",details:{language:e}},options:n}),I["@language"]=e.toLowerCase()}y.set("@language",!0)}if("@direction"in i){const t=i["@direction"];if("json-ld-1.0"===e.processingMode)throw new o("Invalid JSON-LD syntax; @direction not compatible with "+e.processingMode,"jsonld.SyntaxError",{code:"invalid context member",context:i});if(null===t)delete I["@direction"];else{if("ltr"!==t&&"rtl"!==t)throw new o('Invalid JSON-LD syntax; the value of "@direction" in a @context must be null, "ltr", or "rtl".',"jsonld.SyntaxError",{code:"invalid base direction",context:i});I["@direction"]=t}y.set("@direction",!0)}if("@propagate"in i){const n=i["@propagate"];if("json-ld-1.0"===e.processingMode)throw new o("Invalid JSON-LD syntax; @propagate not compatible with "+e.processingMode,"jsonld.SyntaxError",{code:"invalid context entry",context:i});if("boolean"!=typeof n)throw new o("Invalid JSON-LD syntax; @propagate value must be a boolean.","jsonld.SyntaxError",{code:"invalid @propagate value",context:t});y.set("@propagate",!0)}if("@import"in i){const r=i["@import"];if("json-ld-1.0"===e.processingMode)throw new o("Invalid JSON-LD syntax; @import not compatible with "+e.processingMode,"jsonld.SyntaxError",{code:"invalid context entry",context:i});if(!s(r))throw new o("Invalid JSON-LD syntax; @import must be a string.","jsonld.SyntaxError",{code:"invalid @import value",context:t});const a=await n.contextResolver.resolve({activeCtx:e,context:r,documentLoader:n.documentLoader,base:n.base});if(1!==a.length)throw new o("Invalid JSON-LD syntax; @import must reference a single context.","jsonld.SyntaxError",{code:"invalid remote context",context:t});const c=a[0].getProcessed(e);if(c)i=c;else{const n=a[0].document;if("@import"in n)throw new o("Invalid JSON-LD syntax: imported context must not include @import.","jsonld.SyntaxError",{code:"invalid context entry",context:t});for(const e in n)i.hasOwnProperty(e)||(i[e]=n[e]);a[0].setProcessed(e,i)}y.set("@import",!0)}y.set("@protected",i["@protected"]||!1);for(const e in i)if(x.createTermDefinition({activeCtx:I,localCtx:i,term:e,defined:y,options:n,overrideProtected:c}),a(i[e])&&"@context"in i[e]){const t=i[e]["@context"];let r=!0;if(s(t)){const e=d(n.base,t);h.has(e)?r=!1:h.add(e)}if(r)try{await x.process({activeCtx:I.clone(),localCtx:i[e]["@context"],overrideProtected:!0,options:n,cycles:h})}catch(t){throw new o("Invalid JSON-LD syntax; invalid scoped context.","jsonld.SyntaxError",{code:"invalid scoped context",context:i[e]["@context"],term:e})}}r.setProcessed(e,{context:I,events:g})}return I},x.createTermDefinition=({activeCtx:e,localCtx:t,term:n,defined:r,options:c,overrideProtected:l=!1})=>{if(r.has(n)){if(r.get(n))return;throw new o("Cyclical context definition detected.","jsonld.CyclicalContext",{code:"cyclic IRI mapping",context:t,term:n})}let d;if(r.set(n,!1),t.hasOwnProperty(n)&&(d=t[n]),"@type"===n&&a(d)&&"@set"===(d["@container"]||"@set")&&x.processingMode(e,1.1)){const e=["@container","@id","@protected"],r=Object.keys(d);if(0===r.length||r.some(t=>!e.includes(t)))throw new o("Invalid JSON-LD syntax; keywords cannot be overridden.","jsonld.SyntaxError",{code:"keyword redefinition",context:t,term:n})}else{if(x.isKeyword(n))throw new o("Invalid JSON-LD syntax; keywords cannot be overridden.","jsonld.SyntaxError",{code:"keyword redefinition",context:t,term:n});if(n.match(h))return void(c.eventHandler&&p({event:{type:["JsonLdEvent"],code:"reserved term",level:"warning",message:'Terms beginning with "@" are reserved for future use and dropped.',details:{term:n}},options:c}));if(""===n)throw new o("Invalid JSON-LD syntax; a term cannot be an empty string.","jsonld.SyntaxError",{code:"invalid term definition",context:t})}const f=e.mappings.get(n);e.mappings.has(n)&&e.mappings.delete(n);let v=!1;if((s(d)||null===d)&&(v=!0,d={"@id":d}),!a(d))throw new o("Invalid JSON-LD syntax; @context term values must be strings or objects.","jsonld.SyntaxError",{code:"invalid term definition",context:t});const g={};e.mappings.set(n,g),g.reverse=!1;const y=["@container","@id","@language","@reverse","@type"];x.processingMode(e,1.1)&&y.push("@context","@direction","@index","@nest","@prefix","@protected");for(const e in d)if(!y.includes(e))throw new o("Invalid JSON-LD syntax; a term definition must not contain "+e,"jsonld.SyntaxError",{code:"invalid term definition",context:t});const b=n.indexOf(":");if(g._termHasColon=b>0,"@reverse"in d){if("@id"in d)throw new o("Invalid JSON-LD syntax; a @reverse term definition must not contain @id.","jsonld.SyntaxError",{code:"invalid reverse property",context:t});if("@nest"in d)throw new o("Invalid JSON-LD syntax; a @reverse term definition must not contain @nest.","jsonld.SyntaxError",{code:"invalid reverse property",context:t});const i=d["@reverse"];if(!s(i))throw new o("Invalid JSON-LD syntax; a @context @reverse value must be a string.","jsonld.SyntaxError",{code:"invalid IRI mapping",context:t});if(i.match(h))return c.eventHandler&&p({event:{type:["JsonLdEvent"],code:"reserved @reverse value",level:"warning",message:'@reverse values beginning with "@" are reserved for future use and dropped.',details:{reverse:i}},options:c}),void(f?e.mappings.set(n,f):e.mappings.delete(n));const a=m(e,i,{vocab:!0,base:!1},t,r,c);if(!u(a))throw new o("Invalid JSON-LD syntax; a @context @reverse value must be an absolute IRI or a blank node identifier.","jsonld.SyntaxError",{code:"invalid IRI mapping",context:t});g["@id"]=a,g.reverse=!0}else if("@id"in d){let i=d["@id"];if(i&&!s(i))throw new o("Invalid JSON-LD syntax; a @context @id value must be an array of strings or a string.","jsonld.SyntaxError",{code:"invalid IRI mapping",context:t});if(null===i)g["@id"]=null;else{if(!x.isKeyword(i)&&i.match(h))return c.eventHandler&&p({event:{type:["JsonLdEvent"],code:"reserved @id value",level:"warning",message:'@id values beginning with "@" are reserved for future use and dropped.',details:{id:i}},options:c}),void(f?e.mappings.set(n,f):e.mappings.delete(n));if(i!==n){if(i=m(e,i,{vocab:!0,base:!1},t,r,c),!u(i)&&!x.isKeyword(i))throw new o("Invalid JSON-LD syntax; a @context @id value must be an absolute IRI, a blank node identifier, or a keyword.","jsonld.SyntaxError",{code:"invalid IRI mapping",context:t});if(n.match(/(?::[^:])|\//)&&m(e,n,{vocab:!0,base:!1},t,new Map(r).set(n,!0),c)!==i)throw new o("Invalid JSON-LD syntax; term in form of IRI must expand to definition.","jsonld.SyntaxError",{code:"invalid IRI mapping",context:t});g["@id"]=i,g._prefix=v&&!g._termHasColon&&null!==i.match(/[:\/\?#\[\]@]$/)}}}if(!("@id"in g))if(g._termHasColon){const o=n.substr(0,b);if(t.hasOwnProperty(o)&&x.createTermDefinition({activeCtx:e,localCtx:t,term:o,defined:r,options:c}),e.mappings.has(o)){const t=n.substr(b+1);g["@id"]=e.mappings.get(o)["@id"]+t}else g["@id"]=n}else if("@type"===n)g["@id"]=n;else{if(!("@vocab"in e))throw new o("Invalid JSON-LD syntax; @context terms must define an @id.","jsonld.SyntaxError",{code:"invalid IRI mapping",context:t,term:n});g["@id"]=e["@vocab"]+n}if((!0===d["@protected"]||!0===r.get("@protected")&&!1!==d["@protected"])&&(e.protected[n]=!0,g.protected=!0),r.set(n,!0),"@type"in d){let n=d["@type"];if(!s(n))throw new o("Invalid JSON-LD syntax; an @context @type value must be a string.","jsonld.SyntaxError",{code:"invalid type mapping",context:t});if("@json"===n||"@none"===n){if(x.processingMode(e,1))throw new o(`Invalid JSON-LD syntax; an @context @type value must not be "${n}" in JSON-LD 1.0 mode.`,"jsonld.SyntaxError",{code:"invalid type mapping",context:t})}else if("@id"!==n&&"@vocab"!==n){if(n=m(e,n,{vocab:!0,base:!1},t,r,c),!u(n))throw new o("Invalid JSON-LD syntax; an @context @type value must be an absolute IRI.","jsonld.SyntaxError",{code:"invalid type mapping",context:t});if(0===n.indexOf("_:"))throw new o("Invalid JSON-LD syntax; an @context @type value must be an IRI, not a blank node identifier.","jsonld.SyntaxError",{code:"invalid type mapping",context:t})}g["@type"]=n}if("@container"in d){const n=s(d["@container"])?[d["@container"]]:d["@container"]||[],r=["@list","@set","@index","@language"];let a=!0;const c=n.includes("@set");if(x.processingMode(e,1.1)){if(r.push("@graph","@id","@type"),n.includes("@list")){if(1!==n.length)throw new o("Invalid JSON-LD syntax; @context @container with @list must have no other values","jsonld.SyntaxError",{code:"invalid container mapping",context:t})}else if(n.includes("@graph")){if(n.some(e=>"@graph"!==e&&"@id"!==e&&"@index"!==e&&"@set"!==e))throw new o("Invalid JSON-LD syntax; @context @container with @graph must have no other values other than @id, @index, and @set","jsonld.SyntaxError",{code:"invalid container mapping",context:t})}else a&=n.length<=(c?2:1);if(n.includes("@type")&&(g["@type"]=g["@type"]||"@id",!["@id","@vocab"].includes(g["@type"])))throw new o("Invalid JSON-LD syntax; container: @type requires @type to be @id or @vocab.","jsonld.SyntaxError",{code:"invalid type mapping",context:t})}else a&=!i(d["@container"]),a&=n.length<=1;if(a&=n.every(e=>r.includes(e)),a&=!(c&&n.includes("@list")),!a)throw new o("Invalid JSON-LD syntax; @context @container value must be one of the following: "+r.join(", "),"jsonld.SyntaxError",{code:"invalid container mapping",context:t});if(g.reverse&&!n.every(e=>["@index","@set"].includes(e)))throw new o("Invalid JSON-LD syntax; @context @container value for a @reverse type definition must be @index or @set.","jsonld.SyntaxError",{code:"invalid reverse property",context:t});g["@container"]=n}if("@index"in d){if(!("@container"in d)||!g["@container"].includes("@index"))throw new o(`Invalid JSON-LD syntax; @index without @index in @container: "${d["@index"]}" on term "${n}".`,"jsonld.SyntaxError",{code:"invalid term definition",context:t});if(!s(d["@index"])||0===d["@index"].indexOf("@"))throw new o(`Invalid JSON-LD syntax; @index must expand to an IRI: "${d["@index"]}" on term "${n}".`,"jsonld.SyntaxError",{code:"invalid term definition",context:t});g["@index"]=d["@index"]}if("@context"in d&&(g["@context"]=d["@context"]),"@language"in d&&!("@type"in d)){let e=d["@language"];if(null!==e&&!s(e))throw new o("Invalid JSON-LD syntax; @context @language value must be a string or null.","jsonld.SyntaxError",{code:"invalid language mapping",context:t});null!==e&&(e=e.toLowerCase()),g["@language"]=e}if("@prefix"in d){if(n.match(/:|\//))throw new o("Invalid JSON-LD syntax; @context @prefix used on a compact IRI term","jsonld.SyntaxError",{code:"invalid term definition",context:t});if(x.isKeyword(g["@id"]))throw new o("Invalid JSON-LD syntax; keywords may not be used as prefixes","jsonld.SyntaxError",{code:"invalid term definition",context:t});if("boolean"!=typeof d["@prefix"])throw new o("Invalid JSON-LD syntax; @context value for @prefix must be boolean","jsonld.SyntaxError",{code:"invalid @prefix value",context:t});g._prefix=!0===d["@prefix"]}if("@direction"in d){const e=d["@direction"];if(null!==e&&"ltr"!==e&&"rtl"!==e)throw new o('Invalid JSON-LD syntax; @direction value must be null, "ltr", or "rtl".',"jsonld.SyntaxError",{code:"invalid base direction",context:t});g["@direction"]=e}if("@nest"in d){const e=d["@nest"];if(!s(e)||"@nest"!==e&&0===e.indexOf("@"))throw new o("Invalid JSON-LD syntax; @context @nest value must be a string which is not a keyword other than @nest.","jsonld.SyntaxError",{code:"invalid @nest value",context:t});g["@nest"]=e}const I=g["@id"];if("@context"===I||"@preserve"===I)throw new o("Invalid JSON-LD syntax; @context and @preserve cannot be aliased.","jsonld.SyntaxError",{code:"invalid keyword alias",context:t});if(f&&f.protected&&!l&&(e.protected[n]=!0,g.protected=!0,!w(f,g)))throw new o("Invalid JSON-LD syntax; tried to redefine a protected term.","jsonld.SyntaxError",{code:"protected term redefinition",context:t,term:n})},x.expandIri=(e,t,n,r)=>m(e,t,n,void 0,void 0,r),x.getInitialContext=e=>{const t=JSON.stringify({processingMode:e.processingMode}),n=y.get(t);if(n)return n;const o={processingMode:e.processingMode,mappings:new Map,inverse:null,getInverse:function(){const e=this;if(e.inverse)return e.inverse;const t=e.inverse={},n=e.fastCurieMap={},r={},o=(e["@language"]||"@none").toLowerCase(),s=e["@direction"],c=e.mappings,u=[...c.keys()].sort(g);for(const e of u){const i=c.get(e);if(null===i)continue;let u=i["@container"]||"@none";if(u=[].concat(u).sort().join(""),null===i["@id"])continue;const l=v(i["@id"]);for(const c of l){let l=t[c];const d=x.isKeyword(c);if(l)d||i._termHasColon||r[c].push(e);else if(t[c]=l={},!d&&!i._termHasColon){r[c]=[e];const t={iri:c,terms:r[c]};c[0]in n?n[c[0]].push(t):n[c[0]]=[t]}if(l[u]||(l[u]={"@language":{},"@type":{},"@any":{}}),l=l[u],a(e,l["@any"],"@none"),i.reverse)a(e,l["@type"],"@reverse");else if("@none"===i["@type"])a(e,l["@any"],"@none"),a(e,l["@language"],"@none"),a(e,l["@type"],"@none");else if("@type"in i)a(e,l["@type"],i["@type"]);else if("@language"in i&&"@direction"in i){const t=i["@language"],n=i["@direction"];a(e,l["@language"],t&&n?`${t}_${n}`.toLowerCase():t?t.toLowerCase():n?`_${n}`:"@null")}else"@language"in i?a(e,l["@language"],(i["@language"]||"@null").toLowerCase()):"@direction"in i?i["@direction"]?a(e,l["@language"],`_${i["@direction"]}`):a(e,l["@language"],"@none"):s?(a(e,l["@language"],`_${s}`),a(e,l["@language"],"@none"),a(e,l["@type"],"@none")):(a(e,l["@language"],o),a(e,l["@language"],"@none"),a(e,l["@type"],"@none"))}}for(const e in n)i(n,e,1);return t},clone:function(){const e={};return e.mappings=r.clone(this.mappings),e.clone=this.clone,e.inverse=null,e.getInverse=this.getInverse,e.protected=r.clone(this.protected),this.previousContext&&(e.previousContext=this.previousContext.clone()),e.revertToPreviousContext=this.revertToPreviousContext,"@base"in this&&(e["@base"]=this["@base"]),"@language"in this&&(e["@language"]=this["@language"]),"@vocab"in this&&(e["@vocab"]=this["@vocab"]),e},revertToPreviousContext:function(){return this.previousContext?this.previousContext.clone():this},protected:{}};return 1e4===y.size&&y.clear(),y.set(t,o),o;function i(e,t,n){const r=e[t],o=e[t]={};let a,s;for(const e of r)a=e.iri,s=n>=a.length?"":a[n],s in o?o[s].push(e):o[s]=[e];for(const e in o)""!==e&&i(o,e,n+1)}function a(e,t,n){t.hasOwnProperty(n)||(t[n]=e)}},x.getContextValue=(e,t,n)=>{if(null===t){if("@context"===n)return;return null}if(e.mappings.has(t)){const r=e.mappings.get(t);if(c(n))return r;if(r.hasOwnProperty(n))return r[n]}return"@language"===n&&n in e||"@direction"===n&&n in e?e[n]:"@context"!==n?null:void 0},x.processingMode=(e,t)=>t.toString()>="1.1"?!e.processingMode||e.processingMode>="json-ld-"+t.toString():"json-ld-1.0"===e.processingMode,x.isKeyword=e=>{if(!s(e)||"@"!==e[0])return!1;switch(e){case"@base":case"@container":case"@context":case"@default":case"@direction":case"@embed":case"@explicit":case"@graph":case"@id":case"@included":case"@index":case"@json":case"@language":case"@list":case"@nest":case"@none":case"@omitDefault":case"@prefix":case"@preserve":case"@protected":case"@requireAll":case"@reverse":case"@set":case"@type":case"@value":case"@version":case"@vocab":return!0}return!1}},396:(e,t,n)=>{"use strict";const{isArray:r,isObject:o,isString:i}=n(4340),{asArray:a}=n(1869),{prependBase:s}=n(4540),c=n(8937),u=n(1498);function l(e){throw new c("Invalid JSON-LD syntax; @context must be an object.","jsonld.SyntaxError",{code:"invalid local context",context:e})}function d({context:e,base:t}){if(!e)return;const n=e["@context"];if(i(n))e["@context"]=s(t,n);else if(r(n))for(let e=0;e<n.length;++e){const r=n[e];i(r)?n[e]=s(t,r):o(r)&&d({context:{"@context":r},base:t})}else if(o(n))for(const e in n)d({context:n[e],base:t})}e.exports=class{constructor({sharedCache:e}){this.perOpCache=new Map,this.sharedCache=e}async resolve({activeCtx:e,context:t,documentLoader:n,base:s,cycles:c=new Set}){t&&o(t)&&t["@context"]&&(t=t["@context"]),t=a(t);const d=[];for(const a of t){if(i(a)){let t=this._get(a);t||(t=await this._resolveRemoteContext({activeCtx:e,url:a,documentLoader:n,base:s,cycles:c})),r(t)?d.push(...t):d.push(t);continue}if(null===a){d.push(new u({document:null}));continue}o(a)||l(t);const p=JSON.stringify(a);let f=this._get(p);f||(f=new u({document:a}),this._cacheResolvedContext({key:p,resolved:f,tag:"static"})),d.push(f)}return d}_get(e){let t=this.perOpCache.get(e);if(!t){const n=this.sharedCache.get(e);n&&(t=n.get("static"),t&&this.perOpCache.set(e,t))}return t}_cacheResolvedContext({key:e,resolved:t,tag:n}){if(this.perOpCache.set(e,t),void 0!==n){let r=this.sharedCache.get(e);r||(r=new Map,this.sharedCache.set(e,r)),r.set(n,t)}return t}async _resolveRemoteContext({activeCtx:e,url:t,documentLoader:n,base:r,cycles:o}){t=s(r,t);const{context:i,remoteDoc:a}=await this._fetchContext({activeCtx:e,url:t,documentLoader:n,cycles:o});d({context:i,base:r=a.documentUrl||t});const c=await this.resolve({activeCtx:e,context:i,documentLoader:n,base:r,cycles:o});return this._cacheResolvedContext({key:t,resolved:c,tag:a.tag}),c}async _fetchContext({activeCtx:e,url:t,documentLoader:n,cycles:a}){if(a.size>10)throw new c("Maximum number of @context URLs exceeded.","jsonld.ContextUrlError",{code:"json-ld-1.0"===e.processingMode?"loading remote context failed":"context overflow",max:10});if(a.has(t))throw new c("Cyclical @context URLs detected.","jsonld.ContextUrlError",{code:"json-ld-1.0"===e.processingMode?"recursive context inclusion":"context overflow",url:t});let s,u;a.add(t);try{u=await n(t),s=u.document||null,i(s)&&(s=JSON.parse(s))}catch(e){throw new c(`Dereferencing a URL did not result in a valid JSON-LD object. Possible causes are an inaccessible URL perhaps due to a same-origin policy (ensure the server uses CORS if you are using client-side JavaScript), too many redirects, a non-JSON response, or more than one HTTP Link Header was provided for a remote context. URL: "${t}".`,"jsonld.InvalidUrl",{code:"loading remote context failed",url:t,cause:e})}if(!o(s))throw new c(`Dereferencing a URL did not result in a JSON object. The response was valid JSON, but it was not a JSON object. URL: "${t}".`,"jsonld.InvalidUrl",{code:"invalid remote context",url:t});return s="@context"in s?{"@context":s["@context"]}:{"@context":{}},u.contextUrl&&(r(s["@context"])||(s["@context"]=[s["@context"]]),s["@context"].push(u.contextUrl)),{context:s,remoteDoc:u}}}},397:(e,t,n)=>{"use strict";var r=n(7751);e.exports=r("document","documentElement")},421:e=>{"use strict";e.exports={}},456:(e,t,n)=>{"use strict";var r=n(6518),o=n(4576),i=n(9504),a=n(4154),s=n(5169),c=i(1.1.toString),u=o.Uint8Array,l=!u||!u.prototype.toHex||!function(){try{return"ffffffffffffffff"===new u([255,255,255,255,255,255,255,255]).toHex()}catch(e){return!1}}();u&&r({target:"Uint8Array",proto:!0,forced:l},{toHex:function(){a(this),s(this.buffer);for(var e="",t=0,n=this.length;t<n;t++){var r=c(this[t],16);e+=1===r.length?"0"+r:r}return e}})},507:(e,t,n)=>{"use strict";var r=n(9565);e.exports=function(e,t,n){for(var o,i,a=n?e:e.iterator,s=e.next;!(o=r(s,a)).done;)if(void 0!==(i=t(o.value)))return i}},616:(e,t,n)=>{"use strict";var r=n(9039);e.exports=!r(function(){var e=function(){}.bind();return"function"!=typeof e||e.hasOwnProperty("prototype")})},655:(e,t,n)=>{"use strict";var r=n(6955),o=String;e.exports=function(e){if("Symbol"===r(e))throw new TypeError("Cannot convert a Symbol value to a string");return o(e)}},679:(e,t,n)=>{"use strict";var r=n(1625),o=TypeError;e.exports=function(e,t){if(r(t,e))return e;throw new o("Incorrect invocation")}},684:e=>{"use strict";e.exports=function(e,t){var n="function"==typeof Iterator&&Iterator.prototype[e];if(n)try{n.call({next:null},t).next()}catch(e){return!0}}},687:(e,t,n)=>{"use strict";var r=n(4913).f,o=n(9297),i=n(8227)("toStringTag");e.exports=function(e,t,n){e&&!n&&(e=e.prototype),e&&!o(e,i)&&r(e,i,{configurable:!0,value:t})}},741:e=>{"use strict";var t=Math.ceil,n=Math.floor;e.exports=Math.trunc||function(e){var r=+e;return(r>0?n:t)(r)}},747:(e,t,n)=>{"use strict";var r=n(6699),o=n(6193),i=n(4659),a=Error.captureStackTrace;e.exports=function(e,t,n,s){i&&(a?a(e,t):r(e,"stack",o(n,s)))}},757:(e,t,n)=>{"use strict";var r=n(7751),o=n(4901),i=n(1625),a=n(7040),s=Object;e.exports=a?function(e){return"symbol"==typeof e}:function(e){var t=r("Symbol");return o(t)&&i(t.prototype,s(e))}},788:(e,t,n)=>{"use strict";var r=n(34),o=n(2195),i=n(8227)("match");e.exports=function(e){var t;return r(e)&&(void 0!==(t=e[i])?!!t:"RegExp"===o(e))}},831:(e,t,n)=>{"use strict";n(6280),n(6910),n(8111),n(8237),n(3110),e.exports=function e(t){if("number"==typeof t&&isNaN(t))throw new Error("NaN is not allowed");if("number"==typeof t&&!isFinite(t))throw new Error("Infinity is not allowed");return null===t||"object"!=typeof t?JSON.stringify(t):t.toJSON instanceof Function?e(t.toJSON()):Array.isArray(t)?`[${t.reduce((t,n,r)=>`${t}${0===r?"":","}${e(void 0===n||"symbol"==typeof n?null:n)}`,"")}]`:`{${Object.keys(t).sort().reduce((n,r)=>void 0===t[r]||"symbol"==typeof t[r]?n:`${n}${0===n.length?"":","}${e(r)}:${e(t[r])}`,"")}}`}},851:(e,t,n)=>{"use strict";var r=n(6955),o=n(5966),i=n(4117),a=n(6269),s=n(8227)("iterator");e.exports=function(e){if(!i(e))return o(e,s)||o(e,"@@iterator")||a[r(e)]}},931:(e,t,n)=>{"use strict";n(6910),n(2953),e.exports=class{constructor(e){this.current=e.sort(),this.done=!1,this.dir=new Map;for(let t=0;t<e.length;++t)this.dir.set(e[t],!0)}hasNext(){return!this.done}next(){const{current:e,dir:t}=this,n=e.slice();let r=null,o=0;const i=e.length;for(let n=0;n<i;++n){const a=e[n],s=t.get(a);(null===r||a>r)&&(s&&n>0&&a>e[n-1]||!s&&n<i-1&&a>e[n+1])&&(r=a,o=n)}if(null===r)this.done=!0;else{const n=t.get(r)?o-1:o+1;e[o]=e[n],e[n]=r;for(const n of e)n>r&&t.set(n,!t.get(n))}return n}}},944:e=>{"use strict";var t=TypeError;e.exports=function(e){var n=e&&e.alphabet;if(void 0===n||"base64"===n||"base64url"===n)return n||"base64";throw new t("Incorrect `alphabet` option")}},1034:(e,t,n)=>{"use strict";var r=n(9565),o=n(9297),i=n(1625),a=n(5213),s=n(7979),c=RegExp.prototype;e.exports=a.correct?function(e){return e.flags}:function(e){return a.correct||!i(c,e)||o(e,"flags")?e.flags:r(s,e)}},1056:(e,t,n)=>{"use strict";var r=n(4913).f;e.exports=function(e,t,n){n in e||r(e,n,{configurable:!0,get:function(){return t[n]},set:function(e){t[n]=e}})}},1072:(e,t,n)=>{"use strict";var r=n(1828),o=n(8727);e.exports=Object.keys||function(e){return r(e,o)}},1088:(e,t,n)=>{"use strict";var r=n(6518),o=n(9565),i=n(6395),a=n(350),s=n(4901),c=n(3994),u=n(2787),l=n(2967),d=n(687),p=n(6699),f=n(6840),h=n(8227),v=n(6269),g=n(7657),y=a.PROPER,x=a.CONFIGURABLE,m=g.IteratorPrototype,w=g.BUGGY_SAFARI_ITERATORS,b=h("iterator"),I="keys",S="values",j="entries",E=function(){return this};e.exports=function(e,t,n,a,h,g,O){c(n,t,a);var A,D,N,C=function(e){if(e===h&&_)return _;if(!w&&e&&e in R)return R[e];switch(e){case I:case S:case j:return function(){return new n(this,e)}}return function(){return new n(this)}},k=t+" Iterator",T=!1,R=e.prototype,L=R[b]||R["@@iterator"]||h&&R[h],_=!w&&L||C(h),P="Array"===t&&R.entries||L;if(P&&(A=u(P.call(new e)))!==Object.prototype&&A.next&&(i||u(A)===m||(l?l(A,m):s(A[b])||f(A,b,E)),d(A,k,!0,!0),i&&(v[k]=E)),y&&h===S&&L&&L.name!==S&&(!i&&x?p(R,"name",S):(T=!0,_=function(){return o(L,this)})),h)if(D={values:C(S),keys:g?_:C(I),entries:C(j)},O)for(N in D)(w||T||!(N in R))&&f(R,N,D[N]);else r({target:t,proto:!0,forced:w||T},D);return i&&!O||R[b]===_||f(R,b,_,{name:h}),v[t]=_,D}},1108:(e,t,n)=>{"use strict";var r=n(6955);e.exports=function(e){var t=r(e);return"BigInt64Array"===t||"BigUint64Array"===t}},1134:(e,t,n)=>{"use strict";var r=n(4644),o=n(3839).findLastIndex,i=r.aTypedArray;(0,r.exportTypedArrayMethod)("findLastIndex",function(e){return o(i(this),e,arguments.length>1?arguments[1]:void 0)})},1181:(e,t,n)=>{"use strict";var r,o,i,a=n(8622),s=n(4576),c=n(34),u=n(6699),l=n(9297),d=n(7629),p=n(6119),f=n(421),h="Object already initialized",v=s.TypeError,g=s.WeakMap;if(a||d.state){var y=d.state||(d.state=new g);y.get=y.get,y.has=y.has,y.set=y.set,r=function(e,t){if(y.has(e))throw new v(h);return t.facade=e,y.set(e,t),t},o=function(e){return y.get(e)||{}},i=function(e){return y.has(e)}}else{var x=p("state");f[x]=!0,r=function(e,t){if(l(e,x))throw new v(h);return t.facade=e,u(e,x,t),t},o=function(e){return l(e,x)?e[x]:{}},i=function(e){return l(e,x)}}e.exports={set:r,get:o,has:i,enforce:function(e){return i(e)?o(e):r(e,{})},getterFor:function(e){return function(t){var n;if(!c(t)||(n=o(t)).type!==e)throw new v("Incompatible receiver, "+e+" required");return n}}}},1291:(e,t,n)=>{"use strict";var r=n(741);e.exports=function(e){var t=+e;return t!=t||0===t?0:r(t)}},1385:(e,t,n)=>{"use strict";var r=n(9539);e.exports=function(e,t,n){for(var o=e.length-1;o>=0;o--)if(void 0!==e[o])try{n=r(e[o].iterator,t,n)}catch(e){t="throw",n=e}if("throw"===t)throw n;return n}},1469:(e,t,n)=>{"use strict";var r=n(7433);e.exports=function(e,t){return new(r(e))(0===t?0:t)}},1489:(e,t,n)=>{"use strict";n(5823)("Uint8",function(e){return function(t,n,r){return e(this,t,n,r)}})},1498:(e,t,n)=>{"use strict";const r=n(5967);e.exports=class{constructor({document:e}){this.document=e,this.cache=new r({max:10})}getProcessed(e){return this.cache.get(e)}setProcessed(e,t){this.cache.set(e,t)}}},1523:(e,t,n)=>{"use strict";const{isKeyword:r}=n(394),o=n(2460),i=n(4340),a=n(1869),s=n(8937),c={};e.exports=c,c.createMergedNodeMap=(e,t)=>{const n=(t=t||{}).issuer||new a.IdentifierIssuer("_:b"),r={"@default":{}};return c.createNodeMap(e,r,"@default",n),c.mergeNodeMaps(r)},c.createNodeMap=(e,t,n,u,l,d)=>{if(i.isArray(e)){for(const r of e)c.createNodeMap(r,t,n,u,void 0,d);return}if(!i.isObject(e))return void(d&&d.push(e));if(o.isValue(e)){if("@type"in e){let t=e["@type"];0===t.indexOf("_:")&&(e["@type"]=t=u.getId(t))}return void(d&&d.push(e))}if(d&&o.isList(e)){const r=[];return c.createNodeMap(e["@list"],t,n,u,l,r),void d.push({"@list":r})}if("@type"in e){const t=e["@type"];for(const e of t)0===e.indexOf("_:")&&u.getId(e)}i.isUndefined(l)&&(l=o.isBlankNode(e)?u.getId(e["@id"]):e["@id"]),d&&d.push({"@id":l});const p=t[n],f=p[l]=p[l]||{};f["@id"]=l;const h=Object.keys(e).sort();for(let i of h){if("@id"===i)continue;if("@reverse"===i){const r={"@id":l},i=e["@reverse"];for(const e in i){const s=i[e];for(const i of s){let s=i["@id"];o.isBlankNode(i)&&(s=u.getId(s)),c.createNodeMap(i,t,n,u,s),a.addValue(p[s],e,r,{propertyIsArray:!0,allowDuplicate:!1})}}continue}if("@graph"===i){l in t||(t[l]={}),c.createNodeMap(e[i],t,l,u);continue}if("@included"===i){c.createNodeMap(e[i],t,n,u);continue}if("@type"!==i&&r(i)){if("@index"===i&&i in f&&(e[i]!==f[i]||e[i]["@id"]!==f[i]["@id"]))throw new s("Invalid JSON-LD syntax; conflicting @index property detected.","jsonld.SyntaxError",{code:"conflicting indexes",subject:f});f[i]=e[i];continue}const d=e[i];if(0===i.indexOf("_:")&&(i=u.getId(i)),0!==d.length)for(let e of d)if("@type"===i&&(e=0===e.indexOf("_:")?u.getId(e):e),o.isSubject(e)||o.isSubjectReference(e)){if("@id"in e&&!e["@id"])continue;const r=o.isBlankNode(e)?u.getId(e["@id"]):e["@id"];a.addValue(f,i,{"@id":r},{propertyIsArray:!0,allowDuplicate:!1}),c.createNodeMap(e,t,n,u,r)}else if(o.isValue(e))a.addValue(f,i,e,{propertyIsArray:!0,allowDuplicate:!1});else if(o.isList(e)){const r=[];c.createNodeMap(e["@list"],t,n,u,l,r),e={"@list":r},a.addValue(f,i,e,{propertyIsArray:!0,allowDuplicate:!1})}else c.createNodeMap(e,t,n,u,l),a.addValue(f,i,e,{propertyIsArray:!0,allowDuplicate:!1});else a.addValue(f,i,[],{propertyIsArray:!0})}},c.mergeNodeMapGraphs=e=>{const t={};for(const n of Object.keys(e).sort())for(const o of Object.keys(e[n]).sort()){const i=e[n][o];o in t||(t[o]={"@id":o});const s=t[o];for(const e of Object.keys(i).sort())if(r(e)&&"@type"!==e)s[e]=a.clone(i[e]);else for(const t of i[e])a.addValue(s,e,a.clone(t),{propertyIsArray:!0,allowDuplicate:!1})}return t},c.mergeNodeMaps=e=>{const t=e["@default"],n=Object.keys(e).sort();for(const r of n){if("@default"===r)continue;const n=e[r];let i=t[r];i?"@graph"in i||(i["@graph"]=[]):t[r]=i={"@id":r,"@graph":[]};const a=i["@graph"];for(const e of Object.keys(n).sort()){const t=n[e];o.isSubjectReference(t)||a.push(t)}}return t}},1540:(e,t,n)=>{"use strict";const{isKeyword:r}=n(394),o=n(2460),i=n(4340),a=n(1869),s=n(4540),c=n(8937),{createNodeMap:u,mergeNodeMapGraphs:l}=n(1523),d={};function p(e){const t={};for(const n in e)void 0!==e[n]&&(t["@"+n]=[e[n]]);return[t]}function f(e,t,n){for(let r=n.length-1;r>=0;--r){const o=n[r];if(o.graph===t&&o.subject["@id"]===e["@id"])return!0}return!1}function h(e,t,n){const r="@"+n;let o=r in e?e[r][0]:t[n];if("embed"===n)if(!0===o)o="@once";else if(!1===o)o="@never";else if("@always"!==o&&"@never"!==o&&"@link"!==o&&"@first"!==o&&"@last"!==o&&"@once"!==o)throw new c("Invalid JSON-LD syntax; invalid value of @embed.","jsonld.SyntaxError",{code:"invalid @embed value",frame:e});return o}function v(e){if(!i.isArray(e)||1!==e.length||!i.isObject(e[0]))throw new c("Invalid JSON-LD syntax; a JSON-LD frame must be a single object.","jsonld.SyntaxError",{frame:e});if("@id"in e[0])for(const t of a.asArray(e[0]["@id"]))if(!i.isObject(t)&&!s.isAbsolute(t)||i.isString(t)&&0===t.indexOf("_:"))throw new c("Invalid JSON-LD syntax; invalid @id in frame.","jsonld.SyntaxError",{code:"invalid frame",frame:e});if("@type"in e[0])for(const t of a.asArray(e[0]["@type"]))if(!i.isObject(t)&&!s.isAbsolute(t)&&"@json"!==t||i.isString(t)&&0===t.indexOf("_:"))throw new c("Invalid JSON-LD syntax; invalid @type in frame.","jsonld.SyntaxError",{code:"invalid frame",frame:e})}function g(e,t,n,s){let c=!0,u=!1;for(const l in n){let d=!1;const p=a.getValues(t,l),f=0===a.getValues(n,l).length;if("@id"===l){if(i.isEmptyObject(n["@id"][0]||{})?d=!0:n["@id"].length>=0&&(d=n["@id"].includes(p[0])),!s.requireAll)return d}else if("@type"===l){if(c=!1,f){if(p.length>0)return!1;d=!0}else if(1===n["@type"].length&&i.isEmptyObject(n["@type"][0]))d=p.length>0;else for(const e of n["@type"])d=!(!i.isObject(e)||!("@default"in e))||d||p.some(t=>t===e);if(!s.requireAll)return d}else{if(r(l))continue;{const t=a.getValues(n,l)[0];let r=!1;if(t&&(v([t]),r="@default"in t),c=!1,0===p.length&&r)continue;if(p.length>0&&f)return!1;if(void 0===t){if(p.length>0)return!1;d=!0}else if(o.isList(t)){const n=t["@list"][0];if(o.isList(p[0])){const t=p[0]["@list"];o.isValue(n)?d=t.some(e=>b(n,e)):(o.isSubject(n)||o.isSubjectReference(n))&&(d=t.some(t=>w(e,n,t,s)))}}else d=o.isValue(t)?p.some(e=>b(t,e)):o.isSubjectReference(t)?p.some(n=>w(e,t,n,s)):!!i.isObject(t)&&p.length>0}}if(!d&&s.requireAll)return!1;u=u||d}return c||u}function y(e,t){const n=e.uniqueEmbeds[e.graph],r=n[t],o=r.parent,s=r.property,c={"@id":t};if(i.isArray(o)){for(let e=0;e<o.length;++e)if(a.compareValues(o[e],c)){o[e]=c;break}}else{const e=i.isArray(o[s]);a.removeValue(o,s,c,{propertyIsArray:e}),a.addValue(o,s,c,{propertyIsArray:e})}const u=e=>{const t=Object.keys(n);for(const r of t)r in n&&i.isObject(n[r].parent)&&n[r].parent["@id"]===e&&(delete n[r],u(r))};u(t)}function x(e,t){if(i.isArray(e))return e.map(e=>x(e,t));if(i.isObject(e)){if("@preserve"in e)return e["@preserve"][0];if(o.isValue(e))return e;if(o.isList(e))return e["@list"]=x(e["@list"],t),e;if("@id"in e){const n=e["@id"];if(t.link.hasOwnProperty(n)){const r=t.link[n].indexOf(e);if(-1!==r)return t.link[n][r];t.link[n].push(e)}else t.link[n]=[e]}for(const n in e)"@id"===n&&t.bnodesToClear.includes(e[n])?delete e["@id"]:e[n]=x(e[n],t)}return e}function m(e,t,n){i.isObject(e)?a.addValue(e,t,n,{propertyIsArray:!0}):e.push(n)}function w(e,t,n,r){if(!("@id"in n))return!1;const o=e.subjects[n["@id"]];return o&&g(e,o,t,r)}function b(e,t){const n=t["@value"],r=t["@type"],o=t["@language"],a=e["@value"]?i.isArray(e["@value"])?e["@value"]:[e["@value"]]:[],s=e["@type"]?i.isArray(e["@type"])?e["@type"]:[e["@type"]]:[],c=e["@language"]?i.isArray(e["@language"])?e["@language"]:[e["@language"]]:[];return 0===a.length&&0===s.length&&0===c.length||!(!a.includes(n)&&!i.isEmptyObject(a[0]))&&!!(!r&&0===s.length||s.includes(r)||r&&i.isEmptyObject(s[0]))&&!!(!o&&0===c.length||c.includes(o)||o&&i.isEmptyObject(c[0]))}e.exports=d,d.frameMergedOrDefault=(e,t,n)=>{const r={options:n,embedded:!1,graph:"@default",graphMap:{"@default":{}},subjectStack:[],link:{},bnodeMap:{}},o=new a.IdentifierIssuer("_:b");u(e,r.graphMap,"@default",o),n.merged&&(r.graphMap["@merged"]=l(r.graphMap),r.graph="@merged"),r.subjects=r.graphMap[r.graph];const i=[];return d.frame(r,Object.keys(r.subjects).sort(),t,i),n.pruneBlankNodeIdentifiers&&(n.bnodesToClear=Object.keys(r.bnodeMap).filter(e=>1===r.bnodeMap[e].length)),n.link={},x(i,n)},d.frame=(e,t,n,s,u=null)=>{v(n),n=n[0];const l=e.options,x={embed:h(n,l,"embed"),explicit:h(n,l,"explicit"),requireAll:h(n,l,"requireAll")};e.link.hasOwnProperty(e.graph)||(e.link[e.graph]={});const w=e.link[e.graph],I=function(e,t,n,r){const o={};for(const i of t){const t=e.graphMap[e.graph][i];g(e,t,n,r)&&(o[i]=t)}return o}(e,t,n,x),S=Object.keys(I).sort();for(const v of S){const g=I[v];if(null===u?e.uniqueEmbeds={[e.graph]:{}}:e.uniqueEmbeds[e.graph]=e.uniqueEmbeds[e.graph]||{},"@link"===x.embed&&v in w){m(s,u,w[v]);continue}const S={"@id":v};if(0===v.indexOf("_:")&&a.addValue(e.bnodeMap,v,S,{propertyIsArray:!0}),w[v]=S,("@first"===x.embed||"@last"===x.embed)&&e.is11)throw new c("Invalid JSON-LD syntax; invalid value of @embed.","jsonld.SyntaxError",{code:"invalid @embed value",frame:n});if(e.embedded||!e.uniqueEmbeds[e.graph].hasOwnProperty(v))if(!e.embedded||"@never"!==x.embed&&!f(g,e.graph,e.subjectStack))if(!e.embedded||"@first"!=x.embed&&"@once"!=x.embed||!e.uniqueEmbeds[e.graph].hasOwnProperty(v)){if("@last"===x.embed&&v in e.uniqueEmbeds[e.graph]&&y(e,v),e.uniqueEmbeds[e.graph][v]={parent:s,property:u},e.subjectStack.push({subject:g,graph:e.graph}),v in e.graphMap){let t=!1,r=null;"@graph"in n?(r=n["@graph"][0],t=!("@merged"===v||"@default"===v),i.isObject(r)||(r={})):(t="@merged"!==e.graph,r={}),t&&d.frame({...e,graph:v,embedded:!1},Object.keys(e.graphMap[v]).sort(),[r],S,"@graph")}"@included"in n&&d.frame({...e,embedded:!1},t,n["@included"],S,"@included");for(const t of Object.keys(g).sort())if(r(t)){if(S[t]=a.clone(g[t]),"@type"===t)for(const t of g["@type"])0===t.indexOf("_:")&&a.addValue(e.bnodeMap,t,S,{propertyIsArray:!0})}else if(!x.explicit||t in n)for(const r of g[t]){const i=t in n?n[t]:p(x);if(o.isList(r)){const i=n[t]&&n[t][0]&&n[t][0]["@list"]?n[t][0]["@list"]:p(x),s={"@list":[]};m(S,t,s);const c=r["@list"];for(const t of c)o.isSubjectReference(t)?d.frame({...e,embedded:!0},[t["@id"]],i,s,"@list"):m(s,"@list",a.clone(t))}else o.isSubjectReference(r)?d.frame({...e,embedded:!0},[r["@id"]],i,S,t):b(i[0],r)&&m(S,t,a.clone(r))}for(const e of Object.keys(n).sort()){if("@type"===e){if(!i.isObject(n[e][0])||!("@default"in n[e][0]))continue}else if(r(e))continue;const t=n[e][0]||{};if(!h(t,l,"omitDefault")&&!(e in S)){let n="@null";"@default"in t&&(n=a.clone(t["@default"])),i.isArray(n)||(n=[n]),S[e]=[{"@preserve":n}]}}for(const t of Object.keys(n["@reverse"]||{}).sort()){const r=n["@reverse"][t];for(const n of Object.keys(e.subjects))a.getValues(e.subjects[n],t).some(e=>e["@id"]===v)&&(S["@reverse"]=S["@reverse"]||{},a.addValue(S["@reverse"],t,[],{propertyIsArray:!0}),d.frame({...e,embedded:!0},[n],r,S["@reverse"][t],u))}m(s,u,S),e.subjectStack.pop()}else m(s,u,S);else m(s,u,S)}},d.cleanupNull=(e,t)=>{if(i.isArray(e))return e.map(e=>d.cleanupNull(e,t)).filter(e=>e);if("@null"===e)return null;if(i.isObject(e)){if("@id"in e){const n=e["@id"];if(t.link.hasOwnProperty(n)){const r=t.link[n].indexOf(e);if(-1!==r)return t.link[n][r];t.link[n].push(e)}else t.link[n]=[e]}for(const n in e)e[n]=d.cleanupNull(e[n],t)}return e}},1548:(e,t,n)=>{"use strict";var r=n(4576),o=n(9039),i=n(9519),a=n(4215),s=r.structuredClone;e.exports=!!s&&!o(function(){if("DENO"===a&&i>92||"NODE"===a&&i>94||"BROWSER"===a&&i>97)return!1;var e=new ArrayBuffer(8),t=s(e,{transfer:[e]});return 0!==e.byteLength||8!==t.byteLength})},1549:(e,t,n)=>{"use strict";n(6632)},1625:(e,t,n)=>{"use strict";var r=n(9504);e.exports=r({}.isPrototypeOf)},1698:(e,t,n)=>{"use strict";var r=n(6518),o=n(4204),i=n(9835);r({target:"Set",proto:!0,real:!0,forced:!n(4916)("union")||!i("union")},{union:o})},1701:(e,t,n)=>{"use strict";var r=n(6518),o=n(9565),i=n(9306),a=n(8551),s=n(1767),c=n(9462),u=n(6319),l=n(9539),d=n(684),p=n(4549),f=n(6395),h=!f&&!d("map",function(){}),v=!f&&!h&&p("map",TypeError),g=f||h||v,y=c(function(){var e=this.iterator,t=a(o(this.next,e));if(!(this.done=!!t.done))return u(e,this.mapper,[t.value,this.counter++],!0)});r({target:"Iterator",proto:!0,real:!0,forced:g},{map:function(e){a(this);try{i(e)}catch(e){l(this,"throw",e)}return v?o(v,this,e):new y(s(this),{mapper:e})}})},1745:(e,t,n)=>{"use strict";var r=n(6518),o=n(7476),i=n(9039),a=n(6346),s=n(8551),c=n(5610),u=n(8014),l=a.ArrayBuffer,d=a.DataView,p=d.prototype,f=o(l.prototype.slice),h=o(p.getUint8),v=o(p.setUint8);r({target:"ArrayBuffer",proto:!0,unsafe:!0,forced:i(function(){return!new l(2).slice(1,void 0).byteLength})},{slice:function(e,t){if(f&&void 0===t)return f(s(this),e);for(var n=s(this).byteLength,r=c(e,n),o=c(void 0===t?n:t,n),i=new l(u(o-r)),a=new d(this),p=new d(i),g=0;r<o;)v(p,g++,h(a,r++));return i}})},1767:e=>{"use strict";e.exports=function(e){return{iterator:e,next:e.next,done:!1}}},1806:(e,t,n)=>{"use strict";var r=n(6518),o=n(8551),i=n(2652),a=n(1767),s=[].push;r({target:"Iterator",proto:!0,real:!0},{toArray:function(){var e=[];return i(a(o(this)),s,{that:e,IS_RECORD:!0}),e}})},1828:(e,t,n)=>{"use strict";var r=n(9504),o=n(9297),i=n(5397),a=n(9617).indexOf,s=n(421),c=r([].push);e.exports=function(e,t){var n,r=i(e),u=0,l=[];for(n in r)!o(s,n)&&o(r,n)&&c(l,n);for(;t.length>u;)o(r,n=t[u++])&&(~a(l,n)||c(l,n));return l}},1869:(e,t,n)=>{"use strict";const r=n(2460),o=n(4340),i=n(6915).IdentifierIssuer,a=n(8937),s=/(?:<[^>]*?>|"[^"]*?"|[^,])+/g,c=/\s*<([^>]*?)>\s*(?:;\s*(.*))?/,u=/(.*?)=(?:(?:"([^"]*?)")|([^"]*?))\s*(?:(?:;\s*)|$)/g,l="application/ld+json, application/json",d={};function p(e,t){if(o.isArray(t))for(let n=0;n<t.length;++n)t[n]=p(e,t[n]);else if(r.isList(t))t["@list"]=p(e,t["@list"]);else if(o.isObject(t)){r.isBlankNode(t)&&(t["@id"]=e.getId(t["@id"]));const n=Object.keys(t).sort();for(let r=0;r<n.length;++r){const o=n[r];"@id"!==o&&(t[o]=p(e,t[o]))}}return t}e.exports=d,d.IdentifierIssuer=i,d.REGEX_BCP47=/^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/,d.REGEX_KEYWORD=/^@[a-zA-Z]+$/,d.clone=function(e){if(e&&"object"==typeof e){let t;if(o.isArray(e)){t=[];for(let n=0;n<e.length;++n)t[n]=d.clone(e[n])}else if(e instanceof Map){t=new Map;for(const[n,r]of e)t.set(n,d.clone(r))}else if(e instanceof Set){t=new Set;for(const n of e)t.add(d.clone(n))}else if(o.isObject(e)){t={};for(const n in e)t[n]=d.clone(e[n])}else t=e.toString();return t}return e},d.asArray=function(e){return Array.isArray(e)?e:[e]},d.buildHeaders=(e={})=>{if(Object.keys(e).some(e=>"accept"===e.toLowerCase()))throw new RangeError('Accept header may not be specified; only "'+l+'" is supported.');return Object.assign({Accept:l},e)},d.parseLinkHeader=e=>{const t={},n=e.match(s);for(let e=0;e<n.length;++e){let r=n[e].match(c);if(!r)continue;const o={target:r[1]},i=r[2];for(;r=u.exec(i);)o[r[1]]=void 0===r[2]?r[3]:r[2];const a=o.rel||"";Array.isArray(t[a])?t[a].push(o):t.hasOwnProperty(a)?t[a]=[t[a],o]:t[a]=o}return t},d.validateTypeValue=(e,t)=>{if(!(o.isString(e)||o.isArray(e)&&e.every(e=>o.isString(e)))){if(t&&o.isObject(e))switch(Object.keys(e).length){case 0:return;case 1:if("@default"in e&&d.asArray(e["@default"]).every(e=>o.isString(e)))return}throw new a('Invalid JSON-LD syntax; "@type" value must a string, an array of strings, an empty object, or a default object.',"jsonld.SyntaxError",{code:"invalid type value",value:e})}},d.hasProperty=(e,t)=>{if(e.hasOwnProperty(t)){const n=e[t];return!o.isArray(n)||n.length>0}return!1},d.hasValue=(e,t,n)=>{if(d.hasProperty(e,t)){let i=e[t];const a=r.isList(i);if(o.isArray(i)||a){a&&(i=i["@list"]);for(let e=0;e<i.length;++e)if(d.compareValues(n,i[e]))return!0}else if(!o.isArray(n))return d.compareValues(n,i)}return!1},d.addValue=(e,t,n,r)=>{if("propertyIsArray"in(r=r||{})||(r.propertyIsArray=!1),"valueIsArray"in r||(r.valueIsArray=!1),"allowDuplicate"in r||(r.allowDuplicate=!0),"prependValue"in r||(r.prependValue=!1),r.valueIsArray)e[t]=n;else if(o.isArray(n)){0===n.length&&r.propertyIsArray&&!e.hasOwnProperty(t)&&(e[t]=[]),r.prependValue&&(n=n.concat(e[t]),e[t]=[]);for(let o=0;o<n.length;++o)d.addValue(e,t,n[o],r)}else if(e.hasOwnProperty(t)){const i=!r.allowDuplicate&&d.hasValue(e,t,n);o.isArray(e[t])||i&&!r.propertyIsArray||(e[t]=[e[t]]),i||(r.prependValue?e[t].unshift(n):e[t].push(n))}else e[t]=r.propertyIsArray?[n]:n},d.getValues=(e,t)=>[].concat(e[t]||[]),d.removeProperty=(e,t)=>{delete e[t]},d.removeValue=(e,t,n,r)=>{"propertyIsArray"in(r=r||{})||(r.propertyIsArray=!1);const o=d.getValues(e,t).filter(e=>!d.compareValues(e,n));0===o.length?d.removeProperty(e,t):1!==o.length||r.propertyIsArray?e[t]=o:e[t]=o[0]},d.relabelBlankNodes=(e,t)=>p((t=t||{}).issuer||new i("_:b"),e),d.compareValues=(e,t)=>e===t||!(!r.isValue(e)||!r.isValue(t)||e["@value"]!==t["@value"]||e["@type"]!==t["@type"]||e["@language"]!==t["@language"]||e["@index"]!==t["@index"])||!!(o.isObject(e)&&"@id"in e&&o.isObject(t)&&"@id"in t)&&e["@id"]===t["@id"],d.compareShortestLeast=(e,t)=>e.length<t.length?-1:t.length<e.length?1:e===t?0:e<t?-1:1},1903:(e,t,n)=>{"use strict";var r=n(4644),o=n(3839).findLast,i=r.aTypedArray;(0,r.exportTypedArrayMethod)("findLast",function(e){return o(i(this),e,arguments.length>1?arguments[1]:void 0)})},2087:(e,t,n)=>{"use strict";var r=n(34),o=Math.floor;e.exports=Number.isInteger||function(e){return!r(e)&&isFinite(e)&&o(e)===e}},2106:(e,t,n)=>{"use strict";var r=n(283),o=n(4913);e.exports=function(e,t,n){return n.get&&r(n.get,t,{getter:!0}),n.set&&r(n.set,t,{setter:!0}),o.f(e,t,n)}},2140:(e,t,n)=>{"use strict";var r={};r[n(8227)("toStringTag")]="z",e.exports="[object z]"===String(r)},2195:(e,t,n)=>{"use strict";var r=n(9504),o=r({}.toString),i=r("".slice);e.exports=function(e){return i(o(e),8,-1)}},2211:(e,t,n)=>{"use strict";var r=n(9039);e.exports=!r(function(){function e(){}return e.prototype.constructor=null,Object.getPrototypeOf(new e)!==e.prototype})},2278:(e,t,n)=>{"use strict";var r=n(3724),o=n(4913),i=n(6980);e.exports=function(e,t,n){r?o.f(e,t,i(0,n)):e[t]=n}},2303:(e,t,n)=>{"use strict";var r=n(4576),o=n(9504),i=r.Uint8Array,a=r.SyntaxError,s=r.parseInt,c=Math.min,u=/[^\da-f]/i,l=o(u.exec),d=o("".slice);e.exports=function(e,t){var n=e.length;if(n%2!=0)throw new a("String should be an even number of characters");for(var r=t?c(t.length,n/2):n/2,o=t||new i(r),p=0,f=0;f<r;){var h=d(e,p,p+=2);if(l(u,h))throw new a("String should only contain hex characters");o[f++]=s(h,16)}return{bytes:o,read:p}}},2360:(e,t,n)=>{"use strict";var r,o=n(8551),i=n(6801),a=n(8727),s=n(421),c=n(397),u=n(4055),l=n(6119),d="prototype",p="script",f=l("IE_PROTO"),h=function(){},v=function(e){return"<"+p+">"+e+"</"+p+">"},g=function(e){e.write(v("")),e.close();var t=e.parentWindow.Object;return e=null,t},y=function(){try{r=new ActiveXObject("htmlfile")}catch(e){}var e,t,n;y="undefined"!=typeof document?document.domain&&r?g(r):(t=u("iframe"),n="java"+p+":",t.style.display="none",c.appendChild(t),t.src=String(n),(e=t.contentWindow.document).open(),e.write(v("document.F=Object")),e.close(),e.F):g(r);for(var o=a.length;o--;)delete y[d][a[o]];return y()};s[f]=!0,e.exports=Object.create||function(e,t){var n;return null!==e?(h[d]=o(e),n=new h,h[d]=null,n[f]=e):n=y(),void 0===t?n:i.f(n,t)}},2460:(e,t,n)=>{"use strict";const r=n(4340),o={};e.exports=o,o.isSubject=e=>!(!r.isObject(e)||"@value"in e||"@set"in e||"@list"in e)&&(Object.keys(e).length>1||!("@id"in e)),o.isSubjectReference=e=>r.isObject(e)&&1===Object.keys(e).length&&"@id"in e,o.isValue=e=>r.isObject(e)&&"@value"in e,o.isList=e=>r.isObject(e)&&"@list"in e,o.isGraph=e=>r.isObject(e)&&"@graph"in e&&1===Object.keys(e).filter(e=>"@id"!==e&&"@index"!==e).length,o.isSimpleGraph=e=>o.isGraph(e)&&!("@id"in e),o.isBlankNode=e=>{if(r.isObject(e)){if("@id"in e){const t=e["@id"];return!r.isString(t)||0===t.indexOf("_:")}return 0===Object.keys(e).length||!("@value"in e||"@set"in e||"@list"in e)}return!1}},2475:(e,t,n)=>{"use strict";var r=n(6518),o=n(8527);r({target:"Set",proto:!0,real:!0,forced:!n(4916)("isSupersetOf",function(e){return!e})},{isSupersetOf:o})},2478:(e,t,n)=>{"use strict";var r=n(9504),o=n(8981),i=Math.floor,a=r("".charAt),s=r("".replace),c=r("".slice),u=/\$([$&'`]|\d{1,2}|<[^>]*>)/g,l=/\$([$&'`]|\d{1,2})/g;e.exports=function(e,t,n,r,d,p){var f=n+e.length,h=r.length,v=l;return void 0!==d&&(d=o(d),v=u),s(p,v,function(o,s){var u;switch(a(s,0)){case"$":return"$";case"&":return e;case"`":return c(t,0,n);case"'":return c(t,f);case"<":u=d[c(s,1,-1)];break;default:var l=+s;if(0===l)return o;if(l>h){var p=i(l/10);return 0===p?o:p<=h?void 0===r[p-1]?a(s,1):r[p-1]+a(s,1):o}u=r[l-1]}return void 0===u?"":u})}},2489:(e,t,n)=>{"use strict";var r=n(6518),o=n(9565),i=n(9306),a=n(8551),s=n(1767),c=n(9462),u=n(6319),l=n(6395),d=n(9539),p=n(684),f=n(4549),h=!l&&!p("filter",function(){}),v=!l&&!h&&f("filter",TypeError),g=l||h||v,y=c(function(){for(var e,t,n=this.iterator,r=this.predicate,i=this.next;;){if(e=a(o(i,n)),this.done=!!e.done)return;if(t=e.value,u(n,r,[t,this.counter++],!0))return t}});r({target:"Iterator",proto:!0,real:!0,forced:g},{filter:function(e){a(this);try{i(e)}catch(e){d(this,"throw",e)}return v?o(v,this,e):new y(s(this),{predicate:e})}})},2529:e=>{"use strict";e.exports=function(e,t){return{value:e,done:t}}},2603:(e,t,n)=>{"use strict";var r=n(655);e.exports=function(e,t){return void 0===e?arguments.length<2?"":t:r(e)}},2652:(e,t,n)=>{"use strict";var r=n(6080),o=n(9565),i=n(8551),a=n(6823),s=n(4209),c=n(6198),u=n(1625),l=n(81),d=n(851),p=n(9539),f=TypeError,h=function(e,t){this.stopped=e,this.result=t},v=h.prototype;e.exports=function(e,t,n){var g,y,x,m,w,b,I,S=n&&n.that,j=!(!n||!n.AS_ENTRIES),E=!(!n||!n.IS_RECORD),O=!(!n||!n.IS_ITERATOR),A=!(!n||!n.INTERRUPTED),D=r(t,S),N=function(e){return g&&p(g,"normal"),new h(!0,e)},C=function(e){return j?(i(e),A?D(e[0],e[1],N):D(e[0],e[1])):A?D(e,N):D(e)};if(E)g=e.iterator;else if(O)g=e;else{if(!(y=d(e)))throw new f(a(e)+" is not iterable");if(s(y)){for(x=0,m=c(e);m>x;x++)if((w=C(e[x]))&&u(v,w))return w;return new h(!1)}g=l(e,y)}for(b=E?e.next:g.next;!(I=o(b,g)).done;){try{w=C(I.value)}catch(e){p(g,"throw",e)}if("object"==typeof w&&w&&u(v,w))return w}return new h(!1)}},2663:(e,t,n)=>{"use strict";n(6280),n(4114),n(6910),n(7642),n(8004),n(3853),n(5876),n(2475),n(5024),n(1698),n(2953);const r=n(3559),o=n(3842),i=n(931),a=n(7265),{setImmediate:s}=n(4105);function c(e,t){return e.hash<t.hash?-1:e.hash>t.hash?1:0}e.exports=class{constructor({createMessageDigest:e=null,messageDigestAlgorithm:t="sha256",canonicalIdMap:n=new Map,maxWorkFactor:i=1,maxDeepIterations:a=-1,signal:s=null}={}){this.name="RDFC-1.0",this.blankNodeInfo=new Map,this.canonicalIssuer=new r("c14n",n),this.createMessageDigest=e||(()=>new o(t)),this.maxWorkFactor=i,this.maxDeepIterations=a,this.remainingDeepIterations=0,this.signal=s,this.quads=null}async main(e){this.quads=e;for(const t of e)this._addBlankNodeQuadInfo({quad:t,component:t.subject}),this._addBlankNodeQuadInfo({quad:t,component:t.object}),this._addBlankNodeQuadInfo({quad:t,component:t.graph});const t=new Map,n=[...this.blankNodeInfo.keys()];let o=0;for(const e of n)++o%100==0&&await this._yield(),await this._hashAndTrackBlankNode({id:e,hashToBlankNodes:t});const i=[...t.keys()].sort(),s=[];for(const e of i){const n=t.get(e);if(n.length>1){s.push(n);continue}const r=n[0];this.canonicalIssuer.getId(r)}if(this.maxDeepIterations<0)if(0===this.maxWorkFactor)this.maxDeepIterations=0;else if(this.maxWorkFactor===1/0)this.maxDeepIterations=1/0;else{const e=s.reduce((e,t)=>e+t.length,0);this.maxDeepIterations=e**this.maxWorkFactor}this.maxDeepIterations>Number.MAX_SAFE_INTEGER&&(this.maxDeepIterations=1/0),this.remainingDeepIterations=this.maxDeepIterations;for(const e of s){const t=[];for(const n of e){if(this.canonicalIssuer.hasId(n))continue;const e=new r("b");e.getId(n);const o=await this.hashNDegreeQuads(n,e);t.push(o)}t.sort(c);for(const e of t){const t=e.issuer.getOldIds();for(const e of t)this.canonicalIssuer.getId(e)}}const u=[];for(const e of this.quads){const t=a.serializeQuadComponents(this._componentWithCanonicalId(e.subject),e.predicate,this._componentWithCanonicalId(e.object),this._componentWithCanonicalId(e.graph));u.push(t)}return u.sort(),u.join("")}async hashFirstDegreeQuads(e){const t=[],n=this.blankNodeInfo.get(e),r=n.quads;for(const n of r)t.push(a.serializeQuadComponents(this.modifyFirstDegreeComponent(e,n.subject,"subject"),n.predicate,this.modifyFirstDegreeComponent(e,n.object,"object"),this.modifyFirstDegreeComponent(e,n.graph,"graph")));t.sort();const o=this.createMessageDigest();for(const e of t)o.update(e);return n.hash=await o.digest(),n.hash}async hashRelatedBlankNode(e,t,n,r){const o=this.createMessageDigest();let i;return o.update(r),"g"!==r&&o.update(this.getRelatedPredicate(t)),i=this.canonicalIssuer.hasId(e)?"_:"+this.canonicalIssuer.getId(e):n.hasId(e)?"_:"+n.getId(e):this.blankNodeInfo.get(e).hash,o.update(i),o.digest()}async hashNDegreeQuads(e,t){if(0===this.remainingDeepIterations)throw new Error(`Maximum deep iterations exceeded (${this.maxDeepIterations}).`);this.remainingDeepIterations--;const n=this.createMessageDigest(),r=await this.createHashToRelated(e,t),o=[...r.keys()].sort();for(const e of o){n.update(e);let o,a="";const s=new i(r.get(e));let c=0;for(;s.hasNext();){const e=s.next();if(++c%3==0){if(this.signal&&this.signal.aborted)throw new Error(`Abort signal received: "${this.signal.reason}".`);await this._yield()}let n=t.clone(),r="";const i=[];let u=!1;for(const t of e)if(this.canonicalIssuer.hasId(t)?r+="_:"+this.canonicalIssuer.getId(t):(n.hasId(t)||i.push(t),r+="_:"+n.getId(t)),0!==a.length&&r>a){u=!0;break}if(!u){for(const e of i){const t=await this.hashNDegreeQuads(e,n);if(r+="_:"+n.getId(e),r+=`<${t.hash}>`,n=t.issuer,0!==a.length&&r>a){u=!0;break}}u||(0===a.length||r<a)&&(a=r,o=n)}}n.update(a),t=o}return{hash:await n.digest(),issuer:t}}modifyFirstDegreeComponent(e,t){return"BlankNode"!==t.termType?t:{termType:"BlankNode",value:t.value===e?"a":"z"}}getRelatedPredicate(e){return`<${e.predicate.value}>`}async createHashToRelated(e,t){const n=new Map,r=this.blankNodeInfo.get(e).quads;let o=0;for(const i of r)++o%100==0&&await this._yield(),await Promise.all([this._addRelatedBlankNodeHash({quad:i,component:i.subject,position:"s",id:e,issuer:t,hashToRelated:n}),this._addRelatedBlankNodeHash({quad:i,component:i.object,position:"o",id:e,issuer:t,hashToRelated:n}),this._addRelatedBlankNodeHash({quad:i,component:i.graph,position:"g",id:e,issuer:t,hashToRelated:n})]);return n}async _hashAndTrackBlankNode({id:e,hashToBlankNodes:t}){const n=await this.hashFirstDegreeQuads(e),r=t.get(n);r?r.push(e):t.set(n,[e])}_addBlankNodeQuadInfo({quad:e,component:t}){if("BlankNode"!==t.termType)return;const n=t.value,r=this.blankNodeInfo.get(n);r?r.quads.add(e):this.blankNodeInfo.set(n,{quads:new Set([e]),hash:null})}async _addRelatedBlankNodeHash({quad:e,component:t,position:n,id:r,issuer:o,hashToRelated:i}){if("BlankNode"!==t.termType||t.value===r)return;const a=t.value,s=await this.hashRelatedBlankNode(a,e,o,n),c=i.get(s);c?c.push(a):i.set(s,[a])}_componentWithCanonicalId(e){return"BlankNode"!==e.termType||e.value.startsWith(this.canonicalIssuer.prefix)?e:{termType:"BlankNode",value:this.canonicalIssuer.getId(e.value)}}async _yield(){return new Promise(e=>s(e))}}},2669:(e,t,n)=>{"use strict";const r=n(8937),{isArray:o,isObject:i,isEmptyObject:a,isString:s,isUndefined:c}=n(4340),{isList:u,isValue:l,isGraph:d,isSubject:p}=n(2460),{expandIri:f,getContextValue:h,isKeyword:v,process:g,processingMode:y}=n(394),{isAbsolute:x}=n(4540),{REGEX_BCP47:m,REGEX_KEYWORD:w,addValue:b,asArray:I,getValues:S,validateTypeValue:j}=n(1869),{handleEvent:E}=n(9792),O={};function A({value:e,count:t,options:n}){if(0===t||"@value"in e||"@list"in e||1===t&&"@id"in e){if(n.eventHandler){let r,o;0===t?(r="empty object",o="Dropping empty object."):"@value"in e?(r="object with only @value",o="Dropping object with only @value."):"@list"in e?(r="object with only @list",o="Dropping object with only @list."):1===t&&"@id"in e&&(r="object with only @id",o="Dropping object with only @id."),E({event:{type:["JsonLdEvent"],code:r,level:"warning",message:o,details:{value:e}},options:n})}return null}return e}async function D({activeCtx:e,activeProperty:t,expandedActiveProperty:n,element:d,expandedParent:w,options:S={},insideList:N,typeKey:T,typeScopedContext:R}){const L=Object.keys(d).sort(),_=[];let P;const M=d[T]&&"@json"===f(e,o(d[T])?d[T][0]:d[T],{vocab:!0},{...S,typeExpansion:!0});for(const D of L){let N,T=d[D];if("@context"===D)continue;const L=f(e,D,{vocab:!0},S);if(null===L||!x(L)&&!v(L)){S.eventHandler&&E({event:{type:["JsonLdEvent"],code:"invalid property",level:"warning",message:"Dropping property that did not expand into an absolute IRI or keyword.",details:{property:D,expandedProperty:L}},options:S});continue}if(v(L)){if("@reverse"===n)throw new r("Invalid JSON-LD syntax; a keyword cannot be used as a @reverse property.","jsonld.SyntaxError",{code:"invalid reverse property map",value:T});if(L in w&&"@included"!==L&&"@type"!==L)throw new r("Invalid JSON-LD syntax; colliding keywords detected.","jsonld.SyntaxError",{code:"colliding keywords",keyword:L})}if("@id"===L){if(!s(T)){if(!S.isFrame)throw new r('Invalid JSON-LD syntax; "@id" value must a string.',"jsonld.SyntaxError",{code:"invalid @id value",value:T});if(i(T)){if(!a(T))throw new r('Invalid JSON-LD syntax; "@id" value an empty object or array of strings, if framing',"jsonld.SyntaxError",{code:"invalid @id value",value:T})}else{if(!o(T))throw new r('Invalid JSON-LD syntax; "@id" value an empty object or array of strings, if framing',"jsonld.SyntaxError",{code:"invalid @id value",value:T});if(!T.every(e=>s(e)))throw new r('Invalid JSON-LD syntax; "@id" value an empty object or array of strings, if framing',"jsonld.SyntaxError",{code:"invalid @id value",value:T})}}b(w,"@id",I(T).map(t=>{if(s(t)){const n=f(e,t,{base:!0},S);return S.eventHandler&&(null===n?E(null===t?{event:{type:["JsonLdEvent"],code:"null @id value",level:"warning",message:"Null @id found.",details:{id:t}},options:S}:{event:{type:["JsonLdEvent"],code:"reserved @id value",level:"warning",message:"Reserved @id found.",details:{id:t}},options:S}):x(n)||E({event:{type:["JsonLdEvent"],code:"relative @id reference",level:"warning",message:"Relative @id reference found.",details:{id:t,expandedId:n}},options:S})),n}return t}),{propertyIsArray:S.isFrame});continue}if("@type"===L){i(T)&&(T=Object.fromEntries(Object.entries(T).map(([e,t])=>[f(R,e,{vocab:!0}),I(t).map(e=>f(R,e,{base:!0,vocab:!0},{...S,typeExpansion:!0}))]))),j(T,S.isFrame),b(w,"@type",I(T).map(e=>{if(s(e)){const t=f(R,e,{base:!0,vocab:!0},{...S,typeExpansion:!0});return"@json"===t||x(t)||S.eventHandler&&E({event:{type:["JsonLdEvent"],code:"relative @type reference",level:"warning",message:"Relative @type reference found.",details:{type:e}},options:S}),t}return e}),{propertyIsArray:!!S.isFrame});continue}if("@included"===L&&y(e,1.1)){const n=I(await O.expand({activeCtx:e,activeProperty:t,element:T,options:S}));if(!n.every(e=>p(e)))throw new r("Invalid JSON-LD syntax; values of @included must expand to node objects.","jsonld.SyntaxError",{code:"invalid @included value",value:T});b(w,"@included",n,{propertyIsArray:!0});continue}if("@graph"===L&&!i(T)&&!o(T))throw new r('Invalid JSON-LD syntax; "@graph" value must not be an object or an array.',"jsonld.SyntaxError",{code:"invalid @graph value",value:T});if("@value"===L){P=T,M&&y(e,1.1)?w["@value"]=T:b(w,"@value",T,{propertyIsArray:S.isFrame});continue}if("@language"===L){if(null===T)continue;if(!s(T)&&!S.isFrame)throw new r('Invalid JSON-LD syntax; "@language" value must be a string.',"jsonld.SyntaxError",{code:"invalid language-tagged string",value:T});T=I(T).map(e=>s(e)?e.toLowerCase():e);for(const e of T)s(e)&&!e.match(m)&&S.eventHandler&&E({event:{type:["JsonLdEvent"],code:"invalid @language value",level:"warning",message:"@language value must be valid BCP47.",details:{language:e}},options:S});b(w,"@language",T,{propertyIsArray:S.isFrame});continue}if("@direction"===L){if(!s(T)&&!S.isFrame)throw new r('Invalid JSON-LD syntax; "@direction" value must be a string.',"jsonld.SyntaxError",{code:"invalid base direction",value:T});T=I(T);for(const e of T)if(s(e)&&"ltr"!==e&&"rtl"!==e)throw new r('Invalid JSON-LD syntax; "@direction" must be "ltr" or "rtl".',"jsonld.SyntaxError",{code:"invalid base direction",value:T});b(w,"@direction",T,{propertyIsArray:S.isFrame});continue}if("@index"===L){if(!s(T))throw new r('Invalid JSON-LD syntax; "@index" value must be a string.',"jsonld.SyntaxError",{code:"invalid @index value",value:T});b(w,"@index",T);continue}if("@reverse"===L){if(!i(T))throw new r('Invalid JSON-LD syntax; "@reverse" value must be an object.',"jsonld.SyntaxError",{code:"invalid @reverse value",value:T});if(N=await O.expand({activeCtx:e,activeProperty:"@reverse",element:T,options:S}),"@reverse"in N)for(const e in N["@reverse"])b(w,e,N["@reverse"][e],{propertyIsArray:!0});let t=w["@reverse"]||null;for(const e in N){if("@reverse"===e)continue;null===t&&(t=w["@reverse"]={}),b(t,e,[],{propertyIsArray:!0});const n=N[e];for(let o=0;o<n.length;++o){const i=n[o];if(l(i)||u(i))throw new r('Invalid JSON-LD syntax; "@reverse" value must not be a @value or an @list.',"jsonld.SyntaxError",{code:"invalid reverse property value",value:N});b(t,e,i,{propertyIsArray:!0})}}continue}if("@nest"===L){_.push(D);continue}let F=e;const J=h(e,D,"@context");c(J)||(F=await g({activeCtx:e,localCtx:J,propagate:!0,overrideProtected:!0,options:S}));const B=h(e,D,"@container")||[];if(B.includes("@language")&&i(T))N=C(F,T,h(F,D,"@direction"),S);else if(B.includes("@index")&&i(T)){const t=B.includes("@graph"),n=h(F,D,"@index")||"@index",r="@index"!==n&&f(e,n,{vocab:!0},S);N=await k({activeCtx:F,options:S,activeProperty:D,value:T,asGraph:t,indexKey:n,propertyIndex:r})}else if(B.includes("@id")&&i(T)){const e=B.includes("@graph");N=await k({activeCtx:F,options:S,activeProperty:D,value:T,asGraph:e,indexKey:"@id"})}else if(B.includes("@type")&&i(T))N=await k({activeCtx:F.revertToPreviousContext(),options:S,activeProperty:D,value:T,asGraph:!1,indexKey:"@type"});else{const r="@list"===L;if(r||"@set"===L){let e=t;r&&"@graph"===n&&(e=null),N=await O.expand({activeCtx:F,activeProperty:e,element:T,options:S,insideList:r})}else N="@json"===h(e,D,"@type")?{"@type":"@json","@value":T}:await O.expand({activeCtx:F,activeProperty:D,element:T,options:S,insideList:!1})}if(null!==N||"@value"===L){if("@list"!==L&&!u(N)&&B.includes("@list")&&(N={"@list":I(N)}),B.includes("@graph")&&!B.some(e=>"@id"===e||"@index"===e)){if(N=I(N),S.isFrame||(N=N.filter(e=>null!==A({value:e,count:Object.keys(e).length,options:S}))),0===N.length)continue;N=N.map(e=>({"@graph":I(e)}))}if(F.mappings.has(D)&&F.mappings.get(D).reverse){const e=w["@reverse"]=w["@reverse"]||{};N=I(N);for(let t=0;t<N.length;++t){const n=N[t];if(l(n)||u(n))throw new r('Invalid JSON-LD syntax; "@reverse" value must not be a @value or an @list.',"jsonld.SyntaxError",{code:"invalid reverse property value",value:N});b(e,L,n,{propertyIsArray:!0})}continue}b(w,L,N,{propertyIsArray:!0})}}if("@value"in w)if("@json"===w["@type"]&&y(e,1.1));else if((i(P)||o(P))&&!S.isFrame)throw new r('Invalid JSON-LD syntax; "@value" value must not be an object or an array.',"jsonld.SyntaxError",{code:"invalid value object value",value:P});for(const a of _){const s=o(d[a])?d[a]:[d[a]];for(const o of s){if(!i(o)||Object.keys(o).some(t=>"@value"===f(e,t,{vocab:!0},S)))throw new r("Invalid JSON-LD syntax; nested value must be a node object.","jsonld.SyntaxError",{code:"invalid @nest value",value:o});await D({activeCtx:e,activeProperty:t,expandedActiveProperty:n,element:o,expandedParent:w,options:S,insideList:N,typeScopedContext:R,typeKey:T})}}}function N({activeCtx:e,activeProperty:t,value:n,options:r}){if(null==n)return null;const o=f(e,t,{vocab:!0},r);if("@id"===o)return f(e,n,{base:!0},r);if("@type"===o)return f(e,n,{vocab:!0,base:!0},{...r,typeExpansion:!0});const i=h(e,t,"@type");if(("@id"===i||"@graph"===o)&&s(n)){const o=f(e,n,{base:!0},r);return null===o&&n.match(w)&&r.eventHandler&&E({event:{type:["JsonLdEvent"],code:"reserved @id value",level:"warning",message:"Reserved @id found.",details:{id:t}},options:r}),{"@id":o}}if("@vocab"===i&&s(n))return{"@id":f(e,n,{vocab:!0,base:!0},r)};if(v(o))return n;const a={};if(i&&!["@id","@vocab","@none"].includes(i))a["@type"]=i;else if(s(n)){const n=h(e,t,"@language");null!==n&&(a["@language"]=n);const r=h(e,t,"@direction");null!==r&&(a["@direction"]=r)}return["boolean","number","string"].includes(typeof n)||(n=n.toString()),a["@value"]=n,a}function C(e,t,n,i){const a=[],c=Object.keys(t).sort();for(const u of c){const c=f(e,u,{vocab:!0},i);let l=t[u];o(l)||(l=[l]);for(const e of l){if(null===e)continue;if(!s(e))throw new r("Invalid JSON-LD syntax; language map values must be strings.","jsonld.SyntaxError",{code:"invalid language map value",languageMap:t});const o={"@value":e};"@none"!==c&&(u.match(m)||i.eventHandler&&E({event:{type:["JsonLdEvent"],code:"invalid @language value",level:"warning",message:"@language value must be valid BCP47.",details:{language:u}},options:i}),o["@language"]=u.toLowerCase()),n&&(o["@direction"]=n),a.push(o)}}return a}async function k({activeCtx:e,options:t,activeProperty:n,value:i,asGraph:a,indexKey:s,propertyIndex:u}){const p=[],v=Object.keys(i).sort(),y="@type"===s;for(let x of v){if(y){const n=h(e,x,"@context");c(n)||(e=await g({activeCtx:e,localCtx:n,propagate:!1,options:t}))}let v,m=i[x];o(m)||(m=[m]),m=await O.expand({activeCtx:e,activeProperty:n,element:m,options:t,insideList:!1,insideIndex:!0}),v=u?"@none"===x?"@none":N({activeCtx:e,activeProperty:s,value:x,options:t}):f(e,x,{vocab:!0},t),"@id"===s?x=f(e,x,{base:!0},t):y&&(x=v);for(let e of m){if(a&&!d(e)&&(e={"@graph":[e]}),"@type"===s)"@none"===v||(e["@type"]?e["@type"]=[x].concat(e["@type"]):e["@type"]=[x]);else{if(l(e)&&!["@language","@type","@index"].includes(s))throw new r(`Invalid JSON-LD syntax; Attempt to add illegal key to value object: "${s}".`,"jsonld.SyntaxError",{code:"invalid value object",value:e});u?"@none"!==v&&b(e,u,v,{propertyIsArray:!0,prependValue:!0}):"@none"===v||s in e||(e[s]=x)}p.push(e)}}return p}e.exports=O,O.expand=async({activeCtx:e,activeProperty:t=null,element:n,options:u={},insideList:l=!1,insideIndex:d=!1,typeScopedContext:p=null})=>{if(null==n)return null;if("@default"===t&&(u=Object.assign({},u,{isFrame:!1})),!o(n)&&!i(n))return l||null!==t&&"@graph"!==f(e,t,{vocab:!0},u)?N({activeCtx:e,activeProperty:t,value:n,options:u}):(u.eventHandler&&E({event:{type:["JsonLdEvent"],code:"free-floating scalar",level:"warning",message:"Dropping free-floating scalar not in a list.",details:{value:n}},options:u}),null);if(o(n)){let r=[];const i=h(e,t,"@container")||[];l=l||i.includes("@list");for(let i=0;i<n.length;++i){let a=await O.expand({activeCtx:e,activeProperty:t,element:n[i],options:u,insideIndex:d,typeScopedContext:p});l&&o(a)&&(a={"@list":a}),null!==a&&(o(a)?r=r.concat(a):r.push(a))}return r}const v=f(e,t,{vocab:!0},u),m=h(e,t,"@context");p=p||(e.previousContext?e:null);let w=Object.keys(n).sort(),b=!d;if(b&&p&&w.length<=2&&!w.includes("@context"))for(const t of w){const n=f(p,t,{vocab:!0},u);if("@value"===n){b=!1,e=p;break}if("@id"===n&&1===w.length){b=!1;break}}b&&(e=e.revertToPreviousContext()),c(m)||(e=await g({activeCtx:e,localCtx:m,propagate:!0,overrideProtected:!0,options:u})),"@context"in n&&(e=await g({activeCtx:e,localCtx:n["@context"],options:u})),p=e;let j=null;for(const t of w)if("@type"===f(e,t,{vocab:!0},u)){j=j||t;const r=n[t],o=Array.isArray(r)?r.length>1?r.slice().sort():r:[r];for(const t of o){const n=h(p,t,"@context");c(n)||(e=await g({activeCtx:e,localCtx:n,options:u,propagate:!1}))}}let C={};await D({activeCtx:e,activeProperty:t,expandedActiveProperty:v,element:n,expandedParent:C,options:u,insideList:l,typeKey:j,typeScopedContext:p}),w=Object.keys(C);let k=w.length;if("@value"in C){if("@type"in C&&("@language"in C||"@direction"in C))throw new r('Invalid JSON-LD syntax; an element containing "@value" may not contain both "@type" and either "@language" or "@direction".',"jsonld.SyntaxError",{code:"invalid value object",element:C});let t=k-1;if("@type"in C&&(t-=1),"@index"in C&&(t-=1),"@language"in C&&(t-=1),"@direction"in C&&(t-=1),0!==t)throw new r('Invalid JSON-LD syntax; an element containing "@value" may only have an "@index" property and either "@type" or either or both "@language" or "@direction".',"jsonld.SyntaxError",{code:"invalid value object",element:C});const n=null===C["@value"]?[]:I(C["@value"]),o=S(C,"@type");if(y(e,1.1)&&o.includes("@json")&&1===o.length);else if(0===n.length)u.eventHandler&&E({event:{type:["JsonLdEvent"],code:"null @value value",level:"warning",message:"Dropping null @value value.",details:{value:C}},options:u}),C=null;else{if(!n.every(e=>s(e)||a(e))&&"@language"in C)throw new r("Invalid JSON-LD syntax; only strings may be language-tagged.","jsonld.SyntaxError",{code:"invalid language-tagged value",element:C});if(!o.every(e=>x(e)&&!(s(e)&&0===e.indexOf("_:"))||a(e)))throw new r('Invalid JSON-LD syntax; an element containing "@value" and "@type" must have an absolute IRI for the value of "@type".',"jsonld.SyntaxError",{code:"invalid typed value",element:C})}}else if("@type"in C&&!o(C["@type"]))C["@type"]=[C["@type"]];else if("@set"in C||"@list"in C){if(k>1&&(2!==k||!("@index"in C)))throw new r('Invalid JSON-LD syntax; if an element has the property "@set" or "@list", then it can have at most one other property that is "@index".',"jsonld.SyntaxError",{code:"invalid set or list object",element:C});"@set"in C&&(C=C["@set"],w=Object.keys(C),k=w.length)}else 1===k&&"@language"in C&&(u.eventHandler&&E({event:{type:["JsonLdEvent"],code:"object with only @language",level:"warning",message:"Dropping object with only @language.",details:{value:C}},options:u}),C=null);return!i(C)||u.keepFreeFloatingNodes||l||null!==t&&"@graph"!==v&&!(h(e,t,"@container")||[]).includes("@graph")||(C=A({value:C,count:k,options:u})),C}},2777:(e,t,n)=>{"use strict";var r=n(9565),o=n(34),i=n(757),a=n(5966),s=n(4270),c=n(8227),u=TypeError,l=c("toPrimitive");e.exports=function(e,t){if(!o(e)||i(e))return e;var n,c=a(e,l);if(c){if(void 0===t&&(t="default"),n=r(c,e,t),!o(n)||i(n))return n;throw new u("Can't convert object to primitive value")}return void 0===t&&(t="number"),s(e,t)}},2787:(e,t,n)=>{"use strict";var r=n(9297),o=n(4901),i=n(8981),a=n(6119),s=n(2211),c=a("IE_PROTO"),u=Object,l=u.prototype;e.exports=s?u.getPrototypeOf:function(e){var t=i(e);if(r(t,c))return t[c];var n=t.constructor;return o(n)&&t instanceof n?n.prototype:t instanceof u?l:null}},2796:(e,t,n)=>{"use strict";var r=n(9039),o=n(4901),i=/#|\.prototype\./,a=function(e,t){var n=c[s(e)];return n===l||n!==u&&(o(t)?r(t):!!t)},s=a.normalize=function(e){return String(e).replace(i,".").toLowerCase()},c=a.data={},u=a.NATIVE="N",l=a.POLYFILL="P";e.exports=a},2804:e=>{"use strict";var t="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789",n=t+"+/",r=t+"-_",o=function(e){for(var t={},n=0;n<64;n++)t[e.charAt(n)]=n;return t};e.exports={i2c:n,c2i:o(n),i2cUrl:r,c2iUrl:o(r)}},2805:(e,t,n)=>{"use strict";var r=n(4576),o=n(9039),i=n(4428),a=n(4644).NATIVE_ARRAY_BUFFER_VIEWS,s=r.ArrayBuffer,c=r.Int8Array;e.exports=!a||!o(function(){c(1)})||!o(function(){new c(-1)})||!i(function(e){new c,new c(null),new c(1.5),new c(e)},!0)||o(function(){return 1!==new c(new s(2),1,void 0).length})},2812:e=>{"use strict";var t=TypeError;e.exports=function(e,n){if(e<n)throw new t("Not enough arguments");return e}},2839:(e,t,n)=>{"use strict";var r=n(4576).navigator,o=r&&r.userAgent;e.exports=o?String(o):""},2953:(e,t,n)=>{"use strict";var r=n(4576),o=n(7400),i=n(9296),a=n(3792),s=n(6699),c=n(687),u=n(8227)("iterator"),l=a.values,d=function(e,t){if(e){if(e[u]!==l)try{s(e,u,l)}catch(t){e[u]=l}if(c(e,t,!0),o[t])for(var n in a)if(e[n]!==a[n])try{s(e,n,a[n])}catch(t){e[n]=a[n]}}};for(var p in o)d(r[p]&&r[p].prototype,p);d(i,"DOMTokenList")},2967:(e,t,n)=>{"use strict";var r=n(6706),o=n(34),i=n(7750),a=n(3506);e.exports=Object.setPrototypeOf||("__proto__"in{}?function(){var e,t=!1,n={};try{(e=r(Object.prototype,"__proto__","set"))(n,[]),t=n instanceof Array}catch(e){}return function(n,r){return i(n),a(r),o(n)?(t?e(n,r):n.__proto__=r,n):n}}():void 0)},3072:(e,t,n)=>{"use strict";n(6280),n(4114),n(6910),n(7642),n(8004),n(3853),n(5876),n(2475),n(5024),n(1698),n(2953);const r=n(3559),o=n(3842),i=n(931),a=n(7265);function s(e,t){return e.hash<t.hash?-1:e.hash>t.hash?1:0}e.exports=class{constructor({createMessageDigest:e=null,messageDigestAlgorithm:t="sha256",canonicalIdMap:n=new Map,maxWorkFactor:i=1,maxDeepIterations:a=-1,timeout:s=0}={}){this.name="RDFC-1.0",this.blankNodeInfo=new Map,this.canonicalIssuer=new r("c14n",n),this.createMessageDigest=e||(()=>new o(t)),this.maxWorkFactor=i,this.maxDeepIterations=a,this.remainingDeepIterations=0,this.timeout=s,s>0&&(this.startTime=Date.now()),this.quads=null}main(e){this.quads=e;for(const t of e)this._addBlankNodeQuadInfo({quad:t,component:t.subject}),this._addBlankNodeQuadInfo({quad:t,component:t.object}),this._addBlankNodeQuadInfo({quad:t,component:t.graph});const t=new Map,n=[...this.blankNodeInfo.keys()];for(const e of n)this._hashAndTrackBlankNode({id:e,hashToBlankNodes:t});const o=[...t.keys()].sort(),i=[];for(const e of o){const n=t.get(e);if(n.length>1){i.push(n);continue}const r=n[0];this.canonicalIssuer.getId(r)}if(this.maxDeepIterations<0)if(0===this.maxWorkFactor)this.maxDeepIterations=0;else if(this.maxWorkFactor===1/0)this.maxDeepIterations=1/0;else{const e=i.reduce((e,t)=>e+t.length,0);this.maxDeepIterations=e**this.maxWorkFactor}this.maxDeepIterations>Number.MAX_SAFE_INTEGER&&(this.maxDeepIterations=1/0),this.remainingDeepIterations=this.maxDeepIterations;for(const e of i){const t=[];for(const n of e){if(this.canonicalIssuer.hasId(n))continue;const e=new r("b");e.getId(n);const o=this.hashNDegreeQuads(n,e);t.push(o)}t.sort(s);for(const e of t){const t=e.issuer.getOldIds();for(const e of t)this.canonicalIssuer.getId(e)}}const c=[];for(const e of this.quads){const t=a.serializeQuadComponents(this._componentWithCanonicalId(e.subject),e.predicate,this._componentWithCanonicalId(e.object),this._componentWithCanonicalId(e.graph));c.push(t)}return c.sort(),c.join("")}hashFirstDegreeQuads(e){const t=[],n=this.blankNodeInfo.get(e),r=n.quads;for(const n of r)t.push(a.serializeQuadComponents(this.modifyFirstDegreeComponent(e,n.subject,"subject"),n.predicate,this.modifyFirstDegreeComponent(e,n.object,"object"),this.modifyFirstDegreeComponent(e,n.graph,"graph")));t.sort();const o=this.createMessageDigest();for(const e of t)o.update(e);return n.hash=o.digest(),n.hash}hashRelatedBlankNode(e,t,n,r){const o=this.createMessageDigest();let i;return o.update(r),"g"!==r&&o.update(this.getRelatedPredicate(t)),i=this.canonicalIssuer.hasId(e)?"_:"+this.canonicalIssuer.getId(e):n.hasId(e)?"_:"+n.getId(e):this.blankNodeInfo.get(e).hash,o.update(i),o.digest()}hashNDegreeQuads(e,t){if(0===this.remainingDeepIterations)throw new Error(`Maximum deep iterations exceeded (${this.maxDeepIterations}).`);this.remainingDeepIterations--;const n=this.createMessageDigest(),r=this.createHashToRelated(e,t),o=[...r.keys()].sort();for(const e of o){n.update(e);let o,a="";const s=new i(r.get(e));let c=0;for(;s.hasNext();){const e=s.next();if(++c%3==0&&this.timeout>0&&Date.now()-this.startTime>this.timeout)throw new Error("Canonize timeout.");let n=t.clone(),r="";const i=[];let u=!1;for(const t of e)if(this.canonicalIssuer.hasId(t)?r+="_:"+this.canonicalIssuer.getId(t):(n.hasId(t)||i.push(t),r+="_:"+n.getId(t)),0!==a.length&&r>a){u=!0;break}if(!u){for(const e of i){const t=this.hashNDegreeQuads(e,n);if(r+="_:"+n.getId(e),r+=`<${t.hash}>`,n=t.issuer,0!==a.length&&r>a){u=!0;break}}u||(0===a.length||r<a)&&(a=r,o=n)}}n.update(a),t=o}return{hash:n.digest(),issuer:t}}modifyFirstDegreeComponent(e,t){return"BlankNode"!==t.termType?t:{termType:"BlankNode",value:t.value===e?"a":"z"}}getRelatedPredicate(e){return`<${e.predicate.value}>`}createHashToRelated(e,t){const n=new Map,r=this.blankNodeInfo.get(e).quads;for(const o of r)this._addRelatedBlankNodeHash({quad:o,component:o.subject,position:"s",id:e,issuer:t,hashToRelated:n}),this._addRelatedBlankNodeHash({quad:o,component:o.object,position:"o",id:e,issuer:t,hashToRelated:n}),this._addRelatedBlankNodeHash({quad:o,component:o.graph,position:"g",id:e,issuer:t,hashToRelated:n});return n}_hashAndTrackBlankNode({id:e,hashToBlankNodes:t}){const n=this.hashFirstDegreeQuads(e),r=t.get(n);r?r.push(e):t.set(n,[e])}_addBlankNodeQuadInfo({quad:e,component:t}){if("BlankNode"!==t.termType)return;const n=t.value,r=this.blankNodeInfo.get(n);r?r.quads.add(e):this.blankNodeInfo.set(n,{quads:new Set([e]),hash:null})}_addRelatedBlankNodeHash({quad:e,component:t,position:n,id:r,issuer:o,hashToRelated:i}){if("BlankNode"!==t.termType||t.value===r)return;const a=t.value,s=this.hashRelatedBlankNode(a,e,o,n),c=i.get(s);c?c.push(a):i.set(s,[a])}_componentWithCanonicalId(e){return"BlankNode"!==e.termType||e.value.startsWith(this.canonicalIssuer.prefix)?e:{termType:"BlankNode",value:this.canonicalIssuer.getId(e.value)}}}},3110:(e,t,n)=>{"use strict";var r=n(6518),o=n(7751),i=n(8745),a=n(9565),s=n(9504),c=n(9039),u=n(4376),l=n(4901),d=n(5810),p=n(757),f=n(2195),h=n(655),v=n(7680),g=n(8235),y=n(3392),x=n(4495),m=n(7819),w=String,b=o("JSON","stringify"),I=s(/./.exec),S=s("".charAt),j=s("".charCodeAt),E=s("".replace),O=s("".slice),A=s([].push),D=s(1.1.toString),N=/[\uD800-\uDFFF]/g,C=/^[\uD800-\uDBFF]$/,k=/^[\uDC00-\uDFFF]$/,T=y(),R=T.length,L=!x||c(function(){var e=o("Symbol")("stringify detection");return"[null]"!==b([e])||"{}"!==b({a:e})||"{}"!==b(Object(e))}),_=c(function(){return'"\\udf06\\ud834"'!==b("\udf06\ud834")||'"\\udead"'!==b("\udead")}),P=L?function(e,t){var n=v(arguments),r=F(t);if(l(r)||void 0!==e&&!p(e))return n[1]=function(e,t){if(l(r)&&(t=a(r,this,w(e),t)),!p(t))return t},i(b,null,n)}:b,M=function(e,t,n){var r=S(n,t-1),o=S(n,t+1);return I(C,e)&&!I(k,o)||I(k,e)&&!I(C,r)?"\\u"+D(j(e,0),16):e},F=function(e){if(l(e))return e;if(u(e)){for(var t=e.length,n=[],r=0;r<t;r++){var o=e[r];"string"==typeof o?A(n,o):"number"!=typeof o&&"Number"!==f(o)&&"String"!==f(o)||A(n,h(o))}var i=n.length,a=!0;return function(e,t){if(a)return a=!1,t;if(u(this))return t;for(var r=0;r<i;r++)if(n[r]===e)return t}}};b&&r({target:"JSON",stat:!0,arity:3,forced:L||_||!m},{stringify:function(e,t,n){var r=F(t),o=[],i=P(e,function(e,t){var n=l(r)?a(r,this,w(e),t):t;return!m&&d(n)?T+(A(o,n.rawJSON)-1):n},n);if("string"!=typeof i)return i;if(_&&(i=E(i,N,M)),m)return i;for(var s="",c=i.length,u=0;u<c;u++){var p=S(i,u);if('"'===p){var f=g(i,++u).end-1,h=O(i,u,f);s+=O(h,0,R)===T?o[O(h,R)]:'"'+h+'"',u=f}else s+=p}return s}})},3164:(e,t,n)=>{"use strict";var r=n(7782),o=n(3602),i=Math.abs;e.exports=function(e,t,n,a){var s=+e,c=i(s),u=r(s);if(c<a)return u*o(c/a/t)*a*t;var l=(1+t/2220446049250313e-31)*c,d=l-(l-c);return d>n||d!=d?u*(1/0):u*d}},3167:(e,t,n)=>{"use strict";var r=n(4901),o=n(34),i=n(2967);e.exports=function(e,t,n){var a,s;return i&&r(a=t.constructor)&&a!==n&&o(s=a.prototype)&&s!==n.prototype&&i(e,s),e}},3238:(e,t,n)=>{"use strict";var r=n(4576),o=n(7811),i=n(7394),a=r.DataView;e.exports=function(e){if(!o||0!==i(e))return!1;try{return new a(e),!1}catch(e){return!0}}},3251:(e,t,n)=>{"use strict";var r=n(6080),o=n(9565),i=n(5548),a=n(8981),s=n(6198),c=n(81),u=n(851),l=n(4209),d=n(1108),p=n(4644).aTypedArrayConstructor,f=n(5854);e.exports=function(e){var t,n,h,v,g,y,x,m,w=i(this),b=a(e),I=arguments.length,S=I>1?arguments[1]:void 0,j=void 0!==S,E=u(b);if(E&&!l(E))for(m=(x=c(b,E)).next,b=[];!(y=o(m,x)).done;)b.push(y.value);for(j&&I>2&&(S=r(S,arguments[2])),n=s(b),h=new(p(w))(n),v=d(h),t=0;n>t;t++)g=j?S(b[t],t):b[t],h[t]=v?f(g):+g;return h}},3392:(e,t,n)=>{"use strict";var r=n(9504),o=0,i=Math.random(),a=r(1.1.toString);e.exports=function(e){return"Symbol("+(void 0===e?"":e)+")_"+a(++o+i,36)}},3440:(e,t,n)=>{"use strict";var r=n(7080),o=n(4402),i=n(9286),a=n(5170),s=n(3789),c=n(8469),u=n(507),l=o.has,d=o.remove;e.exports=function(e){var t=r(this),n=s(e),o=i(t);return a(t)<=n.size?c(t,function(e){n.includes(e)&&d(o,e)}):u(n.getIterator(),function(e){l(o,e)&&d(o,e)}),o}},3463:e=>{"use strict";var t=TypeError;e.exports=function(e){if("string"==typeof e)return e;throw new t("Argument is not a string")}},3506:(e,t,n)=>{"use strict";var r=n(3925),o=String,i=TypeError;e.exports=function(e){if(r(e))return e;throw new i("Can't set "+o(e)+" as a prototype")}},3517:(e,t,n)=>{"use strict";var r=n(9504),o=n(9039),i=n(4901),a=n(6955),s=n(7751),c=n(3706),u=function(){},l=s("Reflect","construct"),d=/^\s*(?:class|function)\b/,p=r(d.exec),f=!d.test(u),h=function(e){if(!i(e))return!1;try{return l(u,[],e),!0}catch(e){return!1}},v=function(e){if(!i(e))return!1;switch(a(e)){case"AsyncFunction":case"GeneratorFunction":case"AsyncGeneratorFunction":return!1}try{return f||!!p(d,c(e))}catch(e){return!0}};v.sham=!0,e.exports=!l||o(function(){var e;return h(h.call)||!h(Object)||!h(function(){e=!0})||e})?v:h},3559:(e,t,n)=>{"use strict";n(2953),e.exports=class e{constructor(e,t=new Map,n=0){this.prefix=e,this._existing=t,this.counter=n}clone(){const{prefix:t,_existing:n,counter:r}=this;return new e(t,new Map(n),r)}getId(e){const t=e&&this._existing.get(e);if(t)return t;const n=this.prefix+this.counter;return this.counter++,e&&this._existing.set(e,n),n}hasId(e){return this._existing.has(e)}getOldIds(){return[...this._existing.keys()]}}},3602:e=>{"use strict";var t=4503599627370496;e.exports=function(e){return e+t-t}},3607:(e,t,n)=>{"use strict";var r=n(2839).match(/AppleWebKit\/(\d+)\./);e.exports=!!r&&+r[1]},3609:(e,t,n)=>{"use strict";var r=n(6518),o=n(8981),i=n(6198),a=n(4527),s=n(4606),c=n(6837);r({target:"Array",proto:!0,arity:1,forced:1!==[].unshift(0)||!function(){try{Object.defineProperty([],"length",{writable:!1}).unshift()}catch(e){return e instanceof TypeError}}()},{unshift:function(e){var t=o(this),n=i(t),r=arguments.length;if(r){c(n+r);for(var u=n;u--;){var l=u+r;u in t?t[l]=t[u]:s(t,l)}for(var d=0;d<r;d++)t[d]=arguments[d]}return a(t,n+r)}})},3635:(e,t,n)=>{"use strict";var r=n(9039),o=n(4576).RegExp;e.exports=r(function(){var e=o(".","s");return!(e.dotAll&&e.test("\n")&&"s"===e.flags)})},3650:(e,t,n)=>{"use strict";var r=n(7080),o=n(4402),i=n(9286),a=n(3789),s=n(507),c=o.add,u=o.has,l=o.remove;e.exports=function(e){var t=r(this),n=a(e).getIterator(),o=i(t);return s(n,function(e){u(t,e)?l(o,e):c(o,e)}),o}},3706:(e,t,n)=>{"use strict";var r=n(9504),o=n(4901),i=n(7629),a=r(Function.toString);o(i.inspectSource)||(i.inspectSource=function(e){return a(e)}),e.exports=i.inspectSource},3709:(e,t,n)=>{"use strict";var r=n(2839).match(/firefox\/(\d+)/i);e.exports=!!r&&+r[1]},3717:(e,t)=>{"use strict";t.f=Object.getOwnPropertySymbols},3724:(e,t,n)=>{"use strict";var r=n(9039);e.exports=!r(function(){return 7!==Object.defineProperty({},1,{get:function(){return 7}})[1]})},3763:(e,t,n)=>{"use strict";var r=n(2839);e.exports=/MSIE|Trident/.test(r)},3789:(e,t,n)=>{"use strict";var r=n(9306),o=n(8551),i=n(9565),a=n(1291),s=n(1767),c="Invalid size",u=RangeError,l=TypeError,d=Math.max,p=function(e,t){this.set=e,this.size=d(t,0),this.has=r(e.has),this.keys=r(e.keys)};p.prototype={getIterator:function(){return s(o(i(this.keys,this.set)))},includes:function(e){return i(this.has,this.set,e)}},e.exports=function(e){o(e);var t=+e.size;if(t!=t)throw new l(c);var n=a(t);if(n<0)throw new u(c);return new p(e,n)}},3792:(e,t,n)=>{"use strict";var r=n(5397),o=n(6469),i=n(6269),a=n(1181),s=n(4913).f,c=n(1088),u=n(2529),l=n(6395),d=n(3724),p="Array Iterator",f=a.set,h=a.getterFor(p);e.exports=c(Array,"Array",function(e,t){f(this,{type:p,target:r(e),index:0,kind:t})},function(){var e=h(this),t=e.target,n=e.index++;if(!t||n>=t.length)return e.target=null,u(void 0,!0);switch(e.kind){case"keys":return u(n,!1);case"values":return u(t[n],!1)}return u([n,t[n]],!1)},"values");var v=i.Arguments=i.Array;if(o("keys"),o("values"),o("entries"),!l&&d&&"values"!==v.name)try{s(v,"name",{value:"values"})}catch(e){}},3827:(e,t,n)=>{"use strict";n(6280),n(5081);const r=n(2663),o=n(3072);function i(e,n){if(n.inputFormat){if("application/n-quads"===n.inputFormat){if("string"!=typeof e)throw new Error("N-Quads input must be a string.");return t.NQuads.parse(e)}throw new Error(`Unknown canonicalization input format: "${n.inputFormat}".`)}return e}function a(e){if(e.format&&"application/n-quads"!==e.format)throw new Error(`Unknown canonicalization output format: "${e.format}".`)}function s(){globalThis.RDF_CANONIZE_TRACE_URDNA2015&&console.trace("[rdf-canonize] URDNA2015 is deprecated, use RDFC-1.0")}t.NQuads=n(7265),t.IdentifierIssuer=n(3559),t.canonize=async function(e,t={}){const n=i(e,t);if(a(t),!("algorithm"in t))throw new Error("No RDF Dataset Canonicalization algorithm specified.");if("RDFC-1.0"===t.algorithm)return new r(t).main(n);if("URDNA2015"===t.algorithm&&!t.rejectURDNA2015)return s(),new r(t).main(n);throw new Error("Invalid RDF Dataset Canonicalization algorithm: "+t.algorithm)},t._canonizeSync=function(e,t={}){const n=i(e,t);if(a(t),!("algorithm"in t))throw new Error("No RDF Dataset Canonicalization algorithm specified.");if("RDFC-1.0"===t.algorithm)return new o(t).main(n);if("URDNA2015"===t.algorithm&&!t.rejectURDNA2015)return s(),new o(t).main(n);throw new Error("Invalid RDF Dataset Canonicalization algorithm: "+t.algorithm)}},3838:(e,t,n)=>{"use strict";var r=n(7080),o=n(5170),i=n(8469),a=n(3789);e.exports=function(e){var t=r(this),n=a(e);return!(o(t)>n.size)&&!1!==i(t,function(e){if(!n.includes(e))return!1},!0)}},3839:(e,t,n)=>{"use strict";var r=n(6080),o=n(7055),i=n(8981),a=n(6198),s=function(e){var t=1===e;return function(n,s,c){for(var u,l=i(n),d=o(l),p=a(d),f=r(s,c);p-- >0;)if(f(u=d[p],p,l))switch(e){case 0:return u;case 1:return p}return t?-1:void 0}};e.exports={findLast:s(0),findLastIndex:s(1)}},3842:(e,t,n)=>{"use strict";n(6280),n(2953);const{bufferToHex:r,crypto:o}=n(4105),i=new Map([["sha256","SHA-256"],["SHA256","SHA-256"],["SHA-256","SHA-256"],["sha384","SHA-384"],["SHA384","SHA-384"],["SHA-384","SHA-384"],["sha512","SHA-512"],["SHA512","SHA-512"],["SHA-512","SHA-512"]]);e.exports=class{constructor(e){if(!o||!o.subtle)throw new Error("crypto.subtle not found.");if(!i.has(e))throw new Error(`Unsupported algorithm "${e}".`);this.algorithm=i.get(e),this._content=""}update(e){this._content+=e}async digest(){const e=(new TextEncoder).encode(this._content),t=await o.subtle.digest(this.algorithm,e);return r(t)}}},3853:(e,t,n)=>{"use strict";var r=n(6518),o=n(4449);r({target:"Set",proto:!0,real:!0,forced:!n(4916)("isDisjointFrom",function(e){return!e})},{isDisjointFrom:o})},3925:(e,t,n)=>{"use strict";var r=n(34);e.exports=function(e){return r(e)||null===e}},3972:(e,t,n)=>{"use strict";var r=n(34),o=String,i=TypeError;e.exports=function(e){if(void 0===e||r(e))return e;throw new i(o(e)+" is not an object or undefined")}},3994:(e,t,n)=>{"use strict";var r=n(7657).IteratorPrototype,o=n(2360),i=n(6980),a=n(687),s=n(6269),c=function(){return this};e.exports=function(e,t,n,u){var l=t+" Iterator";return e.prototype=o(r,{next:i(+!u,n)}),a(e,l,!1,!0),s[l]=c,e}},4055:(e,t,n)=>{"use strict";var r=n(4576),o=n(34),i=r.document,a=o(i)&&o(i.createElement);e.exports=function(e){return a?i.createElement(e):{}}},4105:(e,t,n)=>{"use strict";n(4114),n(4743),n(1745),n(6573),n(8100),n(7936),n(5081),n(1489),n(8140),n(5044),n(1903),n(1134),n(8845),n(373),n(7467),n(4732),n(9577),n(1549),n(9797),n(9631),n(5623),n(9848),n(7713),t.setImmediate=setImmediate,t.crypto=globalThis.crypto;const r=[];for(let e=0;e<=255;++e)r.push(e.toString(16).padStart(2,"0"));t.bufferToHex=function(e){let t="";const n=new Uint8Array(e);for(let e=0;e<n.length;++e)t+=r[n[e]];return t}},4114:(e,t,n)=>{"use strict";var r=n(6518),o=n(8981),i=n(6198),a=n(4527),s=n(6837);r({target:"Array",proto:!0,arity:1,forced:n(9039)(function(){return 4294967297!==[].push.call({length:4294967296},1)})||!function(){try{Object.defineProperty([],"length",{writable:!1}).push()}catch(e){return e instanceof TypeError}}()},{push:function(e){var t=o(this),n=i(t),r=arguments.length;s(n+r);for(var c=0;c<r;c++)t[n]=arguments[c],n++;return a(t,n),n}})},4117:e=>{"use strict";e.exports=function(e){return null==e}},4154:(e,t,n)=>{"use strict";var r=n(6955),o=TypeError;e.exports=function(e){if("Uint8Array"===r(e))return e;throw new o("Argument is not an Uint8Array")}},4204:(e,t,n)=>{"use strict";var r=n(7080),o=n(4402).add,i=n(9286),a=n(3789),s=n(507);e.exports=function(e){var t=r(this),n=a(e).getIterator(),c=i(t);return s(n,function(e){o(c,e)}),c}},4209:(e,t,n)=>{"use strict";var r=n(8227),o=n(6269),i=r("iterator"),a=Array.prototype;e.exports=function(e){return void 0!==e&&(o.Array===e||a[i]===e)}},4215:(e,t,n)=>{"use strict";var r=n(4576),o=n(2839),i=n(2195),a=function(e){return o.slice(0,e.length)===e};e.exports=a("Bun/")?"BUN":a("Cloudflare-Workers")?"CLOUDFLARE":a("Deno/")?"DENO":a("Node.js/")?"NODE":r.Bun&&"string"==typeof Bun.version?"BUN":r.Deno&&"object"==typeof Deno.version?"DENO":"process"===i(r.process)?"NODE":r.window&&r.document?"BROWSER":"REST"},4226:(e,t,n)=>{"use strict";var r=n(6518),o=n(4576),i=n(3463),a=n(4154),s=n(5169),c=n(2303);o.Uint8Array&&r({target:"Uint8Array",proto:!0},{setFromHex:function(e){a(this),i(e),s(this.buffer);var t=c(e,this).read;return{read:t,written:t/2}}})},4270:(e,t,n)=>{"use strict";var r=n(9565),o=n(4901),i=n(34),a=TypeError;e.exports=function(e,t){var n,s;if("string"===t&&o(n=e.toString)&&!i(s=r(n,e)))return s;if(o(n=e.valueOf)&&!i(s=r(n,e)))return s;if("string"!==t&&o(n=e.toString)&&!i(s=r(n,e)))return s;throw new a("Can't convert object to primitive value")}},4340:e=>{"use strict";const t={};e.exports=t,t.isArray=Array.isArray,t.isBoolean=e=>"boolean"==typeof e||"[object Boolean]"===Object.prototype.toString.call(e),t.isDouble=e=>t.isNumber(e)&&(-1!==String(e).indexOf(".")||Math.abs(e)>=1e21),t.isEmptyObject=e=>t.isObject(e)&&0===Object.keys(e).length,t.isNumber=e=>"number"==typeof e||"[object Number]"===Object.prototype.toString.call(e),t.isNumeric=e=>!isNaN(parseFloat(e))&&isFinite(e),t.isObject=e=>"[object Object]"===Object.prototype.toString.call(e),t.isString=e=>"string"==typeof e||"[object String]"===Object.prototype.toString.call(e),t.isUndefined=e=>void 0===e},4343:(e,t,n)=>{"use strict";const r=n(6847),o={};e.exports=o,o.setupDocumentLoaders=function(e){"undefined"!=typeof XMLHttpRequest&&(e.documentLoaders.xhr=r,e.useDocumentLoader("xhr"))},o.setupGlobals=function(e){void 0===globalThis.JsonLdProcessor&&Object.defineProperty(globalThis,"JsonLdProcessor",{writable:!0,enumerable:!1,configurable:!0,value:e.JsonLdProcessor})}},4373:(e,t,n)=>{"use strict";var r=n(8981),o=n(5610),i=n(6198);e.exports=function(e){for(var t=r(this),n=i(t),a=arguments.length,s=o(a>1?arguments[1]:void 0,n),c=a>2?arguments[2]:void 0,u=void 0===c?n:o(c,n);u>s;)t[s++]=e;return t}},4376:(e,t,n)=>{"use strict";var r=n(2195);e.exports=Array.isArray||function(e){return"Array"===r(e)}},4402:(e,t,n)=>{"use strict";var r=n(9504),o=Set.prototype;e.exports={Set,add:r(o.add),has:r(o.has),remove:r(o.delete),proto:o}},4428:(e,t,n)=>{"use strict";var r=n(8227)("iterator"),o=!1;try{var i=0,a={next:function(){return{done:!!i++}},return:function(){o=!0}};a[r]=function(){return this},Array.from(a,function(){throw 2})}catch(e){}e.exports=function(e,t){try{if(!t&&!o)return!1}catch(e){return!1}var n=!1;try{var i={};i[r]=function(){return{next:function(){return{done:n=!0}}}},e(i)}catch(e){}return n}},4449:(e,t,n)=>{"use strict";var r=n(7080),o=n(4402).has,i=n(5170),a=n(3789),s=n(8469),c=n(507),u=n(9539);e.exports=function(e){var t=r(this),n=a(e);if(i(t)<=n.size)return!1!==s(t,function(e){if(n.includes(e))return!1},!0);var l=n.getIterator();return!1!==c(l,function(e){if(o(t,e))return u(l,"normal",!1)})}},4483:(e,t,n)=>{"use strict";var r,o,i,a,s=n(4576),c=n(9429),u=n(1548),l=s.structuredClone,d=s.ArrayBuffer,p=s.MessageChannel,f=!1;if(u)f=function(e){l(e,{transfer:[e]})};else if(d)try{p||(r=c("worker_threads"))&&(p=r.MessageChannel),p&&(o=new p,i=new d(2),a=function(e){o.port1.postMessage(null,[e])},2===i.byteLength&&(a(i),0===i.byteLength&&(f=a)))}catch(e){}e.exports=f},4488:(e,t,n)=>{"use strict";var r=n(7680),o=Math.floor,i=function(e,t){var n=e.length;if(n<8)for(var a,s,c=1;c<n;){for(s=c,a=e[c];s&&t(e[s-1],a)>0;)e[s]=e[--s];s!==c++&&(e[s]=a)}else for(var u=o(n/2),l=i(r(e,0,u),t),d=i(r(e,u),t),p=l.length,f=d.length,h=0,v=0;h<p||v<f;)e[h+v]=h<p&&v<f?t(l[h],d[v])<=0?l[h++]:d[v++]:h<p?l[h++]:d[v++];return e};e.exports=i},4490:(e,t,n)=>{"use strict";var r=n(6518),o=n(9504),i=n(4376),a=o([].reverse),s=[1,2];r({target:"Array",proto:!0,forced:String(s)===String(s.reverse())},{reverse:function(){return i(this)&&(this.length=this.length),a(this)}})},4495:(e,t,n)=>{"use strict";var r=n(9519),o=n(9039),i=n(4576).String;e.exports=!!Object.getOwnPropertySymbols&&!o(function(){var e=Symbol("symbol detection");return!i(e)||!(Object(e)instanceof Symbol)||!Symbol.sham&&r&&r<41})},4497:(e,t,n)=>{"use strict";function r(e){var t=this;if(t instanceof r||(t=new r),t.tail=null,t.head=null,t.length=0,e&&"function"==typeof e.forEach)e.forEach(function(e){t.push(e)});else if(arguments.length>0)for(var n=0,o=arguments.length;n<o;n++)t.push(arguments[n]);return t}function o(e,t,n){var r=t===e.head?new s(n,null,t,e):new s(n,t,t.next,e);return null===r.next&&(e.tail=r),null===r.prev&&(e.head=r),e.length++,r}function i(e,t){e.tail=new s(t,e.tail,null,e),e.head||(e.head=e.tail),e.length++}function a(e,t){e.head=new s(t,null,e.head,e),e.tail||(e.tail=e.head),e.length++}function s(e,t,n,r){if(!(this instanceof s))return new s(e,t,n,r);this.list=r,this.value=e,t?(t.next=this,this.prev=t):this.prev=null,n?(n.prev=this,this.next=n):this.next=null}n(6280),n(4114),n(4490),n(3609),n(8111),n(7588),n(1701),n(8237),n(1806),e.exports=r,r.Node=s,r.create=r,r.prototype.removeNode=function(e){if(e.list!==this)throw new Error("removing node which does not belong to this list");var t=e.next,n=e.prev;return t&&(t.prev=n),n&&(n.next=t),e===this.head&&(this.head=t),e===this.tail&&(this.tail=n),e.list.length--,e.next=null,e.prev=null,e.list=null,t},r.prototype.unshiftNode=function(e){if(e!==this.head){e.list&&e.list.removeNode(e);var t=this.head;e.list=this,e.next=t,t&&(t.prev=e),this.head=e,this.tail||(this.tail=e),this.length++}},r.prototype.pushNode=function(e){if(e!==this.tail){e.list&&e.list.removeNode(e);var t=this.tail;e.list=this,e.prev=t,t&&(t.next=e),this.tail=e,this.head||(this.head=e),this.length++}},r.prototype.push=function(){for(var e=0,t=arguments.length;e<t;e++)i(this,arguments[e]);return this.length},r.prototype.unshift=function(){for(var e=0,t=arguments.length;e<t;e++)a(this,arguments[e]);return this.length},r.prototype.pop=function(){if(this.tail){var e=this.tail.value;return this.tail=this.tail.prev,this.tail?this.tail.next=null:this.head=null,this.length--,e}},r.prototype.shift=function(){if(this.head){var e=this.head.value;return this.head=this.head.next,this.head?this.head.prev=null:this.tail=null,this.length--,e}},r.prototype.forEach=function(e,t){t=t||this;for(var n=this.head,r=0;null!==n;r++)e.call(t,n.value,r,this),n=n.next},r.prototype.forEachReverse=function(e,t){t=t||this;for(var n=this.tail,r=this.length-1;null!==n;r--)e.call(t,n.value,r,this),n=n.prev},r.prototype.get=function(e){for(var t=0,n=this.head;null!==n&&t<e;t++)n=n.next;if(t===e&&null!==n)return n.value},r.prototype.getReverse=function(e){for(var t=0,n=this.tail;null!==n&&t<e;t++)n=n.prev;if(t===e&&null!==n)return n.value},r.prototype.map=function(e,t){t=t||this;for(var n=new r,o=this.head;null!==o;)n.push(e.call(t,o.value,this)),o=o.next;return n},r.prototype.mapReverse=function(e,t){t=t||this;for(var n=new r,o=this.tail;null!==o;)n.push(e.call(t,o.value,this)),o=o.prev;return n},r.prototype.reduce=function(e,t){var n,r=this.head;if(arguments.length>1)n=t;else{if(!this.head)throw new TypeError("Reduce of empty list with no initial value");r=this.head.next,n=this.head.value}for(var o=0;null!==r;o++)n=e(n,r.value,o),r=r.next;return n},r.prototype.reduceReverse=function(e,t){var n,r=this.tail;if(arguments.length>1)n=t;else{if(!this.tail)throw new TypeError("Reduce of empty list with no initial value");r=this.tail.prev,n=this.tail.value}for(var o=this.length-1;null!==r;o--)n=e(n,r.value,o),r=r.prev;return n},r.prototype.toArray=function(){for(var e=new Array(this.length),t=0,n=this.head;null!==n;t++)e[t]=n.value,n=n.next;return e},r.prototype.toArrayReverse=function(){for(var e=new Array(this.length),t=0,n=this.tail;null!==n;t++)e[t]=n.value,n=n.prev;return e},r.prototype.slice=function(e,t){(t=t||this.length)<0&&(t+=this.length),(e=e||0)<0&&(e+=this.length);var n=new r;if(t<e||t<0)return n;e<0&&(e=0),t>this.length&&(t=this.length);for(var o=0,i=this.head;null!==i&&o<e;o++)i=i.next;for(;null!==i&&o<t;o++,i=i.next)n.push(i.value);return n},r.prototype.sliceReverse=function(e,t){(t=t||this.length)<0&&(t+=this.length),(e=e||0)<0&&(e+=this.length);var n=new r;if(t<e||t<0)return n;e<0&&(e=0),t>this.length&&(t=this.length);for(var o=this.length,i=this.tail;null!==i&&o>t;o--)i=i.prev;for(;null!==i&&o>e;o--,i=i.prev)n.push(i.value);return n},r.prototype.splice=function(e,t,...n){e>this.length&&(e=this.length-1),e<0&&(e=this.length+e);for(var r=0,i=this.head;null!==i&&r<e;r++)i=i.next;var a=[];for(r=0;i&&r<t;r++)a.push(i.value),i=this.removeNode(i);for(null===i&&(i=this.tail),i!==this.head&&i!==this.tail&&(i=i.prev),r=0;r<n.length;r++)i=o(this,i,n[r]);return a},r.prototype.reverse=function(){for(var e=this.head,t=this.tail,n=e;null!==n;n=n.prev){var r=n.prev;n.prev=n.next,n.next=r}return this.head=t,this.tail=e,this};try{n(6905)(r)}catch(e){}},4527:(e,t,n)=>{"use strict";var r=n(3724),o=n(4376),i=TypeError,a=Object.getOwnPropertyDescriptor,s=r&&!function(){if(void 0!==this)return!0;try{Object.defineProperty([],"length",{writable:!1}).length=1}catch(e){return e instanceof TypeError}}();e.exports=s?function(e,t){if(o(e)&&!a(e,"length").writable)throw new i("Cannot set read only .length");return e.length=t}:function(e,t){return e.length=t}},4540:(e,t,n)=>{"use strict";const r=n(4340),o={};e.exports=o,o.parsers={simple:{keys:["href","scheme","authority","path","query","fragment"],regex:/^(?:([^:\/?#]+):)?(?:\/\/([^\/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?/},full:{keys:["href","protocol","scheme","authority","auth","user","password","hostname","port","path","directory","file","query","fragment"],regex:/^(([a-zA-Z][a-zA-Z0-9+-.]*):)?(?:\/\/((?:(([^:@]*)(?::([^:@]*))?)?@)?([^:\/?#]*)(?::(\d*))?))?(?:(((?:[^?#\/]*\/)*)([^?#]*))(?:\?([^#]*))?(?:#(.*))?)/}},o.parse=(e,t)=>{const n={},r=o.parsers[t||"full"],i=r.regex.exec(e);let a=r.keys.length;for(;a--;)n[r.keys[a]]=void 0===i[a]?null:i[a];return("https"===n.scheme&&"443"===n.port||"http"===n.scheme&&"80"===n.port)&&(n.href=n.href.replace(":"+n.port,""),n.authority=n.authority.replace(":"+n.port,""),n.port=null),n.normalizedPath=o.removeDotSegments(n.path),n},o.prependBase=(e,t)=>{if(null===e)return t;if(o.isAbsolute(t))return t;e&&!r.isString(e)||(e=o.parse(e||""));const n=o.parse(t),i={protocol:e.protocol||""};if(null!==n.authority)i.authority=n.authority,i.path=n.path,i.query=n.query;else if(i.authority=e.authority,""===n.path)i.path=e.path,null!==n.query?i.query=n.query:i.query=e.query;else{if(0===n.path.indexOf("/"))i.path=n.path;else{let t=e.path;t=t.substr(0,t.lastIndexOf("/")+1),(t.length>0||e.authority)&&"/"!==t.substr(-1)&&(t+="/"),t+=n.path,i.path=t}i.query=n.query}""!==n.path&&(i.path=o.removeDotSegments(i.path));let a=i.protocol;return null!==i.authority&&(a+="//"+i.authority),a+=i.path,null!==i.query&&(a+="?"+i.query),null!==n.fragment&&(a+="#"+n.fragment),""===a&&(a="./"),a},o.removeBase=(e,t)=>{if(null===e)return t;e&&!r.isString(e)||(e=o.parse(e||""));let n="";if(""!==e.href?n+=(e.protocol||"")+"//"+(e.authority||""):t.indexOf("//")&&(n+="//"),0!==t.indexOf(n))return t;const i=o.parse(t.substr(n.length)),a=e.normalizedPath.split("/"),s=i.normalizedPath.split("/"),c=i.fragment||i.query?0:1;for(;a.length>0&&s.length>c&&a[0]===s[0];)a.shift(),s.shift();let u="";if(a.length>0){a.pop();for(let e=0;e<a.length;++e)u+="../"}return u+=s.join("/"),null!==i.query&&(u+="?"+i.query),null!==i.fragment&&(u+="#"+i.fragment),""===u&&(u="./"),u},o.removeDotSegments=e=>{if(0===e.length)return"";const t=e.split("/"),n=[];for(;t.length>0;){const e=t.shift(),r=0===t.length;"."!==e?".."!==e?n.push(e):(n.pop(),r&&n.push("")):r&&n.push("")}return"/"===e[0]&&n.length>0&&""!==n[0]&&n.unshift(""),1===n.length&&""===n[0]?"/":n.join("/")};const i=/^([A-Za-z][A-Za-z0-9+-.]*|_):[^\s]*$/;o.isAbsolute=e=>r.isString(e)&&i.test(e),o.isRelative=e=>r.isString(e)},4549:(e,t,n)=>{"use strict";var r=n(4576);e.exports=function(e,t){var n=r.Iterator,o=n&&n.prototype,i=o&&o[e],a=!1;if(i)try{i.call({next:function(){return{done:!0}},return:function(){a=!0}},-1)}catch(e){e instanceof t||(a=!1)}if(!a)return i}},4576:function(e,t,n){"use strict";var r=function(e){return e&&e.Math===Math&&e};e.exports=r("object"==typeof globalThis&&globalThis)||r("object"==typeof window&&window)||r("object"==typeof self&&self)||r("object"==typeof n.g&&n.g)||r("object"==typeof this&&this)||function(){return this}()||Function("return this")()},4598:(e,t,n)=>{"use strict";var r=n(9039);e.exports=function(e,t){var n=[][e];return!!n&&r(function(){n.call(null,t||function(){return 1},1)})}},4601:(e,t,n)=>{"use strict";var r=n(7751),o=n(9297),i=n(6699),a=n(1625),s=n(2967),c=n(7740),u=n(1056),l=n(3167),d=n(2603),p=n(7584),f=n(747),h=n(3724),v=n(6395);e.exports=function(e,t,n,g){var y="stackTraceLimit",x=g?2:1,m=e.split("."),w=m[m.length-1],b=r.apply(null,m);if(b){var I=b.prototype;if(!v&&o(I,"cause")&&delete I.cause,!n)return b;var S=r("Error"),j=t(function(e,t){var n=d(g?t:e,void 0),r=g?new b(e):new b;return void 0!==n&&i(r,"message",n),f(r,j,r.stack,2),this&&a(I,this)&&l(r,this,j),arguments.length>x&&p(r,arguments[x]),r});if(j.prototype=I,"Error"!==w?s?s(j,S):c(j,S,{name:!0}):h&&y in b&&(u(j,b,y),u(j,b,"prepareStackTrace")),c(j,b),!v)try{I.name!==w&&i(I,"name",w),I.constructor=j}catch(e){}return j}}},4606:(e,t,n)=>{"use strict";var r=n(6823),o=TypeError;e.exports=function(e,t){if(!delete e[t])throw new o("Cannot delete property "+r(t)+" of "+r(e))}},4644:(e,t,n)=>{"use strict";var r,o,i,a=n(7811),s=n(3724),c=n(4576),u=n(4901),l=n(34),d=n(9297),p=n(6955),f=n(6823),h=n(6699),v=n(6840),g=n(2106),y=n(1625),x=n(2787),m=n(2967),w=n(8227),b=n(3392),I=n(1181),S=I.enforce,j=I.get,E=c.Int8Array,O=E&&E.prototype,A=c.Uint8ClampedArray,D=A&&A.prototype,N=E&&x(E),C=O&&x(O),k=Object.prototype,T=c.TypeError,R=w("toStringTag"),L=b("TYPED_ARRAY_TAG"),_="TypedArrayConstructor",P=a&&!!m&&"Opera"!==p(c.opera),M=!1,F={Int8Array:1,Uint8Array:1,Uint8ClampedArray:1,Int16Array:2,Uint16Array:2,Int32Array:4,Uint32Array:4,Float32Array:4,Float64Array:8},J={BigInt64Array:8,BigUint64Array:8},B=function(e){var t=x(e);if(l(t)){var n=j(t);return n&&d(n,_)?n[_]:B(t)}},U=function(e){if(!l(e))return!1;var t=p(e);return d(F,t)||d(J,t)};for(r in F)(i=(o=c[r])&&o.prototype)?S(i)[_]=o:P=!1;for(r in J)(i=(o=c[r])&&o.prototype)&&(S(i)[_]=o);if((!P||!u(N)||N===Function.prototype)&&(N=function(){throw new T("Incorrect invocation")},P))for(r in F)c[r]&&m(c[r],N);if((!P||!C||C===k)&&(C=N.prototype,P))for(r in F)c[r]&&m(c[r].prototype,C);if(P&&x(D)!==C&&m(D,C),s&&!d(C,R))for(r in M=!0,g(C,R,{configurable:!0,get:function(){return l(this)?this[L]:void 0}}),F)c[r]&&h(c[r],L,r);e.exports={NATIVE_ARRAY_BUFFER_VIEWS:P,TYPED_ARRAY_TAG:M&&L,aTypedArray:function(e){if(U(e))return e;throw new T("Target is not a typed array")},aTypedArrayConstructor:function(e){if(u(e)&&(!m||y(N,e)))return e;throw new T(f(e)+" is not a typed array constructor")},exportTypedArrayMethod:function(e,t,n,r){if(s){if(n)for(var o in F){var i=c[o];if(i&&d(i.prototype,e))try{delete i.prototype[e]}catch(n){try{i.prototype[e]=t}catch(e){}}}C[e]&&!n||v(C,e,n?t:P&&O[e]||t,r)}},exportTypedArrayStaticMethod:function(e,t,n){var r,o;if(s){if(m){if(n)for(r in F)if((o=c[r])&&d(o,e))try{delete o[e]}catch(e){}if(N[e]&&!n)return;try{return v(N,e,n?t:P&&N[e]||t)}catch(e){}}for(r in F)!(o=c[r])||o[e]&&!n||v(o,e,t)}},getTypedArrayConstructor:B,isView:function(e){if(!l(e))return!1;var t=p(e);return"DataView"===t||d(F,t)||d(J,t)},isTypedArray:U,TypedArray:N,TypedArrayPrototype:C}},4659:(e,t,n)=>{"use strict";var r=n(9039),o=n(6980);e.exports=!r(function(){var e=new Error("a");return!("stack"in e)||(Object.defineProperty(e,"stack",o(1,7)),7!==e.stack)})},4732:(e,t,n)=>{"use strict";var r=n(4644),o=n(9504),i=n(9306),a=n(5370),s=r.aTypedArray,c=r.getTypedArrayConstructor,u=r.exportTypedArrayMethod,l=o(r.TypedArrayPrototype.sort);u("toSorted",function(e){void 0!==e&&i(e);var t=s(this),n=a(c(t),t);return l(n,e)})},4743:(e,t,n)=>{"use strict";var r=n(6518),o=n(4576),i=n(6346),a=n(7633),s="ArrayBuffer",c=i[s];r({global:!0,constructor:!0,forced:o[s]!==c},{ArrayBuffer:c}),a(s)},4864:(e,t,n)=>{"use strict";var r=n(3724),o=n(4576),i=n(9504),a=n(2796),s=n(3167),c=n(6699),u=n(2360),l=n(8480).f,d=n(1625),p=n(788),f=n(655),h=n(1034),v=n(8429),g=n(1056),y=n(6840),x=n(9039),m=n(9297),w=n(1181).enforce,b=n(7633),I=n(8227),S=n(3635),j=n(8814),E=I("match"),O=o.RegExp,A=O.prototype,D=o.SyntaxError,N=i(A.exec),C=i("".charAt),k=i("".replace),T=i("".indexOf),R=i("".slice),L=/^\?<[^\s\d!#%&*+<=>@^][^\s!#%&*+<=>@^]*>/,_=/a/g,P=/a/g,M=new O(_)!==_,F=v.MISSED_STICKY,J=v.UNSUPPORTED_Y;if(a("RegExp",r&&(!M||F||S||j||x(function(){return P[E]=!1,O(_)!==_||O(P)===P||"/a/i"!==String(O(_,"i"))})))){for(var B=function(e,t){var n,r,o,i,a,l,v=d(A,this),g=p(e),y=void 0===t,x=[],b=e;if(!v&&g&&y&&e.constructor===B)return e;if((g||d(A,e))&&(e=e.source,y&&(t=h(b))),e=void 0===e?"":f(e),t=void 0===t?"":f(t),b=e,S&&"dotAll"in _&&(r=!!t&&T(t,"s")>-1)&&(t=k(t,/s/g,"")),n=t,F&&"sticky"in _&&(o=!!t&&T(t,"y")>-1)&&J&&(t=k(t,/y/g,"")),j&&(i=function(e){for(var t,n=e.length,r=0,o="",i=[],a=u(null),s=!1,c=!1,l=0,d="";r<=n;r++){if("\\"===(t=C(e,r)))t+=C(e,++r);else if("]"===t)s=!1;else if(!s)switch(!0){case"["===t:s=!0;break;case"("===t:if(o+=t,"?:"===R(e,r+1,r+3))continue;N(L,R(e,r+1))&&(r+=2,c=!0),l++;continue;case">"===t&&c:if(""===d||m(a,d))throw new D("Invalid capture group name");a[d]=!0,i[i.length]=[d,l],c=!1,d="";continue}c?d+=t:o+=t}return[o,i]}(e),e=i[0],x=i[1]),a=s(O(e,t),v?this:A,B),(r||o||x.length)&&(l=w(a),r&&(l.dotAll=!0,l.raw=B(function(e){for(var t,n=e.length,r=0,o="",i=!1;r<=n;r++)"\\"!==(t=C(e,r))?i||"."!==t?("["===t?i=!0:"]"===t&&(i=!1),o+=t):o+="[\\s\\S]":o+=t+C(e,++r);return o}(e),n)),o&&(l.sticky=!0),x.length&&(l.groups=x)),e!==b)try{c(a,"source",""===b?"(?:)":b)}catch(e){}return a},U=l(O),H=0;U.length>H;)g(B,O,U[H++]);A.constructor=B,B.prototype=A,y(o,"RegExp",B,{constructor:!0})}b("RegExp")},4901:e=>{"use strict";var t="object"==typeof document&&document.all;e.exports=void 0===t&&void 0!==t?function(e){return"function"==typeof e||e===t}:function(e){return"function"==typeof e}},4913:(e,t,n)=>{"use strict";var r=n(3724),o=n(5917),i=n(8686),a=n(8551),s=n(6969),c=TypeError,u=Object.defineProperty,l=Object.getOwnPropertyDescriptor,d="enumerable",p="configurable",f="writable";t.f=r?i?function(e,t,n){if(a(e),t=s(t),a(n),"function"==typeof e&&"prototype"===t&&"value"in n&&f in n&&!n[f]){var r=l(e,t);r&&r[f]&&(e[t]=n.value,n={configurable:p in n?n[p]:r[p],enumerable:d in n?n[d]:r[d],writable:!1})}return u(e,t,n)}:u:function(e,t,n){if(a(e),t=s(t),a(n),o)try{return u(e,t,n)}catch(e){}if("get"in n||"set"in n)throw new c("Accessors not supported");return"value"in n&&(e[t]=n.value),e}},4916:(e,t,n)=>{"use strict";var r=n(7751),o=function(e){return{size:e,has:function(){return!1},keys:function(){return{next:function(){return{done:!0}}}}}},i=function(e){return{size:e,has:function(){return!0},keys:function(){throw new Error("e")}}};e.exports=function(e,t){var n=r("Set");try{(new n)[e](o(0));try{return(new n)[e](o(-1)),!1}catch(r){if(!t)return!0;try{return(new n)[e](i(-1/0)),!1}catch(r){return t(new n([1,2])[e](i(1/0)))}}}catch(e){return!1}}},5024:(e,t,n)=>{"use strict";var r=n(6518),o=n(3650),i=n(9835);r({target:"Set",proto:!0,real:!0,forced:!n(4916)("symmetricDifference")||!i("symmetricDifference")},{symmetricDifference:o})},5031:(e,t,n)=>{"use strict";var r=n(7751),o=n(9504),i=n(8480),a=n(3717),s=n(8551),c=o([].concat);e.exports=r("Reflect","ownKeys")||function(e){var t=i.f(s(e)),n=a.f;return n?c(t,n(e)):t}},5044:(e,t,n)=>{"use strict";var r=n(4644),o=n(4373),i=n(5854),a=n(6955),s=n(9565),c=n(9504),u=n(9039),l=r.aTypedArray,d=r.exportTypedArrayMethod,p=c("".slice);d("fill",function(e){var t=arguments.length;l(this);var n="Big"===p(a(this),0,3)?i(e):+e;return s(o,this,n,t>1?arguments[1]:void 0,t>2?arguments[2]:void 0)},u(function(){var e=0;return new Int8Array(2).fill({valueOf:function(){return e++}}),1!==e}))},5081:(e,t,n)=>{"use strict";var r=n(6518),o=n(4576);r({global:!0,forced:o.globalThis!==o},{globalThis:o})},5169:(e,t,n)=>{"use strict";var r=n(3238),o=TypeError;e.exports=function(e){if(r(e))throw new o("ArrayBuffer is detached");return e}},5170:(e,t,n)=>{"use strict";var r=n(6706),o=n(4402);e.exports=r(o.proto,"size","get")||function(e){return e.size}},5213:(e,t,n)=>{"use strict";var r=n(4576),o=n(9039),i=r.RegExp,a=!o(function(){var e=!0;try{i(".","d")}catch(t){e=!1}var t={},n="",r=e?"dgimsy":"gimsy",o=function(e,r){Object.defineProperty(t,e,{get:function(){return n+=r,!0}})},a={dotAll:"s",global:"g",ignoreCase:"i",multiline:"m",sticky:"y"};for(var s in e&&(a.hasIndices="d"),a)o(s,a[s]);return Object.getOwnPropertyDescriptor(i.prototype,"flags").get.call(t)!==r||n!==r});e.exports={correct:a}},5370:(e,t,n)=>{"use strict";var r=n(6198);e.exports=function(e,t,n){for(var o=0,i=arguments.length>2?n:r(t),a=new e(i);i>o;)a[o]=t[o++];return a}},5397:(e,t,n)=>{"use strict";var r=n(7055),o=n(7750);e.exports=function(e){return r(o(e))}},5440:(e,t,n)=>{"use strict";var r=n(8745),o=n(9565),i=n(9504),a=n(9228),s=n(9039),c=n(8551),u=n(4901),l=n(34),d=n(1291),p=n(8014),f=n(655),h=n(7750),v=n(7829),g=n(5966),y=n(2478),x=n(1034),m=n(6682),w=n(8227)("replace"),b=Math.max,I=Math.min,S=i([].concat),j=i([].push),E=i("".indexOf),O=i("".slice),A=function(e){return void 0===e?e:String(e)},D="$0"==="a".replace(/./,"$0"),N=!!/./[w]&&""===/./[w]("a","$0");a("replace",function(e,t,n){var i=N?"$":"$0";return[function(e,n){var r=h(this),i=l(e)?g(e,w):void 0;return i?o(i,e,r,n):o(t,f(r),e,n)},function(e,o){var a=c(this),s=f(e);if("string"==typeof o&&-1===E(o,i)&&-1===E(o,"$<")){var l=n(t,a,s,o);if(l.done)return l.value}var h=u(o);h||(o=f(o));var g,w=f(x(a)),D=-1!==E(w,"g");D&&(g=-1!==E(w,"u"),a.lastIndex=0);for(var N,C=[];null!==(N=m(a,s))&&(j(C,N),D);)""===f(N[0])&&(a.lastIndex=v(s,p(a.lastIndex),g));for(var k="",T=0,R=0;R<C.length;R++){for(var L,_=f((N=C[R])[0]),P=b(I(d(N.index),s.length),0),M=[],F=1;F<N.length;F++)j(M,A(N[F]));var J=N.groups;if(h){var B=S([_],M,P,s);void 0!==J&&j(B,J),L=f(r(o,void 0,B))}else L=y(_,s,P,M,J,o);P>=T&&(k+=O(s,T,P)+L,T=P+_.length)}return k+O(s,T)}]},!!s(function(){var e=/./;return e.exec=function(){var e=[];return e.groups={a:"7"},e},"7"!=="".replace(e,"$<a>")})||!D||N)},5511:(e,t,n)=>{"use strict";const{isSubjectReference:r}=n(2460),{createMergedNodeMap:o}=n(1523),i={};e.exports=i,i.flatten=e=>{const t=o(e),n=[],i=Object.keys(t).sort();for(let e=0;e<i.length;++e){const o=t[i[e]];r(o)||n.push(o)}return n}},5548:(e,t,n)=>{"use strict";var r=n(3517),o=n(6823),i=TypeError;e.exports=function(e){if(r(e))return e;throw new i(o(e)+" is not a constructor")}},5551:(e,t,n)=>{const r=n(6915),o=n(4343),i=n(1869),a=n(396),s=i.IdentifierIssuer,c=n(8937),u=n(5967),l=n(9219),{expand:d}=n(2669),{flatten:p}=n(5511),{fromRDF:f}=n(8505),{toRDF:h}=n(370),{frameMergedOrDefault:v,cleanupNull:g}=n(1540),{isArray:y,isObject:x,isString:m}=n(4340),{isSubjectReference:w}=n(2460),{expandIri:b,getInitialContext:I,process:S,processingMode:j}=n(394),{compact:E,compactIri:O}=n(256),{createNodeMap:A,createMergedNodeMap:D,mergeNodeMaps:N}=n(1523),{logEventHandler:C,logWarningEventHandler:k,safeEventHandler:T,setDefaultEventHandler:R,setupEventHandler:L,strictEventHandler:_,unhandledEventHandler:P}=n(9792),M=function(e){const t={},M=new u({max:100});function F(t,{documentLoader:n=e.documentLoader,...r}){if(t&&"compactionMap"in t)throw new c('"compactionMap" not supported.',"jsonld.OptionsError");if(t&&"expansionMap"in t)throw new c('"expansionMap" not supported.',"jsonld.OptionsError");return Object.assign({},{documentLoader:n},r,t,{eventHandler:L({options:t})})}return e.compact=async function(t,n,r){if(arguments.length<2)throw new TypeError("Could not compact, too few arguments.");if(null===n)throw new c("The compaction context must not be null.","jsonld.CompactError",{code:"invalid local context"});if(null===t)return null;let o;(r=F(r,{base:m(t)?t:"",compactArrays:!0,compactToRelative:!0,graph:!1,skipExpansion:!1,link:!1,issuer:new s("_:b"),contextResolver:new a({sharedCache:M})})).link&&(r.skipExpansion=!0),r.compactToRelative||delete r.base,o=r.skipExpansion?t:await e.expand(t,r);const u=await e.processContext(I(r),n,r);let l=await E({activeCtx:u,element:o,options:r});r.compactArrays&&!r.graph&&y(l)?1===l.length?l=l[0]:0===l.length&&(l={}):r.graph&&x(l)&&(l=[l]),x(n)&&"@context"in n&&(n=n["@context"]),n=i.clone(n),y(n)||(n=[n]);const d=n;n=[];for(let e=0;e<d.length;++e)(!x(d[e])||Object.keys(d[e]).length>0)&&n.push(d[e]);const p=n.length>0;if(1===n.length&&(n=n[0]),y(l)){const e=O({activeCtx:u,iri:"@graph",relativeTo:{vocab:!0}}),t=l;l={},p&&(l["@context"]=n),l[e]=t}else if(x(l)&&p){const e=l;l={"@context":n};for(const t in e)l[t]=e[t]}return l},e.expand=async function(t,n){if(arguments.length<1)throw new TypeError("Could not expand, too few arguments.");const r={},o=[];if("expandContext"in(n=F(n,{keepFreeFloatingNodes:!1,contextResolver:new a({sharedCache:M})}))){const e=i.clone(n.expandContext);x(e)&&"@context"in e?r.expandContext=e:r.expandContext={"@context":e},o.push(r.expandContext)}let s;if(m(t)){const i=await e.get(t,n);s=i.documentUrl,r.input=i.document,i.contextUrl&&(r.remoteContext={"@context":i.contextUrl},o.push(r.remoteContext))}else r.input=i.clone(t);"base"in n||(n.base=s||"");let c=I(n);for(const e of o)c=await S({activeCtx:c,localCtx:e,options:n});let u=await d({activeCtx:c,element:r.input,options:n});return x(u)&&"@graph"in u&&1===Object.keys(u).length?u=u["@graph"]:null===u&&(u=[]),y(u)||(u=[u]),u},e.flatten=async function(t,n,r){if(arguments.length<1)return new TypeError("Could not flatten, too few arguments.");n="function"==typeof n?null:n||null,r=F(r,{base:m(t)?t:"",contextResolver:new a({sharedCache:M})});const o=await e.expand(t,r),i=p(o);return null===n?i:(r.graph=!0,r.skipExpansion=!0,await e.compact(i,n,r))},e.frame=async function(t,n,r){if(arguments.length<2)throw new TypeError("Could not frame, too few arguments.");if(r=F(r,{base:m(t)?t:"",embed:"@once",explicit:!1,requireAll:!1,omitDefault:!1,bnodesToClear:[],contextResolver:new a({sharedCache:M})}),m(n)){const t=await e.get(n,r);if(n=t.document,t.contextUrl){let e=n["@context"];e?y(e)?e.push(t.contextUrl):e=[e,t.contextUrl]:e=t.contextUrl,n["@context"]=e}}const o=n&&n["@context"]||{},i=await e.processContext(I(r),o,r);r.hasOwnProperty("omitGraph")||(r.omitGraph=j(i,1.1)),r.hasOwnProperty("pruneBlankNodeIdentifiers")||(r.pruneBlankNodeIdentifiers=j(i,1.1));const s=await e.expand(t,r),c={...r};c.isFrame=!0,c.keepFreeFloatingNodes=!0;const u=await e.expand(n,c),l=Object.keys(n).map(e=>b(i,e,{vocab:!0}));c.merged=!l.includes("@graph"),c.is11=j(i,1.1);const d=v(s,u,c);c.graph=!r.omitGraph,c.skipExpansion=!0,c.link={},c.framing=!0;let p=await e.compact(d,o,c);return c.link={},p=g(p,c),p},e.link=async function(t,n,r){const o={};return n&&(o["@context"]=n),o["@embed"]="@link",e.frame(t,o,r)},e.normalize=e.canonize=async function(t,n){if(arguments.length<1)throw new TypeError("Could not canonize, too few arguments.");n=F(n,{skipExpansion:!1,safe:!0,contextResolver:new a({sharedCache:M})});const o=Object.assign({},{algorithm:"RDFC-1.0"},n.canonizeOptions||null);if("inputFormat"in n){if("application/n-quads"!==n.inputFormat)throw new c("Unknown canonicalization input format.","jsonld.CanonizeError");const e=l.parse(t);return r.canonize(e,o)}const i={...n};delete i.format,delete i.canonizeOptions,i.produceGeneralizedRdf=!1;const s=await e.toRDF(t,i);return r.canonize(s,o)},e.fromRDF=async function(e,n){if(arguments.length<1)throw new TypeError("Could not convert from RDF, too few arguments.");n=F(n,{format:m(e)?"application/n-quads":void 0});const{format:r}=n;let{rdfParser:o}=n;if(r){if(o=o||t[r],!o)throw new c("Unknown input format.","jsonld.UnknownFormat",{format:r})}else o=()=>e;const i=await o(e);return f(i,n)},e.toRDF=async function(t,n){if(arguments.length<1)throw new TypeError("Could not convert to RDF, too few arguments.");let r;r=(n=F(n,{skipExpansion:!1,contextResolver:new a({sharedCache:M})})).skipExpansion?t:await e.expand(t,n);const o=h(r,n);if(n.format){if("application/n-quads"===n.format)return l.serialize(o);throw new c("Unknown output format.","jsonld.UnknownFormat",{format:n.format})}return o},e.createNodeMap=async function(t,n){if(arguments.length<1)throw new TypeError("Could not create node map, too few arguments.");n=F(n,{base:m(t)?t:"",contextResolver:new a({sharedCache:M})});const r=await e.expand(t,n);return D(r,n)},e.merge=async function(t,n,r){if(arguments.length<1)throw new TypeError("Could not merge, too few arguments.");if(!y(t))throw new TypeError('Could not merge, "docs" must be an array.');n="function"==typeof n?null:n||null,r=F(r,{contextResolver:new a({sharedCache:M})});const o=await Promise.all(t.map(t=>{const n={...r};return e.expand(t,n)}));let c=!0;"mergeNodes"in r&&(c=r.mergeNodes);const u=r.issuer||new s("_:b"),l={"@default":{}};for(let e=0;e<o.length;++e){const t=i.relabelBlankNodes(o[e],{issuer:new s("_:b"+e+"-")}),n=c||0===e?l:{"@default":{}};if(A(t,n,"@default",u),n!==l)for(const e in n){const t=n[e];if(!(e in l)){l[e]=t;continue}const r=l[e];for(const e in t)e in r||(r[e]=t[e])}}const d=N(l),p=[],f=Object.keys(d).sort();for(let e=0;e<f.length;++e){const t=d[f[e]];w(t)||p.push(t)}return null===n?p:(r.graph=!0,r.skipExpansion=!0,await e.compact(p,n,r))},Object.defineProperty(e,"documentLoader",{get:()=>e._documentLoader,set:t=>e._documentLoader=t}),e.documentLoader=async e=>{throw new c("Could not retrieve a JSON-LD document from the URL. URL dereferencing not implemented.","jsonld.LoadDocumentError",{code:"loading document failed",url:e})},e.get=async function(t,n){let r;r="function"==typeof n.documentLoader?n.documentLoader:e.documentLoader;const o=await r(t);try{if(!o.document)throw new c("No remote document found at the given URL.","jsonld.NullRemoteDocument");m(o.document)&&(o.document=JSON.parse(o.document))}catch(e){throw new c("Could not retrieve a JSON-LD document from the URL.","jsonld.LoadDocumentError",{code:"loading document failed",cause:e,remoteDoc:o})}return o},e.processContext=async function(e,t,n){return n=F(n,{base:"",contextResolver:new a({sharedCache:M})}),null===t?I(n):(t=i.clone(t),x(t)&&"@context"in t||(t={"@context":t}),S({activeCtx:e,localCtx:t,options:n}))},e.getContextValue=n(394).getContextValue,e.documentLoaders={},e.useDocumentLoader=function(t){if(!(t in e.documentLoaders))throw new c('Unknown document loader type: "'+t+'"',"jsonld.UnknownDocumentLoader",{type:t});e.documentLoader=e.documentLoaders[t].apply(e,Array.prototype.slice.call(arguments,1))},e.registerRDFParser=function(e,n){t[e]=n},e.unregisterRDFParser=function(e){delete t[e]},e.registerRDFParser("application/n-quads",l.parse),e.url=n(4540),e.logEventHandler=C,e.logWarningEventHandler=k,e.safeEventHandler=T,e.setDefaultEventHandler=R,e.strictEventHandler=_,e.unhandledEventHandler=P,e.util=i,Object.assign(e,i),e.promises=e,e.RequestQueue=n(9021),e.JsonLdProcessor=n(7571)(e),o.setupGlobals(e),o.setupDocumentLoaders(e),e},F=function(){return M(function(){return F()})};M(F),e.exports=F},5610:(e,t,n)=>{"use strict";var r=n(1291),o=Math.max,i=Math.min;e.exports=function(e,t){var n=r(e);return n<0?o(n+t,0):i(n,t)}},5617:(e,t,n)=>{"use strict";var r=n(3164);e.exports=Math.fround||function(e){return r(e,1.1920928955078125e-7,34028234663852886e22,11754943508222875e-54)}},5623:(e,t,n)=>{"use strict";n(456)},5636:(e,t,n)=>{"use strict";var r=n(4576),o=n(9504),i=n(6706),a=n(7696),s=n(5169),c=n(7394),u=n(4483),l=n(1548),d=r.structuredClone,p=r.ArrayBuffer,f=r.DataView,h=Math.min,v=p.prototype,g=f.prototype,y=o(v.slice),x=i(v,"resizable","get"),m=i(v,"maxByteLength","get"),w=o(g.getInt8),b=o(g.setInt8);e.exports=(l||u)&&function(e,t,n){var r,o=c(e),i=void 0===t?o:a(t),v=!x||!x(e);if(s(e),l&&(e=d(e,{transfer:[e]}),o===i&&(n||v)))return e;if(o>=i&&(!n||v))r=y(e,0,i);else{var g=n&&!v&&m?{maxByteLength:m(e)}:void 0;r=new p(i,g);for(var I=new f(e),S=new f(r),j=h(i,o),E=0;E<j;E++)b(S,E,w(I,E))}return l||u(e),r}},5745:(e,t,n)=>{"use strict";var r=n(7629);e.exports=function(e,t){return r[e]||(r[e]=t||{})}},5810:(e,t,n)=>{"use strict";var r=n(34),o=n(1181).get;e.exports=function(e){if(!r(e))return!1;var t=o(e);return!!t&&"RawJSON"===t.type}},5823:(e,t,n)=>{"use strict";var r=n(6518),o=n(4576),i=n(9565),a=n(3724),s=n(2805),c=n(4644),u=n(6346),l=n(679),d=n(6980),p=n(6699),f=n(2087),h=n(8014),v=n(7696),g=n(8229),y=n(8319),x=n(6969),m=n(9297),w=n(6955),b=n(34),I=n(757),S=n(2360),j=n(1625),E=n(2967),O=n(8480).f,A=n(3251),D=n(9213).forEach,N=n(7633),C=n(2106),k=n(4913),T=n(7347),R=n(5370),L=n(1181),_=n(3167),P=L.get,M=L.set,F=L.enforce,J=k.f,B=T.f,U=o.RangeError,H=u.ArrayBuffer,$=H.prototype,V=u.DataView,q=c.NATIVE_ARRAY_BUFFER_VIEWS,z=c.TYPED_ARRAY_TAG,G=c.TypedArray,W=c.TypedArrayPrototype,K=c.isTypedArray,X="BYTES_PER_ELEMENT",Q="Wrong length",Y=function(e,t){C(e,t,{configurable:!0,get:function(){return P(this)[t]}})},Z=function(e){var t;return j($,e)||"ArrayBuffer"===(t=w(e))||"SharedArrayBuffer"===t},ee=function(e,t){return K(e)&&!I(t)&&t in e&&f(+t)&&t>=0},te=function(e,t){return t=x(t),ee(e,t)?d(2,e[t]):B(e,t)},ne=function(e,t,n){return t=x(t),!(ee(e,t)&&b(n)&&m(n,"value"))||m(n,"get")||m(n,"set")||n.configurable||m(n,"writable")&&!n.writable||m(n,"enumerable")&&!n.enumerable?J(e,t,n):(e[t]=n.value,e)};a?(q||(T.f=te,k.f=ne,Y(W,"buffer"),Y(W,"byteOffset"),Y(W,"byteLength"),Y(W,"length")),r({target:"Object",stat:!0,forced:!q},{getOwnPropertyDescriptor:te,defineProperty:ne}),e.exports=function(e,t,n){var a=e.match(/\d+/)[0]/8,c=e+(n?"Clamped":"")+"Array",u="get"+e,d="set"+e,f=o[c],x=f,m=x&&x.prototype,w={},I=function(e,t){J(e,t,{get:function(){return function(e,t){var n=P(e);return n.view[u](t*a+n.byteOffset,!0)}(this,t)},set:function(e){return function(e,t,r){var o=P(e);o.view[d](t*a+o.byteOffset,n?y(r):r,!0)}(this,t,e)},enumerable:!0})};q?s&&(x=t(function(e,t,n,r){return l(e,m),_(b(t)?Z(t)?void 0!==r?new f(t,g(n,a),r):void 0!==n?new f(t,g(n,a)):new f(t):K(t)?R(x,t):i(A,x,t):new f(v(t)),e,x)}),E&&E(x,G),D(O(f),function(e){e in x||p(x,e,f[e])}),x.prototype=m):(x=t(function(e,t,n,r){l(e,m);var o,s,c,u=0,d=0;if(b(t)){if(!Z(t))return K(t)?R(x,t):i(A,x,t);o=t,d=g(n,a);var p=t.byteLength;if(void 0===r){if(p%a)throw new U(Q);if((s=p-d)<0)throw new U(Q)}else if((s=h(r)*a)+d>p)throw new U(Q);c=s/a}else c=v(t),o=new H(s=c*a);for(M(e,{buffer:o,byteOffset:d,byteLength:s,length:c,view:new V(o)});u<c;)I(e,u++)}),E&&E(x,G),m=x.prototype=S(W)),m.constructor!==x&&p(m,"constructor",x),F(m).TypedArrayConstructor=x,z&&p(m,z,c);var j=x!==f;w[c]=x,r({global:!0,constructor:!0,forced:j,sham:!q},w),X in x||p(x,X,a),X in m||p(m,X,a),N(c)}):e.exports=function(){}},5854:(e,t,n)=>{"use strict";var r=n(2777),o=TypeError;e.exports=function(e){var t=r(e,"number");if("number"==typeof t)throw new o("Can't convert number to bigint");return BigInt(t)}},5876:(e,t,n)=>{"use strict";var r=n(6518),o=n(3838);r({target:"Set",proto:!0,real:!0,forced:!n(4916)("isSubsetOf",function(e){return e})},{isSubsetOf:o})},5917:(e,t,n)=>{"use strict";var r=n(3724),o=n(9039),i=n(4055);e.exports=!r&&!o(function(){return 7!==Object.defineProperty(i("div"),"a",{get:function(){return 7}}).a})},5966:(e,t,n)=>{"use strict";var r=n(9306),o=n(4117);e.exports=function(e,t){var n=e[t];return o(n)?void 0:r(n)}},5967:(e,t,n)=>{"use strict";n(9463),n(6280),n(3609),n(8111),n(2489),n(7588),n(1701),n(1806),n(2953);const r=n(4497),o=Symbol("max"),i=Symbol("length"),a=Symbol("lengthCalculator"),s=Symbol("allowStale"),c=Symbol("maxAge"),u=Symbol("dispose"),l=Symbol("noDisposeOnSet"),d=Symbol("lruList"),p=Symbol("cache"),f=Symbol("updateAgeOnGet"),h=()=>1,v=(e,t,n)=>{const r=e[p].get(t);if(r){const t=r.value;if(g(e,t)){if(x(e,r),!e[s])return}else n&&(e[f]&&(r.value.now=Date.now()),e[d].unshiftNode(r));return t.value}},g=(e,t)=>{if(!t||!t.maxAge&&!e[c])return!1;const n=Date.now()-t.now;return t.maxAge?n>t.maxAge:e[c]&&n>e[c]},y=e=>{if(e[i]>e[o])for(let t=e[d].tail;e[i]>e[o]&&null!==t;){const n=t.prev;x(e,t),t=n}},x=(e,t)=>{if(t){const n=t.value;e[u]&&e[u](n.key,n.value),e[i]-=n.length,e[p].delete(n.key),e[d].removeNode(t)}};class m{constructor(e,t,n,r,o){this.key=e,this.value=t,this.length=n,this.now=r,this.maxAge=o||0}}const w=(e,t,n,r)=>{let o=n.value;g(e,o)&&(x(e,n),e[s]||(o=void 0)),o&&t.call(r,o.value,o.key,e)};e.exports=class{constructor(e){if("number"==typeof e&&(e={max:e}),e||(e={}),e.max&&("number"!=typeof e.max||e.max<0))throw new TypeError("max must be a non-negative number");this[o]=e.max||1/0;const t=e.length||h;if(this[a]="function"!=typeof t?h:t,this[s]=e.stale||!1,e.maxAge&&"number"!=typeof e.maxAge)throw new TypeError("maxAge must be a number");this[c]=e.maxAge||0,this[u]=e.dispose,this[l]=e.noDisposeOnSet||!1,this[f]=e.updateAgeOnGet||!1,this.reset()}set max(e){if("number"!=typeof e||e<0)throw new TypeError("max must be a non-negative number");this[o]=e||1/0,y(this)}get max(){return this[o]}set allowStale(e){this[s]=!!e}get allowStale(){return this[s]}set maxAge(e){if("number"!=typeof e)throw new TypeError("maxAge must be a non-negative number");this[c]=e,y(this)}get maxAge(){return this[c]}set lengthCalculator(e){"function"!=typeof e&&(e=h),e!==this[a]&&(this[a]=e,this[i]=0,this[d].forEach(e=>{e.length=this[a](e.value,e.key),this[i]+=e.length})),y(this)}get lengthCalculator(){return this[a]}get length(){return this[i]}get itemCount(){return this[d].length}rforEach(e,t){t=t||this;for(let n=this[d].tail;null!==n;){const r=n.prev;w(this,e,n,t),n=r}}forEach(e,t){t=t||this;for(let n=this[d].head;null!==n;){const r=n.next;w(this,e,n,t),n=r}}keys(){return this[d].toArray().map(e=>e.key)}values(){return this[d].toArray().map(e=>e.value)}reset(){this[u]&&this[d]&&this[d].length&&this[d].forEach(e=>this[u](e.key,e.value)),this[p]=new Map,this[d]=new r,this[i]=0}dump(){return this[d].map(e=>!g(this,e)&&{k:e.key,v:e.value,e:e.now+(e.maxAge||0)}).toArray().filter(e=>e)}dumpLru(){return this[d]}set(e,t,n){if((n=n||this[c])&&"number"!=typeof n)throw new TypeError("maxAge must be a number");const r=n?Date.now():0,s=this[a](t,e);if(this[p].has(e)){if(s>this[o])return x(this,this[p].get(e)),!1;const a=this[p].get(e).value;return this[u]&&(this[l]||this[u](e,a.value)),a.now=r,a.maxAge=n,a.value=t,this[i]+=s-a.length,a.length=s,this.get(e),y(this),!0}const f=new m(e,t,s,r,n);return f.length>this[o]?(this[u]&&this[u](e,t),!1):(this[i]+=f.length,this[d].unshift(f),this[p].set(e,this[d].head),y(this),!0)}has(e){if(!this[p].has(e))return!1;const t=this[p].get(e).value;return!g(this,t)}get(e){return v(this,e,!0)}peek(e){return v(this,e,!1)}pop(){const e=this[d].tail;return e?(x(this,e),e.value):null}del(e){x(this,this[p].get(e))}load(e){this.reset();const t=Date.now();for(let n=e.length-1;n>=0;n--){const r=e[n],o=r.e||0;if(0===o)this.set(r.k,r.v);else{const e=o-t;e>0&&this.set(r.k,r.v,e)}}}prune(){this[p].forEach((e,t)=>v(this,t,!1))}}},6080:(e,t,n)=>{"use strict";var r=n(7476),o=n(9306),i=n(616),a=r(r.bind);e.exports=function(e,t){return o(e),void 0===t?e:i?a(e,t):function(){return e.apply(t,arguments)}}},6119:(e,t,n)=>{"use strict";var r=n(5745),o=n(3392),i=r("keys");e.exports=function(e){return i[e]||(i[e]=o(e))}},6193:(e,t,n)=>{"use strict";var r=n(9504),o=Error,i=r("".replace),a=String(new o("zxcasd").stack),s=/\n\s*at [^:]*:[^\n]*/,c=s.test(a);e.exports=function(e,t){if(c&&"string"==typeof e&&!o.prepareStackTrace)for(;t--;)e=i(e,s,"");return e}},6198:(e,t,n)=>{"use strict";var r=n(8014);e.exports=function(e){return r(e.length)}},6269:e=>{"use strict";e.exports={}},6279:(e,t,n)=>{"use strict";var r=n(6840);e.exports=function(e,t,n){for(var o in t)r(e,o,t[o],n);return e}},6280:(e,t,n)=>{"use strict";var r=n(6518),o=n(4576),i=n(8745),a=n(4601),s="WebAssembly",c=o[s],u=7!==new Error("e",{cause:7}).cause,l=function(e,t){var n={};n[e]=a(e,t,u),r({global:!0,constructor:!0,arity:1,forced:u},n)},d=function(e,t){if(c&&c[e]){var n={};n[e]=a(s+"."+e,t,u),r({target:s,stat:!0,constructor:!0,arity:1,forced:u},n)}};l("Error",function(e){return function(t){return i(e,this,arguments)}}),l("EvalError",function(e){return function(t){return i(e,this,arguments)}}),l("RangeError",function(e){return function(t){return i(e,this,arguments)}}),l("ReferenceError",function(e){return function(t){return i(e,this,arguments)}}),l("SyntaxError",function(e){return function(t){return i(e,this,arguments)}}),l("TypeError",function(e){return function(t){return i(e,this,arguments)}}),l("URIError",function(e){return function(t){return i(e,this,arguments)}}),d("CompileError",function(e){return function(t){return i(e,this,arguments)}}),d("LinkError",function(e){return function(t){return i(e,this,arguments)}}),d("RuntimeError",function(e){return function(t){return i(e,this,arguments)}})},6319:(e,t,n)=>{"use strict";var r=n(8551),o=n(9539);e.exports=function(e,t,n,i){try{return i?t(r(n)[0],n[1]):t(n)}catch(t){o(e,"throw",t)}}},6346:(e,t,n)=>{"use strict";var r=n(4576),o=n(9504),i=n(3724),a=n(7811),s=n(350),c=n(6699),u=n(2106),l=n(6279),d=n(9039),p=n(679),f=n(1291),h=n(8014),v=n(7696),g=n(5617),y=n(8490),x=n(2787),m=n(2967),w=n(4373),b=n(7680),I=n(3167),S=n(7740),j=n(687),E=n(1181),O=s.PROPER,A=s.CONFIGURABLE,D="ArrayBuffer",N="DataView",C="prototype",k="Wrong index",T=E.getterFor(D),R=E.getterFor(N),L=E.set,_=r[D],P=_,M=P&&P[C],F=r[N],J=F&&F[C],B=Object.prototype,U=r.Array,H=r.RangeError,$=o(w),V=o([].reverse),q=y.pack,z=y.unpack,G=function(e){return[255&e]},W=function(e){return[255&e,e>>8&255]},K=function(e){return[255&e,e>>8&255,e>>16&255,e>>24&255]},X=function(e){return e[3]<<24|e[2]<<16|e[1]<<8|e[0]},Q=function(e){return q(g(e),23,4)},Y=function(e){return q(e,52,8)},Z=function(e,t,n){u(e[C],t,{configurable:!0,get:function(){return n(this)[t]}})},ee=function(e,t,n,r){var o=R(e),i=v(n),a=!!r;if(i+t>o.byteLength)throw new H(k);var s=o.bytes,c=i+o.byteOffset,u=b(s,c,c+t);return a?u:V(u)},te=function(e,t,n,r,o,i){var a=R(e),s=v(n),c=r(+o),u=!!i;if(s+t>a.byteLength)throw new H(k);for(var l=a.bytes,d=s+a.byteOffset,p=0;p<t;p++)l[d+p]=c[u?p:t-p-1]};if(a){var ne=O&&_.name!==D;d(function(){_(1)})&&d(function(){new _(-1)})&&!d(function(){return new _,new _(1.5),new _(NaN),1!==_.length||ne&&!A})?ne&&A&&c(_,"name",D):((P=function(e){return p(this,M),I(new _(v(e)),this,P)})[C]=M,M.constructor=P,S(P,_)),m&&x(J)!==B&&m(J,B);var re=new F(new P(2)),oe=o(J.setInt8);re.setInt8(0,2147483648),re.setInt8(1,2147483649),!re.getInt8(0)&&re.getInt8(1)||l(J,{setInt8:function(e,t){oe(this,e,t<<24>>24)},setUint8:function(e,t){oe(this,e,t<<24>>24)}},{unsafe:!0})}else M=(P=function(e){p(this,M);var t=v(e);L(this,{type:D,bytes:$(U(t),0),byteLength:t}),i||(this.byteLength=t,this.detached=!1)})[C],J=(F=function(e,t,n){p(this,J),p(e,M);var r=T(e),o=r.byteLength,a=f(t);if(a<0||a>o)throw new H("Wrong offset");if(a+(n=void 0===n?o-a:h(n))>o)throw new H("Wrong length");L(this,{type:N,buffer:e,byteLength:n,byteOffset:a,bytes:r.bytes}),i||(this.buffer=e,this.byteLength=n,this.byteOffset=a)})[C],i&&(Z(P,"byteLength",T),Z(F,"buffer",R),Z(F,"byteLength",R),Z(F,"byteOffset",R)),l(J,{getInt8:function(e){return ee(this,1,e)[0]<<24>>24},getUint8:function(e){return ee(this,1,e)[0]},getInt16:function(e){var t=ee(this,2,e,arguments.length>1&&arguments[1]);return(t[1]<<8|t[0])<<16>>16},getUint16:function(e){var t=ee(this,2,e,arguments.length>1&&arguments[1]);return t[1]<<8|t[0]},getInt32:function(e){return X(ee(this,4,e,arguments.length>1&&arguments[1]))},getUint32:function(e){return X(ee(this,4,e,arguments.length>1&&arguments[1]))>>>0},getFloat32:function(e){return z(ee(this,4,e,arguments.length>1&&arguments[1]),23)},getFloat64:function(e){return z(ee(this,8,e,arguments.length>1&&arguments[1]),52)},setInt8:function(e,t){te(this,1,e,G,t)},setUint8:function(e,t){te(this,1,e,G,t)},setInt16:function(e,t){te(this,2,e,W,t,arguments.length>2&&arguments[2])},setUint16:function(e,t){te(this,2,e,W,t,arguments.length>2&&arguments[2])},setInt32:function(e,t){te(this,4,e,K,t,arguments.length>2&&arguments[2])},setUint32:function(e,t){te(this,4,e,K,t,arguments.length>2&&arguments[2])},setFloat32:function(e,t){te(this,4,e,Q,t,arguments.length>2&&arguments[2])},setFloat64:function(e,t){te(this,8,e,Y,t,arguments.length>2&&arguments[2])}});j(P,D),j(F,N),e.exports={ArrayBuffer:P,DataView:F}},6368:(e,t,n)=>{"use strict";var r=n(6518),o=n(4576),i=n(9225).clear;r({global:!0,bind:!0,enumerable:!0,forced:o.clearImmediate!==i},{clearImmediate:i})},6395:e=>{"use strict";e.exports=!1},6469:(e,t,n)=>{"use strict";var r=n(8227),o=n(2360),i=n(4913).f,a=r("unscopables"),s=Array.prototype;void 0===s[a]&&i(s,a,{configurable:!0,value:o(null)}),e.exports=function(e){s[a][e]=!0}},6518:(e,t,n)=>{"use strict";var r=n(4576),o=n(7347).f,i=n(6699),a=n(6840),s=n(9433),c=n(7740),u=n(2796);e.exports=function(e,t){var n,l,d,p,f,h=e.target,v=e.global,g=e.stat;if(n=v?r:g?r[h]||s(h,{}):r[h]&&r[h].prototype)for(l in t){if(p=t[l],d=e.dontCallGetSet?(f=o(n,l))&&f.value:n[l],!u(v?l:h+(g?".":"#")+l,e.forced)&&void 0!==d){if(typeof p==typeof d)continue;c(p,d)}(e.sham||d&&d.sham)&&i(p,"sham",!0),a(n,l,p,e)}}},6573:(e,t,n)=>{"use strict";var r=n(3724),o=n(2106),i=n(3238),a=ArrayBuffer.prototype;r&&!("detached"in a)&&o(a,"detached",{configurable:!0,get:function(){return i(this)}})},6632:(e,t,n)=>{"use strict";var r=n(6518),o=n(4576),i=n(9143),a=n(4154),s=o.Uint8Array,c=!s||!s.prototype.setFromBase64||!function(){var e=new s([255,255,255,255,255]);try{return void e.setFromBase64("",null)}catch(e){}try{return void e.setFromBase64("a")}catch(e){}try{e.setFromBase64("MjYyZg===")}catch(t){return 50===e[0]&&54===e[1]&&50===e[2]&&255===e[3]&&255===e[4]}}();s&&r({target:"Uint8Array",proto:!0,forced:c},{setFromBase64:function(e){a(this);var t=i(e,arguments.length>1?arguments[1]:void 0,this,this.length);return{read:t.read,written:t.written}}})},6682:(e,t,n)=>{"use strict";var r=n(9565),o=n(8551),i=n(4901),a=n(2195),s=n(7323),c=TypeError;e.exports=function(e,t){var n=e.exec;if(i(n)){var u=r(n,e,t);return null!==u&&o(u),u}if("RegExp"===a(e))return r(s,e,t);throw new c("RegExp#exec called on incompatible receiver")}},6699:(e,t,n)=>{"use strict";var r=n(3724),o=n(4913),i=n(6980);e.exports=r?function(e,t,n){return o.f(e,t,i(1,n))}:function(e,t,n){return e[t]=n,e}},6706:(e,t,n)=>{"use strict";var r=n(9504),o=n(9306);e.exports=function(e,t,n){try{return r(o(Object.getOwnPropertyDescriptor(e,t)[n]))}catch(e){}}},6801:(e,t,n)=>{"use strict";var r=n(3724),o=n(8686),i=n(4913),a=n(8551),s=n(5397),c=n(1072);t.f=r&&!o?Object.defineProperties:function(e,t){a(e);for(var n,r=s(t),o=c(t),u=o.length,l=0;u>l;)i.f(e,n=o[l++],r[n]);return e}},6823:e=>{"use strict";var t=String;e.exports=function(e){try{return t(e)}catch(e){return"Object"}}},6837:e=>{"use strict";var t=TypeError;e.exports=function(e){if(e>9007199254740991)throw t("Maximum allowed index exceeded");return e}},6840:(e,t,n)=>{"use strict";var r=n(4901),o=n(4913),i=n(283),a=n(9433);e.exports=function(e,t,n,s){s||(s={});var c=s.enumerable,u=void 0!==s.name?s.name:t;if(r(n)&&i(n,u,s),s.global)c?e[t]=n:a(t,n);else{try{s.unsafe?e[t]&&(c=!0):delete e[t]}catch(e){}c?e[t]=n:o.f(e,t,{value:n,enumerable:!1,configurable:!s.nonConfigurable,writable:!s.nonWritable})}return e}},6847:(e,t,n)=>{"use strict";const{parseLinkHeader:r,buildHeaders:o}=n(1869),{LINK_HEADER_CONTEXT:i}=n(8260),a=n(8937),s=n(9021),{prependBase:c}=n(4540),u=/(^|(\r\n))link:/i;e.exports=({secure:e,headers:t={},xhr:n}={headers:{}})=>(t=o(t),(new s).wrapLoader(async function o(s){if(0!==s.indexOf("http:")&&0!==s.indexOf("https:"))throw new a('URL could not be dereferenced; only "http" and "https" URLs are supported.',"jsonld.InvalidUrl",{code:"loading document failed",url:s});if(e&&0!==s.indexOf("https"))throw new a('URL could not be dereferenced; secure mode is enabled and the URL\'s scheme is not "https".',"jsonld.InvalidUrl",{code:"loading document failed",url:s});let l;try{l=await function(e,t,n){const r=new(e=e||XMLHttpRequest);return new Promise((e,o)=>{r.onload=()=>e(r),r.onerror=e=>o(e),r.open("GET",t,!0);for(const e in n)r.setRequestHeader(e,n[e]);r.send()})}(n,s,t)}catch(e){throw new a("URL could not be dereferenced, an error occurred.","jsonld.LoadDocumentError",{code:"loading document failed",url:s,cause:e})}if(l.status>=400)throw new a("URL could not be dereferenced: "+l.statusText,"jsonld.LoadDocumentError",{code:"loading document failed",url:s,httpStatusCode:l.status});let d={contextUrl:null,documentUrl:s,document:l.response},p=null;const f=l.getResponseHeader("Content-Type");let h;if(u.test(l.getAllResponseHeaders())&&(h=l.getResponseHeader("Link")),h&&"application/ld+json"!==f){const e=r(h),t=e[i];if(Array.isArray(t))throw new a("URL could not be dereferenced, it has more than one associated HTTP Link Header.","jsonld.InvalidUrl",{code:"multiple context link headers",url:s});t&&(d.contextUrl=t.target),p=e.alternate,p&&"application/ld+json"==p.type&&!(f||"").match(/^application\/(\w*\+)?json$/)&&(d=await o(c(s,p.target)))}return d}))},6905:(e,t,n)=>{"use strict";n(2953),e.exports=function(e){e.prototype[Symbol.iterator]=function*(){for(let e=this.head;e;e=e.next)yield e.value}}},6910:(e,t,n)=>{"use strict";var r=n(6518),o=n(9504),i=n(9306),a=n(8981),s=n(6198),c=n(4606),u=n(655),l=n(9039),d=n(4488),p=n(4598),f=n(3709),h=n(3763),v=n(9519),g=n(3607),y=[],x=o(y.sort),m=o(y.push),w=l(function(){y.sort(void 0)}),b=l(function(){y.sort(null)}),I=p("sort"),S=!l(function(){if(v)return v<70;if(!(f&&f>3)){if(h)return!0;if(g)return g<603;var e,t,n,r,o="";for(e=65;e<76;e++){switch(t=String.fromCharCode(e),e){case 66:case 69:case 70:case 72:n=3;break;case 68:case 71:n=4;break;default:n=2}for(r=0;r<47;r++)y.push({k:t+r,v:n})}for(y.sort(function(e,t){return t.v-e.v}),r=0;r<y.length;r++)t=y[r].k.charAt(0),o.charAt(o.length-1)!==t&&(o+=t);return"DGBEFHACIJK"!==o}});r({target:"Array",proto:!0,forced:w||!b||!I||!S},{sort:function(e){void 0!==e&&i(e);var t=a(this);if(S)return void 0===e?x(t):x(t,e);var n,r,o=[],l=s(t);for(r=0;r<l;r++)r in t&&m(o,t[r]);for(d(o,function(e){return function(t,n){return void 0===n?-1:void 0===t?1:void 0!==e?+e(t,n)||0:u(t)>u(n)?1:-1}}(e)),n=s(o),r=0;r<n;)t[r]=o[r++];for(;r<l;)c(t,r++);return t}})},6915:(e,t,n)=>{"use strict";e.exports=n(3827)},6955:(e,t,n)=>{"use strict";var r=n(2140),o=n(4901),i=n(2195),a=n(8227)("toStringTag"),s=Object,c="Arguments"===i(function(){return arguments}());e.exports=r?i:function(e){var t,n,r;return void 0===e?"Undefined":null===e?"Null":"string"==typeof(n=function(e,t){try{return e[t]}catch(e){}}(t=s(e),a))?n:c?i(t):"Object"===(r=i(t))&&o(t.callee)?"Arguments":r}},6969:(e,t,n)=>{"use strict";var r=n(2777),o=n(757);e.exports=function(e){var t=r(e,"string");return o(t)?t:t+""}},6980:e=>{"use strict";e.exports=function(e,t){return{enumerable:!(1&e),configurable:!(2&e),writable:!(4&e),value:t}}},7040:(e,t,n)=>{"use strict";var r=n(4495);e.exports=r&&!Symbol.sham&&"symbol"==typeof Symbol.iterator},7055:(e,t,n)=>{"use strict";var r=n(9504),o=n(9039),i=n(2195),a=Object,s=r("".split);e.exports=o(function(){return!a("z").propertyIsEnumerable(0)})?function(e){return"String"===i(e)?s(e,""):a(e)}:a},7080:(e,t,n)=>{"use strict";var r=n(4402).has;e.exports=function(e){return r(e),e}},7265:(e,t,n)=>{"use strict";n(6280),n(4114),n(6910),n(4864),n(7465),n(7495),n(5440),n(2953);const r="http://www.w3.org/1999/02/22-rdf-syntax-ns#langString",o="http://www.w3.org/2001/XMLSchema#string",i="NamedNode",a="BlankNode",s="Literal",c={};function u(e,t){return e.subject.termType===t.subject.termType&&e.object.termType===t.object.termType&&e.subject.value===t.subject.value&&e.predicate.value===t.predicate.value&&e.object.value===t.object.value&&(e.object.termType!==s||e.object.datatype.termType===t.object.datatype.termType&&e.object.language===t.object.language&&e.object.datatype.value===t.object.datatype.value)}(()=>{const e="A-Za-zÀ-ÖØ-öø-˿Ͱ-ͽͿ-῿‌-‍⁰-↏Ⰰ-⿯、-퟿豈-﷏ﷰ-�_",t=e+"0-9-·̀-ͯ‿-⁀",n="_:((?:["+e+"0-9])(?:(?:["+t+".])*(?:["+t+"]))?)",r='(?:<((?:[^\0- <>"{}|^`\\\\]|\\\\u[0-9A-Fa-f]{4}|\\\\U[0-9A-Fa-f]{8})*)>)',o="[ \\t]+",i="[ \\t]*",a="(?:"+r+"|"+n+")"+o,s=r+o,u="(?:"+r+"|"+n+'|(?:"([^"\\\\]*(?:\\\\.[^"\\\\]*)*)"(?:(?:\\^\\^'+r+")|(?:@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)))?))"+i,l="(?:\\.|(?:(?:"+r+"|"+n+")"+i+"\\.))";c.eoln=/(?:\r\n)|(?:\n)|(?:\r)/g,c.empty=new RegExp("^"+i+"$"),c.quad=new RegExp("^"+i+a+s+u+l+i+"$")})(),e.exports=class e{static parse(e){const t=[],n={},l=e.split(c.eoln);let d=0;for(const e of l){if(d++,c.empty.test(e))continue;const l=e.match(c.quad);if(null===l)throw new Error("N-Quads parse error on line "+d+".");const p={subject:null,predicate:null,object:null,graph:null};if(void 0!==l[1]?p.subject={termType:i,value:x(l[1])}:p.subject={termType:a,value:l[2]},p.predicate={termType:i,value:x(l[3])},void 0!==l[4]?p.object={termType:i,value:x(l[4])}:void 0!==l[5]?p.object={termType:a,value:l[5]}:(p.object={termType:s,value:void 0,datatype:{termType:i}},void 0!==l[7]?p.object.datatype.value=x(l[7]):void 0!==l[8]?(p.object.datatype.value=r,p.object.language=l[8]):p.object.datatype.value=o,p.object.value=f(l[6])),void 0!==l[9]?p.graph={termType:i,value:x(l[9])}:void 0!==l[10]?p.graph={termType:a,value:l[10]}:p.graph={termType:"DefaultGraph",value:""},p.graph.value in n){let e=!0;const r=n[p.graph.value];for(const t of r)if(u(t,p)){e=!1;break}e&&(r.push(p),t.push(p))}else n[p.graph.value]=[p],t.push(p)}return t}static serialize(t){const n=[];for(const r of t)n.push(e.serializeQuad(r));return n.sort().join("")}static serializeQuadComponents(e,t,n,s){let c="";return e.termType===i?c+=`<${g(e.value)}>`:c+=`_:${e.value}`,t.termType===i?c+=` <${g(t.value)}> `:c+=` _:${t.value} `,n.termType===i?c+=`<${g(n.value)}>`:n.termType===a?c+=`_:${n.value}`:(c+=`"${function(e){return l.test(e)?e.replace(l,function(e){return d[e.codePointAt(0)]}):e}(n.value)}"`,n.datatype.value===r?n.language&&(c+=`@${n.language}`):n.datatype.value!==o&&(c+=`^^<${g(n.datatype.value)}>`)),s.termType===i?c+=` <${g(s.value)}>`:s.termType===a&&(c+=` _:${s.value}`),c+=" .\n",c}static serializeQuad(t){return e.serializeQuadComponents(t.subject,t.predicate,t.object,t.graph)}};const l=/[\u0000-\u001F\u007F"\\]/g,d=[];for(let e=0;e<=127;++e)l.test(String.fromCharCode(e))&&(d[e]="\\u"+e.toString(16).toUpperCase().padStart(4,"0"),l.lastIndex=0);d["\b".codePointAt(0)]="\\b",d["\t".codePointAt(0)]="\\t",d["\n".codePointAt(0)]="\\n",d["\f".codePointAt(0)]="\\f",d["\r".codePointAt(0)]="\\r",d['"'.codePointAt(0)]='\\"',d["\\".codePointAt(0)]="\\\\";const p=/(?:\\([btnfr"'\\]))|(?:\\u([0-9A-Fa-f]{4}))|(?:\\U([0-9A-Fa-f]{8}))/g;function f(e){return p.test(e)?e.replace(p,function(e,t,n,r){if(t)switch(t){case"b":return"\b";case"t":return"\t";case"n":return"\n";case"f":return"\f";case"r":return"\r";case'"':return'"';case"'":return"'";case"\\":return"\\"}return n?String.fromCharCode(parseInt(n,16)):r?String.fromCodePoint(parseInt(r,16)):void 0}):e}const h=/[\u0000-\u0020<>"{}|^`\\]/g,v=[];for(let e=0;e<=127;++e)h.test(String.fromCharCode(e))&&(v[e]="\\u"+e.toString(16).toUpperCase().padStart(4,"0"),h.lastIndex=0);function g(e){return h.test(e)?e.replace(h,function(e){return v[e.codePointAt(0)]}):e}const y=/(?:\\u([0-9A-Fa-f]{4}))|(?:\\U([0-9A-Fa-f]{8}))/g;function x(e){return y.test(e)?e.replace(y,function(e,t,n){return t?String.fromCharCode(parseInt(t,16)):n?String.fromCodePoint(parseInt(n,16)):void 0}):e}},7323:(e,t,n)=>{"use strict";var r,o,i=n(9565),a=n(9504),s=n(655),c=n(7979),u=n(8429),l=n(5745),d=n(2360),p=n(1181).get,f=n(3635),h=n(8814),v=l("native-string-replace",String.prototype.replace),g=RegExp.prototype.exec,y=g,x=a("".charAt),m=a("".indexOf),w=a("".replace),b=a("".slice),I=(o=/b*/g,i(g,r=/a/,"a"),i(g,o,"a"),0!==r.lastIndex||0!==o.lastIndex),S=u.BROKEN_CARET,j=void 0!==/()??/.exec("")[1];(I||j||S||f||h)&&(y=function(e){var t,n,r,o,a,u,l,f=this,h=p(f),E=s(e),O=h.raw;if(O)return O.lastIndex=f.lastIndex,t=i(y,O,E),f.lastIndex=O.lastIndex,t;var A=h.groups,D=S&&f.sticky,N=i(c,f),C=f.source,k=0,T=E;if(D&&(N=w(N,"y",""),-1===m(N,"g")&&(N+="g"),T=b(E,f.lastIndex),f.lastIndex>0&&(!f.multiline||f.multiline&&"\n"!==x(E,f.lastIndex-1))&&(C="(?: "+C+")",T=" "+T,k++),n=new RegExp("^(?:"+C+")",N)),j&&(n=new RegExp("^"+C+"$(?!\\s)",N)),I&&(r=f.lastIndex),o=i(g,D?n:f,T),D?o?(o.input=b(o.input,k),o[0]=b(o[0],k),o.index=f.lastIndex,f.lastIndex+=o[0].length):f.lastIndex=0:I&&o&&(f.lastIndex=f.global?o.index+o[0].length:r),j&&o&&o.length>1&&i(v,o[0],n,function(){for(a=1;a<arguments.length-2;a++)void 0===arguments[a]&&(o[a]=void 0)}),o&&A)for(o.groups=u=d(null),a=0;a<A.length;a++)u[(l=A[a])[0]]=o[l[1]];return o}),e.exports=y},7347:(e,t,n)=>{"use strict";var r=n(3724),o=n(9565),i=n(8773),a=n(6980),s=n(5397),c=n(6969),u=n(9297),l=n(5917),d=Object.getOwnPropertyDescriptor;t.f=r?d:function(e,t){if(e=s(e),t=c(t),l)try{return d(e,t)}catch(e){}if(u(e,t))return a(!o(i.f,e,t),e[t])}},7394:(e,t,n)=>{"use strict";var r=n(4576),o=n(6706),i=n(2195),a=r.ArrayBuffer,s=r.TypeError;e.exports=a&&o(a.prototype,"byteLength","get")||function(e){if("ArrayBuffer"!==i(e))throw new s("ArrayBuffer expected");return e.byteLength}},7400:e=>{"use strict";e.exports={CSSRuleList:0,CSSStyleDeclaration:0,CSSValueList:0,ClientRectList:0,DOMRectList:0,DOMStringList:0,DOMTokenList:1,DataTransferItemList:0,FileList:0,HTMLAllCollection:0,HTMLCollection:0,HTMLFormElement:0,HTMLSelectElement:0,MediaList:0,MimeTypeArray:0,NamedNodeMap:0,NodeList:1,PaintRequestList:0,Plugin:0,PluginArray:0,SVGLengthList:0,SVGNumberList:0,SVGPathSegList:0,SVGPointList:0,SVGStringList:0,SVGTransformList:0,SourceBufferList:0,StyleSheetList:0,TextTrackCueList:0,TextTrackList:0,TouchList:0}},7433:(e,t,n)=>{"use strict";var r=n(4376),o=n(3517),i=n(34),a=n(8227)("species"),s=Array;e.exports=function(e){var t;return r(e)&&(t=e.constructor,(o(t)&&(t===s||r(t.prototype))||i(t)&&null===(t=t[a]))&&(t=void 0)),void 0===t?s:t}},7465:(e,t,n)=>{"use strict";var r=n(3724),o=n(3635),i=n(2195),a=n(2106),s=n(1181).get,c=RegExp.prototype,u=TypeError;r&&o&&a(c,"dotAll",{configurable:!0,get:function(){if(this!==c){if("RegExp"===i(this))return!!s(this).dotAll;throw new u("Incompatible receiver, RegExp required")}}})},7467:(e,t,n)=>{"use strict";var r=n(7628),o=n(4644),i=o.aTypedArray,a=o.exportTypedArrayMethod,s=o.getTypedArrayConstructor;a("toReversed",function(){return r(i(this),s(this))})},7476:(e,t,n)=>{"use strict";var r=n(2195),o=n(9504);e.exports=function(e){if("Function"===r(e))return o(e)}},7495:(e,t,n)=>{"use strict";var r=n(6518),o=n(7323);r({target:"RegExp",proto:!0,forced:/./.exec!==o},{exec:o})},7571:e=>{"use strict";e.exports=e=>{class t{toString(){return"[object JsonLdProcessor]"}}return Object.defineProperty(t,"prototype",{writable:!1,enumerable:!1}),Object.defineProperty(t.prototype,"constructor",{writable:!0,enumerable:!1,configurable:!0,value:t}),t.compact=function(t,n){return arguments.length<2?Promise.reject(new TypeError("Could not compact, too few arguments.")):e.compact(t,n)},t.expand=function(t){return arguments.length<1?Promise.reject(new TypeError("Could not expand, too few arguments.")):e.expand(t)},t.flatten=function(t){return arguments.length<1?Promise.reject(new TypeError("Could not flatten, too few arguments.")):e.flatten(t)},t}},7584:(e,t,n)=>{"use strict";var r=n(34),o=n(6699);e.exports=function(e,t){r(t)&&"cause"in t&&o(e,"cause",t.cause)}},7588:(e,t,n)=>{"use strict";var r=n(6518),o=n(9565),i=n(2652),a=n(9306),s=n(8551),c=n(1767),u=n(9539),l=n(4549)("forEach",TypeError);r({target:"Iterator",proto:!0,real:!0,forced:l},{forEach:function(e){s(this);try{a(e)}catch(e){u(this,"throw",e)}if(l)return o(l,this,e);var t=c(this),n=0;i(t,function(t){e(t,n++)},{IS_RECORD:!0})}})},7628:(e,t,n)=>{"use strict";var r=n(6198);e.exports=function(e,t){for(var n=r(e),o=new t(n),i=0;i<n;i++)o[i]=e[n-i-1];return o}},7629:(e,t,n)=>{"use strict";var r=n(6395),o=n(4576),i=n(9433),a="__core-js_shared__",s=e.exports=o[a]||i(a,{});(s.versions||(s.versions=[])).push({version:"3.47.0",mode:r?"pure":"global",copyright:"© 2014-2025 Denis Pushkarev (zloirock.ru), 2025 CoreJS Company (core-js.io)",license:"https://github.com/zloirock/core-js/blob/v3.47.0/LICENSE",source:"https://github.com/zloirock/core-js"})},7633:(e,t,n)=>{"use strict";var r=n(7751),o=n(2106),i=n(8227),a=n(3724),s=i("species");e.exports=function(e){var t=r(e);a&&t&&!t[s]&&o(t,s,{configurable:!0,get:function(){return this}})}},7642:(e,t,n)=>{"use strict";var r=n(6518),o=n(3440),i=n(9039);r({target:"Set",proto:!0,real:!0,forced:!n(4916)("difference",function(e){return 0===e.size})||i(function(){var e={size:1,has:function(){return!0},keys:function(){var e=0;return{next:function(){var n=e++>1;return t.has(1)&&t.clear(),{done:n,value:2}}}}},t=new Set([1,2,3,4]);return 3!==t.difference(e).size})},{difference:o})},7657:(e,t,n)=>{"use strict";var r,o,i,a=n(9039),s=n(4901),c=n(34),u=n(2360),l=n(2787),d=n(6840),p=n(8227),f=n(6395),h=p("iterator"),v=!1;[].keys&&("next"in(i=[].keys())?(o=l(l(i)))!==Object.prototype&&(r=o):v=!0),!c(r)||a(function(){var e={};return r[h].call(e)!==e})?r={}:f&&(r=u(r)),s(r[h])||d(r,h,function(){return this}),e.exports={IteratorPrototype:r,BUGGY_SAFARI_ITERATORS:v}},7680:(e,t,n)=>{"use strict";var r=n(9504);e.exports=r([].slice)},7696:(e,t,n)=>{"use strict";var r=n(1291),o=n(8014),i=RangeError;e.exports=function(e){if(void 0===e)return 0;var t=r(e),n=o(t);if(t!==n)throw new i("Wrong length or index");return n}},7713:(e,t,n)=>{"use strict";n(9848),function(e){if(!e.setImmediate){var t,n,r,o,i,a=1,s={},c=!1,u=e.document,l=Object.getPrototypeOf&&Object.getPrototypeOf(e);l=l&&l.setTimeout?l:e,"[object process]"==={}.toString.call(e.process)?t=function(e){process.nextTick(function(){p(e)})}:function(){if(e.postMessage&&!e.importScripts){var t=!0,n=e.onmessage;return e.onmessage=function(){t=!1},e.postMessage("","*"),e.onmessage=n,t}}()?(o="setImmediate$"+Math.random()+"$",i=function(t){t.source===e&&"string"==typeof t.data&&0===t.data.indexOf(o)&&p(+t.data.slice(o.length))},e.addEventListener?e.addEventListener("message",i,!1):e.attachEvent("onmessage",i),t=function(t){e.postMessage(o+t,"*")}):e.MessageChannel?((r=new MessageChannel).port1.onmessage=function(e){p(e.data)},t=function(e){r.port2.postMessage(e)}):u&&"onreadystatechange"in u.createElement("script")?(n=u.documentElement,t=function(e){var t=u.createElement("script");t.onreadystatechange=function(){p(e),t.onreadystatechange=null,n.removeChild(t),t=null},n.appendChild(t)}):t=function(e){setTimeout(p,0,e)},l.setImmediate=function(e){"function"!=typeof e&&(e=new Function(""+e));for(var n=new Array(arguments.length-1),r=0;r<n.length;r++)n[r]=arguments[r+1];var o={callback:e,args:n};return s[a]=o,t(a),a++},l.clearImmediate=d}function d(e){delete s[e]}function p(e){if(c)setTimeout(p,0,e);else{var t=s[e];if(t){c=!0;try{!function(e){var t=e.callback,n=e.args;switch(n.length){case 0:t();break;case 1:t(n[0]);break;case 2:t(n[0],n[1]);break;case 3:t(n[0],n[1],n[2]);break;default:t.apply(void 0,n)}}(t)}finally{d(e),c=!1}}}}}("undefined"==typeof self?void 0===n.g?void 0:n.g:self)},7740:(e,t,n)=>{"use strict";var r=n(9297),o=n(5031),i=n(7347),a=n(4913);e.exports=function(e,t,n){for(var s=o(t),c=a.f,u=i.f,l=0;l<s.length;l++){var d=s[l];r(e,d)||n&&r(n,d)||c(e,d,u(t,d))}}},7750:(e,t,n)=>{"use strict";var r=n(4117),o=TypeError;e.exports=function(e){if(r(e))throw new o("Can't call method on "+e);return e}},7751:(e,t,n)=>{"use strict";var r=n(4576),o=n(4901);e.exports=function(e,t){return arguments.length<2?(n=r[e],o(n)?n:void 0):r[e]&&r[e][t];var n}},7782:e=>{"use strict";e.exports=Math.sign||function(e){var t=+e;return 0===t||t!=t?t:t<0?-1:1}},7811:e=>{"use strict";e.exports="undefined"!=typeof ArrayBuffer&&"undefined"!=typeof DataView},7819:(e,t,n)=>{"use strict";var r=n(9039);e.exports=!r(function(){var e="9007199254740993",t=JSON.rawJSON(e);return!JSON.isRawJSON(t)||JSON.stringify(t)!==e})},7829:(e,t,n)=>{"use strict";var r=n(8183).charAt;e.exports=function(e,t,n){return t+(n?r(e,t).length:1)}},7936:(e,t,n)=>{"use strict";var r=n(6518),o=n(5636);o&&r({target:"ArrayBuffer",proto:!0},{transferToFixedLength:function(){return o(this,arguments.length?arguments[0]:void 0,!1)}})},7979:(e,t,n)=>{"use strict";var r=n(8551);e.exports=function(){var e=r(this),t="";return e.hasIndices&&(t+="d"),e.global&&(t+="g"),e.ignoreCase&&(t+="i"),e.multiline&&(t+="m"),e.dotAll&&(t+="s"),e.unicode&&(t+="u"),e.unicodeSets&&(t+="v"),e.sticky&&(t+="y"),t}},8004:(e,t,n)=>{"use strict";var r=n(6518),o=n(9039),i=n(8750);r({target:"Set",proto:!0,real:!0,forced:!n(4916)("intersection",function(e){return 2===e.size&&e.has(1)&&e.has(2)})||o(function(){return"3,2"!==String(Array.from(new Set([1,2,3]).intersection(new Set([3,2]))))})},{intersection:i})},8014:(e,t,n)=>{"use strict";var r=n(1291),o=Math.min;e.exports=function(e){var t=r(e);return t>0?o(t,9007199254740991):0}},8100:(e,t,n)=>{"use strict";var r=n(6518),o=n(5636);o&&r({target:"ArrayBuffer",proto:!0},{transfer:function(){return o(this,arguments.length?arguments[0]:void 0,!0)}})},8111:(e,t,n)=>{"use strict";var r=n(6518),o=n(4576),i=n(679),a=n(8551),s=n(4901),c=n(2787),u=n(2106),l=n(2278),d=n(9039),p=n(9297),f=n(8227),h=n(7657).IteratorPrototype,v=n(3724),g=n(6395),y="constructor",x="Iterator",m=f("toStringTag"),w=TypeError,b=o[x],I=g||!s(b)||b.prototype!==h||!d(function(){b({})}),S=function(){if(i(this,h),c(this)===h)throw new w("Abstract class Iterator not directly constructable")},j=function(e,t){v?u(h,e,{configurable:!0,get:function(){return t},set:function(t){if(a(this),this===h)throw new w("You can't redefine this property");p(this,e)?this[e]=t:l(this,e,t)}}):h[e]=t};p(h,m)||j(m,x),!I&&p(h,y)&&h[y]!==Object||j(y,S),S.prototype=h,r({global:!0,constructor:!0,forced:I},{Iterator:S})},8140:(e,t,n)=>{"use strict";var r=n(4644),o=n(6198),i=n(1291),a=r.aTypedArray;(0,r.exportTypedArrayMethod)("at",function(e){var t=a(this),n=o(t),r=i(e),s=r>=0?r:n+r;return s<0||s>=n?void 0:t[s]})},8183:(e,t,n)=>{"use strict";var r=n(9504),o=n(1291),i=n(655),a=n(7750),s=r("".charAt),c=r("".charCodeAt),u=r("".slice),l=function(e){return function(t,n){var r,l,d=i(a(t)),p=o(n),f=d.length;return p<0||p>=f?e?"":void 0:(r=c(d,p))<55296||r>56319||p+1===f||(l=c(d,p+1))<56320||l>57343?e?s(d,p):r:e?u(d,p,p+2):l-56320+(r-55296<<10)+65536}};e.exports={codeAt:l(!1),charAt:l(!0)}},8227:(e,t,n)=>{"use strict";var r=n(4576),o=n(5745),i=n(9297),a=n(3392),s=n(4495),c=n(7040),u=r.Symbol,l=o("wks"),d=c?u.for||u:u&&u.withoutSetter||a;e.exports=function(e){return i(l,e)||(l[e]=s&&i(u,e)?u[e]:d("Symbol."+e)),l[e]}},8229:(e,t,n)=>{"use strict";var r=n(9590),o=RangeError;e.exports=function(e,t){var n=r(e);if(n%t)throw new o("Wrong offset");return n}},8235:(e,t,n)=>{"use strict";var r=n(9504),o=n(9297),i=SyntaxError,a=parseInt,s=String.fromCharCode,c=r("".charAt),u=r("".slice),l=r(/./.exec),d={'\\"':'"',"\\\\":"\\","\\/":"/","\\b":"\b","\\f":"\f","\\n":"\n","\\r":"\r","\\t":"\t"},p=/^[\da-f]{4}$/i,f=/^[\u0000-\u001F]$/;e.exports=function(e,t){for(var n=!0,r="";t<e.length;){var h=c(e,t);if("\\"===h){var v=u(e,t,t+2);if(o(d,v))r+=d[v],t+=2;else{if("\\u"!==v)throw new i('Unknown escape sequence: "'+v+'"');var g=u(e,t+=2,t+4);if(!l(p,g))throw new i("Bad Unicode escape at: "+t);r+=s(a(g,16)),t+=4}}else{if('"'===h){n=!1,t++;break}if(l(f,h))throw new i("Bad control character in string literal at: "+t);r+=h,t++}}if(n)throw new i("Unterminated string at: "+t);return{value:r,end:t}}},8237:(e,t,n)=>{"use strict";var r=n(6518),o=n(2652),i=n(9306),a=n(8551),s=n(1767),c=n(9539),u=n(4549),l=n(8745),d=n(9039),p=TypeError,f=d(function(){[].keys().reduce(function(){},void 0)}),h=!f&&u("reduce",p);r({target:"Iterator",proto:!0,real:!0,forced:f||h},{reduce:function(e){a(this);try{i(e)}catch(e){c(this,"throw",e)}var t=arguments.length<2,n=t?void 0:arguments[1];if(h)return l(h,this,t?[e]:[e,n]);var r=s(this),u=0;if(o(r,function(r){t?(t=!1,n=r):n=e(n,r,u),u++},{IS_RECORD:!0}),t)throw new p("Reduce of empty iterator with no initial value");return n}})},8260:e=>{"use strict";const t="http://www.w3.org/1999/02/22-rdf-syntax-ns#",n="http://www.w3.org/2001/XMLSchema#";e.exports={LINK_HEADER_REL:"http://www.w3.org/ns/json-ld#context",LINK_HEADER_CONTEXT:"http://www.w3.org/ns/json-ld#context",RDF:t,RDF_LIST:t+"List",RDF_FIRST:t+"first",RDF_REST:t+"rest",RDF_NIL:t+"nil",RDF_TYPE:t+"type",RDF_PLAIN_LITERAL:t+"PlainLiteral",RDF_XML_LITERAL:t+"XMLLiteral",RDF_JSON_LITERAL:t+"JSON",RDF_OBJECT:t+"object",RDF_LANGSTRING:t+"langString",XSD:n,XSD_BOOLEAN:n+"boolean",XSD_DOUBLE:n+"double",XSD_INTEGER:n+"integer",XSD_STRING:n+"string"}},8319:e=>{"use strict";var t=Math.round;e.exports=function(e){var n=t(e);return n<0?0:n>255?255:255&n}},8429:(e,t,n)=>{"use strict";var r=n(9039),o=n(4576).RegExp,i=r(function(){var e=o("a","y");return e.lastIndex=2,null!==e.exec("abcd")}),a=i||r(function(){return!o("a","y").sticky}),s=i||r(function(){var e=o("^r","gy");return e.lastIndex=2,null!==e.exec("str")});e.exports={BROKEN_CARET:s,MISSED_STICKY:a,UNSUPPORTED_Y:i}},8469:(e,t,n)=>{"use strict";var r=n(9504),o=n(507),i=n(4402),a=i.Set,s=i.proto,c=r(s.forEach),u=r(s.keys),l=u(new a).next;e.exports=function(e,t,n){return n?o({iterator:u(e),next:l},t):c(e,t)}},8480:(e,t,n)=>{"use strict";var r=n(1828),o=n(8727).concat("length","prototype");t.f=Object.getOwnPropertyNames||function(e){return r(e,o)}},8490:e=>{"use strict";var t=Array,n=Math.abs,r=Math.pow,o=Math.floor,i=Math.log,a=Math.LN2;e.exports={pack:function(e,s,c){var u,l,d,p=t(c),f=8*c-s-1,h=(1<<f)-1,v=h>>1,g=23===s?r(2,-24)-r(2,-77):0,y=e<0||0===e&&1/e<0?1:0,x=0;for((e=n(e))!=e||e===1/0?(l=e!=e?1:0,u=h):(u=o(i(e)/a),e*(d=r(2,-u))<1&&(u--,d*=2),(e+=u+v>=1?g/d:g*r(2,1-v))*d>=2&&(u++,d/=2),u+v>=h?(l=0,u=h):u+v>=1?(l=(e*d-1)*r(2,s),u+=v):(l=e*r(2,v-1)*r(2,s),u=0));s>=8;)p[x++]=255&l,l/=256,s-=8;for(u=u<<s|l,f+=s;f>0;)p[x++]=255&u,u/=256,f-=8;return p[x-1]|=128*y,p},unpack:function(e,t){var n,o=e.length,i=8*o-t-1,a=(1<<i)-1,s=a>>1,c=i-7,u=o-1,l=e[u--],d=127&l;for(l>>=7;c>0;)d=256*d+e[u--],c-=8;for(n=d&(1<<-c)-1,d>>=-c,c+=t;c>0;)n=256*n+e[u--],c-=8;if(0===d)d=1-s;else{if(d===a)return n?NaN:l?-1/0:1/0;n+=r(2,t),d-=s}return(l?-1:1)*n*r(2,d-t)}}},8505:(e,t,n)=>{"use strict";const r=n(8937),o=n(2460),i=n(4340),{REGEX_BCP47:a,addValue:s}=n(1869),{handleEvent:c}=n(9792),{RDF_LIST:u,RDF_FIRST:l,RDF_REST:d,RDF_NIL:p,RDF_TYPE:f,RDF_JSON_LITERAL:h,XSD_BOOLEAN:v,XSD_DOUBLE:g,XSD_INTEGER:y,XSD_STRING:x}=n(8260),m={};function w(e,t,n,o){const s=b(e);if(s)return{"@id":s};const u={"@value":e.value};if(e.language)e.language.match(a)||o.eventHandler&&c({event:{type:["JsonLdEvent"],code:"invalid @language value",level:"warning",message:"@language value must be valid BCP47.",details:{language:e.language}},options:o}),u["@language"]=e.language;else{let s=e.datatype.value;if(s||(s=x),s===h){s="@json";try{u["@value"]=JSON.parse(u["@value"])}catch(e){throw new r("JSON literal could not be parsed.","jsonld.InvalidJsonLiteral",{code:"invalid JSON literal",value:u["@value"],cause:e})}}if(t)if(s===v)"true"===u["@value"]||"1"===u["@value"]?u["@value"]=!0:"false"===u["@value"]||"0"===u["@value"]?u["@value"]=!1:u["@type"]=s;else if(s===y)if(i.isNumeric(u["@value"])){const e=parseInt(u["@value"],10);e.toFixed(0)===u["@value"]&&(u["@value"]=e)}else u["@type"]=s;else s===g&&i.isNumeric(u["@value"])?u["@value"]=parseFloat(u["@value"]):u["@type"]=s;else if("i18n-datatype"===n&&s.startsWith("https://www.w3.org/ns/i18n#")){const[,e,t]=s.split(/[#_]/);e.length>0&&(u["@language"]=e,e.match(a)||o.eventHandler&&c({event:{type:["JsonLdEvent"],code:"invalid @language value",level:"warning",message:"@language value must be valid BCP47.",details:{language:e}},options:o})),u["@direction"]=t}else s!==x&&(u["@type"]=s)}return u}function b(e){return"NamedNode"===e.termType?e.value:"BlankNode"===e.termType?"_:"+e.value:null}e.exports=m,m.fromRDF=async(e,t)=>{const{useRdfType:n=!1,useNativeTypes:a=!1,rdfDirection:c=null}=t,h={},v={"@default":h},g={};if(c){if("compound-literal"===c)throw new r("Unsupported rdfDirection value.","jsonld.InvalidRdfDirection",{value:c});if("i18n-datatype"!==c)throw new r("Unknown rdfDirection value.","jsonld.InvalidRdfDirection",{value:c})}for(const r of e){const e="DefaultGraph"===r.graph.termType?"@default":r.graph.value;e in v||(v[e]={}),"@default"===e||e in h||(h[e]={"@id":e});const o=v[e],i=b(r.subject),u=r.predicate.value,l=r.object;i in o||(o[i]={"@id":i});const d=o[i],y=b(l),x=!!y;if(x&&!(y in o)&&(o[y]={"@id":y}),u===f&&!n&&x){s(d,"@type",y,{propertyIsArray:!0});continue}const m=w(l,a,c,t);if(s(d,u,m,{propertyIsArray:!0}),x)if(y===p){const e=o[y];"usages"in e||(e.usages=[]),e.usages.push({node:d,property:u,value:m})}else g[y]=!(y in g)&&{node:d,property:u,value:m}}for(const e in v){const t=v[e];if(!(p in t))continue;const n=t[p];if(n.usages){for(let e of n.usages){let n=e.node,r=e.property,a=e.value;const s=[],c=[];let p=Object.keys(n).length;for(;r===d&&i.isObject(g[n["@id"]])&&i.isArray(n[l])&&1===n[l].length&&i.isArray(n[d])&&1===n[d].length&&(3===p||4===p&&i.isArray(n["@type"])&&1===n["@type"].length&&n["@type"][0]===u)&&(s.push(n[l][0]),c.push(n["@id"]),e=g[n["@id"]],n=e.node,r=e.property,a=e.value,p=Object.keys(n).length,o.isBlankNode(n)););delete a["@id"],a["@list"]=s.reverse();for(const e of c)delete t[e]}delete n.usages}}const y=[],x=Object.keys(h).sort();for(const e of x){const t=h[e];if(e in v){const n=t["@graph"]=[],r=v[e],i=Object.keys(r).sort();for(const e of i){const t=r[e];o.isSubjectReference(t)||n.push(t)}}o.isSubjectReference(t)||y.push(t)}return y}},8527:(e,t,n)=>{"use strict";var r=n(7080),o=n(4402).has,i=n(5170),a=n(3789),s=n(507),c=n(9539);e.exports=function(e){var t=r(this),n=a(e);if(i(t)<n.size)return!1;var u=n.getIterator();return!1!==s(u,function(e){if(!o(t,e))return c(u,"normal",!1)})}},8551:(e,t,n)=>{"use strict";var r=n(34),o=String,i=TypeError;e.exports=function(e){if(r(e))return e;throw new i(o(e)+" is not an object")}},8574:(e,t,n)=>{"use strict";var r=n(4215);e.exports="NODE"===r},8622:(e,t,n)=>{"use strict";var r=n(4576),o=n(4901),i=r.WeakMap;e.exports=o(i)&&/native code/.test(String(i))},8686:(e,t,n)=>{"use strict";var r=n(3724),o=n(9039);e.exports=r&&o(function(){return 42!==Object.defineProperty(function(){},"prototype",{value:42,writable:!1}).prototype})},8727:e=>{"use strict";e.exports=["constructor","hasOwnProperty","isPrototypeOf","propertyIsEnumerable","toLocaleString","toString","valueOf"]},8745:(e,t,n)=>{"use strict";var r=n(616),o=Function.prototype,i=o.apply,a=o.call;e.exports="object"==typeof Reflect&&Reflect.apply||(r?a.bind(i):function(){return a.apply(i,arguments)})},8750:(e,t,n)=>{"use strict";var r=n(7080),o=n(4402),i=n(5170),a=n(3789),s=n(8469),c=n(507),u=o.Set,l=o.add,d=o.has;e.exports=function(e){var t=r(this),n=a(e),o=new u;return i(t)>n.size?c(n.getIterator(),function(e){d(t,e)&&l(o,e)}):s(t,function(e){n.includes(e)&&l(o,e)}),o}},8773:(e,t)=>{"use strict";var n={}.propertyIsEnumerable,r=Object.getOwnPropertyDescriptor,o=r&&!n.call({1:2},1);t.f=o?function(e){var t=r(this,e);return!!t&&t.enumerable}:n},8814:(e,t,n)=>{"use strict";var r=n(9039),o=n(4576).RegExp;e.exports=r(function(){var e=o("(?<a>b)","g");return"b"!==e.exec("b").groups.a||"bc"!=="b".replace(e,"$<a>c")})},8845:(e,t,n)=>{"use strict";var r=n(4576),o=n(9565),i=n(4644),a=n(6198),s=n(8229),c=n(8981),u=n(9039),l=r.RangeError,d=r.Int8Array,p=d&&d.prototype,f=p&&p.set,h=i.aTypedArray,v=i.exportTypedArrayMethod,g=!u(function(){var e=new Uint8ClampedArray(2);return o(f,e,{length:1,0:3},1),3!==e[1]}),y=g&&i.NATIVE_ARRAY_BUFFER_VIEWS&&u(function(){var e=new d(2);return e.set(1),e.set("2",1),0!==e[0]||2!==e[1]});v("set",function(e){h(this);var t=s(arguments.length>1?arguments[1]:void 0,1),n=c(e);if(g)return o(f,this,n,t);var r=this.length,i=a(n),u=0;if(i+t>r)throw new l("Wrong length");for(;u<i;)this[t+u]=n[u++]},!g||y)},8937:e=>{"use strict";e.exports=class extends Error{constructor(e="An unspecified JSON-LD error occurred.",t="jsonld.Error",n={}){super(e),this.name=t,this.message=e,this.details=n}}},8981:(e,t,n)=>{"use strict";var r=n(7750),o=Object;e.exports=function(e){return o(r(e))}},9021:e=>{"use strict";e.exports=class{constructor(){this._requests={}}wrapLoader(e){const t=this;return t._loader=e,function(){return t.add.apply(t,arguments)}}async add(e){let t=this._requests[e];if(t)return Promise.resolve(t);t=this._requests[e]=this._loader(e);try{return await t}finally{delete this._requests[e]}}}},9039:e=>{"use strict";e.exports=function(e){try{return!!e()}catch(e){return!0}}},9143:(e,t,n)=>{"use strict";var r=n(4576),o=n(9504),i=n(3972),a=n(3463),s=n(9297),c=n(2804),u=n(944),l=n(5169),d=c.c2i,p=c.c2iUrl,f=r.SyntaxError,h=r.TypeError,v=o("".charAt),g=function(e,t){for(var n=e.length;t<n;t++){var r=v(e,t);if(" "!==r&&"\t"!==r&&"\n"!==r&&"\f"!==r&&"\r"!==r)break}return t},y=function(e,t,n){var r=e.length;r<4&&(e+=2===r?"AA":"A");var o=(t[v(e,0)]<<18)+(t[v(e,1)]<<12)+(t[v(e,2)]<<6)+t[v(e,3)],i=[o>>16&255,o>>8&255,255&o];if(2===r){if(n&&0!==i[1])throw new f("Extra bits");return[i[0]]}if(3===r){if(n&&0!==i[2])throw new f("Extra bits");return[i[0],i[1]]}return i},x=function(e,t,n){for(var r=t.length,o=0;o<r;o++)e[n+o]=t[o];return n+r};e.exports=function(e,t,n,r){a(e),i(t);var o="base64"===u(t)?d:p,c=t?t.lastChunkHandling:void 0;if(void 0===c&&(c="loose"),"loose"!==c&&"strict"!==c&&"stop-before-partial"!==c)throw new h("Incorrect `lastChunkHandling` option");n&&l(n.buffer);var m=e.length,w=n||[],b=0,I=0,S="",j=0;if(r)for(;;){if((j=g(e,j))===m){if(S.length>0){if("stop-before-partial"===c)break;if("loose"!==c)throw new f("Missing padding");if(1===S.length)throw new f("Malformed padding: exactly one additional character");b=x(w,y(S,o,!1),b)}I=m;break}var E=v(e,j);if(++j,"="===E){if(S.length<2)throw new f("Padding is too early");if(j=g(e,j),2===S.length){if(j===m){if("stop-before-partial"===c)break;throw new f("Malformed padding: only one =")}"="===v(e,j)&&(++j,j=g(e,j))}if(j<m)throw new f("Unexpected character after padding");b=x(w,y(S,o,"strict"===c),b),I=m;break}if(!s(o,E))throw new f("Unexpected character");var O=r-b;if(1===O&&2===S.length||2===O&&3===S.length)break;if(4===(S+=E).length&&(b=x(w,y(S,o,!1),b),S="",I=j,b===r))break}return{bytes:w,read:I,written:b}}},9213:(e,t,n)=>{"use strict";var r=n(6080),o=n(9504),i=n(7055),a=n(8981),s=n(6198),c=n(1469),u=o([].push),l=function(e){var t=1===e,n=2===e,o=3===e,l=4===e,d=6===e,p=7===e,f=5===e||d;return function(h,v,g,y){for(var x,m,w=a(h),b=i(w),I=s(b),S=r(v,g),j=0,E=y||c,O=t?E(h,I):n||p?E(h,0):void 0;I>j;j++)if((f||j in b)&&(m=S(x=b[j],j,w),e))if(t)O[j]=m;else if(m)switch(e){case 3:return!0;case 5:return x;case 6:return j;case 2:u(O,x)}else switch(e){case 4:return!1;case 7:u(O,x)}return d?-1:o||l?l:O}};e.exports={forEach:l(0),map:l(1),filter:l(2),some:l(3),every:l(4),find:l(5),findIndex:l(6),filterReject:l(7)}},9219:(e,t,n)=>{"use strict";e.exports=n(6915).NQuads},9225:(e,t,n)=>{"use strict";var r,o,i,a,s=n(4576),c=n(8745),u=n(6080),l=n(4901),d=n(9297),p=n(9039),f=n(397),h=n(7680),v=n(4055),g=n(2812),y=n(9544),x=n(8574),m=s.setImmediate,w=s.clearImmediate,b=s.process,I=s.Dispatch,S=s.Function,j=s.MessageChannel,E=s.String,O=0,A={},D="onreadystatechange";p(function(){r=s.location});var N=function(e){if(d(A,e)){var t=A[e];delete A[e],t()}},C=function(e){return function(){N(e)}},k=function(e){N(e.data)},T=function(e){s.postMessage(E(e),r.protocol+"//"+r.host)};m&&w||(m=function(e){g(arguments.length,1);var t=l(e)?e:S(e),n=h(arguments,1);return A[++O]=function(){c(t,void 0,n)},o(O),O},w=function(e){delete A[e]},x?o=function(e){b.nextTick(C(e))}:I&&I.now?o=function(e){I.now(C(e))}:j&&!y?(a=(i=new j).port2,i.port1.onmessage=k,o=u(a.postMessage,a)):s.addEventListener&&l(s.postMessage)&&!s.importScripts&&r&&"file:"!==r.protocol&&!p(T)?(o=T,s.addEventListener("message",k,!1)):o=D in v("script")?function(e){f.appendChild(v("script"))[D]=function(){f.removeChild(this),N(e)}}:function(e){setTimeout(C(e),0)}),e.exports={set:m,clear:w}},9228:(e,t,n)=>{"use strict";n(7495);var r=n(9565),o=n(6840),i=n(7323),a=n(9039),s=n(8227),c=n(6699),u=s("species"),l=RegExp.prototype;e.exports=function(e,t,n,d){var p=s(e),f=!a(function(){var t={};return t[p]=function(){return 7},7!==""[e](t)}),h=f&&!a(function(){var t=!1,n=/a/;if("split"===e){var r={};r[u]=function(){return n},(n={constructor:r,flags:""})[p]=/./[p]}return n.exec=function(){return t=!0,null},n[p](""),!t});if(!f||!h||n){var v=/./[p],g=t(p,""[e],function(e,t,n,o,a){var s=t.exec;return s===i||s===l.exec?f&&!a?{done:!0,value:r(v,t,n,o)}:{done:!0,value:r(e,n,t,o)}:{done:!1}});o(String.prototype,e,g[0]),o(l,p,g[1])}d&&c(l[p],"sham",!0)}},9286:(e,t,n)=>{"use strict";var r=n(4402),o=n(8469),i=r.Set,a=r.add;e.exports=function(e){var t=new i;return o(e,function(e){a(t,e)}),t}},9296:(e,t,n)=>{"use strict";var r=n(4055)("span").classList,o=r&&r.constructor&&r.constructor.prototype;e.exports=o===Object.prototype?void 0:o},9297:(e,t,n)=>{"use strict";var r=n(9504),o=n(8981),i=r({}.hasOwnProperty);e.exports=Object.hasOwn||function(e,t){return i(o(e),t)}},9306:(e,t,n)=>{"use strict";var r=n(4901),o=n(6823),i=TypeError;e.exports=function(e){if(r(e))return e;throw new i(o(e)+" is not a function")}},9309:(e,t,n)=>{"use strict";var r=n(6518),o=n(4576),i=n(9225).set,a=n(9472),s=o.setImmediate?a(i,!1):i;r({global:!0,bind:!0,enumerable:!0,forced:o.setImmediate!==s},{setImmediate:s})},9429:(e,t,n)=>{"use strict";var r=n(4576),o=n(8574);e.exports=function(e){if(o){try{return r.process.getBuiltinModule(e)}catch(e){}try{return Function('return require("'+e+'")')()}catch(e){}}}},9433:(e,t,n)=>{"use strict";var r=n(4576),o=Object.defineProperty;e.exports=function(e,t){try{o(r,e,{value:t,configurable:!0,writable:!0})}catch(n){r[e]=t}return t}},9462:(e,t,n)=>{"use strict";var r=n(9565),o=n(2360),i=n(6699),a=n(6279),s=n(8227),c=n(1181),u=n(5966),l=n(7657).IteratorPrototype,d=n(2529),p=n(9539),f=n(1385),h=s("toStringTag"),v="IteratorHelper",g="WrapForValidIterator",y="normal",x="throw",m=c.set,w=function(e){var t=c.getterFor(e?g:v);return a(o(l),{next:function(){var n=t(this);if(e)return n.nextHandler();if(n.done)return d(void 0,!0);try{var r=n.nextHandler();return n.returnHandlerResult?r:d(r,n.done)}catch(e){throw n.done=!0,e}},return:function(){var n=t(this),o=n.iterator;if(n.done=!0,e){var i=u(o,"return");return i?r(i,o):d(void 0,!0)}if(n.inner)try{p(n.inner.iterator,y)}catch(e){return p(o,x,e)}if(n.openIters)try{f(n.openIters,y)}catch(e){return p(o,x,e)}return o&&p(o,y),d(void 0,!0)}})},b=w(!0),I=w(!1);i(I,h,"Iterator Helper"),e.exports=function(e,t,n){var r=function(r,o){o?(o.iterator=r.iterator,o.next=r.next):o=r,o.type=t?g:v,o.returnHandlerResult=!!n,o.nextHandler=e,o.counter=0,o.done=!1,m(this,o)};return r.prototype=t?b:I,r}},9463:(e,t,n)=>{"use strict";var r=n(6518),o=n(3724),i=n(4576),a=n(9504),s=n(9297),c=n(4901),u=n(1625),l=n(655),d=n(2106),p=n(7740),f=i.Symbol,h=f&&f.prototype;if(o&&c(f)&&(!("description"in h)||void 0!==f().description)){var v={},g=function(){var e=arguments.length<1||void 0===arguments[0]?void 0:l(arguments[0]),t=u(h,this)?new f(e):void 0===e?f():f(e);return""===e&&(v[t]=!0),t};p(g,f),g.prototype=h,h.constructor=g;var y="Symbol(description detection)"===String(f("description detection")),x=a(h.valueOf),m=a(h.toString),w=/^Symbol\((.*)\)[^)]+$/,b=a("".replace),I=a("".slice);d(h,"description",{configurable:!0,get:function(){var e=x(this);if(s(v,e))return"";var t=m(e),n=y?I(t,7,-1):b(t,w,"$1");return""===n?void 0:n}}),r({global:!0,constructor:!0,forced:!0},{Symbol:g})}},9472:(e,t,n)=>{"use strict";var r,o=n(4576),i=n(8745),a=n(4901),s=n(4215),c=n(2839),u=n(7680),l=n(2812),d=o.Function,p=/MSIE .\./.test(c)||"BUN"===s&&((r=o.Bun.version.split(".")).length<3||"0"===r[0]&&(r[1]<3||"3"===r[1]&&"0"===r[2]));e.exports=function(e,t){var n=t?2:1;return p?function(r,o){var s=l(arguments.length,1)>n,c=a(r)?r:d(r),p=s?u(arguments,n):[],f=s?function(){i(c,this,p)}:c;return t?e(f,o):e(f)}:e}},9486:(e,t,n)=>{"use strict";var r=n(6518),o=n(4576),i=n(9504),a=n(3972),s=n(4154),c=n(5169),u=n(2804),l=n(944),d=u.i2c,p=u.i2cUrl,f=i("".charAt),h=o.Uint8Array,v=!h||!h.prototype.toBase64||!function(){try{(new h).toBase64(null)}catch(e){return!0}}();h&&r({target:"Uint8Array",proto:!0,forced:v},{toBase64:function(){var e=s(this),t=arguments.length?a(arguments[0]):void 0,n="base64"===l(t)?d:p,r=!!t&&!!t.omitPadding;c(this.buffer);for(var o,i="",u=0,h=e.length,v=function(e){return f(n,o>>6*e&63)};u+2<h;u+=3)o=(e[u]<<16)+(e[u+1]<<8)+e[u+2],i+=v(3)+v(2)+v(1)+v(0);return u+2===h?(o=(e[u]<<16)+(e[u+1]<<8),i+=v(3)+v(2)+v(1)+(r?"":"=")):u+1===h&&(o=e[u]<<16,i+=v(3)+v(2)+(r?"":"==")),i}})},9504:(e,t,n)=>{"use strict";var r=n(616),o=Function.prototype,i=o.call,a=r&&o.bind.bind(i,i);e.exports=r?a:function(e){return function(){return i.apply(e,arguments)}}},9519:(e,t,n)=>{"use strict";var r,o,i=n(4576),a=n(2839),s=i.process,c=i.Deno,u=s&&s.versions||c&&c.version,l=u&&u.v8;l&&(o=(r=l.split("."))[0]>0&&r[0]<4?1:+(r[0]+r[1])),!o&&a&&(!(r=a.match(/Edge\/(\d+)/))||r[1]>=74)&&(r=a.match(/Chrome\/(\d+)/))&&(o=+r[1]),e.exports=o},9539:(e,t,n)=>{"use strict";var r=n(9565),o=n(8551),i=n(5966);e.exports=function(e,t,n){var a,s;o(e);try{if(!(a=i(e,"return"))){if("throw"===t)throw n;return n}a=r(a,e)}catch(e){s=!0,a=e}if("throw"===t)throw n;if(s)throw a;return o(a),n}},9544:(e,t,n)=>{"use strict";var r=n(2839);e.exports=/(?:ipad|iphone|ipod).*applewebkit/i.test(r)},9565:(e,t,n)=>{"use strict";var r=n(616),o=Function.prototype.call;e.exports=r?o.bind(o):function(){return o.apply(o,arguments)}},9577:(e,t,n)=>{"use strict";var r=n(9928),o=n(4644),i=n(1108),a=n(1291),s=n(5854),c=o.aTypedArray,u=o.getTypedArrayConstructor,l=o.exportTypedArrayMethod,d=function(){try{new Int8Array(1).with(2,{valueOf:function(){throw 8}})}catch(e){return 8===e}}(),p=d&&function(){try{new Int8Array(1).with(-.5,1)}catch(e){return!0}}();l("with",{with:function(e,t){var n=c(this),o=a(e),l=i(n)?s(t):+t;return r(n,u(n),o,l)}}.with,!d||p)},9590:(e,t,n)=>{"use strict";var r=n(1291),o=RangeError;e.exports=function(e){var t=r(e);if(t<0)throw new o("The argument can't be less than 0");return t}},9617:(e,t,n)=>{"use strict";var r=n(5397),o=n(5610),i=n(6198),a=function(e){return function(t,n,a){var s=r(t),c=i(s);if(0===c)return!e&&-1;var u,l=o(a,c);if(e&&n!=n){for(;c>l;)if((u=s[l++])!=u)return!0}else for(;c>l;l++)if((e||l in s)&&s[l]===n)return e||l||0;return!e&&-1}};e.exports={includes:a(!0),indexOf:a(!1)}},9631:(e,t,n)=>{"use strict";n(9486)},9792:(e,t,n)=>{"use strict";const r=n(8937),{isArray:o}=n(4340),{asArray:i}=n(1869),a={};function s({event:e,handlers:t}){let n=!0;for(let i=0;n&&i<t.length;++i){n=!1;const a=t[i];if(o(a))n=s({event:e,handlers:a});else if("function"==typeof a)a({event:e,next:()=>{n=!0}});else{if("object"!=typeof a)throw new r("Invalid event handler.","jsonld.InvalidEventHandler",{event:e});e.code in a?a[e.code]({event:e,next:()=>{n=!0}}):n=!0}}return n}e.exports=a,a.defaultEventHandler=null,a.setupEventHandler=({options:e={}})=>{const t=[].concat(e.safe?a.safeEventHandler:[],e.eventHandler?i(e.eventHandler):[],a.defaultEventHandler?a.defaultEventHandler:[]);return 0===t.length?null:t},a.handleEvent=({event:e,options:t})=>{s({event:e,handlers:t.eventHandler})};const c=new Set(["empty object","free-floating scalar","invalid @language value","invalid property","null @id value","null @value value","object with only @id","object with only @language","object with only @list","object with only @value","relative @id reference","relative @type reference","relative @vocab reference","reserved @id value","reserved @reverse value","reserved term","blank node predicate","relative graph reference","relative object reference","relative predicate reference","relative subject reference","rdfDirection not set"]);a.safeEventHandler=function({event:e,next:t}){if("warning"===e.level&&c.has(e.code))throw new r("Safe mode validation error.","jsonld.ValidationError",{event:e});t()},a.logEventHandler=function({event:e,next:t}){console.log(`EVENT: ${e.message}`,{event:e}),t()},a.logWarningEventHandler=function({event:e,next:t}){"warning"===e.level&&console.warn(`WARNING: ${e.message}`,{event:e}),t()},a.unhandledEventHandler=function({event:e}){throw new r("No handler for event.","jsonld.UnhandledEvent",{event:e})},a.setDefaultEventHandler=function({eventHandler:e}={}){a.defaultEventHandler=e?i(e):null}},9797:(e,t,n)=>{"use strict";n(4226)},9835:e=>{"use strict";e.exports=function(e){try{var t=new Set,n={size:0,has:function(){return!0},keys:function(){return Object.defineProperty({},"next",{get:function(){return t.clear(),t.add(4),function(){return{done:!0}}}})}},r=t[e](n);return 1===r.size&&4===r.values().next().value}catch(e){return!1}}},9848:(e,t,n)=>{"use strict";n(6368),n(9309)},9928:(e,t,n)=>{"use strict";var r=n(6198),o=n(1291),i=RangeError;e.exports=function(e,t,n,a){var s=r(e),c=o(n),u=c<0?s+c:c;if(u>=s||u<0)throw new i("Incorrect index");for(var l=new t(s),d=0;d<s;d++)l[d]=d===u?a:e[d];return l}}},t={};function n(r){var o=t[r];if(void 0!==o)return o.exports;var i=t[r]={exports:{}};return e[r].call(i.exports,i,i.exports,n),i.exports}return n.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),n(5551)})());
+//# sourceMappingURL=jsonld.min.js.map
\ No newline at end of file
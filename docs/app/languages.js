@@ -0,0 +1,114 @@
+// app/languages.js (ES module)
+//
+// Required languages for label and definition checks, and the per-language
+// coverage table of the ontology report. A rule pack lists its languages in
+// the manifest ("languages": ["en", "de"]); the UI and the CLI can override
+// them for a run. A query takes them through a `VALUES ?language { ... }`
+// clause, which is rewritten to the required languages before it is parsed.
+
+export const DEFAULT_LANGUAGES = ['en'];
+
+const LANGUAGE_TAG = /^[a-z]{1,8}(?:-[a-z0-9]{1,8})*$/;
+
+// "en, de-CH" → ['en', 'de-ch']; throws on something that is not a tag.
+export function parseLanguageList(text) {
+  const languages = [];
+  for (const part of String(text || '').split(/[\s,]+/)) {
+    const tag = part.trim().toLowerCase();
+    if (!tag) continue;
+    if (!LANGUAGE_TAG.test(tag)) throw new Error(`Not a language tag: ${part}`);
+    if (!languages.includes(tag)) languages.push(tag);
+  }
+  return languages;
+}
+
+export function requiredLanguages(manifest) {
+  const languages = manifest && Array.isArray(manifest.languages) ? parseLanguageList(manifest.languages.join(',')) : [];
+  return languages.length ? languages : DEFAULT_LANGUAGES;
+}
+
+// The manifest with its languages replaced, when any are given.
+export function withLanguages(manifest, languages) {
+  return languages && languages.length ? { ...manifest, languages } : manifest;
+}
+
+export function bindLanguages(queryText, languages) {
+  const values = languages.map(l => JSON.stringify(l)).join(' ');
+  return queryText.replace(/VALUES\s+\?language\s*\{[^}]*\}/gi, `VALUES ?language { ${values} }`);
+}
+
+// --- coverage ---
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+const SKOS_DEFINITION = 'http://www.w3.org/2004/02/skos/core#definition';
+const OWL = 'http://www.w3.org/2002/07/owl#';
+const KINDS = {
+  classes: [OWL + 'Class'],
+  properties: [OWL + 'ObjectProperty', OWL + 'DatatypeProperty', OWL + 'DataProperty', OWL + 'AnnotationProperty']
+};
+
+// Same rule as SPARQL langMatches: "en" covers "en" and "en-gb".
+function languageMatches(tag, language) {
+  return tag === language || tag.startsWith(language + '-');
+}
+
+function share(count, total) {
+  return total ? count / total : null;
+}
+
+// For the classes and properties of the main ontology (default graph, named,
+// not deprecated): how many have an rdfs:label and a skos:definition in each
+// language. Required languages come first and count every subtag; the other
+// tags found follow, and '' stands for untagged literals.
+// → { requiredLanguages, totals: { classes, properties },
+//     languages: [{ language, required, classes: { labels, labelShare,
+//     definitions, definitionShare }, properties: { ... } }] }
+export function computeLanguageCoverage(store, languages = DEFAULT_LANGUAGES) {
+  const { namedNode, literal, defaultGraph } = globalThis.N3.DataFactory;
+  const graph = defaultGraph();
+  const deprecated = new Set(store.getSubjects(namedNode(OWL + 'deprecated'), literal('true', namedNode('http://www.w3.org/2001/XMLSchema#boolean')), graph)
+    .map(s => s.value));
+
+  const tagsOf = (subject, predicate) => new Set(store.getObjects(subject, namedNode(predicate), graph)
+    .filter(o => o.termType === 'Literal')
+    .map(o => (o.language || '').toLowerCase()));
+
+  const totals = {};
+  const resources = {};
+  const seen = new Set();
+  for (const [kind, types] of Object.entries(KINDS)) {
+    const subjects = new Map();
+    for (const type of types) {
+      for (const s of store.getSubjects(namedNode(RDF_TYPE), namedNode(type), graph)) {
+        if (s.termType === 'NamedNode' && !deprecated.has(s.value)) subjects.set(s.value, s);
+      }
+    }
+    resources[kind] = Array.from(subjects.values(), s => {
+      const labels = tagsOf(s, RDFS_LABEL);
+      const definitions = tagsOf(s, SKOS_DEFINITION);
+      for (const tag of labels) seen.add(tag);
+      for (const tag of definitions) seen.add(tag);
+      return { labels, definitions };
+    });
+    totals[kind] = subjects.size;
+  }
+
+  const rows = languages.map(language => ({ language, required: true }))
+    .concat(Array.from(seen).filter(tag => !languages.includes(tag)).sort()
+      .map(language => ({ language, required: false })));
+  for (const row of rows) {
+    const has = tags => Array.from(tags).some(tag => row.required ? languageMatches(tag, row.language) : tag === row.language);
+    for (const kind of Object.keys(KINDS)) {
+      const labels = resources[kind].filter(r => has(r.labels)).length;
+      const definitions = resources[kind].filter(r => has(r.definitions)).length;
+      row[kind] = {
+        labels,
+        labelShare: share(labels, totals[kind]),
+        definitions,
+        definitionShare: share(definitions, totals[kind])
+      };
+    }
+  }
+
+  return { requiredLanguages: languages, totals, languages: rows };
+}
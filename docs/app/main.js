@@ -1,26 +1,160 @@
 // app/main.js (ES module)
 
-import { evaluateAllQueries } from './engine.js';
 import {
-  computePerResourceCuration,
-  computeOntologyReport
-} from './grader.js';
+  toCsv,
+  toJson,
+  toSarif,
+  toRdfReport,
+  toBatchCsv,
+  matrixToCsv,
+  ontologyReportToYaml,
+  formatScore,
+  diffToMarkdown
+} from './exporters.js';
+import { parseXmlCatalog, isCatalogFile } from './imports.js';
+import { annotateOntology } from './annotate.js';
+import { compareRuns, parseJsonReport } from './compare.js';
+import {
+  BUILTIN_PACKS,
+  loadBuiltinPack,
+  packFromFiles,
+  packFromSaved,
+  packFiles,
+  readZip,
+  combinePacks,
+  loadPackSettings,
+  savePackSettings
+} from './rulepacks.js';
+import {
+  POLARITIES,
+  ruleTemplate,
+  draftToManifestEntry,
+  manifestEntryToDraft,
+  validateDraft
+} from './ruleeditor.js';
+import { createWorkerPool, defaultPoolSize, isCancelled } from './workerpool.js';
+import { loadRuleSet } from './ruleset.js';
+import { parseLanguageList, requiredLanguages, withLanguages } from './languages.js';
+import { withInference } from './inference.js';
+import { parseWaiverJson } from './waivers.js';
+import { createEndpoint } from './endpoint.js';
+import { STATUS_ORDER } from './grader.js';
+import { batchSummary, sortSummaries, filterSummaries, requirementMatrix } from './batch.js';
+import { FIXER_TYPES, suggestFixes, describeTriple, fixesToTurtle, patchOntology } from './fixes.js';
+import {
+  runRecord,
+  saveRun,
+  loadRuns,
+  clearHistory,
+  historyToJson,
+  parseHistoryJson,
+  importRuns,
+  statusShares,
+  resourceTimelines
+} from './history.js';
 
 // --- DOM elements ---
 // Reuse the same input (#ontologyFiles) for both single and batch runs
 const filesInput = document.getElementById('ontologyFiles');
 const btnRun = document.getElementById('runChecksBtn');
 const runBatchBtn = document.getElementById('runBatchBtn');
+const endpointUrlInput = document.getElementById('endpointUrl');
+const endpointGraphInput = document.getElementById('endpointGraph');
+const btnRunEndpoint = document.getElementById('runEndpointBtn');
 const btnCsv = document.getElementById('downloadResultsCsvBtn');
 const btnYaml = document.getElementById('downloadOntologyYamlBtn');
+const btnJson = document.getElementById('downloadReportJsonBtn');
+const btnRdf = document.getElementById('downloadReportRdfBtn');
+const btnSarif = document.getElementById('downloadSarifBtn');
+const btnAnnotated = document.getElementById('downloadAnnotatedBtn');
+const btnBatchCsv = document.getElementById('downloadBatchCsvBtn');
+const btnMatrixCsv = document.getElementById('downloadMatrixCsvBtn');
+const btnCancel = document.getElementById('cancelRunBtn');
+const progressEl = document.getElementById('runProgress');
 const statusEl = document.getElementById('status');
 const tableContainer = document.getElementById('curationTableContainer');
 const ontologyReportContainer = document.getElementById('ontologyReportContainer');
 const dashboardContainer = document.getElementById('dashboardContainer');
+const baselineInput = document.getElementById('baselineFile');
+const btnCompare = document.getElementById('runCompareBtn');
+const btnDiffMarkdown = document.getElementById('downloadDiffMarkdownBtn');
+const btnDiffJson = document.getElementById('downloadDiffJsonBtn');
+const compareContainer = document.getElementById('compareContainer');
+const detailContainer = document.getElementById('requirementDetailContainer');
+const sourceContainer = document.getElementById('sourceViewerContainer');
+const fixesContainer = document.getElementById('fixesContainer');
+const packListEl = document.getElementById('rulePackList');
+const packFilesInput = document.getElementById('rulePackFiles');
+const packDirInput = document.getElementById('rulePackDir');
+const languagesInput = document.getElementById('requiredLanguages');
+const inferenceInput = document.getElementById('runInference');
+const waiverInput = document.getElementById('waiverFile');
+const historyPanel = document.getElementById('historyPanel');
+const historyContainer = document.getElementById('historyContainer');
+const historyOntologySelect = document.getElementById('historyOntology');
+const historyFilterInput = document.getElementById('historyResourceFilter');
+const ruleBaseSelect = document.getElementById('ruleBase');
+const ruleKindSelect = document.getElementById('ruleKind');
+const rulePolaritySelect = document.getElementById('rulePolarity');
+const ruleScopeSelect = document.getElementById('ruleScope');
+const ruleFixerSelect = document.getElementById('ruleFixer');
+const ruleTextArea = document.getElementById('ruleText');
+const rulePreviewContainer = document.getElementById('rulePreviewContainer');
+const rulePreviewBtn = document.getElementById('rulePreviewBtn');
+const rulePreviewNote = document.getElementById('rulePreviewNote');
+const ruleFields = {
+  id: document.getElementById('ruleId'),
+  title: document.getElementById('ruleTitle'),
+  file: document.getElementById('ruleFile'),
+  kind: ruleKindSelect,
+  polarity: rulePolaritySelect,
+  scope: ruleScopeSelect,
+  severity: document.getElementById('ruleSeverity'),
+  graph: document.getElementById('ruleGraph'),
+  checksConformityTo: document.getElementById('ruleRequirement'),
+  resourceVar: document.getElementById('ruleResourceVar'),
+  relatedVars: document.getElementById('ruleRelatedVars'),
+  fixer: ruleFixerSelect,
+  fixerProperty: document.getElementById('ruleFixerProperty'),
+  fixerDatatype: document.getElementById('ruleFixerDatatype')
+};
 
 let lastResults = null;
 let lastPerResource = null;
 let lastOntologyReport = null;
+let lastFile = null;
+// The last single run's file name, or for an endpoint run its URL and graph.
+let lastFileName = null;
+let lastDiff = null;
+let lastLabels = {};
+// iri → { file, startLine, endLine } of the last single run, and the lines
+// of its file once the source viewer has read them.
+let lastLocations = {};
+let lastSourceLines = null;
+// The last single run's suggested fixes, and the IDs of those accepted.
+let lastFixes = [];
+const acceptedFixes = new Set();
+// The last batch: its runs (each with its File), the files that failed, and
+// how the dashboard sorts and filters them.
+let lastBatch = [];
+let lastBatchFailures = [];
+const dashboardView = { sortKey: 'fileName', descending: false, status: '', requirementId: '' };
+let lastManifest = null;
+let lastPack = null;
+let packSettings = loadPackSettings();
+// The active pack once loaded, for code that cannot wait for it.
+let activePack = null;
+let activePackPromise = null;
+// The active pack's rule set (manifest and every query text), loaded once
+// and sent to the workers, which compile it once per version.
+let ruleSetPromise = null;
+// Single runs, comparisons and rule previews share one worker, which keeps
+// the last checked ontology's store for the previews; batches use a pool.
+const sessionPool = createWorkerPool({ size: 1 });
+const batchPool = createWorkerPool({ size: defaultPoolSize() });
+let runStarted = 0;
+// The manifest query the rule editor started from, if any.
+let ruleBaseId = null;
 
 function escapeHtml(str) {
   if (str == null) return '';
@@ -32,60 +166,382 @@ function escapeHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
-// Run all queries + grading for a single File object
-async function evaluateFile(file) {
-  const text = await file.text();
-  const { results, resources, ontologyIri } = await evaluateAllQueries(text, file.name);
-  const manifestRes = await fetch('queries/manifest.json');
-  const manifest = await manifestRes.json();
+// The other selected files (and a catalog-v001.xml among them) are used to
+// resolve owl:imports of the file being checked. The catalog is read here,
+// where a DOMParser is at hand; the worker gets the parsed entries.
+async function readCatalog(files) {
+  const catalogFile = files.find(f => isCatalogFile(f.name));
+  return catalogFile ? parseXmlCatalog(await catalogFile.text()) : null;
+}
+
+// The waivers of the selected waiver file; the ontology adds its own.
+async function readWaivers() {
+  const file = waiverInput && waiverInput.files[0];
+  return file ? parseWaiverJson(await file.text(), file.name) : [];
+}
 
-  const perResource = computePerResourceCuration(results, manifest, resources);
-  const ontologyReport = computeOntologyReport(results, manifest, ontologyIri);
+// --- Rule packs ---
+// The selected packs combined into one; rebuilt when the selection changes.
+// The promise is kept, not the pack, so that the files of a batch, which
+// all ask at once, share one load.
+function getActivePack() {
+  if (!activePackPromise) {
+    const promise = loadActivePack().then(pack => {
+      if (activePackPromise === promise) activePack = pack;
+      return pack;
+    }, err => {
+      if (activePackPromise === promise) activePackPromise = null;
+      throw err;
+    });
+    activePackPromise = promise;
+  }
+  return activePackPromise;
+}
+
+async function loadActivePack() {
+  const packs = [];
+  for (const id of packSettings.selected) {
+    const builtin = BUILTIN_PACKS.find(p => p.id === id);
+    if (builtin) {
+      packs.push(await loadBuiltinPack(builtin));
+      continue;
+    }
+    const saved = packSettings.uploaded.find(p => p.id === id);
+    if (saved) packs.push(packFromSaved(saved));
+  }
+  return combinePacks(packs);
+}
+
+// Workers cannot call back into the pack, so they get the loaded rule set.
+// Required languages and inference set in the page replace the packs' own.
+function getRuleSet(pack) {
+  if (!ruleSetPromise) {
+    const manifest = withInference(withLanguages(pack.manifest, packSettings.languages), packSettings.inference);
+    const promise = loadRuleSet(manifest, pack.loadQueryText, pack.id).catch(err => {
+      if (ruleSetPromise === promise) ruleSetPromise = null;
+      throw err;
+    });
+    ruleSetPromise = promise;
+  }
+  return ruleSetPromise;
+}
+
+function setPackSettings(settings) {
+  packSettings = settings;
+  activePack = null;
+  activePackPromise = null;
+  ruleSetPromise = null;
+  savePackSettings(packSettings);
+  renderPackList();
+}
+
+function renderPackList() {
+  if (!packListEl) return;
+  const entries = BUILTIN_PACKS.map(p => ({ id: p.id, title: p.title, builtin: true }))
+    .concat(packSettings.uploaded.map(p => ({ id: p.id, title: p.title, builtin: false })));
+
+  let html = '<ul>';
+  for (const p of entries) {
+    const checked = packSettings.selected.includes(p.id) ? ' checked' : '';
+    html += '<li><label><input type="checkbox" data-pack-id="' + escapeHtml(p.id) + '"' + checked + '> ' +
+            escapeHtml(p.title) + ' <code>' + escapeHtml(p.id) + '</code></label>' +
+            (p.builtin ? ' (built in)' : ' <button type="button" data-remove-pack="' + escapeHtml(p.id) + '">Remove</button>') +
+            '</li>';
+  }
+  html += '</ul>';
+  packListEl.innerHTML = html;
+}
+
+function onPackListChange(event) {
+  const id = event.target.getAttribute('data-pack-id');
+  if (!id) return;
+  const selected = packSettings.selected.filter(s => s !== id);
+  if (event.target.checked) selected.push(id);
+  setPackSettings({ ...packSettings, selected });
+}
+
+function onPackListClick(event) {
+  const id = event.target.getAttribute('data-remove-pack');
+  if (!id) return;
+  setPackSettings({
+    ...packSettings,
+    selected: packSettings.selected.filter(s => s !== id),
+    uploaded: packSettings.uploaded.filter(p => p.id !== id)
+  });
+}
+
+function onInferenceChange() {
+  setPackSettings({ ...packSettings, inference: inferenceInput.checked || null });
+}
 
-  return {
-    fileName: file.name,
-    ontologyIri,
-    ontologyReport,
-    perResource,
-    results
+function onLanguagesChange() {
+  try {
+    setPackSettings({ ...packSettings, languages: parseLanguageList(languagesInput.value) });
+  } catch (err) {
+    statusEl.textContent = 'Error: ' + err.message;
+  }
+}
+
+function uniquePackId(id) {
+  const taken = new Set(BUILTIN_PACKS.map(p => p.id).concat(packSettings.uploaded.map(p => p.id)));
+  let candidate = id;
+  for (let n = 2; taken.has(candidate); n++) candidate = id + '-' + n;
+  return candidate;
+}
+
+// Files picked one by one, a directory (webkitRelativePath) or a single zip.
+async function addPackFromFiles(fileList) {
+  const picked = Array.from(fileList || []);
+  if (!picked.length) return;
+  let files;
+  let fallbackId;
+  if (picked.length === 1 && /\.zip$/i.test(picked[0].name)) {
+    files = await readZip(await picked[0].arrayBuffer());
+    fallbackId = picked[0].name.replace(/\.zip$/i, '');
+  } else {
+    files = new Map();
+    for (const f of picked) files.set(f.webkitRelativePath || f.name, await f.text());
+    const first = picked[0].webkitRelativePath;
+    fallbackId = first ? first.split('/')[0] : 'custom';
+  }
+
+  const pack = packFromFiles(files, fallbackId);
+  const id = uniquePackId(pack.id);
+  const saved = { id, title: pack.title, files: await packFiles(pack) };
+  setPackSettings({
+    ...packSettings,
+    selected: packSettings.selected.concat(id),
+    uploaded: packSettings.uploaded.concat(saved)
+  });
+  statusEl.textContent = `Added rule pack ${pack.title} (${pack.manifest.queries.length} checks).`;
+}
+
+// --- Progress and cancellation ---
+function startRun(label) {
+  runStarted = Date.now();
+  statusEl.textContent = label;
+  progressEl.hidden = false;
+  progressEl.removeAttribute('value');
+  btnCancel.disabled = false;
+}
+
+function endRun() {
+  progressEl.hidden = true;
+  btnCancel.disabled = true;
+}
+
+function formatElapsed(ms) {
+  return (ms / 1000).toFixed(1) + ' s';
+}
+
+function formatMegabytes(bytes) {
+  return (bytes / 1048576).toFixed(1) + ' MB';
+}
+
+// prefix: e.g. the batch position, shown before the file's own progress.
+function showProgress(progress, prefix = '') {
+  let text = prefix + progress.fileName + ': ';
+  if (progress.stage === 'parse') {
+    text += 'parsing';
+    if (progress.total) text += `, ${formatMegabytes(progress.loaded)} of ${formatMegabytes(progress.total)} read`;
+  } else if (progress.stage === 'imports') text += 'loading imports';
+  else if (progress.stage === 'discover') text += 'reading resources from the endpoint';
+  else if (progress.stage === 'copy') text += 'copying the graph';
+  else if (progress.stage === 'inference') text += 'inferring';
+  else if (progress.stage === 'grade') text += 'grading';
+  else text += `${progress.done}/${progress.total} checks done, running ${progress.queryId}`;
+  statusEl.textContent = text + ' (' + formatElapsed(Date.now() - runStarted) + ')';
+  if (prefix) return;
+  if (progress.stage === 'parse' && progress.total) {
+    progressEl.max = progress.total;
+    progressEl.value = progress.loaded;
+  } else if (progress.stage === 'query') {
+    progressEl.max = progress.total;
+    progressEl.value = progress.done;
+  }
+}
+
+// Run all queries + grading for a single File object, in a worker.
+// options.pool: the worker pool (default: the session worker)
+// options.keepStore: keep the store in the worker for rule previews
+// options.onProgress: progress callback (default: the status line)
+async function evaluateFile(file, files = [file], options = {}) {
+  const pack = await getActivePack();
+  const message = {
+    type: 'evaluate',
+    file,
+    files: files.filter(f => f !== file && !isCatalogFile(f.name)),
+    catalog: await readCatalog(files),
+    waivers: await readWaivers(),
+    ruleSet: await getRuleSet(pack),
+    concurrency: 4,
+    keepStore: Boolean(options.keepStore)
   };
+  const pool = options.pool || sessionPool;
+  const result = await pool.run(message, options.onProgress || (p => showProgress(p)));
+  return { ...result, manifest: message.ruleSet.manifest, pack };
+}
+
+// Run all queries + grading against an ontology in a SPARQL endpoint, in the
+// session worker, which keeps the endpoint for rule previews.
+// endpoint: { url, graph } from endpoint.js createEndpoint()
+async function evaluateEndpoint(endpoint) {
+  const pack = await getActivePack();
+  const message = {
+    type: 'evaluateEndpoint',
+    endpoint,
+    waivers: await readWaivers(),
+    ruleSet: await getRuleSet(pack),
+    concurrency: 4,
+    keepStore: true
+  };
+  const result = await sessionPool.run(message, p => showProgress(p));
+  return { ...result, manifest: message.ruleSet.manifest, pack };
 }
 
 // --- Dashboard for batch mode ---
-function renderDashboard(batchReports) {
-  if (!batchReports || !batchReports.length) {
+// failures: [{ fileName, error }] for files that could not be checked
+const DASHBOARD_COLUMNS = [
+  ['fileName', 'File'],
+  ['ontologyIri', 'Ontology IRI'],
+  ['status', 'Status'],
+  ['score', 'Score'],
+  ['failedRequirements', '# Failed Requirements'],
+  ['failedRecommendations', '# Failed Recommendations'],
+  ['erroredChecks', '# Errored Checks']
+];
+
+function dashboardSelect(name, label, values, selected, allLabel) {
+  return '<label>' + escapeHtml(label) + ' <select data-dashboard-filter="' + name + '">' +
+         '<option value="">' + escapeHtml(allLabel) + '</option>' +
+         values.map(v => '<option value="' + escapeHtml(v) + '"' + (v === selected ? ' selected' : '') + '>' +
+           escapeHtml(v) + '</option>').join('') +
+         '</select></label> ';
+}
+
+function renderDashboard() {
+  const batch = lastBatch;
+  const failures = lastBatchFailures;
+  if (!batch.length && !failures.length) {
     dashboardContainer.innerHTML = '<p>No ontologies evaluated.</p>';
     return;
   }
 
+  const view = dashboardView;
+  const summaries = batch.map(batchSummary);
+  const rows = sortSummaries(filterSummaries(summaries, view), view.sortKey, view.descending);
+  const requirementIds = Array.from(new Set(batch.flatMap(run => run.ontologyReport.requirements.map(r => r.id)))).sort();
+
   let html = '<h2>Ontology dashboard</h2>';
+  html += '<p>' +
+          dashboardSelect('status', 'Status:', STATUS_ORDER, view.status, 'All') +
+          dashboardSelect('requirementId', 'Fails requirement/recommendation:', requirementIds, view.requirementId, 'Any') +
+          escapeHtml(`${rows.length} of ${batch.length} ontologies. Click a row for its report.`) +
+          '</p>';
   html += '<table border="1" cellpadding="4" cellspacing="0">';
   html += '<thead><tr>' +
-          '<th>File</th>' +
-          '<th>Ontology IRI</th>' +
-          '<th>Status</th>' +
-          '<th># Failed Requirements</th>' +
-          '<th># Failed Recommendations</th>' +
+          DASHBOARD_COLUMNS.map(([key, label]) => {
+            const arrow = view.sortKey === key ? (view.descending ? ' &#9660;' : ' &#9650;') : '';
+            return '<th><a href="#" data-sort="' + key + '">' + escapeHtml(label) + '</a>' + arrow + '</th>';
+          }).join('') +
+          '<th>Breakdown</th>' +
           '</tr></thead><tbody>';
 
-  for (const item of batchReports) {
-    const report = item.ontologyReport;
-    const failedReqs = report.requirements
-      .filter(r => r.type === 'requirement' && r.status === 'fail').length;
-    const failedRecs = report.requirements
-      .filter(r => r.type === 'recommendation' && r.status === 'fail').length;
+  for (const row of rows) {
+    const report = batch[row.index].ontologyReport;
+    html += `<tr data-batch-index="${row.index}" style="cursor:pointer">` +
+            `<td>${escapeHtml(row.fileName)}</td>` +
+            `<td>${escapeHtml(row.ontologyIri)}</td>` +
+            `<td>${escapeHtml(row.status)}</td>` +
+            `<td>${escapeHtml(formatScore(row.score))}` +
+            (row.scoreStatus ? ` (${escapeHtml(row.scoreStatus)})` : '') + '</td>' +
+            `<td>${row.failedRequirements}</td>` +
+            `<td>${row.failedRecommendations}</td>` +
+            `<td>${row.erroredChecks}</td>` +
+            `<td>${renderScoreBreakdown(report.requirements)}</td>` +
+            '</tr>';
+  }
+  // Files that could not be checked have no status to filter on.
+  if (!view.status && !view.requirementId) {
+    for (const failure of failures) {
+      html += '<tr>' +
+              `<td>${escapeHtml(failure.fileName)}</td>` +
+              '<td>—</td>' +
+              `<td colspan="6">error: ${escapeHtml(failure.error)}</td>` +
+              '</tr>';
+    }
+  }
+  html += '</tbody></table>';
+
+  if (batch.length > 1) html += renderRequirementMatrix(requirementMatrix(batch));
+  dashboardContainer.innerHTML = html;
+}
+
+// --- Requirement × ontology matrix, for batches ---
+const MATRIX_COLORS = { fail: '#f4cccc', errored: '#fce5cd', pass: '#d9ead3' };
 
+function renderRequirementMatrix(matrix) {
+  let html = '<h3>Failures by requirement and ontology</h3>';
+  html += '<p>Failing resources per ontology; the requirements failing in most ontologies come first.</p>';
+  html += '<table border="1" cellpadding="4" cellspacing="0">';
+  html += '<thead><tr>' +
+          '<th>Requirement</th>' +
+          '<th># Failing Ontologies</th>' +
+          matrix.ontologies.map(name => '<th>' + escapeHtml(name) + '</th>').join('') +
+          '</tr></thead><tbody>';
+  for (const row of matrix.rows) {
     html += '<tr>' +
-            `<td>${escapeHtml(item.fileName)}</td>` +
-            `<td>${escapeHtml(report.ontologyIri)}</td>` +
-            `<td>${escapeHtml(report.statusLabel)}</td>` +
-            `<td>${failedReqs}</td>` +
-            `<td>${failedRecs}</td>` +
+            '<td>' + escapeHtml(row.id) + ' <em>' + escapeHtml(row.type) + '</em></td>' +
+            '<td>' + row.failingOntologies + '</td>' +
+            row.cells.map(cell => {
+              if (!cell) return '<td>—</td>';
+              const text = cell.status === 'fail' ? String(cell.failedResourcesCount || 'fail') : cell.status;
+              return '<td style="background:' + MATRIX_COLORS[cell.status] + '">' + escapeHtml(text) + '</td>';
+            }).join('') +
             '</tr>';
   }
-
   html += '</tbody></table>';
-  dashboardContainer.innerHTML = html;
+  return html;
+}
+
+function onDashboardClick(event) {
+  const sort = event.target.closest('a[data-sort]');
+  if (sort) {
+    event.preventDefault();
+    const key = sort.dataset.sort;
+    dashboardView.descending = dashboardView.sortKey === key ? !dashboardView.descending : false;
+    dashboardView.sortKey = key;
+    renderDashboard();
+    return;
+  }
+  // The breakdown's own toggle stays a toggle.
+  if (event.target.closest('details')) return;
+  const row = event.target.closest('tr[data-batch-index]');
+  if (row) {
+    showRun(lastBatch[Number(row.dataset.batchIndex)], { fromBatch: true });
+    ontologyReportContainer.scrollIntoView({ behavior: 'smooth' });
+  }
+}
+
+function onDashboardFilterChange(event) {
+  const select = event.target.closest('select[data-dashboard-filter]');
+  if (!select) return;
+  dashboardView[select.dataset.dashboardFilter] = select.value;
+  renderDashboard();
+}
+
+// --- Per-requirement pass shares, collapsed, for the dashboard ---
+function renderScoreBreakdown(requirements) {
+  const scored = (requirements || []).filter(r => r.passShare !== null && r.passShare !== undefined);
+  if (!scored.length) return '—';
+
+  let html = '<details><summary>' + scored.length + ' requirements</summary><ul>';
+  for (const r of scored) {
+    html += '<li>' + escapeHtml(r.id) + ': ' + escapeHtml(formatScore(r.passShare)) +
+            ' (weight ' + escapeHtml(String(r.weight)) + ')</li>';
+  }
+  html += '</ul></details>';
+  return html;
 }
 
 // --- Per-resource table ---
@@ -99,20 +555,27 @@ function renderCurationTable(perResource) {
   html += '<table border="1" cellpadding="4" cellspacing="0">';
   html += '<thead><tr>' +
           '<th>Resource</th>' +
+          '<th>Source</th>' +
           '<th>Curation Status</th>' +
+          '<th>Score</th>' +
           '<th>Failed Requirements</th>' +
           '<th>Failed Recommendations</th>' +
+          '<th>Waived</th>' +
           '</tr></thead><tbody>';
 
   for (const row of perResource) {
     const reqs = row.failedRequirements.join(', ') || '—';
     const recs = row.failedRecommendations.join(', ') || '—';
+    const waived = (row.waivedRequirements || []).join(', ') || '—';
 
     html += '<tr>' +
-            '<td>' + escapeHtml(row.resource) + '</td>' +
+            '<td><a href="#" data-resource="' + escapeHtml(row.resource) + '">' + escapeHtml(row.resource) + '</a></td>' +
+            '<td>' + sourceLink(row.resource) + '</td>' +
             '<td>' + escapeHtml(row.statusLabel) + '</td>' +
+            '<td>' + escapeHtml(formatScore(row.score)) + '</td>' +
             '<td>' + escapeHtml(reqs) + '</td>' +
             '<td>' + escapeHtml(recs) + '</td>' +
+            '<td>' + escapeHtml(waived) + '</td>' +
             '</tr>';
   }
 
@@ -120,6 +583,165 @@ function renderCurationTable(perResource) {
   tableContainer.innerHTML = html;
 }
 
+// --- Run diagnostics: per-query outcome, duration and row count ---
+function renderDiagnostics(diagnostics) {
+  if (!diagnostics || !diagnostics.length) return '';
+  const failed = diagnostics.filter(d => d.outcome !== 'ok');
+  const totalMs = diagnostics.reduce((n, d) => n + d.durationMs, 0);
+
+  let html = '<details' + (failed.length ? ' open' : '') + '><summary><strong>Run diagnostics:</strong> ' +
+             escapeHtml(String(diagnostics.length)) + ' checks in ' + escapeHtml(String(totalMs)) + ' ms' +
+             (failed.length ? ', ' + escapeHtml(String(failed.length)) + ' errored, timed out or ran only in part' : '') +
+             '</summary>';
+  html += '<table border="1" cellpadding="4" cellspacing="0">';
+  html += '<thead><tr>' +
+          '<th>Check</th>' +
+          '<th>Requirement</th>' +
+          '<th>Outcome</th>' +
+          '<th>Graph</th>' +
+          '<th>Duration (ms)</th>' +
+          '<th>Rows</th>' +
+          '<th>Error</th>' +
+          '</tr></thead><tbody>';
+  for (const d of diagnostics) {
+    html += '<tr>' +
+            '<td>' + queryLink(d.queryId) + '</td>' +
+            '<td>' + escapeHtml(d.requirementId || '') + '</td>' +
+            '<td>' + escapeHtml(d.outcome) + '</td>' +
+            '<td>' + escapeHtml(d.graph || 'asserted') + '</td>' +
+            '<td>' + escapeHtml(String(d.durationMs)) + '</td>' +
+            '<td>' + escapeHtml(String(d.rowCount)) + '</td>' +
+            '<td>' + (d.error ? '<pre>' + escapeHtml(d.error) + '</pre>' : '') + '</td>' +
+            '</tr>';
+  }
+  html += '</tbody></table></details>';
+  return html;
+}
+
+// --- Label and definition coverage per language ---
+function renderLanguageCoverage(coverage) {
+  if (!coverage) return '';
+  const cell = (count, share, total) => escapeHtml(String(count)) + '/' + escapeHtml(String(total)) +
+                                       ' (' + escapeHtml(formatScore(share)) + ')';
+
+  let html = '<details><summary><strong>Language coverage:</strong> required ' +
+             escapeHtml(coverage.requiredLanguages.join(', ')) + '</summary>';
+  html += '<table border="1" cellpadding="4" cellspacing="0">';
+  html += '<thead><tr>' +
+          '<th>Language</th>' +
+          '<th>Required</th>' +
+          '<th>Classes with label</th>' +
+          '<th>Classes with definition</th>' +
+          '<th>Properties with label</th>' +
+          '<th>Properties with definition</th>' +
+          '</tr></thead><tbody>';
+  for (const l of coverage.languages) {
+    html += '<tr>' +
+            '<td>' + escapeHtml(l.language || '(no tag)') + '</td>' +
+            '<td>' + (l.required ? 'yes' : '') + '</td>' +
+            '<td>' + cell(l.classes.labels, l.classes.labelShare, coverage.totals.classes) + '</td>' +
+            '<td>' + cell(l.classes.definitions, l.classes.definitionShare, coverage.totals.classes) + '</td>' +
+            '<td>' + cell(l.properties.labels, l.properties.labelShare, coverage.totals.properties) + '</td>' +
+            '<td>' + cell(l.properties.definitions, l.properties.definitionShare, coverage.totals.properties) + '</td>' +
+            '</tr>';
+  }
+  html += '</tbody></table></details>';
+  return html;
+}
+
+// --- What the parser skipped ---
+function renderParseWarnings(warnings) {
+  if (!warnings || !warnings.length) return '';
+  return '<p><strong>Parse warnings:</strong></p><ul>' +
+         warnings.map(w => '<li>' + escapeHtml(w) + '</li>').join('') + '</ul>';
+}
+
+// --- owl:imports closure summary ---
+function renderImports(imports) {
+  if (!imports || (!imports.loaded.length && !imports.unresolved.length)) return '';
+
+  let html = '<p><strong>Imports loaded:</strong> ';
+  html += imports.loaded.length
+    ? imports.loaded.map(i => escapeHtml(i.iri) + ' (' + escapeHtml(i.fileName) + ')').join(', ')
+    : 'none';
+  html += '</p>';
+
+  if (imports.unresolved.length) {
+    html += '<p><strong>Unresolved imports:</strong></p><ul>';
+    for (const i of imports.unresolved) {
+      html += '<li>' + escapeHtml(i.iri) +
+              ' — imported by ' + escapeHtml(i.importedBy) +
+              ': ' + escapeHtml(i.reason) + '</li>';
+    }
+    html += '</ul>';
+  }
+  return html;
+}
+
+// --- Inference summary ---
+function renderInference(inference) {
+  if (!inference || !inference.enabled) return '<p><strong>Inference:</strong> off; every check ran on the asserted triples.</p>';
+  const rules = Object.entries(inference.rules || {}).map(([rule, n]) => rule + ' ' + n).join(', ');
+  return '<p><strong>Inference:</strong> RDFS/OWL RL, ' + escapeHtml(String(inference.triples)) + ' triples inferred in ' +
+         escapeHtml(String(inference.durationMs)) + ' ms' + (rules ? ' (' + escapeHtml(rules) + ')' : '') +
+         '; the run diagnostics give the graph each check ran on.</p>';
+}
+
+// --- Waivers ---
+function waiverRow(w, cells) {
+  return '<tr>' + cells.join('') +
+         '<td>' + escapeHtml(w.justification) + '</td>' +
+         '<td>' + escapeHtml(w.author) + '</td>' +
+         '<td>' + escapeHtml(w.expires || '—') + '</td>' +
+         '<td>' + escapeHtml(w.source) + '</td>' +
+         '</tr>';
+}
+
+const WAIVER_HEADINGS = '<th>Justification</th><th>Author</th><th>Expires</th><th>Source</th>';
+
+function renderWaivers(waivers) {
+  if (!waivers) return '';
+  const { waived, expired, unneeded, invalid } = waivers;
+  if (!waived.length && !expired.length && !unneeded.length && !invalid.length) return '';
+  const flagged = expired.length + unneeded.length + invalid.length;
+
+  let html = '<details' + (flagged ? ' open' : '') + '><summary><strong>Waivers:</strong> ' +
+             escapeHtml(String(waived.length)) + ' failures waived' +
+             (flagged ? ', ' + escapeHtml(String(flagged)) + ' waivers to review' : '') +
+             '</summary>';
+  if (waived.length) {
+    html += '<p>Waived failures, graded as passing:</p>';
+    html += '<table border="1" cellpadding="4" cellspacing="0">';
+    html += '<thead><tr><th>Resource</th><th>Requirement</th><th>Check</th>' + WAIVER_HEADINGS + '</tr></thead><tbody>';
+    for (const w of waived) {
+      html += waiverRow(w.waiver, [
+        '<td>' + resourceCell(w.resource) + '</td>',
+        '<td><a href="#" data-requirement-id="' + escapeHtml(w.requirementId) + '">' + escapeHtml(w.requirementId) + '</a></td>',
+        '<td>' + queryLink(w.queryId) + '</td>'
+      ]);
+    }
+    html += '</tbody></table>';
+  }
+  const review = expired.map(w => ({ w, problem: 'expired' }))
+    .concat(unneeded.map(w => ({ w, problem: 'no longer needed: nothing fails it' })))
+    .concat(invalid.map(i => ({ w: i.waiver, problem: 'invalid: ' + i.reason })));
+  if (review.length) {
+    html += '<p>Waivers to review (they waive nothing):</p>';
+    html += '<table border="1" cellpadding="4" cellspacing="0">';
+    html += '<thead><tr><th>Problem</th><th>Resource</th><th>Requirement</th>' + WAIVER_HEADINGS + '</tr></thead><tbody>';
+    for (const { w, problem } of review) {
+      html += waiverRow(w, [
+        '<td>' + escapeHtml(problem) + '</td>',
+        '<td>' + escapeHtml(w.resource) + '</td>',
+        '<td>' + escapeHtml(w.requirementId) + '</td>'
+      ]);
+    }
+    html += '</tbody></table>';
+  }
+  html += '</details>';
+  return html;
+}
+
 // --- Ontology report card ---
 function renderOntologyReport(report) {
   if (!report) {
@@ -129,7 +751,19 @@ function renderOntologyReport(report) {
 
   let html = '<h2>Ontology report card</h2>';
   html += '<p><strong>Ontology IRI:</strong> ' + escapeHtml(report.ontologyIri) + '</p>';
+  if (report.endpoint) {
+    html += '<p><strong>SPARQL endpoint:</strong> ' + escapeHtml(report.endpoint.url) +
+            (report.endpoint.graph ? ', graph ' + escapeHtml(report.endpoint.graph) : ', default graph') + '</p>';
+  }
   html += '<p><strong>Ontology curation status:</strong> ' + escapeHtml(report.statusLabel) + '</p>';
+  html += '<p><strong>Maturity score:</strong> ' + escapeHtml(formatScore(report.score)) +
+          (report.scoreStatusLabel ? ' (' + escapeHtml(report.scoreStatusLabel) + ')' : '') + '</p>';
+  html += renderParseWarnings(report.parseWarnings);
+  html += renderImports(report.imports);
+  html += renderInference(report.inference);
+  html += renderWaivers(report.waivers);
+  html += renderDiagnostics(report.diagnostics);
+  html += renderLanguageCoverage(report.languageCoverage);
 
   if (!report.requirements || report.requirements.length === 0) {
     html += '<p>No requirement entries.</p>';
@@ -141,8 +775,13 @@ function renderOntologyReport(report) {
   html += '<thead><tr>' +
           '<th>Requirement ID</th>' +
           '<th>Type</th>' +
+          '<th>Pack</th>' +
+          '<th>Scope</th>' +
+          '<th>Weight</th>' +
           '<th>Status</th>' +
           '<th>Failed Resources</th>' +
+          '<th>Applicable</th>' +
+          '<th>Pass Share</th>' +
           '</tr></thead><tbody>';
 
   for (const r of report.requirements) {
@@ -150,10 +789,15 @@ function renderOntologyReport(report) {
     const failedCount = r.failedResourcesCount || 0;
 
     html += '<tr>' +
-            '<td>' + escapeHtml(r.id) + '</td>' +
+            '<td><a href="#" data-requirement-id="' + escapeHtml(r.id) + '">' + escapeHtml(r.id) + '</a></td>' +
             '<td>' + escapeHtml(typeLabel) + '</td>' +
+            '<td>' + escapeHtml(r.pack || '') + '</td>' +
+            '<td>' + escapeHtml(r.scope || 'resource') + '</td>' +
+            '<td>' + escapeHtml(String(r.weight)) + '</td>' +
             '<td>' + escapeHtml(r.status) + '</td>' +
             '<td>' + escapeHtml(String(failedCount)) + '</td>' +
+            '<td>' + escapeHtml(String(r.applicableCount || 0)) + '</td>' +
+            '<td>' + escapeHtml(formatScore(r.passShare)) + '</td>' +
             '</tr>';
   }
 
@@ -161,6 +805,611 @@ function renderOntologyReport(report) {
   ontologyReportContainer.innerHTML = html;
 }
 
+// --- Evidence and drill-down ---
+function queryMetaById(queryId) {
+  return ((lastManifest && lastManifest.queries) || []).find(q => q.id === queryId) || null;
+}
+
+function queryLink(queryId) {
+  const qMeta = queryMetaById(queryId);
+  if (!qMeta) return escapeHtml(queryId);
+  const url = lastPack && lastPack.sourceUrl(qMeta);
+  return escapeHtml(qMeta.title || qMeta.id) +
+         (url
+           ? ' (<a href="' + encodeURI(url) + '" target="_blank">' + escapeHtml(qMeta.file) + '</a>)'
+           : ' (' + escapeHtml(qMeta.file) + ')');
+}
+
+function resourceCell(iri) {
+  const label = lastLabels[iri];
+  return '<a href="#" data-resource="' + escapeHtml(iri) + '">' + escapeHtml(iri) + '</a>' +
+         (label ? ' <em>' + escapeHtml(label) + '</em>' : '');
+}
+
+function formatLines(location) {
+  return location.startLine === location.endLine
+    ? `line ${location.startLine}`
+    : `lines ${location.startLine}–${location.endLine}`;
+}
+
+// Where the resource is defined, opening the source viewer; only the Turtle
+// family has line positions.
+function sourceLink(iri) {
+  const location = lastLocations[iri];
+  if (!location) return '—';
+  return '<a href="#" data-source="' + escapeHtml(iri) + '">' +
+         escapeHtml(location.file + ', ' + formatLines(location)) + '</a>';
+}
+
+// The raw bindings of a result row (SPARQL variables, ASK answer, or the
+// SHACL result fields).
+function renderBindings(row) {
+  const details = row.details || {};
+  const keys = Object.keys(details);
+  if (!keys.length) return '—';
+  return keys.map(k => escapeHtml(k) + ' = <code>' + escapeHtml(String(details[k])) + '</code>').join('<br />');
+}
+
+function renderRequirementDetail(requirementId) {
+  const report = lastOntologyReport;
+  const requirement = report && report.requirements.find(r => r.id === requirementId);
+  if (!requirement) {
+    detailContainer.innerHTML = '';
+    return;
+  }
+
+  let html = '<h2>Requirement ' + escapeHtml(requirement.id) + '</h2>';
+  html += '<p>' + escapeHtml(requirement.type) + ', scope ' + escapeHtml(requirement.scope || 'resource') +
+          ', weight ' + escapeHtml(String(requirement.weight)) + ': <strong>' + escapeHtml(requirement.status) + '</strong>' +
+          ' (' + escapeHtml(String(requirement.failedResourcesCount || 0)) + ' of ' +
+          escapeHtml(String(requirement.applicableCount || 0)) + ' resources fail)</p>';
+
+  const checks = ((lastManifest && lastManifest.queries) || []).filter(q => q.checksConformityTo === requirementId);
+  html += '<p><strong>Checked by:</strong></p><ul>' +
+          checks.map(q => '<li>' + queryLink(q.id) + ' — ' + escapeHtml(q.kind) + '</li>').join('') +
+          '</ul>';
+
+  const rows = (lastResults || []).filter(r => r.requirementId === requirementId && r.status === 'fail');
+  if (!rows.length) {
+    html += '<p>No failing results.</p>';
+    detailContainer.innerHTML = html;
+    return;
+  }
+
+  html += '<table border="1" cellpadding="4" cellspacing="0">';
+  html += '<thead><tr>' +
+          '<th>Resource</th>' +
+          '<th>Source</th>' +
+          '<th>Check</th>' +
+          '<th>Severity</th>' +
+          '<th>Related</th>' +
+          '<th>Bindings</th>' +
+          '</tr></thead><tbody>';
+  for (const row of rows) {
+    const related = row.evidence ? row.evidence.related : [];
+    html += '<tr>' +
+            '<td>' + resourceCell(row.resource) + '</td>' +
+            '<td>' + sourceLink(row.resource) + '</td>' +
+            '<td>' + queryLink(row.queryId) + '</td>' +
+            '<td>' + escapeHtml(row.severity) + '</td>' +
+            '<td>' + (related.length ? related.map(resourceCell).join('<br />') : '—') + '</td>' +
+            '<td>' + renderBindings(row) + '</td>' +
+            '</tr>';
+  }
+  html += '</tbody></table>';
+  detailContainer.innerHTML = html;
+}
+
+function renderResourceDetail(iri) {
+  const entry = (lastPerResource || []).find(r => r.resource === iri);
+  let html = '<h2>Resource ' + escapeHtml(iri) + '</h2>';
+  if (lastLabels[iri]) html += '<p><strong>Label:</strong> ' + escapeHtml(lastLabels[iri]) + '</p>';
+  if (lastLocations[iri]) html += '<p><strong>Defined in:</strong> ' + sourceLink(iri) + '</p>';
+  if (entry) {
+    const flags = Object.keys(entry.flags || {}).filter(f => entry.flags[f]);
+    html += '<p><strong>Curation status:</strong> ' + escapeHtml(entry.statusLabel) +
+            ', score ' + escapeHtml(formatScore(entry.score)) +
+            (flags.length ? ', flags: ' + escapeHtml(flags.join(', ')) : '') + '</p>';
+  }
+
+  const rows = (lastResults || []).filter(r => r.resource === iri && ['fail', 'flag', 'waived'].includes(r.status));
+  if (!rows.length) {
+    html += '<p>No failed checks.</p>';
+    detailContainer.innerHTML = html;
+    return;
+  }
+
+  html += '<table border="1" cellpadding="4" cellspacing="0">';
+  html += '<thead><tr>' +
+          '<th>Requirement</th>' +
+          '<th>Check</th>' +
+          '<th>Status</th>' +
+          '<th>Severity</th>' +
+          '<th>Why</th>' +
+          '</tr></thead><tbody>';
+  for (const row of rows) {
+    const requirement = row.requirementId
+      ? '<a href="#" data-requirement-id="' + escapeHtml(row.requirementId) + '">' + escapeHtml(row.requirementId) + '</a>'
+      : '—';
+    html += '<tr>' +
+            '<td>' + requirement + '</td>' +
+            '<td>' + queryLink(row.queryId) + '</td>' +
+            '<td>' + escapeHtml(row.status) +
+              (row.waiver ? ' by ' + escapeHtml(row.waiver.author) + ': <em>' + escapeHtml(row.waiver.justification) + '</em>' : '') +
+            '</td>' +
+            '<td>' + escapeHtml(row.severity) + '</td>' +
+            '<td>' + renderBindings(row) + '</td>' +
+            '</tr>';
+  }
+  html += '</tbody></table>';
+  detailContainer.innerHTML = html;
+}
+
+// --- Source viewer ---
+// Lines shown around the highlighted block.
+const SOURCE_CONTEXT_LINES = 20;
+
+async function renderSource(iri) {
+  const location = lastLocations[iri];
+  if (!location || !lastFile) return;
+  if (!lastSourceLines) lastSourceLines = (await lastFile.text()).split('\n');
+  const first = Math.max(1, location.startLine - SOURCE_CONTEXT_LINES);
+  const last = Math.min(lastSourceLines.length, location.endLine + SOURCE_CONTEXT_LINES);
+  const width = String(last).length;
+
+  let html = '<h2>Source of ' + escapeHtml(iri) + '</h2>';
+  html += '<p>' + escapeHtml(location.file + ', ' + formatLines(location)) + '</p>';
+  html += '<pre>';
+  for (let n = first; n <= last; n++) {
+    const line = escapeHtml(String(n).padStart(width) + '  ' + lastSourceLines[n - 1].replace(/\r$/, ''));
+    html += (n >= location.startLine && n <= location.endLine ? '<mark>' + line + '</mark>' : line) + '\n';
+  }
+  html += '</pre>';
+  sourceContainer.innerHTML = html;
+}
+
+// Requirement IDs, resources and source positions are links wherever they
+// are rendered.
+async function onDrillDown(event) {
+  const link = event.target.closest('a[data-requirement-id], a[data-resource], a[data-source]');
+  if (!link) return;
+  event.preventDefault();
+  if (link.dataset.source) {
+    try {
+      await renderSource(link.dataset.source);
+      sourceContainer.scrollIntoView({ behavior: 'smooth' });
+    } catch (err) {
+      console.error('Error reading the ontology source:', err);
+      statusEl.textContent = 'Error: ' + err.message;
+    }
+    return;
+  }
+  if (link.dataset.requirementId) renderRequirementDetail(link.dataset.requirementId);
+  else renderResourceDetail(link.dataset.resource);
+  detailContainer.scrollIntoView({ behavior: 'smooth' });
+}
+
+// --- Suggested fixes ---
+// Nothing is accepted until the curator ticks it.
+function renderFixes() {
+  if (!lastFixes.length) {
+    fixesContainer.innerHTML = '<p>No suggested fixes: no failing check has a fixer.</p>';
+    return;
+  }
+
+  let html = '<p>' + acceptedFixes.size + ' of ' + lastFixes.length + ' suggested fixes accepted.</p>';
+  html += '<table border="1" cellpadding="4" cellspacing="0">';
+  html += '<thead><tr>' +
+          '<th>Accept</th>' +
+          '<th>Resource</th>' +
+          '<th>Check</th>' +
+          '<th>Adds</th>' +
+          '<th>Why</th>' +
+          '</tr></thead><tbody>';
+
+  for (const fix of lastFixes) {
+    html += '<tr>' +
+            '<td><input type="checkbox" data-fix-id="' + escapeHtml(fix.id) + '"' + (acceptedFixes.has(fix.id) ? ' checked' : '') + ' /></td>' +
+            '<td>' + resourceCell(fix.resource) + '</td>' +
+            '<td>' + queryLink(fix.queryId) + '</td>' +
+            '<td>' + fix.triples.map(t => '<code>' + escapeHtml(describeTriple(t)) + '</code>').join('<br>') + '</td>' +
+            '<td>' + escapeHtml(fix.description) + '</td>' +
+            '</tr>';
+  }
+
+  html += '</tbody></table>';
+  fixesContainer.innerHTML = html;
+}
+
+function onFixToggle(event) {
+  const box = event.target.closest('input[data-fix-id]');
+  if (!box) return;
+  if (box.checked) acceptedFixes.add(box.dataset.fixId);
+  else acceptedFixes.delete(box.dataset.fixId);
+  fixesContainer.querySelector('p').textContent =
+    acceptedFixes.size + ' of ' + lastFixes.length + ' suggested fixes accepted.';
+}
+
+// --- Run-to-run diff ---
+function renderDiff(diff) {
+  const { ontologyStatus } = diff;
+  let html = '<h2>Changes since ' + escapeHtml(diff.baseline.label) + '</h2>';
+  html += '<p><strong>Ontology status:</strong> ' + escapeHtml(ontologyStatus.from) + ' → ' +
+          escapeHtml(ontologyStatus.to) + ' (' + escapeHtml(ontologyStatus.direction) + ')</p>';
+  html += '<p><strong>Maturity score:</strong> ' + escapeHtml(formatScore(diff.baseline.score)) + ' → ' +
+          escapeHtml(formatScore(diff.current.score)) + '</p>';
+
+  const list = (title, items, render) => {
+    html += '<h3>' + escapeHtml(title) + ' (' + items.length + ')</h3>';
+    if (!items.length) return;
+    html += '<ul>' + items.map(item => '<li>' + render(item) + '</li>').join('') + '</ul>';
+  };
+  const change = c => escapeHtml(c.resource) + ': ' + escapeHtml(c.from) + ' → ' + escapeHtml(c.to);
+
+  list('Status regressions', diff.regressions, change);
+  list('Status improvements', diff.improvements, change);
+  list('New requirement failures', diff.requirementChanges.filter(c => c.appeared.length),
+    c => escapeHtml(c.requirementId) + ': ' + escapeHtml(c.appeared.join(', ')));
+  list('Cleared requirement failures', diff.requirementChanges.filter(c => c.cleared.length),
+    c => escapeHtml(c.requirementId) + ': ' + escapeHtml(c.cleared.join(', ')));
+  list('Added resources', diff.addedResources, r => escapeHtml(r.resource) + ' (' + escapeHtml(r.statusLabel) + ')');
+  list('Removed resources', diff.removedResources, r => escapeHtml(r.resource) + ' (' + escapeHtml(r.statusLabel) + ')');
+
+  compareContainer.innerHTML = html;
+}
+
+// A baseline is either an exported JSON report or another ontology file.
+async function loadBaseline(file, files) {
+  if (/\.json$/i.test(file.name)) {
+    const text = await file.text();
+    if (/"perResource"\s*:/.test(text)) return parseJsonReport(text);
+  }
+  return evaluateFile(file, files);
+}
+
+// --- Curation history ---
+const STATUS_COLORS = {
+  'uncurated': '#d62728',
+  'metadata incomplete': '#ff7f0e',
+  'requires discussion': '#9467bd',
+  'metadata complete': '#bcbd22',
+  'pending final vetting': '#17becf',
+  'ready for release': '#2ca02c'
+};
+// Rows of the resource timeline table; narrow it down with the filter.
+const TIMELINE_LIMIT = 200;
+
+function formatTimestamp(iso) {
+  return new Date(iso).toLocaleString();
+}
+
+function statusAbbreviation(status) {
+  return status.split(' ').map(word => word[0]).join('').toUpperCase();
+}
+
+function statusSwatch(status) {
+  return '<span style="color:' + (STATUS_COLORS[status] || '#777') + '">&#9632;</span> ' + escapeHtml(status);
+}
+
+// Share of resources in each status, one line per status across the runs.
+function renderTrendChart(runs) {
+  const width = 640;
+  const height = 220;
+  const left = 44;
+  const right = 12;
+  const top = 10;
+  const bottom = 24;
+  const x = i => left + (runs.length > 1 ? i / (runs.length - 1) : 0.5) * (width - left - right);
+  const y = share => top + (1 - share) * (height - top - bottom);
+  const shares = runs.map(statusShares);
+  const statuses = STATUS_ORDER.filter(status => shares.some(s => s[status]));
+
+  let svg = '<svg width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '"' +
+            ' role="img" aria-label="Share of resources in each curation status per run">';
+  for (const tick of [0, 0.5, 1]) {
+    svg += '<line x1="' + left + '" x2="' + (width - right) + '" y1="' + y(tick) + '" y2="' + y(tick) + '" stroke="#ddd" />' +
+           '<text x="' + (left - 6) + '" y="' + (y(tick) + 4) + '" text-anchor="end" font-size="11">' + (tick * 100) + '%</text>';
+  }
+  runs.forEach((run, i) => {
+    svg += '<text x="' + x(i) + '" y="' + (height - 6) + '" text-anchor="middle" font-size="11">#' + (i + 1) + '</text>';
+  });
+  for (const status of statuses) {
+    const color = STATUS_COLORS[status] || '#777';
+    const points = shares.map((s, i) => x(i).toFixed(1) + ',' + y(s[status] || 0).toFixed(1)).join(' ');
+    svg += '<polyline fill="none" stroke-width="2" stroke="' + color + '" points="' + points + '" />';
+    shares.forEach((s, i) => {
+      svg += '<circle cx="' + x(i).toFixed(1) + '" cy="' + y(s[status] || 0).toFixed(1) + '" r="3" fill="' + color + '">' +
+             '<title>' + escapeHtml('#' + (i + 1) + ' ' + status + ': ' + formatScore(s[status] || 0)) + '</title></circle>';
+    });
+  }
+  svg += '</svg>';
+  return svg + '<p>' + statuses.map(statusSwatch).join(' &nbsp; ') + '</p>';
+}
+
+function renderHistoryRuns(runs) {
+  let html = '<table border="1" cellpadding="4" cellspacing="0">';
+  html += '<thead><tr>' +
+          '<th>Run</th>' +
+          '<th>Time</th>' +
+          '<th>Version IRI</th>' +
+          '<th>File</th>' +
+          '<th>Ontology status</th>' +
+          '<th>Score</th>' +
+          '<th>Resources</th>' +
+          '<th>Failed requirements (resources)</th>' +
+          '</tr></thead><tbody>';
+  runs.forEach((run, i) => {
+    const failed = Object.entries(run.requirements || {}).filter(([, count]) => count > 0);
+    html += '<tr>' +
+            '<td>#' + (i + 1) + '</td>' +
+            '<td>' + escapeHtml(formatTimestamp(run.timestamp)) + '</td>' +
+            '<td>' + escapeHtml(run.versionIri || '') + '</td>' +
+            '<td>' + escapeHtml(run.fileName || '') + '</td>' +
+            '<td>' + escapeHtml(run.status) + '</td>' +
+            '<td>' + escapeHtml(formatScore(run.score)) + '</td>' +
+            '<td>' + escapeHtml(String(Object.keys(run.resources).length)) + '</td>' +
+            '<td>' + failed.map(([id, count]) => escapeHtml(id) + ' (' + escapeHtml(String(count)) + ')').join(', ') + '</td>' +
+            '</tr>';
+  });
+  html += '</tbody></table>';
+  return html;
+}
+
+// One row per resource, one cell per run, colored by status.
+function renderResourceTimelines(runs, filter) {
+  const needle = filter.trim().toLowerCase();
+  const timelines = Array.from(resourceTimelines(runs))
+    .filter(([iri]) => !needle || iri.toLowerCase().includes(needle));
+  if (!timelines.length) return '<p>No resources match.</p>';
+
+  let html = '<p>' + escapeHtml(String(timelines.length)) + ' resources' +
+             (timelines.length > TIMELINE_LIMIT ? ', showing the first ' + TIMELINE_LIMIT : '') + '.</p>';
+  html += '<table border="1" cellpadding="4" cellspacing="0">';
+  html += '<thead><tr><th>Resource</th>' +
+          runs.map((run, i) => '<th title="' + escapeHtml(formatTimestamp(run.timestamp)) + '">#' + (i + 1) + '</th>').join('') +
+          '</tr></thead><tbody>';
+  for (const [iri, statuses] of timelines.slice(0, TIMELINE_LIMIT)) {
+    html += '<tr><td>' + escapeHtml(iri) + '</td>' +
+            statuses.map(status => status
+              ? '<td style="background:' + (STATUS_COLORS[status] || '#777') + '" title="' + escapeHtml(status) + '">' +
+                escapeHtml(statusAbbreviation(status)) + '</td>'
+              : '<td title="not graded">—</td>').join('') +
+            '</tr>';
+  }
+  html += '</tbody></table>';
+  return html;
+}
+
+// Drawn when the History panel is open, for the selected ontology (by
+// default the one checked last).
+async function renderHistory() {
+  if (!historyPanel || !historyPanel.open) return;
+  let runs;
+  try {
+    runs = await loadRuns();
+  } catch (err) {
+    historyContainer.innerHTML = '<p>' + escapeHtml(err.message) + '</p>';
+    return;
+  }
+
+  const ontologies = Array.from(new Set(runs.map(r => r.ontologyIri))).sort();
+  let selected = historyOntologySelect.value;
+  if (!ontologies.includes(selected)) {
+    selected = lastOntologyReport && ontologies.includes(lastOntologyReport.ontologyIri)
+      ? lastOntologyReport.ontologyIri
+      : ontologies[0];
+  }
+  historyOntologySelect.innerHTML = ontologies
+    .map(iri => '<option value="' + escapeHtml(iri) + '"' + (iri === selected ? ' selected' : '') + '>' + escapeHtml(iri) + '</option>')
+    .join('');
+  if (!selected) {
+    historyContainer.innerHTML = '<p>No runs recorded yet.</p>';
+    return;
+  }
+
+  const ontologyRuns = runs.filter(r => r.ontologyIri === selected);
+  let html = '<h3>Resources by curation status</h3>';
+  html += renderTrendChart(ontologyRuns);
+  html += '<h3>Runs</h3>';
+  html += renderHistoryRuns(ontologyRuns);
+  html += '<h3>Resource status timelines</h3>';
+  html += '<p>' + STATUS_ORDER.map(s => escapeHtml(statusAbbreviation(s)) + ' = ' + escapeHtml(s)).join(', ') + '</p>';
+  html += renderResourceTimelines(ontologyRuns, historyFilterInput.value);
+  historyContainer.innerHTML = html;
+}
+
+// Every completed run goes into the history; without IndexedDB (e.g. a
+// private window) only the history is lost.
+async function recordRuns(runs) {
+  try {
+    for (const run of runs) await saveRun(runRecord(run));
+  } catch (err) {
+    console.warn('Could not record the run in the history:', err);
+  }
+  await renderHistory();
+}
+
+async function onImportHistory(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+  try {
+    const added = await importRuns(parseHistoryJson(await file.text()));
+    statusEl.textContent = `Imported ${added} runs into the history.`;
+    await renderHistory();
+  } catch (err) {
+    console.error('Error importing history:', err);
+    statusEl.textContent = 'Error: ' + err.message;
+  }
+  input.value = '';
+}
+
+// --- Rule editor ---
+function fillPolarities(kind, selected) {
+  const options = POLARITIES[kind] || [];
+  rulePolaritySelect.innerHTML = options
+    .map(p => '<option value="' + escapeHtml(p) + '"' + (p === selected ? ' selected' : '') + '>' + escapeHtml(p) + '</option>')
+    .join('');
+  rulePolaritySelect.disabled = !options.length;
+  // ASK rules always grade the ontology as a whole.
+  ruleScopeSelect.disabled = kind === 'ASK';
+}
+
+// Existing checks to start from, and requirement IDs to link to.
+function populateRuleEditor(manifest) {
+  ruleBaseSelect.innerHTML = '<option value="">New rule</option>' +
+    manifest.queries
+      .map(q => '<option value="' + escapeHtml(q.id) + '"' + (q.id === ruleBaseId ? ' selected' : '') + '>' +
+                escapeHtml(q.id) + ' — ' + escapeHtml(q.title || '') + '</option>')
+      .join('');
+  document.getElementById('ruleRequirementList').innerHTML = (manifest.requirements || [])
+    .map(r => '<option value="' + escapeHtml(r.id) + '"></option>')
+    .join('');
+}
+
+function readRuleDraft() {
+  const draft = {};
+  for (const [key, el] of Object.entries(ruleFields)) draft[key] = el.value;
+  return draft;
+}
+
+function writeRuleDraft(draft) {
+  for (const [key, el] of Object.entries(ruleFields)) {
+    if (key !== 'polarity') el.value = draft[key] || '';
+  }
+  fillPolarities(draft.kind, draft.polarity);
+}
+
+async function onRuleBaseChange() {
+  const id = ruleBaseSelect.value;
+  ruleBaseId = id || null;
+  rulePreviewContainer.innerHTML = '';
+  if (!id) {
+    writeRuleDraft({ kind: 'SELECT', scope: 'resource', severity: 'warning' });
+    ruleTextArea.value = ruleTemplate('SELECT');
+    return;
+  }
+  const pack = lastPack || await getActivePack();
+  const qMeta = pack.manifest.queries.find(q => q.id === id);
+  writeRuleDraft(manifestEntryToDraft(qMeta));
+  ruleTextArea.value = await pack.loadQueryText(qMeta);
+}
+
+function onRuleKindChange() {
+  const kind = ruleKindSelect.value;
+  fillPolarities(kind, null);
+  // Swap the template, but never a query the user has started on.
+  const text = ruleTextArea.value;
+  if (!text.trim() || ['SELECT', 'ASK', 'SHACL'].some(k => text === ruleTemplate(k))) {
+    ruleTextArea.value = ruleTemplate(kind);
+  }
+}
+
+// Select the offending line so the error is visible in the textarea.
+function selectRuleLine(line) {
+  const lines = ruleTextArea.value.split('\n');
+  if (line < 1 || line > lines.length) return;
+  const start = lines.slice(0, line - 1).reduce((n, l) => n + l.length + 1, 0);
+  ruleTextArea.focus();
+  ruleTextArea.setSelectionRange(start, start + lines[line - 1].length);
+}
+
+function renderRuleProblems(problems) {
+  if (!problems.length) return '';
+  return '<ul>' + problems.map(p => '<li>' + escapeHtml(p) + '</li>').join('') + '</ul>';
+}
+
+function renderRulePreview(entry, preview, problems) {
+  let html = renderRuleProblems(problems);
+  // A partial check still lists what the rest of it found.
+  if (preview.error && preview.error.partial) {
+    html += '<p><strong>Ran only in part:</strong> ' + escapeHtml(preview.error.message) + '</p>';
+  } else if (preview.error) {
+    const lines = ruleTextArea.value.split('\n');
+    html += '<p><strong>Error' + (preview.error.line ? ' on line ' + escapeHtml(String(preview.error.line)) : '') +
+            ':</strong></p><pre>' + escapeHtml(preview.error.message) + '</pre>';
+    if (preview.error.line && lines[preview.error.line - 1] !== undefined) {
+      html += '<pre>' + escapeHtml(preview.error.line + ': ' + lines[preview.error.line - 1]) + '</pre>';
+    }
+    rulePreviewContainer.innerHTML = html;
+    if (preview.error.line) selectRuleLine(preview.error.line);
+    return;
+  }
+
+  const records = preview.records;
+  if (entry.kind === 'ASK') {
+    const record = records[0];
+    html += '<p>ASK answered <code>' + escapeHtml(String(record.details.askResult)) + '</code>: the ontology ' +
+            '<strong>' + escapeHtml(record.status === 'pass' ? 'passes' : 'fails') + '</strong>.</p>';
+    rulePreviewContainer.innerHTML = html;
+    return;
+  }
+
+  const hits = records.filter(r => r.status === 'fail' || r.status === 'flag');
+  const resources = new Set(hits.map(r => r.resource));
+  html += '<p>' + escapeHtml(String(hits.length)) + ' hits on ' + escapeHtml(String(resources.size)) + ' resources' +
+          (entry.scope === 'ontology' ? ' (graded as failures of the ontology)' : '') + '.</p>';
+  if (!hits.length) {
+    rulePreviewContainer.innerHTML = html;
+    return;
+  }
+
+  const shown = hits.slice(0, 200);
+  html += '<table border="1" cellpadding="4" cellspacing="0">';
+  html += '<thead><tr>' +
+          '<th>Resource</th>' +
+          '<th>Status</th>' +
+          '<th>Severity</th>' +
+          '<th>Related</th>' +
+          '<th>Bindings</th>' +
+          '</tr></thead><tbody>';
+  for (const row of shown) {
+    const related = row.evidence ? row.evidence.related : [];
+    html += '<tr>' +
+            '<td>' + escapeHtml(row.resource) + (lastLabels[row.resource] ? ' <em>' + escapeHtml(lastLabels[row.resource]) + '</em>' : '') + '</td>' +
+            '<td>' + escapeHtml(row.status) + '</td>' +
+            '<td>' + escapeHtml(row.severity) + '</td>' +
+            '<td>' + (related.length ? related.map(escapeHtml).join('<br />') : '—') + '</td>' +
+            '<td>' + renderBindings(row) + '</td>' +
+            '</tr>';
+  }
+  html += '</tbody></table>';
+  if (hits.length > shown.length) html += '<p>Showing the first ' + shown.length + ' hits.</p>';
+  rulePreviewContainer.innerHTML = html;
+}
+
+async function onRulePreview() {
+  const entry = draftToManifestEntry(readRuleDraft());
+  const text = ruleTextArea.value;
+  const problems = validateDraft(entry, text, lastManifest, ruleBaseId);
+  if (!text.trim()) {
+    rulePreviewContainer.innerHTML = renderRuleProblems(problems);
+    return;
+  }
+  rulePreviewContainer.innerHTML = '<p>Running…</p>';
+  try {
+    const preview = await sessionPool.run({
+      type: 'preview',
+      qMeta: { ...entry, id: entry.id || 'draft' },
+      text,
+      languages: requiredLanguages(lastManifest)
+    });
+    renderRulePreview(entry, preview, problems);
+  } catch (err) {
+    rulePreviewContainer.innerHTML = renderRuleProblems(problems) + '<p>' + escapeHtml(err.message) + '</p>';
+  }
+}
+
+// The finished rule only downloads once it would work in the manifest.
+function readyRule() {
+  const entry = draftToManifestEntry(readRuleDraft());
+  const problems = validateDraft(entry, ruleTextArea.value, lastManifest || (activePack && activePack.manifest), ruleBaseId);
+  if (problems.length) {
+    rulePreviewContainer.innerHTML = renderRuleProblems(problems);
+    return null;
+  }
+  return entry;
+}
+
 // --- Download helpers ---
 function downloadTextFile(filename, text, mimeType) {
   const blob = new Blob([text], { type: mimeType || 'text/plain' });
@@ -176,48 +1425,65 @@ function downloadTextFile(filename, text, mimeType) {
   }, 0);
 }
 
-function toCsv(results, ontologyIri) {
-  if (!Array.isArray(results) || results.length === 0) {
-    return 'ontologyIri,resource,queryId,requirementId,status,severity,scope\n';
-  }
-  const header = ['ontologyIri', 'resource', 'queryId', 'requirementId', 'status', 'severity', 'scope'];
-  const rows = [header.join(',')];
-
-  for (const row of results) {
-    const cols = [
-      ontologyIri || '',
-      row.resource || '',
-      row.queryId || '',
-      row.requirementId || '',
-      row.status || '',
-      row.severity || '',
-      row.scope || ''
-    ].map(v => {
-      const s = String(v).replace(/"/g, '""');
-      return `"${s}"`;
-    });
-    rows.push(cols.join(','));
-  }
-  return rows.join('\n');
-}
+// Shows one run's report card and per-resource table, and makes it the run
+// that the exports, drill-downs and source viewer use.
+// run: an evaluateFile() result plus the File it checked, or an
+// evaluateEndpoint() result without one.
+// options.fromBatch: the run is a batch entry, whose store no worker kept,
+// so the rule preview is turned off while it is shown.
+function showRun(run, options = {}) {
+  lastResults = run.results;
+  lastLabels = run.labels;
+  lastLocations = run.locations;
+  lastManifest = run.manifest;
+  lastPack = run.pack;
+  populateRuleEditor(run.manifest);
+  lastPerResource = run.perResource;
+  lastOntologyReport = run.ontologyReport;
+  lastFile = run.file || null;
+  lastFileName = run.fileName;
+  lastSourceLines = null;
 
-function ontologyReportToYaml(report) {
-  if (!report) return '# No ontology report\n';
+  lastFixes = suggestFixes(run.results, run.manifest, {
+    ontologyIri: run.ontologyReport.ontologyIri,
+    languages: requiredLanguages(run.manifest)
+  });
+  acceptedFixes.clear();
 
-  const lines = [];
-  lines.push('ontologyIri: "' + String(report.ontologyIri).replace(/"/g, '\\"') + '"');
-  lines.push('status: "' + String(report.statusLabel).replace(/"/g, '\\"') + '"');
-  lines.push('requirements:');
-  for (const r of report.requirements || []) {
-    lines.push('  - id: "' + String(r.id).replace(/"/g, '\\"') + '"');
-    lines.push('    type: "' + String(r.type).replace(/"/g, '\\"') + '"');
-    lines.push('    status: "' + String(r.status).replace(/"/g, '\\"') + '"');
-    lines.push('    failedResourcesCount: ' + (r.failedResourcesCount || 0));
-  }
-  return lines.join('\n') + '\n';
+  detailContainer.innerHTML = '';
+  sourceContainer.innerHTML = '';
+  renderOntologyReport(run.ontologyReport);
+  renderCurationTable(run.perResource);
+  renderFixes();
+
+  rulePreviewBtn.disabled = Boolean(options.fromBatch);
+  rulePreviewNote.textContent = options.fromBatch
+    ? `Preview is off for batch results: check ${run.fileName} with "Run checks" to preview rules against it.`
+    : '';
 }
 
 // --- Single-file run ("Run checks") ---
+// Clears the last run's report, tables and exports before a new single run.
+function clearSingleRun() {
+  tableContainer.innerHTML = '';
+  ontologyReportContainer.innerHTML = '';
+  dashboardContainer.innerHTML = '';
+  detailContainer.innerHTML = '';
+  sourceContainer.innerHTML = '';
+  fixesContainer.innerHTML = '';
+  lastResults = null;
+  lastPerResource = null;
+  lastOntologyReport = null;
+  lastFile = null;
+  lastFileName = null;
+  lastLocations = {};
+  lastSourceLines = null;
+  lastFixes = [];
+  acceptedFixes.clear();
+  lastBatch = [];
+  lastBatchFailures = [];
+}
+
 btnRun.addEventListener('click', async () => {
   if (!filesInput) {
     alert('File input #ontologyFiles not found.');
@@ -225,44 +1491,66 @@ btnRun.addEventListener('click', async () => {
   }
 
   const files = Array.from(filesInput.files || []);
-  const file = files[0];
+  const file = files.find(f => !isCatalogFile(f.name));
   if (!file) {
     alert('Please select an ontology file first.');
     return;
   }
 
-  statusEl.textContent = 'Reading file…';
-  tableContainer.innerHTML = '';
-  ontologyReportContainer.innerHTML = '';
-  dashboardContainer.innerHTML = '';
-  lastResults = null;
-  lastPerResource = null;
-  lastOntologyReport = null;
-
-  const text = await file.text();
-  statusEl.textContent = 'Running checks…';
+  startRun('Running checks…');
+  clearSingleRun();
 
   try {
-    const { results, resources, ontologyIri } = await evaluateAllQueries(text, file.name);
-    const manifestRes = await fetch('queries/manifest.json');
-    const manifest = await manifestRes.json();
+    const run = { ...await evaluateFile(file, files, { keepStore: true }), file };
+    const { results, perResource, ontologyReport } = run;
+    showRun(run);
+    await recordRuns([{ fileName: file.name, ontologyReport, perResource }]);
+
+    statusEl.textContent =
+      `Checks completed in ${formatElapsed(Date.now() - runStarted)}. ` +
+      `${results.length} result rows across ${perResource.length} resources.`;
+  } catch (err) {
+    if (isCancelled(err)) {
+      statusEl.textContent = 'Checks cancelled.';
+    } else {
+      console.error('Error running checks:', err);
+      statusEl.textContent = 'Error: ' + err.message;
+    }
+  }
+  endRun();
+});
 
-    const perResource = computePerResourceCuration(results, manifest, resources);
-    const ontologyReport = computeOntologyReport(results, manifest, ontologyIri);
+// --- Endpoint run ("Run checks on endpoint") ---
+btnRunEndpoint.addEventListener('click', async () => {
+  let endpoint;
+  try {
+    endpoint = createEndpoint(endpointUrlInput.value, endpointGraphInput.value);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
 
-    lastResults = results;
-    lastPerResource = perResource;
-    lastOntologyReport = ontologyReport;
+  startRun('Running checks on the endpoint…');
+  clearSingleRun();
 
-    renderOntologyReport(ontologyReport);
-    renderCurationTable(perResource);
+  try {
+    const run = await evaluateEndpoint(endpoint);
+    const { results, perResource, ontologyReport } = run;
+    showRun(run);
+    await recordRuns([{ fileName: run.fileName, ontologyReport, perResource }]);
 
     statusEl.textContent =
-      `Checks completed. ${results.length} result rows across ${perResource.length} resources.`;
+      `Checks completed in ${formatElapsed(Date.now() - runStarted)}. ` +
+      `${results.length} result rows across ${perResource.length} resources.`;
   } catch (err) {
-    console.error('Error running checks:', err);
-    statusEl.textContent = 'Error: ' + err.message;
+    if (isCancelled(err)) {
+      statusEl.textContent = 'Checks cancelled.';
+    } else {
+      console.error('Error running checks on the endpoint:', err);
+      statusEl.textContent = 'Error: ' + err.message;
+    }
   }
+  endRun();
 });
 
 // --- Batch run ("Run batch checks") ---
@@ -278,18 +1566,92 @@ runBatchBtn.addEventListener('click', async () => {
     return;
   }
 
-  statusEl.textContent = 'Running batch checks…';
+  const ontologies = files.filter(f => !isCatalogFile(f.name));
+  startRun(`Running batch checks on ${ontologies.length} ontologies…`);
   tableContainer.innerHTML = '';
   ontologyReportContainer.innerHTML = '';
+  progressEl.max = ontologies.length;
+  progressEl.value = 0;
+
+  // Files run in parallel on the pool; one that fails is reported in the
+  // dashboard and the others carry on.
+  let finished = 0;
+  const outcomes = await Promise.allSettled(ontologies.map(file =>
+    evaluateFile(file, files, {
+      pool: batchPool,
+      onProgress: p => showProgress(p, `${finished}/${ontologies.length} done; `)
+    }).finally(() => {
+      finished++;
+      progressEl.value = finished;
+    })
+  ));
 
   const batch = [];
-  for (const file of files) {
-    const report = await evaluateFile(file);
-    batch.push(report);
+  const failures = [];
+  outcomes.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') batch.push({ ...outcome.value, file: ontologies[i] });
+    else if (!isCancelled(outcome.reason)) failures.push({ fileName: ontologies[i].name, error: outcome.reason.message });
+  });
+  const cancelled = outcomes.some(o => o.status === 'rejected' && isCancelled(o.reason));
+
+  lastBatch = batch;
+  lastBatchFailures = failures;
+  renderDashboard();
+  await recordRuns(batch);
+  statusEl.textContent = (cancelled ? 'Batch cancelled. ' : '') +
+    `Completed ${batch.length} of ${ontologies.length} ontology checks in ${formatElapsed(Date.now() - runStarted)}` +
+    (failures.length ? `; ${failures.length} failed.` : '.');
+  endRun();
+});
+
+btnCancel.addEventListener('click', () => {
+  sessionPool.cancel();
+  batchPool.cancel();
+});
+
+// --- History panel ---
+historyPanel.addEventListener('toggle', renderHistory);
+historyOntologySelect.addEventListener('change', renderHistory);
+historyFilterInput.addEventListener('input', renderHistory);
+document.getElementById('exportHistoryBtn').addEventListener('click', async () => {
+  try {
+    downloadTextFile('curation-history.json', historyToJson(await loadRuns()), 'application/json');
+  } catch (err) {
+    statusEl.textContent = 'Error: ' + err.message;
+  }
+});
+document.getElementById('importHistoryFile').addEventListener('change', event => onImportHistory(event.target));
+document.getElementById('clearHistoryBtn').addEventListener('click', async () => {
+  if (!confirm('Delete every recorded run from this browser?')) return;
+  try {
+    await clearHistory();
+    await renderHistory();
+  } catch (err) {
+    statusEl.textContent = 'Error: ' + err.message;
   }
+});
+
+// --- Rule editor buttons ---
+ruleBaseSelect.addEventListener('change', () => {
+  onRuleBaseChange().catch(err => {
+    console.error('Error loading rule:', err);
+    rulePreviewContainer.innerHTML = '<p>Error: ' + escapeHtml(err.message) + '</p>';
+  });
+});
+ruleKindSelect.addEventListener('change', onRuleKindChange);
+rulePreviewBtn.addEventListener('click', onRulePreview);
 
-  renderDashboard(batch);
-  statusEl.textContent = `Completed ${batch.length} ontology checks.`;
+document.getElementById('ruleDownloadQueryBtn').addEventListener('click', () => {
+  const entry = readyRule();
+  if (!entry) return;
+  const mimeType = entry.kind === 'SHACL' ? 'text/turtle' : 'application/sparql-query';
+  downloadTextFile(entry.file, ruleTextArea.value, mimeType);
+});
+
+document.getElementById('ruleDownloadEntryBtn').addEventListener('click', () => {
+  const entry = readyRule();
+  if (!entry) return;
+  downloadTextFile(entry.id + '.manifest.json', JSON.stringify(entry, null, 2) + '\n', 'application/json');
 });
 
 // --- Export buttons (use last single-run results) ---
@@ -299,7 +1661,7 @@ btnCsv.addEventListener('click', () => {
     return;
   }
   const ontologyIri = lastOntologyReport ? lastOntologyReport.ontologyIri : '';
-  const csv = toCsv(lastResults, ontologyIri);
+  const csv = toCsv(lastResults, ontologyIri, lastLocations);
   downloadTextFile('ontology-check-results.csv', csv, 'text/csv');
 });
 
@@ -312,6 +1674,178 @@ btnYaml.addEventListener('click', () => {
   downloadTextFile('ontology-report.yaml', yaml, 'text/yaml');
 });
 
+btnJson.addEventListener('click', () => {
+  if (!lastOntologyReport) {
+    alert('No ontology report to export yet. Run checks first.');
+    return;
+  }
+  const json = toJson(lastResults, lastPerResource, lastOntologyReport);
+  downloadTextFile('ontology-report.json', json, 'application/json');
+});
+
+btnRdf.addEventListener('click', async () => {
+  if (!lastOntologyReport) {
+    alert('No ontology report to export yet. Run checks first.');
+    return;
+  }
+  try {
+    const turtle = await toRdfReport(lastResults, lastPerResource, lastOntologyReport, {
+      manifest: lastManifest,
+      locations: lastLocations
+    });
+    downloadTextFile('ontology-report.ttl', turtle, 'text/turtle');
+  } catch (err) {
+    console.error('Error writing RDF report:', err);
+    statusEl.textContent = 'Error: ' + err.message;
+  }
+});
+
+btnSarif.addEventListener('click', () => {
+  if (!lastOntologyReport || !lastFileName) {
+    alert('No results to export yet. Run checks first.');
+    return;
+  }
+  const sarif = toSarif(lastResults, lastOntologyReport, {
+    manifest: lastManifest,
+    fileName: lastFile ? lastFile.name : lastOntologyReport.endpoint.url,
+    locations: lastLocations
+  });
+  downloadTextFile('ontology-report.sarif', sarif, 'application/sarif+json');
+});
+
+btnBatchCsv.addEventListener('click', () => {
+  if (!lastBatch.length) {
+    alert('No batch results to export yet. Run batch checks first.');
+    return;
+  }
+  downloadTextFile('batch-check-results.csv', toBatchCsv(lastBatch), 'text/csv');
+});
+
+btnMatrixCsv.addEventListener('click', () => {
+  if (!lastBatch.length) {
+    alert('No batch results to export yet. Run batch checks first.');
+    return;
+  }
+  downloadTextFile('requirement-matrix.csv', matrixToCsv(requirementMatrix(lastBatch)), 'text/csv');
+});
+
+function acceptedFixList() {
+  return lastFixes.filter(f => acceptedFixes.has(f.id));
+}
+
+document.getElementById('acceptAllFixesBtn').addEventListener('click', () => {
+  for (const fix of lastFixes) acceptedFixes.add(fix.id);
+  renderFixes();
+});
+
+document.getElementById('rejectAllFixesBtn').addEventListener('click', () => {
+  acceptedFixes.clear();
+  renderFixes();
+});
+
+document.getElementById('downloadPatchBtn').addEventListener('click', async () => {
+  const accepted = acceptedFixList();
+  if (!lastFileName || !accepted.length) {
+    alert('No accepted fixes to export. Run checks and accept some suggested fixes first.');
+    return;
+  }
+  try {
+    const turtle = await fixesToTurtle(accepted);
+    const baseName = lastFile ? lastFile.name.replace(/\.[^.]+$/, '') : 'endpoint';
+    downloadTextFile(baseName + '.patch.ttl', turtle, 'text/turtle');
+  } catch (err) {
+    console.error('Error writing patch:', err);
+    statusEl.textContent = 'Error: ' + err.message;
+  }
+});
+
+document.getElementById('downloadPatchedBtn').addEventListener('click', async () => {
+  const accepted = acceptedFixList();
+  if (lastOntologyReport && lastOntologyReport.endpoint) {
+    alert('An ontology in an endpoint cannot be patched here; download the patch and apply it to the endpoint.');
+    return;
+  }
+  if (!lastFile || !accepted.length) {
+    alert('No accepted fixes to apply. Run checks and accept some suggested fixes first.');
+    return;
+  }
+  try {
+    const patched = await patchOntology(await lastFile.text(), lastFile.name, accepted);
+    downloadTextFile(patched.fileName, patched.text, patched.format);
+    statusEl.textContent = `Patched ontology written with ${patched.added} added triples.`;
+  } catch (err) {
+    console.error('Error writing patched ontology:', err);
+    statusEl.textContent = 'Error: ' + err.message;
+  }
+});
+
+btnAnnotated.addEventListener('click', async () => {
+  if (lastOntologyReport && lastOntologyReport.endpoint) {
+    alert('An ontology in an endpoint cannot be annotated here; annotate the file it was loaded from.');
+    return;
+  }
+  if (!lastFile || !lastPerResource) {
+    alert('No curation results to write back yet. Run checks first.');
+    return;
+  }
+  try {
+    const text = await lastFile.text();
+    const annotated = await annotateOntology(text, lastFile.name, lastPerResource, lastOntologyReport);
+    downloadTextFile(annotated.fileName, annotated.text, annotated.format);
+    statusEl.textContent = `Annotated ontology written with ${annotated.annotated} curation status annotations.`;
+  } catch (err) {
+    console.error('Error writing annotated ontology:', err);
+    statusEl.textContent = 'Error: ' + err.message;
+  }
+});
+
+btnCompare.addEventListener('click', async () => {
+  const files = Array.from(filesInput.files || []);
+  const file = files.find(f => !isCatalogFile(f.name));
+  const baselineFile = baselineInput && baselineInput.files[0];
+  if (!file || !baselineFile) {
+    alert('Select the current ontology and a baseline (ontology or JSON report) first.');
+    return;
+  }
+
+  startRun('Comparing…');
+  compareContainer.innerHTML = '';
+  lastDiff = null;
+
+  try {
+    const baseline = await loadBaseline(baselineFile, files);
+    const current = await evaluateFile(file, files);
+    lastDiff = compareRuns(baseline, current, { baseline: baselineFile.name, current: file.name });
+    renderDiff(lastDiff);
+    statusEl.textContent = `Compared ${file.name} with ${baselineFile.name}: ` +
+      `${lastDiff.regressions.length} regressions, ${lastDiff.improvements.length} improvements.`;
+  } catch (err) {
+    if (isCancelled(err)) {
+      statusEl.textContent = 'Comparison cancelled.';
+    } else {
+      console.error('Error comparing runs:', err);
+      statusEl.textContent = 'Error: ' + err.message;
+    }
+  }
+  endRun();
+});
+
+btnDiffMarkdown.addEventListener('click', () => {
+  if (!lastDiff) {
+    alert('No diff to export yet. Run a comparison first.');
+    return;
+  }
+  downloadTextFile('curation-diff.md', diffToMarkdown(lastDiff), 'text/markdown');
+});
+
+btnDiffJson.addEventListener('click', () => {
+  if (!lastDiff) {
+    alert('No diff to export yet. Run a comparison first.');
+    return;
+  }
+  downloadTextFile('curation-diff.json', JSON.stringify(lastDiff, null, 2) + '\n', 'application/json');
+});
+
 function populateRequirementFilter(manifest) {
   const select = document.getElementById('requirementFilter');
   manifest.requirements.forEach(req => {
@@ -344,5 +1878,48 @@ function applyResourceFilters() {
   renderCurationTable(filtered);
 }
 
+if (packListEl) {
+  packListEl.addEventListener('change', onPackListChange);
+  packListEl.addEventListener('click', onPackListClick);
+}
+for (const input of [packFilesInput, packDirInput]) {
+  if (!input) continue;
+  input.addEventListener('change', async () => {
+    try {
+      await addPackFromFiles(input.files);
+    } catch (err) {
+      console.error('Error adding rule pack:', err);
+      statusEl.textContent = 'Error: ' + err.message;
+    }
+    input.value = '';
+  });
+}
+if (languagesInput) {
+  languagesInput.value = packSettings.languages.join(', ');
+  languagesInput.addEventListener('change', onLanguagesChange);
+}
+if (inferenceInput) {
+  inferenceInput.checked = Boolean(packSettings.inference);
+  inferenceInput.addEventListener('change', onInferenceChange);
+}
+renderPackList();
+ruleFixerSelect.innerHTML = '<option value="">None</option>' +
+  FIXER_TYPES.map(type => '<option value="' + escapeHtml(type) + '">' + escapeHtml(type) + '</option>').join('');
+writeRuleDraft({ kind: 'SELECT', scope: 'resource', severity: 'warning' });
+ruleTextArea.value = ruleTemplate('SELECT');
+
+// Cache the app and the built-in rules for offline use (see sw.js).
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js').catch(err => console.warn('Offline cache unavailable:', err));
+}
+
+ontologyReportContainer.addEventListener('click', onDrillDown);
+dashboardContainer.addEventListener('click', onDashboardClick);
+dashboardContainer.addEventListener('change', onDashboardFilterChange);
+tableContainer.addEventListener('click', onDrillDown);
+detailContainer.addEventListener('click', onDrillDown);
+fixesContainer.addEventListener('click', onDrillDown);
+fixesContainer.addEventListener('change', onFixToggle);
+
 document.getElementById('statusFilter').addEventListener('change', applyResourceFilters);
 document.getElementById('requirementFilter').addEventListener('change', applyResourceFilters);
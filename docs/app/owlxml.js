@@ -0,0 +1,436 @@
+// app/owlxml.js (ES module)
+//
+// OWL/XML (OWL 2 XML serialization) to RDF, following the OWL 2 mapping to
+// RDF graphs for the declarations, axioms, class expressions and annotations
+// that ontology curation checks look at. Unsupported axioms are skipped and
+// reported through the returned `skipped` list; declared prefixes are
+// returned as a Map.
+
+const OWL_NS = 'http://www.w3.org/2002/07/owl#';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+const DECLARATION_TYPES = {
+  Class: OWL_NS + 'Class',
+  ObjectProperty: OWL_NS + 'ObjectProperty',
+  DataProperty: OWL_NS + 'DatatypeProperty',
+  AnnotationProperty: OWL_NS + 'AnnotationProperty',
+  NamedIndividual: OWL_NS + 'NamedIndividual',
+  Datatype: RDFS + 'Datatype'
+};
+
+// Axioms that map to a single triple: [subject child, predicate, object child].
+const BINARY_AXIOMS = {
+  SubClassOf: RDFS + 'subClassOf',
+  SubObjectPropertyOf: RDFS + 'subPropertyOf',
+  SubDataPropertyOf: RDFS + 'subPropertyOf',
+  ObjectPropertyDomain: RDFS + 'domain',
+  ObjectPropertyRange: RDFS + 'range',
+  DataPropertyDomain: RDFS + 'domain',
+  DataPropertyRange: RDFS + 'range',
+  InverseObjectProperties: OWL_NS + 'inverseOf',
+  ClassAssertion: RDF + 'type'
+};
+
+const PROPERTY_CHARACTERISTICS = {
+  FunctionalObjectProperty: OWL_NS + 'FunctionalProperty',
+  FunctionalDataProperty: OWL_NS + 'FunctionalProperty',
+  InverseFunctionalObjectProperty: OWL_NS + 'InverseFunctionalProperty',
+  ReflexiveObjectProperty: OWL_NS + 'ReflexiveProperty',
+  IrreflexiveObjectProperty: OWL_NS + 'IrreflexiveProperty',
+  SymmetricObjectProperty: OWL_NS + 'SymmetricProperty',
+  AsymmetricObjectProperty: OWL_NS + 'AsymmetricProperty',
+  TransitiveObjectProperty: OWL_NS + 'TransitiveProperty'
+};
+
+const NARY_AXIOMS = {
+  EquivalentClasses: OWL_NS + 'equivalentClass',
+  EquivalentObjectProperties: OWL_NS + 'equivalentProperty',
+  EquivalentDataProperties: OWL_NS + 'equivalentProperty',
+  DisjointClasses: OWL_NS + 'disjointWith',
+  SameIndividual: OWL_NS + 'sameAs',
+  DifferentIndividuals: OWL_NS + 'differentFrom'
+};
+
+function elementChildren(el) {
+  const out = [];
+  for (let n = el.firstChild; n; n = n.nextSibling) {
+    if (n.nodeType === 1) out.push(n);
+  }
+  return out;
+}
+
+function localName(el) {
+  return el.localName || String(el.nodeName).replace(/^.*:/, '');
+}
+
+export function isOwlXmlDocument(text) {
+  const head = text.slice(0, 4096);
+  return /<(?:[A-Za-z_][\w.-]*:)?Ontology\b[^>]*xmlns(?::[\w.-]+)?=["']http:\/\/www\.w3\.org\/2002\/07\/owl#["']/.test(head);
+}
+
+export function owlXmlToQuads(text, options = {}) {
+  const factory = options.factory;
+  if (!factory) throw new Error('owlXmlToQuads requires an RDF/JS data factory.');
+
+  const DOMParserImpl = options.DOMParser || globalThis.DOMParser;
+  if (!DOMParserImpl) throw new Error('OWL/XML parsing requires a DOMParser implementation.');
+
+  const doc = new DOMParserImpl().parseFromString(text, 'application/xml');
+  const root = doc.documentElement;
+  if (!root || localName(root) !== 'Ontology') {
+    throw new Error('Not an OWL/XML document: root element is not <Ontology>.');
+  }
+  if (root.getElementsByTagName('parsererror').length) {
+    throw new Error('OWL/XML document is not well-formed XML.');
+  }
+
+  const quads = [];
+  const skipped = [];
+  const prefixes = new Map();
+  let blankCounter = 0;
+  const anonymous = new Map();
+  const base = root.getAttributeNS(XML_NS, 'base') || root.getAttribute('xml:base') || options.baseIri || '';
+
+  const named = iri => factory.namedNode(iri);
+  const fresh = () => factory.blankNode('owx' + (blankCounter++));
+  // Where emit() writes: the output, or the triples of the axiom being
+  // translated, which join the output only once all of it has mapped.
+  let target = quads;
+  const emit = (s, p, o) => target.push(factory.quad(s, typeof p === 'string' ? named(p) : p, o));
+
+  function resolve(iri) {
+    if (/^[A-Za-z][A-Za-z0-9+.-]*:/.test(iri) || !base) return iri;
+    try {
+      return new URL(iri, base).href;
+    } catch (err) {
+      return iri;
+    }
+  }
+
+  function expandAbbreviated(value) {
+    const colon = value.indexOf(':');
+    const prefix = colon >= 0 ? value.slice(0, colon) : '';
+    if (!prefixes.has(prefix)) {
+      throw new Error(`Undeclared prefix "${prefix}" in abbreviated IRI ${value}`);
+    }
+    return prefixes.get(prefix) + value.slice(colon + 1);
+  }
+
+  function entityIri(el) {
+    if (el.hasAttribute('IRI')) return resolve(el.getAttribute('IRI'));
+    if (el.hasAttribute('abbreviatedIRI')) return expandAbbreviated(el.getAttribute('abbreviatedIRI'));
+    return null;
+  }
+
+  function anonymousNode(el) {
+    const id = el.getAttribute('nodeID') || ('anon' + anonymous.size);
+    if (!anonymous.has(id)) anonymous.set(id, fresh());
+    return anonymous.get(id);
+  }
+
+  function literal(el) {
+    const text = el.textContent || '';
+    const lang = el.getAttributeNS(XML_NS, 'lang') || el.getAttribute('xml:lang');
+    if (lang) return factory.literal(text, lang);
+    const datatype = el.getAttribute('datatypeIRI') || el.getAttribute('datatypeAbbreviatedIRI');
+    if (datatype && datatype !== RDF + 'PlainLiteral') {
+      const dt = el.hasAttribute('datatypeIRI') ? resolve(datatype) : expandAbbreviated(datatype);
+      return factory.literal(text, named(dt));
+    }
+    return factory.literal(text);
+  }
+
+  function rdfList(terms) {
+    if (!terms.length) return named(RDF + 'nil');
+    const head = fresh();
+    let node = head;
+    terms.forEach((term, i) => {
+      emit(node, RDF + 'first', term);
+      const next = i === terms.length - 1 ? named(RDF + 'nil') : fresh();
+      emit(node, RDF + 'rest', next);
+      node = next;
+    });
+    return head;
+  }
+
+  function restriction(onProperty, extra) {
+    const node = fresh();
+    emit(node, RDF + 'type', named(OWL_NS + 'Restriction'));
+    emit(node, OWL_NS + 'onProperty', onProperty);
+    for (const [p, o] of extra) emit(node, p, o);
+    return node;
+  }
+
+  function cardinality(el, plain, qualified) {
+    const parts = elementChildren(el);
+    const n = factory.literal(el.getAttribute('cardinality') || '0', named(XSD + 'nonNegativeInteger'));
+    const property = term(parts[0]);
+    if (parts[1]) {
+      const onKind = localName(el).startsWith('Data') ? OWL_NS + 'onDataRange' : OWL_NS + 'onClass';
+      return restriction(property, [[qualified, n], [onKind, term(parts[1])]]);
+    }
+    return restriction(property, [[plain, n]]);
+  }
+
+  // Translate an entity, literal or class/property/data-range expression
+  // element into an RDF term.
+  function term(el) {
+    const name = localName(el);
+
+    switch (name) {
+      case 'Class':
+      case 'ObjectProperty':
+      case 'DataProperty':
+      case 'AnnotationProperty':
+      case 'NamedIndividual':
+      case 'Datatype':
+        return named(entityIri(el));
+      case 'IRI':
+        return named(resolve((el.textContent || '').trim()));
+      case 'AbbreviatedIRI':
+        return named(expandAbbreviated((el.textContent || '').trim()));
+      case 'AnonymousIndividual':
+        return anonymousNode(el);
+      case 'Literal':
+        return literal(el);
+      case 'ObjectInverseOf': {
+        const node = fresh();
+        emit(node, OWL_NS + 'inverseOf', term(elementChildren(el)[0]));
+        return node;
+      }
+      case 'ObjectIntersectionOf':
+      case 'ObjectUnionOf':
+      case 'DataIntersectionOf':
+      case 'DataUnionOf': {
+        const node = fresh();
+        const isData = name.startsWith('Data');
+        emit(node, RDF + 'type', named(isData ? RDFS + 'Datatype' : OWL_NS + 'Class'));
+        const predicate = name.endsWith('IntersectionOf') ? 'intersectionOf' : 'unionOf';
+        emit(node, OWL_NS + predicate, rdfList(elementChildren(el).map(term)));
+        return node;
+      }
+      case 'ObjectComplementOf':
+      case 'DataComplementOf': {
+        const node = fresh();
+        const isData = name.startsWith('Data');
+        emit(node, RDF + 'type', named(isData ? RDFS + 'Datatype' : OWL_NS + 'Class'));
+        emit(node, OWL_NS + (isData ? 'datatypeComplementOf' : 'complementOf'), term(elementChildren(el)[0]));
+        return node;
+      }
+      case 'ObjectOneOf':
+      case 'DataOneOf': {
+        const node = fresh();
+        emit(node, RDF + 'type', named(name === 'DataOneOf' ? RDFS + 'Datatype' : OWL_NS + 'Class'));
+        emit(node, OWL_NS + 'oneOf', rdfList(elementChildren(el).map(term)));
+        return node;
+      }
+      case 'ObjectSomeValuesFrom':
+      case 'DataSomeValuesFrom': {
+        const [p, c] = elementChildren(el);
+        return restriction(term(p), [[OWL_NS + 'someValuesFrom', term(c)]]);
+      }
+      case 'ObjectAllValuesFrom':
+      case 'DataAllValuesFrom': {
+        const [p, c] = elementChildren(el);
+        return restriction(term(p), [[OWL_NS + 'allValuesFrom', term(c)]]);
+      }
+      case 'ObjectHasValue':
+      case 'DataHasValue': {
+        const [p, v] = elementChildren(el);
+        return restriction(term(p), [[OWL_NS + 'hasValue', term(v)]]);
+      }
+      case 'ObjectHasSelf': {
+        const [p] = elementChildren(el);
+        return restriction(term(p), [[OWL_NS + 'hasSelf', factory.literal('true', named(XSD + 'boolean'))]]);
+      }
+      case 'ObjectMinCardinality':
+      case 'DataMinCardinality':
+        return cardinality(el, OWL_NS + 'minCardinality', OWL_NS + 'minQualifiedCardinality');
+      case 'ObjectMaxCardinality':
+      case 'DataMaxCardinality':
+        return cardinality(el, OWL_NS + 'maxCardinality', OWL_NS + 'maxQualifiedCardinality');
+      case 'ObjectExactCardinality':
+      case 'DataExactCardinality':
+        return cardinality(el, OWL_NS + 'cardinality', OWL_NS + 'qualifiedCardinality');
+      default:
+        throw new Error(`Unsupported OWL/XML expression <${name}>`);
+    }
+  }
+
+  function annotationsOf(el) {
+    return elementChildren(el).filter(c => localName(c) === 'Annotation');
+  }
+
+  function annotationValue(el) {
+    const parts = elementChildren(el).filter(c => localName(c) !== 'Annotation');
+    return { property: term(parts[0]), value: term(parts[1]) };
+  }
+
+  function emitAnnotations(subject, annotationEls) {
+    for (const a of annotationEls) {
+      const { property, value } = annotationValue(a);
+      emit(subject, property, value);
+      const nested = annotationsOf(a);
+      if (nested.length) reify(subject, property, value, nested, OWL_NS + 'Annotation');
+    }
+  }
+
+  // Axiom annotations are attached to an owl:Axiom that reifies the
+  // annotated triple.
+  function reify(s, p, o, annotationEls, type = OWL_NS + 'Axiom') {
+    if (!annotationEls.length) return;
+    const node = fresh();
+    emit(node, RDF + 'type', named(type));
+    emit(node, OWL_NS + 'annotatedSource', s);
+    emit(node, OWL_NS + 'annotatedProperty', named(p.value || p));
+    emit(node, OWL_NS + 'annotatedTarget', o);
+    emitAnnotations(node, annotationEls);
+  }
+
+  function triple(s, p, o, annotationEls) {
+    emit(s, p, o);
+    reify(s, typeof p === 'string' ? named(p) : p, o, annotationEls);
+  }
+
+  function axiom(el) {
+    const name = localName(el);
+    const annotations = annotationsOf(el);
+    const parts = elementChildren(el).filter(c => localName(c) !== 'Annotation');
+
+    if (name === 'Declaration') {
+      const entity = parts[0];
+      const type = DECLARATION_TYPES[localName(entity)];
+      if (type) triple(named(entityIri(entity)), RDF + 'type', named(type), annotations);
+      return;
+    }
+
+    if (name === 'AnnotationAssertion') {
+      triple(term(parts[1]), term(parts[0]), term(parts[2]), annotations);
+      return;
+    }
+
+    if (name === 'SubAnnotationPropertyOf') {
+      triple(term(parts[0]), RDFS + 'subPropertyOf', term(parts[1]), annotations);
+      return;
+    }
+    if (name === 'AnnotationPropertyDomain' || name === 'AnnotationPropertyRange') {
+      const p = name.endsWith('Domain') ? RDFS + 'domain' : RDFS + 'range';
+      triple(term(parts[0]), p, term(parts[1]), annotations);
+      return;
+    }
+
+    if (name === 'SubObjectPropertyOf' && parts[0] && localName(parts[0]) === 'ObjectPropertyChain') {
+      const chain = rdfList(elementChildren(parts[0]).map(term));
+      triple(term(parts[1]), OWL_NS + 'propertyChainAxiom', chain, annotations);
+      return;
+    }
+
+    if (BINARY_AXIOMS[name]) {
+      // ClassAssertion lists the class first, the individual second.
+      if (name === 'ClassAssertion') {
+        triple(term(parts[1]), BINARY_AXIOMS[name], term(parts[0]), annotations);
+      } else {
+        triple(term(parts[0]), BINARY_AXIOMS[name], term(parts[1]), annotations);
+      }
+      return;
+    }
+
+    if (PROPERTY_CHARACTERISTICS[name]) {
+      triple(term(parts[0]), RDF + 'type', named(PROPERTY_CHARACTERISTICS[name]), annotations);
+      return;
+    }
+
+    if (NARY_AXIOMS[name]) {
+      const terms = parts.map(term);
+      if (terms.length === 2) {
+        triple(terms[0], NARY_AXIOMS[name], terms[1], annotations);
+      } else if (terms.length > 2) {
+        const kind = {
+          DisjointClasses: 'AllDisjointClasses',
+          DifferentIndividuals: 'AllDifferent'
+        }[name];
+        if (kind) {
+          const node = fresh();
+          emit(node, RDF + 'type', named(OWL_NS + kind));
+          emit(node, OWL_NS + (kind === 'AllDifferent' ? 'distinctMembers' : 'members'), rdfList(terms));
+          emitAnnotations(node, annotations);
+        } else {
+          for (let i = 0; i + 1 < terms.length; i++) {
+            triple(terms[i], NARY_AXIOMS[name], terms[i + 1], annotations);
+          }
+        }
+      }
+      return;
+    }
+
+    if (name === 'DisjointUnion') {
+      const [cls, ...members] = parts.map(term);
+      triple(cls, OWL_NS + 'disjointUnionOf', rdfList(members), annotations);
+      return;
+    }
+
+    if (name === 'ObjectPropertyAssertion' || name === 'DataPropertyAssertion') {
+      triple(term(parts[1]), term(parts[0]), term(parts[2]), annotations);
+      return;
+    }
+
+    if (name === 'NegativeObjectPropertyAssertion' || name === 'NegativeDataPropertyAssertion') {
+      const node = fresh();
+      emit(node, RDF + 'type', named(OWL_NS + 'NegativePropertyAssertion'));
+      emit(node, OWL_NS + 'sourceIndividual', term(parts[1]));
+      emit(node, OWL_NS + 'assertionProperty', term(parts[0]));
+      const targetKey = name.startsWith('NegativeData') ? 'targetValue' : 'targetIndividual';
+      emit(node, OWL_NS + targetKey, term(parts[2]));
+      emitAnnotations(node, annotations);
+      return;
+    }
+
+    if (name === 'DatatypeDefinition') {
+      triple(term(parts[0]), OWL_NS + 'equivalentClass', term(parts[1]), annotations);
+      return;
+    }
+
+    skipped.push(name);
+  }
+
+  for (const child of elementChildren(root)) {
+    if (localName(child) === 'Prefix') {
+      prefixes.set(child.getAttribute('name') || '', child.getAttribute('IRI') || '');
+    }
+  }
+
+  const ontologyIri = root.getAttribute('ontologyIRI');
+  const ontologyNode = ontologyIri ? named(resolve(ontologyIri)) : fresh();
+  emit(ontologyNode, RDF + 'type', named(OWL_NS + 'Ontology'));
+  if (root.getAttribute('versionIRI')) {
+    emit(ontologyNode, OWL_NS + 'versionIRI', named(resolve(root.getAttribute('versionIRI'))));
+  }
+
+  for (const child of elementChildren(root)) {
+    const name = localName(child);
+    if (name === 'Prefix') continue;
+    if (name === 'Import') {
+      emit(ontologyNode, OWL_NS + 'imports', named(resolve((child.textContent || '').trim())));
+      continue;
+    }
+    if (name === 'Annotation') {
+      emitAnnotations(ontologyNode, [child]);
+      continue;
+    }
+    const axiomQuads = [];
+    target = axiomQuads;
+    try {
+      axiom(child);
+      for (const q of axiomQuads) quads.push(q);
+    } catch (err) {
+      skipped.push(`${name}: ${err.message}`);
+    } finally {
+      target = quads;
+    }
+  }
+
+  return { quads, prefixes, skipped };
+}
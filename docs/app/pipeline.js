@@ -0,0 +1,66 @@
+// app/pipeline.js (ES module)
+//
+// One ontology from text or File to graded report: parse, load imports, run the
+// manifest checks and grade the results. Shared by the Web Worker
+// (worker.js) and the CLI (bin/ocm.js). An ontology in a SPARQL endpoint
+// (endpoint.js) goes the same way from the checks on.
+
+import { evaluateAllQueries, evaluateEndpointQueries } from './engine.js';
+import { computePerResourceCuration, computeOntologyReport } from './grader.js';
+import { applyWaivers } from './waivers.js';
+import { describeEndpoint } from './endpoint.js';
+
+// ontology: the text, or a Blob/File, which is parsed while it is read
+// options: as for evaluateAllQueries (ruleSet or manifest and loadQueryText,
+// resolveImport, queryTimeoutMs, concurrency, maxQuads, onProgress), plus
+// options.waivers: waivers from a file (waivers.js), added to the ontology's own
+// options.date: the ISO date waiver expiry is checked against (default today)
+export async function evaluateOntology(ontology, fileName, options = {}) {
+  return gradeRun(await evaluateAllQueries(ontology, fileName, options), fileName, options);
+}
+
+// endpoint: { url, graph } from endpoint.js createEndpoint()
+// options: as for evaluateOntology, without resolveImport
+export async function evaluateEndpoint(endpoint, options = {}) {
+  return gradeRun(await evaluateEndpointQueries(endpoint, options), describeEndpoint(endpoint), options);
+}
+
+async function gradeRun(run, fileName, options) {
+  const { results, summary: waivers } = applyWaivers(run.results, (options.waivers || []).concat(run.waivers), options.date);
+  const { resources, labels, mainResources, resourceTypes, ontologyIri, versionIri, imports, diagnostics, inference, languageCoverage, locations } = run;
+  const manifest = run.manifest;
+
+  if (options.onProgress) options.onProgress({ stage: 'grade' });
+  const perResource = computePerResourceCuration(results, manifest, resources, {
+    mainResources,
+    resourceTypes,
+    ontologyIri,
+    diagnostics,
+    locations
+  });
+  const ontologyReport = computeOntologyReport(results, manifest, ontologyIri, {
+    versionIri,
+    mainResources,
+    resourceTypes,
+    resources,
+    imports,
+    diagnostics,
+    inference,
+    languageCoverage,
+    waivers,
+    parseWarnings: run.warnings,
+    endpoint: run.endpoint
+  });
+
+  return {
+    fileName,
+    ontologyIri,
+    ontologyReport,
+    perResource,
+    results,
+    labels,
+    locations,
+    format: run.format,
+    dataset: run.dataset
+  };
+}
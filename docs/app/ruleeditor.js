@@ -0,0 +1,164 @@
+// app/ruleeditor.js (ES module)
+//
+// Rule authoring helpers for the editor panel: turn the form into a manifest
+// entry, check it against the active manifest, and give each kind of rule a
+// starting template. The panel itself is wired up in main.js.
+
+import { FIXER_TYPES } from './fixes.js';
+import { GRAPH_MODES } from './inference.js';
+
+export const RULE_KINDS = ['SELECT', 'ASK', 'SHACL'];
+
+export const POLARITIES = {
+  SELECT: ['matchMeansFail', 'matchMeansFlag'],
+  ASK: ['trueMeansPass', 'trueMeansFail'],
+  SHACL: []
+};
+
+export const SCOPES = ['resource', 'TBox', 'ABox', 'ontology'];
+export const SEVERITIES = ['error', 'warning', 'info'];
+export const RESULT_SHAPES = ['RESOURCE_ONLY', 'RESOURCE_PAIR', 'NONE'];
+
+const TEMPLATES = {
+  SELECT: `PREFIX owl: <http://www.w3.org/2002/07/owl#>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+# Each row is a failure (or a flag) of ?resource.
+SELECT DISTINCT ?resource WHERE {
+  ?resource a owl:Class .
+  FILTER(isIRI(?resource))
+  FILTER NOT EXISTS { ?resource rdfs:comment ?comment }
+}
+`,
+  ASK: `PREFIX owl: <http://www.w3.org/2002/07/owl#>
+
+# One answer for the whole ontology.
+ASK {
+  ?ontology a owl:Ontology .
+}
+`,
+  SHACL: `@prefix sh: <http://www.w3.org/ns/shacl#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix ex: <http://example.org/shapes#> .
+
+ex:ClassShape a sh:NodeShape ;
+  sh:targetClass owl:Class ;
+  sh:property [
+    sh:path rdfs:label ;
+    sh:minCount 1 ;
+    sh:severity sh:Warning ;
+  ] .
+`
+};
+
+export function ruleTemplate(kind) {
+  return TEMPLATES[kind] || TEMPLATES.SELECT;
+}
+
+export function ruleFileName(id, kind) {
+  return id + (kind === 'SHACL' ? '.ttl' : '.rq');
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  return String(value || '').split(',').map(v => v.trim().replace(/^\?/, '')).filter(Boolean);
+}
+
+// draft: the editor form's values, as strings. Empty optional fields are left
+// out, so the entry reads like the hand-written ones in manifest.json.
+export function draftToManifestEntry(draft) {
+  const kind = RULE_KINDS.includes(draft.kind) ? draft.kind : 'SELECT';
+  const id = String(draft.id || '').trim();
+  const entry = {
+    id,
+    file: String(draft.file || '').trim() || (id ? ruleFileName(id, kind) : ''),
+    title: String(draft.title || '').trim() || id,
+    kind
+  };
+  if (POLARITIES[kind].length) {
+    entry.polarity = POLARITIES[kind].includes(draft.polarity) ? draft.polarity : POLARITIES[kind][0];
+  }
+  entry.checksConformityTo = String(draft.checksConformityTo || '').trim() || null;
+  entry.scope = kind === 'ASK' ? 'ontology' : (SCOPES.includes(draft.scope) ? draft.scope : 'resource');
+  entry.severity = SEVERITIES.includes(draft.severity) ? draft.severity : 'warning';
+  // The asserted graph is the default and is left out.
+  if (GRAPH_MODES.includes(draft.graph) && draft.graph !== 'asserted') entry.graph = draft.graph;
+
+  if (kind === 'SELECT') {
+    const relatedVars = splitList(draft.relatedVars);
+    entry.resultShape = RESULT_SHAPES.includes(draft.resultShape)
+      ? draft.resultShape
+      : (relatedVars.length ? 'RESOURCE_PAIR' : 'RESOURCE_ONLY');
+    entry.resourceVar = String(draft.resourceVar || '').trim().replace(/^\?/, '') || 'resource';
+    if (relatedVars.length) entry.relatedVars = relatedVars;
+  } else if (kind === 'ASK') {
+    entry.resultShape = 'NONE';
+  }
+
+  const fixerType = String(draft.fixer || '').trim();
+  if (fixerType) {
+    entry.fixer = { type: fixerType };
+    const property = String(draft.fixerProperty || '').trim();
+    const datatype = String(draft.fixerDatatype || '').trim();
+    if (property) entry.fixer.property = property;
+    if (datatype) entry.fixer.datatype = datatype;
+  }
+  return entry;
+}
+
+// The editor form's values for an existing manifest entry.
+export function manifestEntryToDraft(qMeta) {
+  return {
+    id: qMeta.id || '',
+    file: qMeta.file || '',
+    title: qMeta.title || '',
+    kind: qMeta.kind || 'SELECT',
+    polarity: qMeta.polarity || '',
+    checksConformityTo: qMeta.checksConformityTo || '',
+    scope: qMeta.scope || 'resource',
+    severity: qMeta.severity || 'warning',
+    graph: qMeta.graph === 'asserted' ? '' : qMeta.graph || '',
+    resultShape: qMeta.resultShape || '',
+    resourceVar: qMeta.resourceVar || '',
+    relatedVars: (qMeta.relatedVars || []).join(', '),
+    fixer: qMeta.fixer ? qMeta.fixer.type : '',
+    fixerProperty: qMeta.fixer ? qMeta.fixer.property || '' : '',
+    fixerDatatype: qMeta.fixer ? qMeta.fixer.datatype || '' : ''
+  };
+}
+
+// Problems that would stop the entry from working in the manifest. Query IDs
+// may repeat one being replaced (editingId); requirements must exist.
+export function validateDraft(entry, queryText, manifest, editingId = null) {
+  const problems = [];
+  if (!entry.id) problems.push('The rule needs an ID.');
+  else if (!/^[A-Za-z_][\w.-]*$/.test(entry.id)) problems.push('The ID may only use letters, digits, "_", "-" and ".".');
+  else if (entry.id !== editingId && manifest && manifest.queries.some(q => q.id === entry.id)) {
+    problems.push(`A query with ID ${entry.id} is already in the manifest.`);
+  }
+
+  if (entry.checksConformityTo && manifest &&
+      !(manifest.requirements || []).some(r => r.id === entry.checksConformityTo)) {
+    problems.push(`Unknown requirement ${entry.checksConformityTo}; add it to the manifest's "requirements".`);
+  }
+
+  if (entry.fixer) {
+    if (!FIXER_TYPES.includes(entry.fixer.type)) problems.push(`Unknown fixer ${entry.fixer.type}.`);
+    else if (entry.kind === 'ASK' || entry.scope === 'ontology') problems.push('Fixers repair resources; this rule reports on the whole ontology.');
+    else if (entry.fixer.type === 'ontologyIri' && !entry.fixer.property) problems.push('The ontologyIri fixer needs a property IRI.');
+  }
+
+  const text = String(queryText || '');
+  if (!text.trim()) {
+    problems.push('The query is empty.');
+  } else if (entry.kind === 'SELECT') {
+    if (!/\bSELECT\b/i.test(text)) problems.push('A SELECT rule needs a SELECT query.');
+    else if (!new RegExp('\\?' + entry.resourceVar + '\\b').test(text)) {
+      problems.push(`The query never binds ?${entry.resourceVar}, the resource variable.`);
+    }
+  } else if (entry.kind === 'ASK' && !/\bASK\b/i.test(text)) {
+    problems.push('An ASK rule needs an ASK query.');
+  }
+  return problems;
+}
@@ -0,0 +1,254 @@
+// app/rulepacks.js (ES module)
+//
+// Rule packs: a manifest plus the query and shapes files it references.
+// Packs are built in (served next to the app), uploaded as files or a zip,
+// or read from a local directory, and several packs can be combined into a
+// single manifest for one run.
+
+const STORAGE_KEY = 'ocm.rulePacks';
+
+export const BUILTIN_PACKS = [
+  { id: 'core', title: 'Core curation checks', base: 'queries/' }
+];
+
+function stripDir(name) {
+  return String(name || '').replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+// A pack: { id, title, source, manifest, loadQueryText(qMeta), sourceUrl(qMeta) }.
+// readFile(path) → Promise<text> reads a file named in the manifest;
+// urlFor(path) gives a link to it, when it has one.
+export function createPack(manifest, { id, title, source, readFile, urlFor }) {
+  if (!manifest || !Array.isArray(manifest.queries)) {
+    throw new Error(`Rule pack ${id || ''} has no "queries" list in its manifest.`);
+  }
+  const meta = manifest.pack || {};
+  return {
+    id: meta.id || id,
+    title: meta.title || title || meta.id || id,
+    source,
+    manifest,
+    loadQueryText: qMeta => readFile(qMeta.file),
+    sourceUrl: qMeta => (urlFor ? urlFor(qMeta.file) : null)
+  };
+}
+
+export async function loadBuiltinPack(def) {
+  const res = await fetch(def.base + 'manifest.json');
+  if (!res.ok) throw new Error(`Failed to fetch rule pack ${def.id} from ${def.base}`);
+  const manifest = await res.json();
+  return createPack(manifest, {
+    id: def.id,
+    title: def.title,
+    source: 'builtin',
+    readFile: async file => {
+      const r = await fetch(def.base + file);
+      if (!r.ok) throw new Error(`Failed to fetch ${def.base + file}`);
+      return r.text();
+    },
+    urlFor: file => def.base + file
+  });
+}
+
+// files: Map of relative path → text, with a manifest.json among them.
+// Query files are looked up relative to the manifest's directory.
+export function packFromFiles(files, fallbackId) {
+  const paths = Array.from(files.keys());
+  const manifestPath = paths
+    .filter(p => /(^|\/)manifest\.json$/i.test(p))
+    .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+  if (!manifestPath) throw new Error('No manifest.json among the rule pack files.');
+
+  const dir = manifestPath.slice(0, manifestPath.length - 'manifest.json'.length);
+  let manifest;
+  try {
+    manifest = JSON.parse(files.get(manifestPath));
+  } catch (err) {
+    throw new Error(`Invalid rule pack manifest ${manifestPath}: ${err.message}`);
+  }
+
+  const find = file => {
+    const wanted = stripDir(file);
+    if (files.has(dir + wanted)) return files.get(dir + wanted);
+    const base = wanted.split('/').pop();
+    const match = paths.find(p => p.split('/').pop() === base);
+    if (match) return files.get(match);
+    throw new Error(`Rule pack file not found: ${file}`);
+  };
+
+  return createPack(manifest, {
+    id: fallbackId || dir.replace(/\/$/, '').split('/').pop() || 'custom',
+    source: 'upload',
+    readFile: async file => find(file)
+  });
+}
+
+// The plain files a pack was built from, so an uploaded pack can be stored
+// and rebuilt later.
+export async function packFiles(pack) {
+  const files = { 'manifest.json': JSON.stringify(pack.manifest) };
+  for (const qMeta of pack.manifest.queries) {
+    if (qMeta.file && !(qMeta.file in files)) files[qMeta.file] = await pack.loadQueryText(qMeta);
+  }
+  return files;
+}
+
+// --- zip archives (stored and deflated entries) ---
+export async function readZip(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive.');
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt zip central directory.');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith('/')) continue;
+
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    const start = localOffset + 30 + localNameLength + localExtraLength;
+    const data = bytes.subarray(start, start + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, decoder.decode(data));
+    } else if (method === 8) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      entries.set(name, await new Response(stream).text());
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}.`);
+    }
+  }
+  return entries;
+}
+
+// --- combining packs ---
+// Query and requirement IDs are kept unless two packs use the same one; the
+// later pack's IDs are then prefixed with "<pack id>/". Every query and
+// requirement records the pack it came from. The status policy and score
+// thresholds come from the first pack that defines them; the required
+// languages of all packs are combined.
+export function combinePacks(packs) {
+  if (!packs.length) throw new Error('No rule pack selected.');
+
+  const queryIds = new Set();
+  const requirementIds = new Set();
+  const byQuery = new Map();
+  const manifest = { version: 1, packs: [], queries: [], requirements: [] };
+  const flags = {};
+
+  for (const pack of packs) {
+    const m = pack.manifest;
+    manifest.packs.push({ id: pack.id, title: pack.title, source: pack.source });
+
+    const reqIds = new Map();
+    for (const r of m.requirements || []) {
+      const id = requirementIds.has(r.id) ? `${pack.id}/${r.id}` : r.id;
+      requirementIds.add(id);
+      reqIds.set(r.id, id);
+      manifest.requirements.push({ ...r, id, pack: pack.id });
+    }
+
+    const qIds = new Map();
+    for (const q of m.queries) {
+      const id = queryIds.has(q.id) ? `${pack.id}/${q.id}` : q.id;
+      queryIds.add(id);
+      qIds.set(q.id, id);
+      const entry = {
+        ...q,
+        id,
+        pack: pack.id,
+        checksConformityTo: q.checksConformityTo ? (reqIds.get(q.checksConformityTo) || q.checksConformityTo) : null
+      };
+      manifest.queries.push(entry);
+      byQuery.set(id, { pack, original: q });
+    }
+
+    if (m.statusPolicy) {
+      for (const [flag, ids] of Object.entries(m.statusPolicy.flags || {})) {
+        flags[flag] = (flags[flag] || []).concat(ids.map(id => qIds.get(id) || id));
+      }
+      if (!manifest.statusPolicy && m.statusPolicy.rules) {
+        manifest.statusPolicy = { rules: m.statusPolicy.rules };
+      }
+    }
+    if (!manifest.scoring && m.scoring) manifest.scoring = m.scoring;
+    if (m.inference) manifest.inference = true;
+    for (const language of m.languages || []) {
+      manifest.languages = manifest.languages || [];
+      if (!manifest.languages.includes(language)) manifest.languages.push(language);
+    }
+  }
+  if (manifest.statusPolicy || Object.keys(flags).length) {
+    manifest.statusPolicy = { ...(manifest.statusPolicy || {}), flags };
+  }
+
+  return {
+    id: packs.map(p => p.id).join('+'),
+    title: packs.map(p => p.title).join(' + '),
+    source: 'combined',
+    manifest,
+    loadQueryText: qMeta => {
+      const { pack, original } = byQuery.get(qMeta.id);
+      return pack.loadQueryText(original);
+    },
+    sourceUrl: qMeta => {
+      const hit = byQuery.get(qMeta.id);
+      return hit ? hit.pack.sourceUrl(hit.original) : null;
+    }
+  };
+}
+
+// --- persisted selection ---
+// { selected: [pack ids], uploaded: [{ id, title, files: { path: text } }],
+//   languages: [required language tags, overriding the packs' own],
+//   inference: true to infer for every pack, null to leave it to the packs }
+export function loadPackSettings(storage = globalThis.localStorage) {
+  try {
+    const saved = storage && JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+    if (saved && Array.isArray(saved.selected)) {
+      return {
+        selected: saved.selected,
+        uploaded: Array.isArray(saved.uploaded) ? saved.uploaded : [],
+        languages: Array.isArray(saved.languages) ? saved.languages : [],
+        inference: saved.inference === true || null
+      };
+    }
+  } catch (err) {
+    console.warn('Ignoring unreadable rule pack settings:', err);
+  }
+  return { selected: [BUILTIN_PACKS[0].id], uploaded: [], languages: [], inference: null };
+}
+
+export function savePackSettings(settings, storage = globalThis.localStorage) {
+  if (!storage) return;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save rule pack settings:', err);
+  }
+}
+
+export function packFromSaved(saved) {
+  const pack = packFromFiles(new Map(Object.entries(saved.files)), saved.id);
+  return { ...pack, id: saved.id, title: saved.title || pack.title };
+}
@@ -0,0 +1,38 @@
+// app/ruleset.js (ES module)
+//
+// A rule set is a manifest with every query and shapes text loaded up front:
+// { id, key, manifest, queryTexts: { queryId: text }, loadErrors: { queryId: message } }.
+// It is plain data, so it can be posted to workers. `key` changes whenever
+// the manifest or a text does, which tells a worker that its compiled copy
+// (engine.js compileRuleSet) is stale.
+
+// FNV-1a, enough to tell rule set versions apart.
+function hashString(text, hash = 0x811c9dc5) {
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+export function ruleSetKey(manifest, queryTexts) {
+  let hash = hashString(JSON.stringify(manifest));
+  for (const id of Object.keys(queryTexts).sort()) {
+    hash = hashString(id + '\n' + queryTexts[id], hash);
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// A text that cannot be loaded fails only its own query, as before.
+export async function loadRuleSet(manifest, loadQueryText, id = 'rules') {
+  const queryTexts = {};
+  const loadErrors = {};
+  await Promise.all(manifest.queries.map(async qMeta => {
+    try {
+      queryTexts[qMeta.id] = await loadQueryText(qMeta);
+    } catch (err) {
+      loadErrors[qMeta.id] = err && err.message ? err.message : String(err);
+    }
+  }));
+  return { id, key: ruleSetKey(manifest, queryTexts), manifest, queryTexts, loadErrors };
+}
@@ -0,0 +1,437 @@
+// app/shacl.js (ES module)
+//
+// SHACL Core validation over an N3.Store, so curation rules that already
+// exist as shapes can run next to the SPARQL checks. Covers targets, all
+// property path forms and the Core constraint components except the
+// SPARQL-based ones and sh:lessThan / sh:lessThanOrEquals; shapes using
+// those are reported in `unsupported` and skipped (the engine reports the
+// check as partial).
+
+const SH = 'http://www.w3.org/ns/shacl#';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDF_TYPE = RDF + 'type';
+const RDF_FIRST = RDF + 'first';
+const RDF_REST = RDF + 'rest';
+const RDF_NIL = RDF + 'nil';
+const RDF_LANGSTRING = RDF + 'langString';
+const RDFS_CLASS = 'http://www.w3.org/2000/01/rdf-schema#Class';
+const RDFS_SUBCLASS_OF = 'http://www.w3.org/2000/01/rdf-schema#subClassOf';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+const NUMERIC_TYPES = new Set([
+  'decimal', 'integer', 'int', 'long', 'short', 'byte', 'double', 'float',
+  'nonNegativeInteger', 'nonPositiveInteger', 'positiveInteger', 'negativeInteger',
+  'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'
+].map(t => XSD + t));
+
+const UNSUPPORTED = ['sparql', 'lessThan', 'lessThanOrEquals'].map(c => SH + c);
+
+function termKey(term) {
+  if (term.termType === 'Literal') {
+    return 'L' + term.value + '@' + (term.language || '') + '^' + (term.datatype ? term.datatype.value : '');
+  }
+  return term.termType[0] + term.value;
+}
+
+function unique(terms) {
+  const seen = new Map();
+  for (const t of terms) {
+    if (!seen.has(termKey(t))) seen.set(termKey(t), t);
+  }
+  return Array.from(seen.values());
+}
+
+function equalTerms(a, b) {
+  return termKey(a) === termKey(b);
+}
+
+// Read-only view of a store across all its graphs (the main ontology plus
+// loaded imports, like the SPARQL checks with unionDefaultGraph).
+function graphView(store) {
+  const { namedNode } = globalThis.N3.DataFactory;
+  const superClasses = new Map();
+
+  const view = {
+    objects(subject, predicate) {
+      return unique(store.getObjects(subject, namedNode(predicate), null));
+    },
+    subjects(predicate, object) {
+      return unique(store.getSubjects(namedNode(predicate), object, null));
+    },
+    first(subject, predicate) {
+      return view.objects(subject, predicate)[0] || null;
+    },
+    list(head) {
+      const items = [];
+      let node = head;
+      while (node && node.value !== RDF_NIL && items.length < 10000) {
+        const item = view.first(node, RDF_FIRST);
+        if (item) items.push(item);
+        node = view.first(node, RDF_REST);
+      }
+      return items;
+    },
+    // The class and all its rdfs:subClassOf ancestors.
+    superClassesOf(cls) {
+      const key = termKey(cls);
+      if (!superClasses.has(key)) {
+        const seen = new Map([[key, cls]]);
+        const queue = [cls];
+        while (queue.length) {
+          for (const sup of view.objects(queue.shift(), RDFS_SUBCLASS_OF)) {
+            if (!seen.has(termKey(sup))) {
+              seen.set(termKey(sup), sup);
+              queue.push(sup);
+            }
+          }
+        }
+        superClasses.set(key, new Set(seen.keys()));
+      }
+      return superClasses.get(key);
+    },
+    isInstanceOf(node, cls) {
+      const target = termKey(cls);
+      return view.objects(node, RDF_TYPE).some(type => view.superClassesOf(type).has(target));
+    },
+    instancesOf(cls) {
+      const target = termKey(cls);
+      const types = unique(store.getObjects(null, namedNode(RDF_TYPE), null));
+      const out = [];
+      for (const type of types) {
+        if (view.superClassesOf(type).has(target)) out.push(...view.subjects(RDF_TYPE, type));
+      }
+      return unique(out);
+    }
+  };
+  return view;
+}
+
+// --- property paths ---
+function evalPath(data, shapes, path, focus) {
+  if (path.termType === 'NamedNode') return data.objects(focus, path.value);
+
+  const inverse = shapes.first(path, SH + 'inversePath');
+  if (inverse) {
+    if (inverse.termType === 'NamedNode') return data.subjects(inverse.value, focus);
+    throw new Error('Only predicate IRIs are supported inside sh:inversePath.');
+  }
+
+  const alternatives = shapes.first(path, SH + 'alternativePath');
+  if (alternatives) {
+    return unique(shapes.list(alternatives).flatMap(p => evalPath(data, shapes, p, focus)));
+  }
+
+  const zeroOrMore = shapes.first(path, SH + 'zeroOrMorePath');
+  if (zeroOrMore) return closure(data, shapes, zeroOrMore, focus, true);
+  const oneOrMore = shapes.first(path, SH + 'oneOrMorePath');
+  if (oneOrMore) return closure(data, shapes, oneOrMore, focus, false);
+  const zeroOrOne = shapes.first(path, SH + 'zeroOrOnePath');
+  if (zeroOrOne) return unique([focus, ...evalPath(data, shapes, zeroOrOne, focus)]);
+
+  if (shapes.first(path, RDF_FIRST)) {
+    let nodes = [focus];
+    for (const step of shapes.list(path)) {
+      nodes = unique(nodes.flatMap(n => evalPath(data, shapes, step, n)));
+    }
+    return nodes;
+  }
+  throw new Error(`Unsupported property path: ${path.value}`);
+}
+
+function closure(data, shapes, path, focus, includeFocus) {
+  const seen = new Map();
+  if (includeFocus) seen.set(termKey(focus), focus);
+  const queue = [focus];
+  while (queue.length) {
+    for (const next of evalPath(data, shapes, path, queue.shift())) {
+      if (!seen.has(termKey(next))) {
+        seen.set(termKey(next), next);
+        queue.push(next);
+      }
+    }
+  }
+  return Array.from(seen.values());
+}
+
+// --- value comparisons ---
+function isNumeric(term) {
+  return term.termType === 'Literal' && term.datatype && NUMERIC_TYPES.has(term.datatype.value);
+}
+
+// Returns <0, 0, >0, or null when the two literals are not comparable.
+function compareLiterals(a, b) {
+  if (a.termType !== 'Literal' || b.termType !== 'Literal') return null;
+  if (isNumeric(a) && isNumeric(b)) {
+    const x = Number(a.value);
+    const y = Number(b.value);
+    return Number.isNaN(x) || Number.isNaN(y) ? null : x - y;
+  }
+  if (a.datatype && b.datatype && a.datatype.value === b.datatype.value) {
+    return a.value < b.value ? -1 : (a.value > b.value ? 1 : 0);
+  }
+  return null;
+}
+
+function matchesNodeKind(term, kind) {
+  const t = term.termType;
+  switch (kind) {
+    case SH + 'IRI': return t === 'NamedNode';
+    case SH + 'BlankNode': return t === 'BlankNode';
+    case SH + 'Literal': return t === 'Literal';
+    case SH + 'BlankNodeOrIRI': return t === 'BlankNode' || t === 'NamedNode';
+    case SH + 'BlankNodeOrLiteral': return t === 'BlankNode' || t === 'Literal';
+    case SH + 'IRIOrLiteral': return t === 'NamedNode' || t === 'Literal';
+    default: return false;
+  }
+}
+
+function langMatches(language, range) {
+  const lang = (language || '').toLowerCase();
+  const r = range.toLowerCase();
+  if (!lang) return false;
+  return r === '*' || lang === r || lang.startsWith(r + '-');
+}
+
+// --- validator ---
+function createValidator(dataStore, shapeQuads) {
+  const shapesStore = new globalThis.N3.Store();
+  shapesStore.addQuads(shapeQuads);
+  const data = graphView(dataStore);
+  const shapes = graphView(shapesStore);
+  const unsupported = new Set();
+  let depth = 0;
+
+  function sh(name) {
+    return globalThis.N3.DataFactory.namedNode(SH + name);
+  }
+
+  // Shapes with at least one target (plus implicit class targets).
+  function targetedShapes() {
+    const found = new Map();
+    for (const prop of ['targetClass', 'targetNode', 'targetSubjectsOf', 'targetObjectsOf']) {
+      for (const q of shapesStore.getQuads(null, sh(prop), null, null)) {
+        found.set(termKey(q.subject), q.subject);
+      }
+    }
+    for (const type of ['NodeShape', 'PropertyShape']) {
+      for (const shape of shapes.subjects(RDF_TYPE, sh(type))) {
+        if (shapes.isInstanceOf(shape, globalThis.N3.DataFactory.namedNode(RDFS_CLASS))) {
+          found.set(termKey(shape), shape);
+        }
+      }
+    }
+    return Array.from(found.values());
+  }
+
+  function focusNodes(shape) {
+    const { namedNode } = globalThis.N3.DataFactory;
+    const nodes = [];
+    for (const cls of shapes.objects(shape, SH + 'targetClass')) nodes.push(...data.instancesOf(cls));
+    if (shapes.isInstanceOf(shape, namedNode(RDFS_CLASS))) nodes.push(...data.instancesOf(shape));
+    nodes.push(...shapes.objects(shape, SH + 'targetNode'));
+    for (const p of shapes.objects(shape, SH + 'targetSubjectsOf')) {
+      nodes.push(...dataStore.getSubjects(p, null, null));
+    }
+    for (const p of shapes.objects(shape, SH + 'targetObjectsOf')) {
+      nodes.push(...dataStore.getObjects(null, p, null));
+    }
+    return unique(nodes);
+  }
+
+  function validate() {
+    const results = [];
+    for (const shape of targetedShapes()) {
+      for (const focus of focusNodes(shape)) {
+        validateShape(shape, focus, results);
+      }
+    }
+    return results;
+  }
+
+  function conforms(shape, node) {
+    if (depth > 50) throw new Error('SHACL shape recursion is not supported.');
+    depth++;
+    const results = [];
+    try {
+      validateShape(shape, node, results);
+    } finally {
+      depth--;
+    }
+    return results.length === 0;
+  }
+
+  function validateShape(shape, focus, results) {
+    const deactivated = shapes.first(shape, SH + 'deactivated');
+    if (deactivated && deactivated.value === 'true') return;
+
+    for (const component of UNSUPPORTED) {
+      if (shapes.first(shape, component)) {
+        unsupported.add(component.slice(SH.length));
+        return;
+      }
+    }
+
+    const path = shapes.first(shape, SH + 'path');
+    const values = path ? evalPath(data, shapes, path, focus) : [focus];
+    const report = (component, value) => results.push({
+      focusNode: focus,
+      resultPath: path,
+      value: value || null,
+      sourceShape: shape,
+      sourceConstraintComponent: SH + component + 'ConstraintComponent',
+      resultSeverity: (shapes.first(shape, SH + 'severity') || { value: SH + 'Violation' }).value,
+      resultMessage: message(shape)
+    });
+
+    checkValues(shape, focus, path, values, report);
+
+    for (const propertyShape of shapes.objects(shape, SH + 'property')) {
+      for (const value of values) validateShape(propertyShape, value, results);
+    }
+  }
+
+  function checkValues(shape, focus, path, values, report) {
+    const first = name => shapes.first(shape, SH + name);
+    const each = (name, fn) => {
+      for (const param of shapes.objects(shape, SH + name)) fn(param);
+    };
+
+    each('class', cls => {
+      for (const v of values) if (!data.isInstanceOf(v, cls)) report('Class', v);
+    });
+    each('datatype', dt => {
+      for (const v of values) {
+        const ok = v.termType === 'Literal' &&
+          (dt.value === RDF_LANGSTRING ? Boolean(v.language) : !v.language && v.datatype && v.datatype.value === dt.value);
+        if (!ok) report('Datatype', v);
+      }
+    });
+    each('nodeKind', kind => {
+      for (const v of values) if (!matchesNodeKind(v, kind.value)) report('NodeKind', v);
+    });
+
+    const minCount = first('minCount');
+    if (minCount && values.length < Number(minCount.value)) report('MinCount');
+    const maxCount = first('maxCount');
+    if (maxCount && values.length > Number(maxCount.value)) report('MaxCount');
+
+    for (const [name, test] of [
+      ['minInclusive', c => c >= 0], ['maxInclusive', c => c <= 0],
+      ['minExclusive', c => c > 0], ['maxExclusive', c => c < 0]
+    ]) {
+      each(name, bound => {
+        for (const v of values) {
+          const c = compareLiterals(v, bound);
+          if (c === null || !test(c)) report(name[0].toUpperCase() + name.slice(1), v);
+        }
+      });
+    }
+
+    each('minLength', len => {
+      for (const v of values) if (v.termType === 'BlankNode' || v.value.length < Number(len.value)) report('MinLength', v);
+    });
+    each('maxLength', len => {
+      for (const v of values) if (v.termType === 'BlankNode' || v.value.length > Number(len.value)) report('MaxLength', v);
+    });
+    each('pattern', pattern => {
+      const flags = first('flags');
+      const re = new RegExp(pattern.value, flags ? flags.value : '');
+      for (const v of values) if (v.termType === 'BlankNode' || !re.test(v.value)) report('Pattern', v);
+    });
+
+    each('languageIn', list => {
+      const ranges = shapes.list(list).map(t => t.value);
+      for (const v of values) {
+        if (v.termType !== 'Literal' || !ranges.some(r => langMatches(v.language, r))) report('LanguageIn', v);
+      }
+    });
+    const uniqueLang = first('uniqueLang');
+    if (uniqueLang && uniqueLang.value === 'true') {
+      const counts = new Map();
+      for (const v of values) {
+        if (v.termType === 'Literal' && v.language) {
+          const lang = v.language.toLowerCase();
+          counts.set(lang, (counts.get(lang) || 0) + 1);
+        }
+      }
+      for (const count of counts.values()) if (count > 1) report('UniqueLang');
+    }
+
+    each('equals', p => {
+      const other = data.objects(focus, p.value);
+      for (const v of values) if (!other.some(o => equalTerms(o, v))) report('Equals', v);
+      for (const o of other) if (!values.some(v => equalTerms(o, v))) report('Equals', o);
+    });
+    each('disjoint', p => {
+      const other = data.objects(focus, p.value);
+      for (const v of values) if (other.some(o => equalTerms(o, v))) report('Disjoint', v);
+    });
+
+    each('in', list => {
+      const allowed = shapes.list(list);
+      for (const v of values) if (!allowed.some(a => equalTerms(a, v))) report('In', v);
+    });
+    each('hasValue', expected => {
+      if (!values.some(v => equalTerms(v, expected))) report('HasValue');
+    });
+
+    each('node', nodeShape => {
+      for (const v of values) if (!conforms(nodeShape, v)) report('Node', v);
+    });
+    each('not', notShape => {
+      for (const v of values) if (conforms(notShape, v)) report('Not', v);
+    });
+    each('and', list => {
+      const members = shapes.list(list);
+      for (const v of values) if (!members.every(m => conforms(m, v))) report('And', v);
+    });
+    each('or', list => {
+      const members = shapes.list(list);
+      for (const v of values) if (!members.some(m => conforms(m, v))) report('Or', v);
+    });
+    each('xone', list => {
+      const members = shapes.list(list);
+      for (const v of values) if (members.filter(m => conforms(m, v)).length !== 1) report('Xone', v);
+    });
+
+    each('qualifiedValueShape', qShape => {
+      const count = values.filter(v => conforms(qShape, v)).length;
+      const min = first('qualifiedMinCount');
+      const max = first('qualifiedMaxCount');
+      if (min && count < Number(min.value)) report('QualifiedMinCount');
+      if (max && count > Number(max.value)) report('QualifiedMaxCount');
+    });
+
+    const closed = first('closed');
+    if (closed && closed.value === 'true') {
+      const allowed = new Set(shapes.list(first('ignoredProperties')).map(t => t.value));
+      for (const ps of shapes.objects(shape, SH + 'property')) {
+        const p = shapes.first(ps, SH + 'path');
+        if (p && p.termType === 'NamedNode') allowed.add(p.value);
+      }
+      for (const v of values) {
+        for (const q of dataStore.getQuads(v, null, null, null)) {
+          if (!allowed.has(q.predicate.value)) report('Closed', q.object);
+        }
+      }
+    }
+  }
+
+  function message(shape) {
+    const messages = shapes.objects(shape, SH + 'message');
+    const preferred = messages.find(m => !m.language || langMatches(m.language, 'en')) || messages[0];
+    return preferred ? preferred.value : null;
+  }
+
+  return { validate, unsupported };
+}
+
+// Validate the data store against a shapes graph. Returns
+// { results: [{ focusNode, resultPath, value, sourceShape,
+//   sourceConstraintComponent, resultSeverity, resultMessage }],
+//   unsupported: [constraint names skipped] }, terms as RDF/JS terms.
+export function validateShapes(dataStore, shapeQuads) {
+  const validator = createValidator(dataStore, shapeQuads);
+  const results = validator.validate();
+  return { results, unsupported: Array.from(validator.unsupported) };
+}
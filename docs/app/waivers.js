@@ -0,0 +1,142 @@
+// app/waivers.js (ES module)
+//
+// Waivers accept a known failure: a waived failing row is graded as passing
+// and listed on its own in the report. A waiver is
+//   { resource, requirementId, justification, author, expires, source }
+// with expires an ISO date (the last day it holds) or null, and source the
+// waiver file's name or 'ontology'. They come from a JSON file,
+//   { "waivers": [{ "resource": "...", "requirementId": "...",
+//     "justification": "...", "author": "...", "expires": "2027-06-30" }] }
+// or from owl:Axiom annotations in the ontology, on any axiom about the
+// waived resource (its owl:annotatedSource):
+//   [] a owl:Axiom ; owl:annotatedSource :Term ;
+//      owl:annotatedProperty rdf:type ; owl:annotatedTarget owl:Class ;
+//      ocm:waives "req_classHasParentPathToBfo" ;
+//      rdfs:comment "The root of the module." ;
+//      dcterms:creator "A. Curator" ;
+//      ocm:waiverExpires "2027-06-30"^^xsd:date .
+// where ocm: is urn:ocm:.
+
+export const WAIVES = 'urn:ocm:waives';
+export const WAIVER_EXPIRES = 'urn:ocm:waiverExpires';
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const OWL_AXIOM = 'http://www.w3.org/2002/07/owl#Axiom';
+const OWL_ANNOTATED_SOURCE = 'http://www.w3.org/2002/07/owl#annotatedSource';
+const RDFS_COMMENT = 'http://www.w3.org/2000/01/rdf-schema#comment';
+const DCTERMS_CREATOR = 'http://purl.org/dc/terms/creator';
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function waiver(fields, source) {
+  return {
+    resource: fields.resource,
+    requirementId: fields.requirementId,
+    justification: fields.justification || '',
+    author: fields.author || '',
+    expires: fields.expires || null,
+    source
+  };
+}
+
+export function parseWaiverJson(text, fileName = 'waivers.json') {
+  const data = JSON.parse(text);
+  if (!data || !Array.isArray(data.waivers)) throw new Error(`${fileName} has no "waivers" list.`);
+  return data.waivers.map((w, i) => {
+    if (!w || typeof w.resource !== 'string' || typeof w.requirementId !== 'string') {
+      throw new Error(`Waiver ${i + 1} in ${fileName} needs a resource and a requirementId.`);
+    }
+    return waiver(w, fileName);
+  });
+}
+
+// Waivers annotated in the main ontology (the default graph); imports do not
+// waive the failures of the ontologies that import them.
+export function waiversFromStore(store) {
+  const { namedNode, defaultGraph } = globalThis.N3.DataFactory;
+  const graph = defaultGraph();
+  const value = (node, predicate) => {
+    const objects = store.getObjects(node, namedNode(predicate), graph);
+    return objects.length ? objects[0].value : '';
+  };
+  const waivers = [];
+  for (const q of store.getQuads(null, namedNode(WAIVES), null, graph)) {
+    const axiom = q.subject;
+    if (!store.countQuads(axiom, namedNode(RDF_TYPE), namedNode(OWL_AXIOM), graph)) continue;
+    const resource = value(axiom, OWL_ANNOTATED_SOURCE);
+    if (!resource) continue;
+    waivers.push(waiver({
+      resource,
+      requirementId: q.object.value,
+      justification: value(axiom, RDFS_COMMENT),
+      author: value(axiom, DCTERMS_CREATOR),
+      expires: value(axiom, WAIVER_EXPIRES).slice(0, 10)
+    }, 'ontology'));
+  }
+  return waivers;
+}
+
+// What a waiver must name for a row: the row's resource, or for a row
+// against the whole ontology, also the term it names first.
+function rowResources(row) {
+  const resources = [row.resource];
+  if (row.scope === 'ontology' && row.evidence && row.evidence.related && row.evidence.related.length) {
+    resources.push(row.evidence.related[0]);
+  }
+  return resources;
+}
+
+// Today as an ISO date, in local time.
+export function today() {
+  const d = new Date();
+  return [d.getFullYear(), d.getMonth() + 1, d.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+}
+
+// Waives the failing rows that a current waiver names. A waived row keeps
+// its place with status 'waived' and the waiver it is waived by.
+// date: the ISO date expiry is checked against (default today)
+// → { results, summary: { waived: [{ resource, requirementId, queryId,
+//     waiver }], expired, unneeded, invalid: [{ waiver, reason }] } }
+// expired waivers waive nothing; unneeded ones are current but matched no
+// failure.
+export function applyWaivers(results, waivers, date = today()) {
+  const current = new Map();
+  const expired = [];
+  const invalid = [];
+  for (const w of waivers || []) {
+    let reason = null;
+    if (!w.justification) reason = 'no justification';
+    else if (!w.author) reason = 'no author';
+    else if (w.expires && !ISO_DATE.test(w.expires)) reason = `expiry "${w.expires}" is not a YYYY-MM-DD date`;
+    if (reason) {
+      invalid.push({ waiver: w, reason });
+    } else if (w.expires && w.expires < date) {
+      expired.push(w);
+    } else {
+      current.set(w.requirementId + '\n' + w.resource, w);
+    }
+  }
+
+  const used = new Set();
+  const waived = [];
+  const rows = (results || []).map(row => {
+    if (row.status !== 'fail' || !row.requirementId) return row;
+    for (const resource of rowResources(row)) {
+      const w = current.get(row.requirementId + '\n' + resource);
+      if (!w) continue;
+      used.add(w);
+      waived.push({ resource, requirementId: row.requirementId, queryId: row.queryId, waiver: w });
+      return { ...row, status: 'waived', waiver: w };
+    }
+    return row;
+  });
+
+  return {
+    results: rows,
+    summary: {
+      waived,
+      expired,
+      unneeded: Array.from(current.values()).filter(w => !used.has(w)),
+      invalid
+    }
+  };
+}
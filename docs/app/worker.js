@@ -0,0 +1,107 @@
+// app/worker.js (classic Web Worker script)
+//
+// Runs the evaluation pipeline off the main thread. The vendored N3, rdflib
+// and Comunica bundles are classic scripts, so this worker is one too and
+// loads the app's ES modules with import(). The messages it answers are
+// described in workerpool.js.
+
+importScripts('n3.min.js', 'rdflib.min.js', 'jsonld.min.js', 'comunica-browser.js');
+
+// Workers have no DOMParser; rdflib's bundled xmldom reads OWL/XML instead.
+if (!self.DOMParser && self.$rdf && self.$rdf.Util && typeof self.$rdf.Util.parseXML === 'function') {
+  self.DOMParser = function DOMParser() {
+    return {
+      parseFromString: (text, contentType) => self.$rdf.Util.parseXML(text, { contentType })
+    };
+  };
+}
+
+const modules = Promise.all([import('./pipeline.js'), import('./imports.js'), import('./engine.js')]);
+
+// The dataset of the last run that asked to keep it, for rule editor
+// previews: its stores, or its endpoint (engine.js graphSources()).
+let keptDataset = null;
+// The rule set compiled for the last job; batch files and re-runs with the
+// same rules (same key) skip loading and parsing the queries again.
+let compiledRuleSet = null;
+// Ontology IDs of the files offered as imports, kept across jobs so a batch
+// parses each file for its IDs once per worker, not once per checked file.
+const ontologyIds = new Map();
+
+async function getCompiledRuleSet(ruleSet) {
+  const [, , engine] = await modules;
+  if (!compiledRuleSet || compiledRuleSet.key !== ruleSet.key) {
+    compiledRuleSet = await engine.compileRuleSet(ruleSet);
+  }
+  return compiledRuleSet;
+}
+
+async function evaluate(message, post) {
+  const [pipeline, imports] = await modules;
+  const started = Date.now();
+  const candidates = message.files.map(f => ({
+    name: f.name,
+    location: f.webkitRelativePath || f.name,
+    key: [f.webkitRelativePath || f.name, f.size, f.lastModified].join('|'),
+    read: () => f.text()
+  }));
+  const resolveImport = imports.createImportResolver({ candidates, catalog: message.catalog, ontologyIds });
+  const ruleSet = await getCompiledRuleSet(message.ruleSet);
+
+  // The File itself, not its text: large files are parsed as they are read.
+  const { dataset, ...result } = await pipeline.evaluateOntology(message.file, message.file.name, {
+    ruleSet,
+    resolveImport,
+    waivers: message.waivers,
+    queryTimeoutMs: message.queryTimeoutMs,
+    concurrency: message.concurrency,
+    maxQuads: message.maxQuads,
+    onProgress: progress => post({
+      type: 'progress',
+      progress: { ...progress, fileName: message.file.name, elapsedMs: Date.now() - started }
+    })
+  });
+  if (message.keepStore) keptDataset = dataset;
+  return result;
+}
+
+async function evaluateEndpoint(message, post) {
+  const [pipeline] = await modules;
+  const started = Date.now();
+  const fileName = message.endpoint.url;
+  const { dataset, ...result } = await pipeline.evaluateEndpoint(message.endpoint, {
+    ruleSet: await getCompiledRuleSet(message.ruleSet),
+    waivers: message.waivers,
+    queryTimeoutMs: message.queryTimeoutMs,
+    concurrency: message.concurrency,
+    maxQuads: message.maxQuads,
+    onProgress: progress => post({
+      type: 'progress',
+      progress: { ...progress, fileName, elapsedMs: Date.now() - started }
+    })
+  });
+  if (message.keepStore) keptDataset = dataset;
+  return result;
+}
+
+async function preview(message) {
+  const [, , engine] = await modules;
+  if (!keptDataset) throw new Error('Run checks on an ontology first; the preview runs against it.');
+  return engine.previewQuery(keptDataset, message.qMeta, message.text, message.timeoutMs, message.languages);
+}
+
+self.onmessage = async event => {
+  const message = event.data;
+  const post = reply => self.postMessage({ ...reply, jobId: message.jobId });
+  try {
+    let result;
+    if (message.type === 'evaluate') result = await evaluate(message, post);
+    else if (message.type === 'evaluateEndpoint') result = await evaluateEndpoint(message, post);
+    else if (message.type === 'preview') result = await preview(message);
+    else throw new Error(`Unknown worker message: ${message.type}`);
+    post({ type: 'result', result });
+  } catch (err) {
+    console.error('Worker job failed:', err);
+    post({ type: 'error', message: err && err.message ? err.message : String(err) });
+  }
+};
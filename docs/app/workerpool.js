@@ -0,0 +1,106 @@
+// app/workerpool.js (ES module)
+//
+// Runs jobs on Web Workers (worker.js). A pool of `size` workers takes queued
+// jobs in turn; cancel() terminates them, which stops even a query that never
+// yields, and later jobs start on fresh workers.
+//
+// Messages to the worker (a jobId is added here):
+//   { type: 'evaluate', file, files, catalog, ruleSet (see ruleset.js),
+//     waivers, queryTimeoutMs, concurrency, maxQuads, keepStore } → evaluateOntology() result
+//   { type: 'evaluateEndpoint', endpoint (see endpoint.js), ruleSet, waivers,
+//     queryTimeoutMs, concurrency, maxQuads, keepStore } → evaluateEndpoint() result
+//   { type: 'preview', qMeta, text, timeoutMs, languages } → previewQuery() result
+// The worker answers { type: 'progress', progress } any number of times, then
+// { type: 'result', result } or { type: 'error', message }.
+
+export const DEFAULT_WORKER_URL = 'app/worker.js';
+
+function cancelledError() {
+  const err = new Error('Cancelled.');
+  err.name = 'AbortError';
+  return err;
+}
+
+export function isCancelled(err) {
+  return Boolean(err) && err.name === 'AbortError';
+}
+
+// A pool size that leaves a core for the page.
+export function defaultPoolSize() {
+  const cores = (globalThis.navigator && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+export function createWorkerPool({ url = DEFAULT_WORKER_URL, size = 1 } = {}) {
+  const idle = [];
+  const running = new Map(); // worker → job
+  const queue = [];
+  let workerCount = 0;
+  let nextJobId = 1;
+
+  function release(worker, reusable) {
+    running.delete(worker);
+    worker.onmessage = null;
+    worker.onerror = null;
+    if (reusable) {
+      idle.push(worker);
+    } else {
+      worker.terminate();
+      workerCount--;
+    }
+    dispatch();
+  }
+
+  function start(worker, job) {
+    running.set(worker, job);
+    worker.onmessage = event => {
+      const reply = event.data;
+      if (reply.jobId !== job.id) return;
+      if (reply.type === 'progress') {
+        if (job.onProgress) job.onProgress(reply.progress);
+        return;
+      }
+      release(worker, true);
+      if (reply.type === 'result') job.resolve(reply.result);
+      else job.reject(new Error(reply.message));
+    };
+    // The worker script failed to load, or crashed outside a job.
+    worker.onerror = event => {
+      event.preventDefault();
+      release(worker, false);
+      job.reject(new Error(event.message || 'The worker failed to start.'));
+    };
+    worker.postMessage({ ...job.message, jobId: job.id });
+  }
+
+  function dispatch() {
+    while (queue.length && (idle.length || workerCount < size)) {
+      let worker = idle.pop();
+      if (!worker) {
+        worker = new Worker(url);
+        workerCount++;
+      }
+      start(worker, queue.shift());
+    }
+  }
+
+  function run(message, onProgress) {
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextJobId++, message, onProgress, resolve, reject });
+      dispatch();
+    });
+  }
+
+  // Rejects every queued and running job with an AbortError.
+  function cancel() {
+    const jobs = queue.splice(0).concat(Array.from(running.values()));
+    for (const worker of running.keys()) worker.terminate();
+    for (const worker of idle) worker.terminate();
+    running.clear();
+    idle.length = 0;
+    workerCount = 0;
+    for (const job of jobs) job.reject(cancelledError());
+  }
+
+  return { run, cancel, size };
+}
@@ -0,0 +1,239 @@
+// app/writers.js (ES module)
+//
+// Serializes RDF/JS quads back to text: the Turtle family through N3.Writer,
+// plus flat RDF/XML and JSON-LD writers. Known prefixes are kept so the
+// output stays readable next to the input.
+
+import { FORMATS, jsonldContextPrefixes } from './formats.js';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDF_TYPE = RDF + 'type';
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+const RDF_LANGSTRING = RDF + 'langString';
+
+export const DEFAULT_PREFIXES = {
+  rdf: RDF,
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  dcterms: 'http://purl.org/dc/terms/',
+  obo: 'http://purl.obolibrary.org/obo/'
+};
+
+const EXTENSIONS = {
+  [FORMATS.TURTLE]: '.ttl',
+  [FORMATS.NTRIPLES]: '.nt',
+  [FORMATS.NQUADS]: '.nq',
+  [FORMATS.TRIG]: '.trig',
+  [FORMATS.RDFXML]: '.owl',
+  [FORMATS.JSONLD]: '.jsonld'
+};
+
+// Formats we can write; OWL/XML input is written back as RDF/XML.
+export function writableFormat(format) {
+  if (format === FORMATS.OWLXML) return FORMATS.RDFXML;
+  return EXTENSIONS[format] ? format : FORMATS.TURTLE;
+}
+
+export function extensionFor(format) {
+  return EXTENSIONS[writableFormat(format)];
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// The input's own prefixes come first; common vocabulary prefixes are
+// added only when the output uses them and the input has none for them.
+function mergePrefixes(prefixes, quads) {
+  const merged = {};
+  for (const [prefix, iri] of Object.entries(prefixes || {})) {
+    if (iri) merged[prefix] = iri;
+  }
+  const declared = new Set(Object.values(merged));
+  const used = ns => quads.some(q => [q.subject, q.predicate, q.object].some(t =>
+    (t.termType === 'NamedNode' && t.value.startsWith(ns)) ||
+    (t.termType === 'Literal' && t.datatype && t.datatype.value.startsWith(ns))));
+
+  for (const [prefix, ns] of Object.entries(DEFAULT_PREFIXES)) {
+    if (prefix in merged || declared.has(ns)) continue;
+    if (used(ns)) merged[prefix] = ns;
+  }
+  return merged;
+}
+
+// Split an IRI into namespace + XML local name (NCName), or null.
+function splitIri(iri) {
+  const m = /^(.*?)([A-Za-z_][A-Za-z0-9_.-]*)$/.exec(iri);
+  if (!m || !m[1]) return null;
+  return { ns: m[1], local: m[2] };
+}
+
+function writeN3(quads, format, prefixes) {
+  const N3 = globalThis.N3;
+  const writer = new N3.Writer({
+    format,
+    prefixes: format === FORMATS.NTRIPLES || format === FORMATS.NQUADS ? undefined : prefixes
+  });
+  writer.addQuads(quads);
+  return new Promise((resolve, reject) => {
+    writer.end((err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+// The empty prefix is written as the default namespace (xmlns="...").
+// options.base: the xml:base to declare, e.g. the input's
+export function writeRdfXml(quads, prefixes = {}, options = {}) {
+  const nsToPrefix = new Map([[RDF, 'rdf']]);
+  for (const [prefix, iri] of Object.entries(prefixes)) {
+    if (!nsToPrefix.has(iri)) nsToPrefix.set(iri, prefix);
+  }
+  let generated = 0;
+
+  function qname(iri) {
+    const parts = splitIri(iri);
+    if (!parts) throw new Error(`Cannot write predicate as RDF/XML element: ${iri}`);
+    if (!nsToPrefix.has(parts.ns)) nsToPrefix.set(parts.ns, 'ns' + (++generated));
+    const prefix = nsToPrefix.get(parts.ns);
+    return prefix ? prefix + ':' + parts.local : parts.local;
+  }
+
+  function nodeAttr(term, attr) {
+    if (term.termType === 'BlankNode') return `rdf:nodeID="${escapeXml(term.value)}"`;
+    return `${attr}="${escapeXml(term.value)}"`;
+  }
+
+  const bySubject = new Map();
+  for (const q of quads) {
+    const key = q.subject.termType + ' ' + q.subject.value;
+    if (!bySubject.has(key)) bySubject.set(key, { subject: q.subject, quads: [] });
+    bySubject.get(key).quads.push(q);
+  }
+
+  const body = [];
+  for (const { subject, quads: subjectQuads } of bySubject.values()) {
+    // Use the first rdf:type as the node element, like Protégé does.
+    const typeQuad = subjectQuads.find(q => q.predicate.value === RDF_TYPE &&
+      q.object.termType === 'NamedNode' && splitIri(q.object.value));
+    const element = typeQuad ? qname(typeQuad.object.value) : 'rdf:Description';
+
+    const rest = subjectQuads.filter(q => q !== typeQuad);
+    // An empty element must be self-closed: RDF/XML parsers read the
+    // whitespace inside it as an rdf:value literal.
+    if (!rest.length) {
+      body.push(`    <${element} ${nodeAttr(subject, 'rdf:about')}/>`);
+      continue;
+    }
+
+    body.push(`    <${element} ${nodeAttr(subject, 'rdf:about')}>`);
+    for (const q of rest) {
+      const p = qname(q.predicate.value);
+      const o = q.object;
+      if (o.termType === 'Literal') {
+        let attrs = '';
+        if (o.language) attrs = ` xml:lang="${escapeXml(o.language)}"`;
+        else if (o.datatype && o.datatype.value !== XSD_STRING && o.datatype.value !== RDF_LANGSTRING) {
+          attrs = ` rdf:datatype="${escapeXml(o.datatype.value)}"`;
+        }
+        body.push(`        <${p}${attrs}>${escapeXml(o.value)}</${p}>`);
+      } else {
+        body.push(`        <${p} ${nodeAttr(o, 'rdf:resource')}/>`);
+      }
+    }
+    body.push(`    </${element}>`);
+  }
+
+  const header = ['<?xml version="1.0"?>', '<rdf:RDF'];
+  if (options.base) header.push(`     xml:base="${escapeXml(options.base)}"`);
+  const declared = new Set();
+  for (const [ns, prefix] of nsToPrefix) {
+    if (declared.has(prefix)) continue;
+    declared.add(prefix);
+    header.push(prefix ? `     xmlns:${prefix}="${escapeXml(ns)}"` : `     xmlns="${escapeXml(ns)}"`);
+  }
+  header[header.length - 1] += '>';
+
+  return header.join('\n') + '\n\n' + body.join('\n') + '\n</rdf:RDF>\n';
+}
+
+// options.context: the input's @context, written back as it was; prefixes
+// it does not define itself are added in a second context after it.
+export function writeJsonLd(quads, prefixes = {}, options = {}) {
+  const entries = Object.entries(prefixes).filter(([prefix]) => prefix);
+
+  function compact(iri) {
+    for (const [prefix, ns] of entries) {
+      if (iri.startsWith(ns) && iri.length > ns.length) return prefix + ':' + iri.slice(ns.length);
+    }
+    return iri;
+  }
+
+  function nodeId(term) {
+    return term.termType === 'BlankNode' ? '_:' + term.value : compact(term.value);
+  }
+
+  // One node map per graph: '' for the default graph, else the graph's id.
+  const graphs = new Map([['', new Map()]]);
+  for (const q of quads) {
+    const graphKey = q.graph.termType === 'DefaultGraph' ? '' : nodeId(q.graph);
+    if (!graphs.has(graphKey)) graphs.set(graphKey, new Map());
+    const nodes = graphs.get(graphKey);
+    const id = nodeId(q.subject);
+    if (!nodes.has(id)) nodes.set(id, { '@id': id });
+    const node = nodes.get(id);
+
+    if (q.predicate.value === RDF_TYPE && q.object.termType === 'NamedNode') {
+      node['@type'] = (node['@type'] || []).concat(compact(q.object.value));
+      continue;
+    }
+
+    const key = compact(q.predicate.value);
+    let value;
+    if (q.object.termType === 'Literal') {
+      value = { '@value': q.object.value };
+      if (q.object.language) value['@language'] = q.object.language;
+      else if (q.object.datatype && q.object.datatype.value !== XSD_STRING) value['@type'] = compact(q.object.datatype.value);
+    } else {
+      value = { '@id': nodeId(q.object) };
+    }
+    node[key] = (node[key] || []).concat(value);
+  }
+
+  // Each named graph becomes a node of the default graph holding its own
+  // @graph, merged with that node's triples when it has any.
+  const defaultNodes = graphs.get('');
+  for (const [graphKey, nodes] of graphs) {
+    if (!graphKey) continue;
+    if (!defaultNodes.has(graphKey)) defaultNodes.set(graphKey, { '@id': graphKey });
+    defaultNodes.get(graphKey)['@graph'] = Array.from(nodes.values());
+  }
+
+  let context = Object.fromEntries(entries);
+  if (options.context) {
+    const own = jsonldContextPrefixes(options.context);
+    const added = entries.filter(([prefix]) => !(prefix in own));
+    context = added.length ? [].concat(options.context, Object.fromEntries(added)) : options.context;
+  }
+
+  return JSON.stringify({
+    '@context': context,
+    '@graph': Array.from(defaultNodes.values())
+  }, null, 2) + '\n';
+}
+
+// Serialize quads in the given format (see writableFormat()).
+// options: { base, context } from formats.js parseOntologyText(), so the
+// output keeps the input's xml:base or JSON-LD @context.
+export async function serializeQuads(quads, format, prefixes = {}, options = {}) {
+  const target = writableFormat(format);
+  const allPrefixes = mergePrefixes(prefixes, quads);
+
+  if (target === FORMATS.RDFXML) return writeRdfXml(quads, allPrefixes, { base: options.base });
+  if (target === FORMATS.JSONLD) return writeJsonLd(quads, allPrefixes, { context: options.context });
+  return writeN3(quads, target, allPrefixes);
+}
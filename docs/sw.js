@@ -0,0 +1,84 @@
+// sw.js (Service Worker)
+//
+// Keeps the app usable offline once it has been loaded: the page, its
+// scripts and the built-in rule pack are cached at install, and every other
+// same-origin GET is cached as it is fetched. Requests go to the network
+// first, so a deployed update is picked up whenever the network is there.
+
+const CACHE = 'ocm-v1';
+
+const APP_FILES = [
+  './',
+  'index.html',
+  'app/main.js',
+  'app/worker.js',
+  'app/workerpool.js',
+  'app/pipeline.js',
+  'app/engine.js',
+  'app/grader.js',
+  'app/formats.js',
+  'app/owlxml.js',
+  'app/imports.js',
+  'app/shacl.js',
+  'app/writers.js',
+  'app/annotate.js',
+  'app/exporters.js',
+  'app/compare.js',
+  'app/batch.js',
+  'app/fixes.js',
+  'app/inference.js',
+  'app/waivers.js',
+  'app/endpoint.js',
+  'app/rulepacks.js',
+  'app/ruleset.js',
+  'app/ruleeditor.js',
+  'app/languages.js',
+  'app/history.js',
+  'app/n3.min.js',
+  'app/rdflib.min.js',
+  'app/jsonld.min.js',
+  'app/comunica-browser.js'
+];
+
+// The built-in pack's files are listed in its manifest.
+async function rulePackFiles() {
+  const res = await fetch('queries/manifest.json', { cache: 'no-cache' });
+  if (!res.ok) return [];
+  const manifest = await res.json();
+  return ['queries/manifest.json'].concat(manifest.queries.map(q => 'queries/' + q.file));
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(APP_FILES.concat(await rulePackFiles()));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name !== CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE);
+    try {
+      const response = await fetch(request);
+      if (response.ok) await cache.put(request, response.clone());
+      return response;
+    } catch (err) {
+      const cached = await cache.match(request, { ignoreSearch: true });
+      if (cached) return cached;
+      throw err;
+    }
+  })());
+});